@@ -0,0 +1,4 @@
+const { createApiServer } = require("./server");
+const { IndexQueries, HttpError, MAX_PAGE_SIZE } = require("./queries");
+
+module.exports = { createApiServer, IndexQueries, HttpError, MAX_PAGE_SIZE };
@@ -0,0 +1,661 @@
+const { isAddress } = require("ethers");
+const { DEFAULT_PAGE_SIZE } = require("../sdk/baseApp");
+const { RELATIONSHIP_TYPES, PHOTO_TYPES } = require("../sdk/plants");
+const { toLanguageCode } = require("../sdk/translations");
+
+const MAX_PAGE_SIZE = 100;
+
+/** Error answered to the client with its HTTP status. */
+class HttpError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.name = "HttpError";
+    this.status = status;
+  }
+}
+
+/**
+ * Listable entries of each app: the indexer table or view, the app key of its votes, the address, name, ID,
+ * boolean and region filters and searched columns accepted in the query string, the JSON names of the columns
+ * and how to decode the columns that are not stored as JSON values. Names are compared without letter case.
+ * Region filters take a geohash prefix and keep the entries their condition finds inside it. Entries with a
+ * `translation` are served in the language of the `locale` parameter, with the fields of their best translation.
+ */
+const RESOURCES = {
+  contents: {
+    table: "current_contents",
+    app: "education",
+    filters: { publisher: "publisher" },
+    flags: { retracted: "retracted" },
+    search: ["title", "description"],
+    translation: { entryType: "content", fields: { title: "name", description: "description" } },
+    fields: {
+      id: "id",
+      title: "title",
+      description: "description",
+      url: "url",
+      photo: "photo",
+      publisher: "publisher",
+      createdAt: "created_at",
+      updatedBlock: "updated_block",
+      retracted: "retracted",
+    },
+    decode: { retracted: (value) => value === 1 },
+  },
+  plants: {
+    table: "current_plants",
+    app: "plants",
+    filters: { creator: "creator" },
+    names: { family: "family", genus: "genus", stratum: "stratum", successionalStage: "successional_stage" },
+    flags: { duplicate: "duplicate" },
+    regions: { observedIn: "e.id IN (SELECT plant_id FROM occurrences WHERE geohash GLOB ?)" },
+    search: ["popular_name", "scientific_name", "taxonomy"],
+    translation: { entryType: "plant", fields: { popularName: "name", description: "description" } },
+    fields: {
+      id: "id",
+      popularName: "popular_name",
+      scientificName: "scientific_name",
+      taxonomy: "taxonomy",
+      description: "description",
+      photoHash: "photo_hash",
+      creator: "creator",
+      revisionId: "revision_id",
+      revisedBlock: "revised_block",
+      ranks: "ranks",
+      primaryPhotoId: "primary_photo_id",
+      primaryPhoto: "primary_photo",
+      stratum: "stratum",
+      successionalStage: "successional_stage",
+      canonicalId: "canonical_id",
+    },
+    decode: { ranks: (value) => (value === null ? null : JSON.parse(value)) },
+  },
+  apps: {
+    table: "impact_apps",
+    app: "appStore",
+    filters: { publisher: "publisher" },
+    search: ["name", "description"],
+    fields: {
+      id: "id",
+      name: "name",
+      description: "description",
+      icon: "icon",
+      repositoryUrl: "repository_url",
+      externalLink: "external_link",
+      contractAddresses: "contract_addresses",
+      publisher: "publisher",
+    },
+    decode: { contractAddresses: JSON.parse },
+  },
+  whitepapers: {
+    table: "whitepapers",
+    app: "whitepapers",
+    filters: { publisher: "publisher" },
+    search: ["title", "description"],
+    fields: { id: "id", title: "title", description: "description", url: "url", publisher: "publisher" },
+  },
+  translations: {
+    table: "translations",
+    app: "translations",
+    filters: { translator: "translator" },
+    names: { entryType: "entry_type", language: "language" },
+    ids: { entry: "entry_id" },
+    search: ["name", "description"],
+    fields: {
+      id: "id",
+      entryType: "entry_type",
+      entryId: "entry_id",
+      language: "language",
+      name: "name",
+      description: "description",
+      translator: "translator",
+    },
+  },
+};
+
+// `sort` values of the entry listings. The default order of each one comes first, `order` overrides it.
+const ENTRY_SORTS = {
+  id: ["e.id", "ASC"],
+  newest: ["e.block_number", "DESC"],
+  score: ["score", "DESC"],
+  positive: ["positive", "DESC"],
+  negative: ["negative", "DESC"],
+};
+
+const OCCURRENCE_SORTS = {
+  id: ["o.id", "ASC"],
+  observed: ["o.observed_at", "DESC"],
+};
+
+const SIGNER_SORTS = {
+  signed: ["signed_block", "ASC"],
+  lastProof: ["last_proof_block", "DESC"],
+  proofs: ["proofs", "DESC"],
+};
+
+function parsePage(query) {
+  const offset = parseInteger(query.offset ?? 0, "offset");
+  const limit = parseInteger(query.limit ?? DEFAULT_PAGE_SIZE, "limit");
+  if (limit < 1 || limit > MAX_PAGE_SIZE) throw new HttpError(400, `limit must be between 1 and ${MAX_PAGE_SIZE}`);
+
+  return { offset, limit };
+}
+
+function parseInteger(value, name) {
+  if (!/^\d+$/.test(String(value))) throw new HttpError(400, `${name} must be a non-negative integer`);
+
+  return Number(value);
+}
+
+function parseAddress(value, name) {
+  if (!isAddress(value)) throw new HttpError(400, `${name} must be an address`);
+
+  return value.toLowerCase();
+}
+
+// Geohashes use the digits and the lowercase letters but "a", "i", "l" and "o".
+function parseGeohash(value, name) {
+  const geohash = String(value).toLowerCase();
+  if (!/^[0-9b-hjkmnp-z]{1,12}$/.test(geohash)) throw new HttpError(400, `${name} must be a geohash`);
+
+  return geohash;
+}
+
+function parseLanguage(value, name) {
+  try {
+    return toLanguageCode(value);
+  } catch (error) {
+    throw new HttpError(400, `${name} must be a language code, such as pt, es or pt-BR`);
+  }
+}
+
+function parseSort(query, sorts) {
+  const [defaultSort] = Object.keys(sorts);
+  const sort = query.sort ?? defaultSort;
+  if (!sorts[sort]) throw new HttpError(400, `sort must be one of: ${Object.keys(sorts).join(", ")}`);
+
+  const [column, defaultOrder] = sorts[sort];
+  const order = query.order ? query.order.toUpperCase() : defaultOrder;
+  if (order !== "ASC" && order !== "DESC") throw new HttpError(400, "order must be asc or desc");
+
+  return `${column} ${order}`;
+}
+
+function parseBoolean(value, name) {
+  if (value === "true") return true;
+  if (value === "false") return false;
+  throw new HttpError(400, `${name} must be true or false`);
+}
+
+// Escapes the LIKE wildcards of a search term.
+const likePattern = (term) => `%${term.replace(/[\\%_]/g, (char) => `\\${char}`)}%`;
+
+// `locale` of an entry listing: the language code, or null when the entries are served as they were added.
+function parseLocale(name, query) {
+  if (query.locale === undefined) return null;
+  if (!RESOURCES[name].translation) throw new HttpError(400, `${name} entries have no translations`);
+
+  return parseLanguage(query.locale, "locale");
+}
+
+function toEntry(resource, row, locale) {
+  const entry = Object.fromEntries(
+    Object.entries(resource.fields).map(([name, column]) => {
+      const decode = resource.decode && resource.decode[name];
+      return [name, decode ? decode(row[column]) : row[column]];
+    })
+  );
+  // The translated fields replace the original ones, `locale` tells which language was served.
+  if (locale) {
+    const translated = row.translation_id !== null;
+    if (translated) {
+      for (const [name, column] of Object.entries(resource.translation.fields))
+        entry[name] = row[`translated_${column}`];
+    }
+    Object.assign(entry, { locale: translated ? locale : null, translationId: row.translation_id });
+  }
+
+  return {
+    ...entry,
+    blockNumber: row.block_number,
+    votes: { positive: row.positive, negative: row.negative, score: row.score },
+  };
+}
+
+// Entries with their vote tallies. With a locale, the query takes the language code as its first parameter.
+const entrySelect = (resource, locale) => `
+  SELECT e.*,
+    COALESCE(t.positive, 0) AS positive,
+    COALESCE(t.negative, 0) AS negative,
+    COALESCE(t.score, 0) AS score
+    ${locale ? ", bt.id AS translation_id, bt.name AS translated_name, bt.description AS translated_description" : ""}
+  FROM ${resource.table} e
+  LEFT JOIN vote_tallies t ON t.app = '${resource.app}' AND t.entry_id = e.id
+  ${
+    locale
+      ? `LEFT JOIN best_translations bt
+           ON bt.entry_type = '${resource.translation.entryType}' AND bt.entry_id = e.id AND bt.language = ?`
+      : ""
+  }
+`;
+
+/**
+ * Read-only queries of the API over an index written by `SintropIndexer`.
+ */
+class IndexQueries {
+  /**
+   * @param {import("better-sqlite3").Database} db
+   */
+  constructor(db) {
+    this.db = db;
+  }
+
+  /** Last indexed block, or null when nothing was indexed yet. */
+  status() {
+    const head = this.db.prepare("SELECT number, hash FROM blocks ORDER BY number DESC LIMIT 1").get();
+
+    return { indexedBlock: head ? head.number : null, indexedBlockHash: head ? head.hash : null };
+  }
+
+  /**
+   * Lists the entries of an app.
+   * @param {string} name Key of `RESOURCES`.
+   * @param {object} query Query string: filters and flags of the resource, `q`, `locale`, `sort`, `order`,
+   * `offset` and `limit`.
+   */
+  listEntries(name, query) {
+    const resource = RESOURCES[name];
+    const { offset, limit } = parsePage(query);
+    const locale = parseLocale(name, query);
+    const conditions = [];
+    const params = [];
+
+    for (const [filter, column] of Object.entries(resource.filters)) {
+      if (query[filter] === undefined) continue;
+      conditions.push(`lower(e.${column}) = ?`);
+      params.push(parseAddress(query[filter], filter));
+    }
+    for (const [name, column] of Object.entries(resource.names || {})) {
+      if (query[name] === undefined) continue;
+      conditions.push(`lower(e.${column}) = ?`);
+      params.push(query[name].trim().replace(/\s+/g, " ").toLowerCase());
+    }
+    for (const [filter, column] of Object.entries(resource.ids || {})) {
+      if (query[filter] === undefined) continue;
+      conditions.push(`e.${column} = ?`);
+      params.push(parseInteger(query[filter], filter));
+    }
+    for (const [flag, column] of Object.entries(resource.flags || {})) {
+      if (query[flag] === undefined) continue;
+      conditions.push(`e.${column} = ?`);
+      params.push(parseBoolean(query[flag], flag) ? 1 : 0);
+    }
+    for (const [region, condition] of Object.entries(resource.regions || {})) {
+      if (query[region] === undefined) continue;
+      conditions.push(condition);
+      params.push(`${parseGeohash(query[region], region)}*`);
+    }
+    if (query.q) {
+      conditions.push(`(${resource.search.map((column) => `e.${column} LIKE ? ESCAPE '\\'`).join(" OR ")})`);
+      params.push(...resource.search.map(() => likePattern(query.q)));
+    }
+
+    const where = conditions.length > 0 ? `WHERE ${conditions.join(" AND ")}` : "";
+    const total = this.db.prepare(`SELECT COUNT(*) AS count FROM ${resource.table} e ${where}`).get(...params).count;
+    const rows = this.db
+      .prepare(
+        `${entrySelect(resource, locale)} ${where} ORDER BY ${parseSort(query, ENTRY_SORTS)}, e.id ASC LIMIT ? OFFSET ?`
+      )
+      .all(...(locale ? [locale] : []), ...params, limit, offset);
+
+    return { items: rows.map((row) => toEntry(resource, row, locale)), total, offset, limit };
+  }
+
+  /**
+   * An entry of an app.
+   * @param {object} [query] `locale` of the entries with translations.
+   */
+  getEntry(name, id, query = {}) {
+    const resource = RESOURCES[name];
+    const locale = parseLocale(name, query);
+    const row = this.db
+      .prepare(`${entrySelect(resource, locale)} WHERE e.id = ?`)
+      .get(...(locale ? [locale] : []), parseInteger(id, "id"));
+    if (!row) throw new HttpError(404, `${name} entry ${id} was not found`);
+
+    return toEntry(resource, row, locale);
+  }
+
+  /**
+   * Lists the current vote of each voter on an entry.
+   * @param {object} query `vote` (positive or negative), `offset` and `limit`.
+   */
+  listVotes(name, id, query) {
+    this.getEntry(name, id);
+    const { offset, limit } = parsePage(query);
+    const conditions = ["app = ?", "entry_id = ?"];
+    const params = [RESOURCES[name].app, Number(id)];
+
+    if (query.vote !== undefined) {
+      if (query.vote !== "positive" && query.vote !== "negative") {
+        throw new HttpError(400, "vote must be positive or negative");
+      }
+      conditions.push("vote = ?");
+      params.push(query.vote);
+    }
+
+    const where = `WHERE ${conditions.join(" AND ")}`;
+    const total = this.db.prepare(`SELECT COUNT(*) AS count FROM current_votes ${where}`).get(...params).count;
+    const items = this.db
+      .prepare(
+        `SELECT voter, vote, block_number AS blockNumber FROM current_votes ${where}
+         ORDER BY block_number DESC LIMIT ? OFFSET ?`
+      )
+      .all(...params, limit, offset);
+
+    return { items, total, offset, limit };
+  }
+
+  /**
+   * Lists the relationships a plant takes part in, on either side, with the highest net score first.
+   * @param {object} query `type` (companion, nurse, antagonist or sameConsortium), `offset` and `limit`.
+   */
+  listRelationships(id, query) {
+    this.getEntry("plants", id);
+
+    return this._listPlantItems(query, {
+      table: "plant_relationships",
+      app: "relationships",
+      condition: "(r.plant_id = ? OR r.related_plant_id = ?)",
+      params: [Number(id), Number(id)],
+      types: { column: "relationship_type", values: RELATIONSHIP_TYPES.slice(1) },
+      toItem: toRelationship,
+    });
+  }
+
+  /**
+   * Lists the gallery of a plant, with the highest net score first. The first photo is the primary photo of
+   * the plant when its score is positive.
+   * @param {object} query `type` (wholePlant, leaf, flower, fruit or seed), `offset` and `limit`.
+   */
+  listPhotos(id, query) {
+    this.getEntry("plants", id);
+
+    return this._listPlantItems(query, {
+      table: "plant_photos",
+      app: "photos",
+      condition: "r.plant_id = ?",
+      params: [Number(id)],
+      types: { column: "photo_type", values: PHOTO_TYPES },
+      toItem: toPhoto,
+    });
+  }
+
+  /** Lists the voted rows of a plant table, such as its relationships, filtered by `type` and best scored first. */
+  _listPlantItems(query, { table, app, condition, params, types, toItem }) {
+    const { offset, limit } = parsePage(query);
+    const conditions = [condition];
+    const values = [...params];
+
+    if (query.type !== undefined) {
+      if (!types.values.includes(query.type)) {
+        throw new HttpError(400, `type must be one of: ${types.values.join(", ")}`);
+      }
+      conditions.push(`r.${types.column} = ?`);
+      values.push(query.type);
+    }
+
+    const where = `WHERE ${conditions.join(" AND ")}`;
+    const total = this.db.prepare(`SELECT COUNT(*) AS count FROM ${table} r ${where}`).get(...values).count;
+    const rows = this.db
+      .prepare(
+        `SELECT r.*,
+           COALESCE(t.positive, 0) AS positive,
+           COALESCE(t.negative, 0) AS negative,
+           COALESCE(t.score, 0) AS score
+         FROM ${table} r
+         LEFT JOIN vote_tallies t ON t.app = '${app}' AND t.entry_id = r.id
+         ${where} ORDER BY score DESC, r.id ASC LIMIT ? OFFSET ?`
+      )
+      .all(...values, limit, offset);
+
+    return { items: rows.map(toItem), total, offset, limit };
+  }
+
+  /**
+   * Lists the occurrences of the plants, where and when they were observed.
+   * @param {object} query `plant`, `reporter`, `geohash` (a prefix, the region the occurrences are in),
+   * `sort` (id or observed), `order`, `offset` and `limit`.
+   */
+  listOccurrences(query) {
+    const { offset, limit } = parsePage(query);
+    const conditions = [];
+    const params = [];
+
+    if (query.plant !== undefined) {
+      conditions.push("o.plant_id = ?");
+      params.push(parseInteger(query.plant, "plant"));
+    }
+    if (query.reporter !== undefined) {
+      conditions.push("lower(o.reporter) = ?");
+      params.push(parseAddress(query.reporter, "reporter"));
+    }
+    if (query.geohash !== undefined) {
+      conditions.push("o.geohash GLOB ?");
+      params.push(`${parseGeohash(query.geohash, "geohash")}*`);
+    }
+
+    const where = conditions.length > 0 ? `WHERE ${conditions.join(" AND ")}` : "";
+    const total = this.db.prepare(`SELECT COUNT(*) AS count FROM occurrences o ${where}`).get(...params).count;
+    const rows = this.db
+      .prepare(
+        `SELECT * FROM occurrences o ${where}
+         ORDER BY ${parseSort(query, OCCURRENCE_SORTS)}, o.id ASC LIMIT ? OFFSET ?`
+      )
+      .all(...params, limit, offset);
+
+    return { items: rows.map(toOccurrence), total, offset, limit };
+  }
+
+  getOccurrence(id) {
+    const row = this.db.prepare("SELECT * FROM occurrences WHERE id = ?").get(parseInteger(id, "id"));
+    if (!row) throw new HttpError(404, `occurrence ${id} was not found`);
+
+    return toOccurrence(row);
+  }
+
+  /**
+   * The plants as a tree of families and their genera, with the number of plants of each. Names keep the
+   * spelling of the first plant that used them, as in the catalog.
+   */
+  taxonomyTree() {
+    const rows = this.db
+      .prepare(
+        // MIN(id) makes SQLite read the family and genus of the first plant of each group.
+        `SELECT family, genus, MIN(id) AS first_id, COUNT(*) AS plants FROM current_plants
+         WHERE family IS NOT NULL
+         GROUP BY lower(family), lower(genus)
+         ORDER BY lower(family), lower(genus)`
+      )
+      .all();
+    const families = new Map();
+
+    for (const { family, genus, plants } of rows) {
+      const key = family.toLowerCase();
+      if (!families.has(key)) families.set(key, { family, plants: 0, genera: [] });
+
+      const node = families.get(key);
+      node.plants += plants;
+      node.genera.push({ genus, plants });
+    }
+
+    return { items: [...families.values()] };
+  }
+
+  // Signers whose latest pledge was not withdrawn, with the proof and lapse counts of all their pledges. A signer is
+  // active while the last indexed block is within the proof window of the treaty from its last proof, as in
+  // `isActive`, the window being 0 until the indexer read it from the chain.
+  _signersQuery() {
+    const head = this.status().indexedBlock ?? 0;
+    const settings = this.db.prepare("SELECT proof_window FROM treaty_settings").get();
+    const proofWindow = settings ? settings.proof_window : 0;
+
+    return {
+      sql: `
+        WITH signers AS (
+          SELECT
+            p.signer,
+            p.version,
+            p.block_number AS signed_block,
+            MAX(p.block_number, COALESCE((SELECT MAX(block_number) FROM proofs WHERE signer = p.signer), 0))
+              AS last_proof_block,
+            (SELECT COUNT(*) FROM proofs WHERE signer = p.signer) AS proofs,
+            (SELECT COUNT(*) FROM lapses WHERE signer = p.signer) AS lapses,
+            (SELECT COUNT(*) FROM withdrawals WHERE signer = p.signer) AS withdrawals
+          FROM pledges p
+          WHERE NOT EXISTS (
+            SELECT 1 FROM pledges later
+            WHERE later.signer = p.signer AND (later.block_number, later.log_index) > (p.block_number, p.log_index)
+          )
+          AND NOT EXISTS (
+            SELECT 1 FROM withdrawals w
+            WHERE w.signer = p.signer AND (w.block_number, w.log_index) > (p.block_number, p.log_index)
+          )
+        )
+        SELECT *, last_proof_block >= ? AS active FROM signers
+      `,
+      params: [head - proofWindow],
+    };
+  }
+
+  /**
+   * Lists the signers of the HumansPeaceTreaty.
+   * @param {object} query `active` (true or false), `version` (the version of the text they signed), `sort` (signed,
+   * lastProof or proofs), `order`, `offset` and `limit`.
+   */
+  listSigners(query) {
+    const { offset, limit } = parsePage(query);
+    const { sql, params } = this._signersQuery();
+    const conditions = [];
+
+    if (query.active !== undefined) conditions.push(`active = ${parseBoolean(query.active, "active") ? 1 : 0}`);
+    if (query.version !== undefined) {
+      conditions.push("version = ?");
+      params.push(parseInteger(query.version, "version"));
+    }
+
+    const where = conditions.length > 0 ? `WHERE ${conditions.join(" AND ")}` : "";
+    const total = this.db.prepare(`SELECT COUNT(*) AS count FROM (${sql}) ${where}`).get(...params).count;
+    const rows = this.db
+      .prepare(`SELECT * FROM (${sql}) ${where} ORDER BY ${parseSort(query, SIGNER_SORTS)} LIMIT ? OFFSET ?`)
+      .all(...params, limit, offset);
+
+    return { items: rows.map(toSigner), total, offset, limit };
+  }
+
+  getSigner(address) {
+    const { sql, params } = this._signersQuery();
+    const row = this.db
+      .prepare(`SELECT * FROM (${sql}) WHERE lower(signer) = ?`)
+      .get(...params, parseAddress(address, "address"));
+    if (!row) throw new HttpError(404, `${address} has not signed the treaty`);
+
+    return toSigner(row);
+  }
+
+  /**
+   * Lists the versions of the text of the HumansPeaceTreaty, with the number of signers bound to each.
+   * @param {object} query `offset` and `limit`.
+   */
+  listTreatyVersions(query) {
+    const { offset, limit } = parsePage(query);
+    const { sql, params } = this._signersQuery();
+
+    const total = this.db.prepare("SELECT COUNT(*) AS count FROM treaty_versions").get().count;
+    const rows = this.db
+      .prepare(
+        `SELECT v.*, (SELECT COUNT(*) FROM (${sql}) s WHERE s.version = v.version) AS signers
+         FROM treaty_versions v ORDER BY v.version ASC LIMIT ? OFFSET ?`
+      )
+      .all(...params, limit, offset);
+
+    return { items: rows.map(toTreatyVersion), total, offset, limit };
+  }
+
+  /**
+   * Lists the signatures and proofs of commitment of an address, oldest first, including those of withdrawn pledges.
+   * @param {object} query `offset` and `limit`.
+   */
+  listSignerProofs(address, query) {
+    const { offset, limit } = parsePage(query);
+    const signer = parseAddress(address, "address");
+    const sql = `
+      SELECT 'signature' AS kind, block_number, log_index FROM pledges WHERE lower(signer) = ?
+      UNION ALL
+      SELECT 'proof' AS kind, block_number, log_index FROM proofs WHERE lower(signer) = ?
+    `;
+
+    const total = this.db.prepare(`SELECT COUNT(*) AS count FROM (${sql})`).get(signer, signer).count;
+    if (total === 0) throw new HttpError(404, `${address} has not signed the treaty`);
+    const rows = this.db
+      .prepare(`SELECT * FROM (${sql}) ORDER BY block_number ASC, log_index ASC LIMIT ? OFFSET ?`)
+      .all(signer, signer, limit, offset);
+
+    return { items: rows.map(toProof), total, offset, limit };
+  }
+}
+
+const toRelationship = (row) => ({
+  id: row.id,
+  plantId: row.plant_id,
+  relatedPlantId: row.related_plant_id,
+  relationshipType: row.relationship_type,
+  proposer: row.proposer,
+  blockNumber: row.block_number,
+  votes: { positive: row.positive, negative: row.negative, score: row.score },
+});
+
+const toPhoto = (row) => ({
+  id: row.id,
+  plantId: row.plant_id,
+  photoType: row.photo_type,
+  photoHash: row.photo_hash,
+  contributor: row.contributor,
+  blockNumber: row.block_number,
+  votes: { positive: row.positive, negative: row.negative, score: row.score },
+});
+
+const toOccurrence = (row) => ({
+  id: row.id,
+  plantId: row.plant_id,
+  reporter: row.reporter,
+  geohash: row.geohash,
+  latitude: row.latitude,
+  longitude: row.longitude,
+  observedAt: row.observed_at,
+  evidenceCid: row.evidence_cid,
+  blockNumber: row.block_number,
+});
+
+const toSigner = (row) => ({
+  signer: row.signer,
+  version: row.version,
+  signedBlock: row.signed_block,
+  lastProofBlock: row.last_proof_block,
+  proofs: row.proofs,
+  lapses: row.lapses,
+  withdrawals: row.withdrawals,
+  active: row.active === 1,
+});
+
+const toProof = (row) => ({ kind: row.kind, blockNumber: row.block_number });
+
+const toTreatyVersion = (row) => ({
+  version: row.version,
+  textHash: row.text_hash,
+  textUri: row.text_uri,
+  blockNumber: row.block_number,
+  signers: row.signers,
+});
+
+module.exports = { IndexQueries, HttpError, RESOURCES, MAX_PAGE_SIZE };
@@ -0,0 +1,91 @@
+const http = require("node:http");
+const { IndexQueries, HttpError, RESOURCES } = require("./queries");
+
+/**
+ * Routes of the API. Every entry listing has the same shape: `/<resource>`, `/<resource>/:id` and
+ * `/<resource>/:id/votes`. Plants also list their relationships and photos in `/plants/:id/relationships` and
+ * `/plants/:id/photos`. Occurrences are not voted and are listed in `/occurrences` and `/occurrences/:id`.
+ * Translations are voted entries too, and plants and contents are served in a language with `?locale=`.
+ * Treaty signers are listed in `/treaty/signers`, and their signatures and proofs in `/treaty/signers/:address/proofs`.
+ * The versions of the text of the treaty are listed in `/treaty/versions`.
+ */
+function buildRoutes(queries) {
+  const routes = [
+    { path: /^\/status$/, handler: () => queries.status() },
+    { path: /^\/taxonomy$/, handler: () => queries.taxonomyTree() },
+    { path: /^\/plants\/([^/]+)\/relationships$/, handler: ([id], query) => queries.listRelationships(id, query) },
+    { path: /^\/plants\/([^/]+)\/photos$/, handler: ([id], query) => queries.listPhotos(id, query) },
+    { path: /^\/occurrences$/, handler: (params, query) => queries.listOccurrences(query) },
+    { path: /^\/occurrences\/([^/]+)$/, handler: ([id]) => queries.getOccurrence(id) },
+    { path: /^\/treaty\/versions$/, handler: (params, query) => queries.listTreatyVersions(query) },
+    { path: /^\/treaty\/signers$/, handler: (params, query) => queries.listSigners(query) },
+    { path: /^\/treaty\/signers\/([^/]+)$/, handler: ([address]) => queries.getSigner(address) },
+    {
+      path: /^\/treaty\/signers\/([^/]+)\/proofs$/,
+      handler: ([address], query) => queries.listSignerProofs(address, query),
+    },
+  ];
+
+  for (const name of Object.keys(RESOURCES)) {
+    routes.push(
+      { path: new RegExp(`^/${name}$`), handler: (params, query) => queries.listEntries(name, query) },
+      { path: new RegExp(`^/${name}/([^/]+)$`), handler: ([id], query) => queries.getEntry(name, id, query) },
+      { path: new RegExp(`^/${name}/([^/]+)/votes$`), handler: ([id], query) => queries.listVotes(name, id, query) }
+    );
+  }
+
+  return routes;
+}
+
+function decodePathSegment(segment) {
+  try {
+    return decodeURIComponent(segment);
+  } catch (error) {
+    // Malformed escapes, such as a lone `%E0`, make decodeURIComponent throw a URIError.
+    throw new HttpError(400, `Malformed path segment ${segment}`);
+  }
+}
+
+function send(response, status, body) {
+  response.writeHead(status, {
+    "Content-Type": "application/json; charset=utf-8",
+    // The web clients are served from other origins.
+    "Access-Control-Allow-Origin": "*",
+  });
+  response.end(JSON.stringify(body));
+}
+
+/**
+ * Creates the HTTP server of the read API. It is not listening yet, call `listen()` on it.
+ * @param {object} options
+ * @param {import("better-sqlite3").Database} options.db Database written by `SintropIndexer`.
+ * @returns {import("node:http").Server}
+ */
+function createApiServer({ db }) {
+  const routes = buildRoutes(new IndexQueries(db));
+
+  return http.createServer((request, response) => {
+    const url = new URL(request.url, "http://localhost");
+
+    try {
+      if (request.method !== "GET") throw new HttpError(405, "Only GET requests are supported");
+
+      for (const { path, handler } of routes) {
+        const match = url.pathname.replace(/\/$/, "").match(path);
+        if (!match) continue;
+
+        const params = match.slice(1).map(decodePathSegment);
+        return send(response, 200, handler(params, Object.fromEntries(url.searchParams)));
+      }
+
+      throw new HttpError(404, `No route for ${url.pathname}`);
+    } catch (error) {
+      if (error instanceof HttpError) return send(response, error.status, { error: error.message });
+
+      console.error(error);
+      send(response, 500, { error: "Internal error" });
+    }
+  });
+}
+
+module.exports = { createApiServer };
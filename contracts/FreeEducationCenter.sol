@@ -1,6 +1,9 @@
 // SPDX-License-Identifier: GPL-3.0
 pragma solidity >=0.8.2 <0.9.0;
 
+import "@openzeppelin/contracts-upgradeable/proxy/utils/Initializable.sol";
+import "./interfaces/IVoterEligibility.sol";
+
 /**
  * @title Free Education Center
  * @author Sintrop
@@ -8,13 +11,16 @@ pragma solidity >=0.8.2 <0.9.0;
  * @dev This contract manages the storage and retrieval of content entries, each identified by a unique ID.
  * It emphasizes public access, user contribution, and a simple voting mechanism.
  */
-contract FreeEducationCenter {
+contract FreeEducationCenter is Initializable {
   // --- State Variables ---
 
   /// @notice A counter for the total number of content entries published in the center.
   /// @dev This variable is incremented for each new piece of content added and serves as the unique ID for new content.
   uint256 public contentsCount;
 
+  /// @notice Maximum number of contents returned by one call of `getContents`.
+  uint256 public constant MAX_PAGE_SIZE = 100;
+
   /// @notice Stores all content entries, mapped by their unique ID.
   /// @dev This mapping allows efficient retrieval of content using its `id`.
   mapping(uint256 => Content) public contents;
@@ -23,6 +29,16 @@ contract FreeEducationCenter {
   /// @dev Maps a content ID to another mapping from a user address to their vote type.
   mapping(uint256 => mapping(address => VoteType)) public userVotes;
 
+  /// @notice Mapping from publisher address to the IDs of the contents they have published.
+  mapping(address => uint256[]) public publisherContents;
+
+  /// @notice Registry deciding who may vote, such as HumansPeaceTreaty, or the zero address when anyone may vote.
+  /// @dev Set once when the proxy is deployed, see `isEligibleVoter`.
+  IVoterEligibility public voterEligibility;
+
+  /// @dev Reserved storage slots, so later versions can add state variables without shifting the storage layout.
+  uint256[48] private __gap;
+
   // --- Enums ---
 
   /// @notice Represents the type of vote a user can cast: no vote, a positive vote (Upvote), or a negative vote (Downvote).
@@ -44,6 +60,9 @@ contract FreeEducationCenter {
     string photo; ///< @notice The URL or IPFS CID for a representative image or thumbnail.
     uint256 upvotes; ///< @notice The total count of positive votes (upvotes).
     uint256 downvotes; ///< @notice The total count of negative votes (downvotes).
+    address publisher; ///< @notice The address of the user who published the content.
+    uint256 createdAt; ///< @notice The number of the block in which the content was published.
+    bool retracted; ///< @notice Whether the publisher has withdrawn the content.
   }
 
   // --- Events ---
@@ -52,7 +71,17 @@ contract FreeEducationCenter {
   /// @param id The unique ID assigned to the new content.
   /// @param title The title of the published content.
   /// @param publisher The address of the user who published the content.
-  event ContentPublished(uint256 indexed id, string title, address indexed publisher);
+  /// @param description The description of the published content.
+  /// @param url The URL or IPFS CID of the content resource.
+  /// @param photo The URL or IPFS CID of the thumbnail, empty when it has none.
+  event ContentPublished(
+    uint256 indexed id,
+    string title,
+    address indexed publisher,
+    string description,
+    string url,
+    string photo
+  );
 
   /// @notice Emitted when a user casts or changes their vote on a piece of content.
   /// @param contentId The ID of the content that was voted on.
@@ -60,6 +89,43 @@ contract FreeEducationCenter {
   /// @param voteType The type of vote cast (Upvote or Downvote).
   event Voted(uint256 indexed contentId, address indexed voter, VoteType voteType);
 
+  /// @notice Emitted when the publisher changes a piece of content.
+  /// @param id The ID of the updated content.
+  /// @param publisher The address of the publisher.
+  /// @param title The new title.
+  /// @param description The new description.
+  /// @param url The new URL or IPFS CID of the content resource.
+  /// @param photo The new URL or IPFS CID of the thumbnail.
+  event ContentUpdated(
+    uint256 indexed id,
+    address indexed publisher,
+    string title,
+    string description,
+    string url,
+    string photo
+  );
+
+  /// @notice Emitted when the publisher withdraws a piece of content.
+  /// @param id The ID of the retracted content.
+  /// @param publisher The address of the publisher.
+  event ContentRetracted(uint256 indexed id, address indexed publisher);
+
+  // --- Initialization ---
+
+  /// @custom:oz-upgrades-unsafe-allow constructor
+  constructor() {
+    _disableInitializers();
+  }
+
+  /**
+   * @notice Initializes the contract behind its proxy.
+   * @dev Called once by the proxy when it is deployed. The constructor locks the implementation contract itself.
+   * @param _voterEligibility The registry deciding who may vote, or the zero address to let anyone vote.
+   */
+  function initialize(IVoterEligibility _voterEligibility) public initializer {
+    voterEligibility = _voterEligibility;
+  }
+
   // --- Public Functions ---
 
   /**
@@ -78,24 +144,57 @@ contract FreeEducationCenter {
     string memory _url,
     string memory _photo
   ) public {
-    // Input validation for string lengths and non-empty fields.
-    require(bytes(_title).length > 0 && bytes(_title).length < 50, "FEC: Title must be between 1 and 49 characters");
-    require(
-      bytes(_description).length > 0 && bytes(_description).length < 500,
-      "FEC: Description must be between 1 and 499 characters"
-    );
-    require(bytes(_url).length > 0 && bytes(_url).length < 200, "FEC: URL must be between 1 and 199 characters");
-    // _photo can be empty, but if not empty, it must respect the length limit.
-    require(bytes(_photo).length < 200, "FEC: Photo URL must be less than 199 characters");
+    _validateContent(_title, _description, _url, _photo);
 
     contentsCount++; // Increment count to get the next ID
     uint256 newId = contentsCount; // Use the new count as the ID
 
     // Store the new content entry in the mapping, initializing votes to zero.
-    contents[newId] = Content(newId, _title, _description, _url, _photo, 0, 0);
+    contents[newId] = Content(newId, _title, _description, _url, _photo, 0, 0, msg.sender, block.number, false);
+    publisherContents[msg.sender].push(newId);
 
     // Emit an event to allow off-chain applications to track new content.
-    emit ContentPublished(newId, _title, msg.sender);
+    emit ContentPublished(newId, _title, msg.sender, _description, _url, _photo);
+  }
+
+  /**
+   * @notice Changes the title, description, URL and photo of a piece of content, to fix broken links or typos.
+   * @dev Only the publisher can update their content, and only while it is not retracted.
+   * The votes of the content are kept. The inputs follow the same rules as `addContent`.
+   * @param _id The unique ID of the content to update.
+   * @param _title The new title.
+   * @param _description The new description.
+   * @param _url The new URL or IPFS CID of the content resource.
+   * @param _photo The new URL or IPFS CID of the thumbnail. Can be empty.
+   */
+  function updateContent(
+    uint256 _id,
+    string memory _title,
+    string memory _description,
+    string memory _url,
+    string memory _photo
+  ) public {
+    Content storage content = _publishedContent(_id);
+    _validateContent(_title, _description, _url, _photo);
+
+    content.title = _title;
+    content.description = _description;
+    content.url = _url;
+    content.photo = _photo;
+
+    emit ContentUpdated(_id, msg.sender, _title, _description, _url, _photo);
+  }
+
+  /**
+   * @notice Withdraws a piece of content. Retracted content keeps its ID and data but can no longer be voted on or updated.
+   * @dev Only the publisher can retract their content, and only once.
+   * @param _id The unique ID of the content to retract.
+   */
+  function retractContent(uint256 _id) public {
+    Content storage content = _publishedContent(_id);
+    content.retracted = true;
+
+    emit ContentRetracted(_id, msg.sender);
   }
 
   /**
@@ -108,8 +207,10 @@ contract FreeEducationCenter {
   function vote(uint256 _id, VoteType _voteType) public {
     require(_id > 0 && _id <= contentsCount, "FEC: Content ID does not exist");
     require(_voteType == VoteType.Upvote || _voteType == VoteType.Downvote, "FEC: Invalid vote type");
+    require(isEligibleVoter(msg.sender), "FEC: Voter is not eligible");
 
     Content storage contentToVote = contents[_id];
+    require(!contentToVote.retracted, "FEC: Content was retracted");
     VoteType existingVote = userVotes[_id][msg.sender];
 
     // Proceed only if the new vote is different from the existing one.
@@ -135,9 +236,18 @@ contract FreeEducationCenter {
     }
   }
 
+  /**
+   * @notice Checks if an account may vote, according to the `voterEligibility` registry of the deployment.
+   * @param _account The address of the voter.
+   * @return bool True if the deployment has no registry or the registry accepts the account, false otherwise.
+   */
+  function isEligibleVoter(address _account) public view returns (bool) {
+    return address(voterEligibility) == address(0) || voterEligibility.isEligibleVoter(_account);
+  }
+
   /**
    * @notice Checks if a piece of content has more positive votes than negative votes.
-   * @dev This function can be used in front-end applications to only display positive contents. 
+   * @dev This function can be used in front-end applications to only display positive contents.
    * @param _id The unique ID of the content to check.
    * @return bool True if upvotes are strictly greater than downvotes, false otherwise.
    */
@@ -149,7 +259,8 @@ contract FreeEducationCenter {
   /**
    * @notice Retrieves a specific educational content entry by its ID.
    * @dev Provides a read-only interface to fetch content details.
-   * Will revert if the provided `_id` does not correspond to an existing content entry.
+   * Will revert if the provided `_id` does not correspond to an existing content entry. Retracted content is returned
+   * too, with `retracted` set: clients check it before showing the content.
    * @param _id The unique ID of the content to retrieve.
    * @return Content The `Content` struct containing all details for the requested entry.
    */
@@ -158,4 +269,68 @@ contract FreeEducationCenter {
     require(_id > 0 && _id <= contentsCount, "FEC: Content ID does not exist");
     return contents[_id];
   }
+
+  /**
+   * @notice Retrieves a page of contents in ID order, so clients can list them without one call per ID.
+   * @dev `_offset` is the position of the first content, not its ID: offset 0 is the content with ID 1.
+   * `_limit` is capped at `MAX_PAGE_SIZE`, and pages past the last content are empty. Retracted contents keep their
+   * position and are returned with `retracted` set, as by `getContent`.
+   * @param _offset The position of the first content of the page.
+   * @param _limit The maximum number of contents to return.
+   * @return page The contents of the page.
+   */
+  function getContents(uint256 _offset, uint256 _limit) public view returns (Content[] memory page) {
+    uint256 total = contentsCount;
+    if (_offset >= total) return new Content[](0);
+
+    uint256 size = total - _offset;
+    if (_limit < size) size = _limit;
+    if (MAX_PAGE_SIZE < size) size = MAX_PAGE_SIZE;
+
+    page = new Content[](size);
+    for (uint256 i = 0; i < size; i++) {
+      page[i] = contents[_offset + i + 1];
+    }
+  }
+
+  /**
+   * @notice Retrieves the IDs of the contents published by an address, retracted ones included.
+   * @param _publisher The address of the publisher.
+   * @return uint256[] The content IDs, in publishing order.
+   */
+  function getContentsByPublisher(address _publisher) public view returns (uint256[] memory) {
+    return publisherContents[_publisher];
+  }
+
+  // --- Internal Functions ---
+
+  /**
+   * @dev Reverts unless the fields of a content respect the length limits.
+   * The photo can be empty, the other fields cannot.
+   */
+  function _validateContent(
+    string memory _title,
+    string memory _description,
+    string memory _url,
+    string memory _photo
+  ) internal pure {
+    require(bytes(_title).length > 0 && bytes(_title).length < 50, "FEC: Title must be between 1 and 49 characters");
+    require(
+      bytes(_description).length > 0 && bytes(_description).length < 500,
+      "FEC: Description must be between 1 and 499 characters"
+    );
+    require(bytes(_url).length > 0 && bytes(_url).length < 200, "FEC: URL must be between 1 and 199 characters");
+    // _photo can be empty, but if not empty, it must respect the length limit.
+    require(bytes(_photo).length < 200, "FEC: Photo URL must be less than 199 characters");
+  }
+
+  /**
+   * @dev Returns a content the caller can change: it must exist, be published by the caller and not be retracted.
+   */
+  function _publishedContent(uint256 _id) internal view returns (Content storage content) {
+    require(_id > 0 && _id <= contentsCount, "FEC: Content ID does not exist");
+    content = contents[_id];
+    require(content.publisher == msg.sender, "FEC: Only the publisher can change this content");
+    require(!content.retracted, "FEC: Content was retracted");
+  }
 }
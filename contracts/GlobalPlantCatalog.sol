@@ -1,6 +1,15 @@
 // SPDX-License-Identifier: GPL-3.0
 pragma solidity ^0.8.0;
 
+import "@openzeppelin/contracts-upgradeable/proxy/utils/Initializable.sol";
+import "./interfaces/IVoterEligibility.sol";
+import "./PlantAgroforestryRegistry.sol";
+import "./PlantPhotoRegistry.sol";
+import "./PlantRevisionRegistry.sol";
+import "./PlantTaxonomyRegistry.sol";
+import "./libraries/Pagination.sol";
+import "./libraries/Votes.sol";
+
 /**
  * @title GlobalPlantCatalog
  * @author Sintrop
@@ -8,8 +17,10 @@ pragma solidity ^0.8.0;
  * @dev This contract allows any user to add detailed information about plants,
  * storing it in a decentralized manner and associating it with the creator.
  * It also includes a simple voting mechanism for community feedback.
+ * The taxonomic ranks, revisions, agroforestry attributes and relationships, and photo galleries of the plants
+ * are kept by four registries bound to the catalog once it is deployed, so each contract fits the size limit.
  */
-contract GlobalPlantCatalog {
+contract GlobalPlantCatalog is Initializable {
   // --- Enums ---
 
   /// @notice Represents the type of vote a user can cast: no vote, a positive vote (Upvote), or a negative vote (Downvote).
@@ -19,6 +30,18 @@ contract GlobalPlantCatalog {
     Downvote
   }
 
+  /**
+   * @notice Stage of a duplicate proposal or a revision: open for votes, accepted (the plant was marked as a
+   * duplicate or revised) or rejected. Revisions are outdated when the votes accepted them but the plant was
+   * revised since they were proposed, or their scientific name was taken by another plant.
+   */
+  enum ProposalStatus {
+    Open,
+    Accepted,
+    Rejected,
+    Outdated
+  }
+
   // --- Data Structures ---
 
   /**
@@ -47,6 +70,32 @@ contract GlobalPlantCatalog {
     uint256 downvotes;
   }
 
+  /**
+   * @dev Structure of a community proposal to mark a plant as a duplicate of another, canonical plant.
+   * @param id Unique identifier of the proposal.
+   * @param duplicateId ID of the plant proposed as a duplicate.
+   * @param canonicalId ID of the plant clients should redirect to.
+   * @param proposer The wallet address that opened the proposal. Opening it counts as a supporting vote.
+   * @param createdAt The block number when the proposal was opened.
+   * @param supportVotes The number of votes for the proposal.
+   * @param opposeVotes The number of votes against it.
+   * @param quorum The number of votes that resolves the proposal, `quorum()` when it was opened.
+   * @param status Whether the proposal is open, accepted or rejected.
+   * @param contest Whether the proposal contests an accepted duplicate: accepting it unmarks the plant.
+   */
+  struct DuplicateProposal {
+    uint256 id;
+    uint256 duplicateId;
+    uint256 canonicalId;
+    address proposer;
+    uint256 createdAt;
+    uint256 supportVotes;
+    uint256 opposeVotes;
+    uint256 quorum;
+    ProposalStatus status;
+    bool contest;
+  }
+
   // --- State Variables ---
 
   /// @notice Mapping from plant ID to the complete Plant data structure.
@@ -62,6 +111,61 @@ contract GlobalPlantCatalog {
   /// @notice Counter to generate unique IDs for each new plant. Also represents the total number of plants.
   uint256 public nextPlantId;
 
+  /// @notice Maximum number of plants returned by one call of `getPlants`.
+  uint256 public constant MAX_PAGE_SIZE = 100;
+
+  /// @notice Smallest number of votes resolving a proposal, unless fewer accounts may vote.
+  uint256 public constant MIN_QUORUM = 3;
+
+  /// @notice Share of the eligible voters, in percent, whose votes resolve a proposal.
+  uint256 public constant QUORUM_PERCENT = 10;
+
+  /// @notice Whether a normalised scientific name key is already used by a plant.
+  /// @dev Keys are computed with `scientificNameKey`.
+  mapping(bytes32 => bool) public scientificNameKeyTaken;
+
+  /// @notice Mapping from normalised scientific name key to the ID of the plant registered with it.
+  /// @dev Only meaningful when `scientificNameKeyTaken` is true, since plant IDs start at 0.
+  mapping(bytes32 => uint256) public plantIdByScientificNameKey;
+
+  /// @notice Counter of duplicate proposals. Also the ID of the next proposal, starting at 0.
+  uint256 public duplicateProposalsCount;
+
+  /// @notice Mapping from proposal ID to the complete DuplicateProposal data structure.
+  mapping(uint256 => DuplicateProposal) public duplicateProposals;
+
+  /// @notice Tracks which wallets have voted on each duplicate proposal.
+  mapping(uint256 => mapping(address => bool)) public hasVotedOnDuplicate;
+
+  /// @notice Whether a plant has a duplicate proposal open. Only one can be open per plant.
+  mapping(uint256 => bool) public hasOpenDuplicateProposal;
+
+  /// @notice Whether a plant was marked as a duplicate by an accepted proposal.
+  mapping(uint256 => bool) public isDuplicate;
+
+  /// @notice Mapping from a duplicate plant ID to the ID of the plant it duplicates.
+  /// @dev Use `getCanonicalPlantId`, which also follows plants whose canonical plant was later marked as a duplicate.
+  mapping(uint256 => uint256) public duplicateOf;
+
+  /// @notice Registry deciding who may vote, such as HumansPeaceTreaty, or the zero address when anyone may vote.
+  /// @dev Set once when the proxy is deployed, see `isEligibleVoter`.
+  IVoterEligibility public voterEligibility;
+
+  /// @notice Registry of the taxonomic ranks of the plants and of the family and genus tree.
+  PlantTaxonomyRegistry public plantTaxonomyRegistry;
+
+  /// @notice Registry of the revisions of the plants, the only contract allowed to change their fields.
+  PlantRevisionRegistry public plantRevisionRegistry;
+
+  /// @notice Registry of the stratum and successional stage of the plants and of their relationships.
+  PlantAgroforestryRegistry public plantAgroforestryRegistry;
+
+  /// @notice Registry of the photo galleries of the plants.
+  PlantPhotoRegistry public plantPhotoRegistry;
+
+  /// @dev Reserved storage slots, so later versions can add state variables without shifting the storage layout.
+  uint256[33] private __gap;
+
   // --- Events ---
 
   /**
@@ -70,14 +174,20 @@ contract GlobalPlantCatalog {
    * @param creator The wallet address that added the plant.
    * @param popularName The popular name of the plant.
    * @param scientificName The scientific name of the plant.
-   * @param createdAt The timestamp of the plant's creation.
+   * @param createdAt The block number of the plant's creation.
+   * @param taxonomy The taxonomic classification of the plant.
+   * @param description The description of the plant.
+   * @param photoHash The IPFS hash or URL of the photos of the plant.
    */
   event PlantAdded(
     uint256 indexed plantId,
     address indexed creator,
     string popularName,
     string scientificName,
-    uint256 createdAt
+    uint256 createdAt,
+    string taxonomy,
+    string description,
+    string photoHash
   );
 
   /**
@@ -88,11 +198,115 @@ contract GlobalPlantCatalog {
    */
   event Voted(uint256 indexed plantId, address indexed voter, VoteType voteType);
 
+  /**
+   * @notice Emitted when a plant is proposed as a duplicate of another.
+   * @param proposalId The unique ID of the proposal.
+   * @param duplicateId The ID of the plant proposed as a duplicate.
+   * @param canonicalId The ID of the canonical plant.
+   * @param proposer The wallet address that opened the proposal.
+   */
+  event DuplicateProposed(
+    uint256 indexed proposalId,
+    uint256 indexed duplicateId,
+    uint256 indexed canonicalId,
+    address proposer
+  );
+
+  /**
+   * @notice Emitted when an accepted duplicate is contested.
+   * @param proposalId The unique ID of the proposal.
+   * @param duplicateId The ID of the plant marked as a duplicate.
+   * @param canonicalId The ID of the plant it redirects to.
+   * @param proposer The wallet address that opened the proposal.
+   */
+  event DuplicateContested(
+    uint256 indexed proposalId,
+    uint256 indexed duplicateId,
+    uint256 indexed canonicalId,
+    address proposer
+  );
+
+  /**
+   * @notice Emitted when a wallet votes on a duplicate proposal, contests included.
+   * @param proposalId The ID of the proposal.
+   * @param voter The address of the wallet that voted.
+   * @param support Whether the vote supports the proposal.
+   */
+  event DuplicateVoted(uint256 indexed proposalId, address indexed voter, bool support);
+
+  /**
+   * @notice Emitted when a duplicate proposal reaches the quorum.
+   * @param proposalId The ID of the proposal.
+   * @param duplicateId The ID of the plant proposed as a duplicate.
+   * @param canonicalId The ID of the plant it now redirects to, when accepted.
+   * @param accepted Whether the plant was marked as a duplicate.
+   */
+  event DuplicateResolved(
+    uint256 indexed proposalId,
+    uint256 indexed duplicateId,
+    uint256 indexed canonicalId,
+    bool accepted
+  );
+
+  /**
+   * @notice Emitted when a contest of a duplicate reaches its quorum.
+   * @param proposalId The ID of the proposal.
+   * @param duplicateId The ID of the contested plant.
+   * @param canonicalId The ID of the plant it redirected to.
+   * @param accepted Whether the plant is no longer a duplicate.
+   */
+  event DuplicateContestResolved(
+    uint256 indexed proposalId,
+    uint256 indexed duplicateId,
+    uint256 indexed canonicalId,
+    bool accepted
+  );
+
+  // --- Initialization ---
+
+  /// @custom:oz-upgrades-unsafe-allow constructor
+  constructor() {
+    _disableInitializers();
+  }
+
+  /**
+   * @notice Initializes the contract behind its proxy.
+   * @dev Called once by the proxy when it is deployed, after the registries. The constructor locks the
+   * implementation contract itself. The registries are bound to the catalog afterwards, see
+   * `PlantTaxonomyRegistry.bindCatalog`: a proxy has no code to call back while its constructor runs.
+   * @param _voterEligibility The registry deciding who may vote, or the zero address to let anyone vote.
+   * @param _plantTaxonomyRegistry The registry of the taxonomic ranks of the plants.
+   * @param _plantRevisionRegistry The registry of the revisions of the plants.
+   * @param _plantAgroforestryRegistry The registry of the agroforestry attributes and relationships of the plants.
+   * @param _plantPhotoRegistry The registry of the photo galleries of the plants.
+   */
+  function initialize(
+    IVoterEligibility _voterEligibility,
+    PlantTaxonomyRegistry _plantTaxonomyRegistry,
+    PlantRevisionRegistry _plantRevisionRegistry,
+    PlantAgroforestryRegistry _plantAgroforestryRegistry,
+    PlantPhotoRegistry _plantPhotoRegistry
+  ) public initializer {
+    require(
+      address(_plantTaxonomyRegistry) != address(0) &&
+        address(_plantRevisionRegistry) != address(0) &&
+        address(_plantAgroforestryRegistry) != address(0) &&
+        address(_plantPhotoRegistry) != address(0),
+      "GPC: Invalid registry address"
+    );
+    voterEligibility = _voterEligibility;
+    plantTaxonomyRegistry = _plantTaxonomyRegistry;
+    plantRevisionRegistry = _plantRevisionRegistry;
+    plantAgroforestryRegistry = _plantAgroforestryRegistry;
+    plantPhotoRegistry = _plantPhotoRegistry;
+  }
+
   // --- Functions ---
 
   /**
    * @notice Adds a new plant or tree to the global catalog.
    * @dev Plant IDs are automatically incremented starting from 0.
+   * Reverts if another plant has the same scientific name once normalised, see `normalizeScientificName`.
    * @param _popularName The popular name of the plant.
    * @param _scientificName The scientific name of the plant.
    * @param _taxonomy The taxonomic classification.
@@ -106,11 +320,10 @@ contract GlobalPlantCatalog {
     string memory _description,
     string calldata _photoHash
   ) public {
-    require(bytes(_popularName).length > 0 && bytes(_popularName).length < 50, "String must be between 1 and 49 characters");
-    require(bytes(_scientificName).length > 0 && bytes(_scientificName).length < 100, "String must be between 1 and 99 characters");
-    require(bytes(_taxonomy).length > 0 && bytes(_taxonomy).length < 300, "String must be between 1 and 299 characters");
-    require(bytes(_description).length > 0 && bytes(_description).length < 300, "String must be between 1 and 299 characters");
-    require(bytes(_photoHash).length > 0 && bytes(_photoHash).length < 150, "String must be between 1 and 149 characters");
+    validatePlantFields(_popularName, _scientificName, _taxonomy, _description, _photoHash);
+
+    bytes32 nameKey = scientificNameKey(_scientificName);
+    require(!scientificNameKeyTaken[nameKey], "GPC: Scientific name already registered");
 
     uint256 currentId = nextPlantId;
 
@@ -129,8 +342,19 @@ contract GlobalPlantCatalog {
     );
 
     creatorPlants[msg.sender].push(currentId);
+    scientificNameKeyTaken[nameKey] = true;
+    plantIdByScientificNameKey[nameKey] = currentId;
     nextPlantId++;
-    emit PlantAdded(currentId, msg.sender, _popularName, _scientificName, block.number);
+    emit PlantAdded(
+      currentId,
+      msg.sender,
+      _popularName,
+      _scientificName,
+      block.number,
+      _taxonomy,
+      _description,
+      _photoHash
+    );
   }
 
   /**
@@ -142,32 +366,133 @@ contract GlobalPlantCatalog {
    */
   function vote(uint256 _plantId, VoteType _voteType) public {
     require(_plantId < nextPlantId, "GPC: Plant ID does not exist");
-    require(_voteType == VoteType.Upvote || _voteType == VoteType.Downvote, "GPC: Invalid vote type");
+    require(Votes.isValid(_voteType), "GPC: Invalid vote type");
+    require(!isDuplicate[_plantId], "GPC: Plant is a duplicate, vote on its canonical plant");
+    require(isEligibleVoter(msg.sender), "GPC: Voter is not eligible");
 
     Plant storage plantToVote = plants[_plantId];
-    VoteType existingVote = userVotes[_plantId][msg.sender];
-
-    // Proceed only if the new vote is different from the existing one.
-    if (existingVote != _voteType) {
-      // Revert the previous vote count, if any.
-      if (existingVote == VoteType.Upvote) {
-        plantToVote.upvotes--;
-      } else if (existingVote == VoteType.Downvote) {
-        plantToVote.downvotes--;
-      }
+    bool changed;
+    (changed, plantToVote.upvotes, plantToVote.downvotes) = Votes.cast(
+      userVotes[_plantId],
+      msg.sender,
+      _voteType,
+      plantToVote.upvotes,
+      plantToVote.downvotes
+    );
+    if (changed) emit Voted(_plantId, msg.sender, _voteType);
+  }
 
-      // Apply the new vote count.
-      if (_voteType == VoteType.Upvote) {
-        plantToVote.upvotes++;
-      } else {
-        // _voteType == VoteType.Downvote
-        plantToVote.downvotes++;
-      }
+  /**
+   * @notice Checks if an account may vote, according to the `voterEligibility` registry of the deployment.
+   * @param _account The address of the voter.
+   * @return bool True if the deployment has no registry or the registry accepts the account, false otherwise.
+   */
+  function isEligibleVoter(address _account) public view returns (bool) {
+    return address(voterEligibility) == address(0) || voterEligibility.isEligibleVoter(_account);
+  }
+
+  /**
+   * @notice Number of votes that resolves a duplicate proposal or a revision opened now: `QUORUM_PERCENT` of the accounts the voter
+   * registry lets vote, and at least `MIN_QUORUM`. With fewer eligible voters, all of them, so a small community
+   * can still decide. Without a voter registry, anyone can vote and the quorum is `MIN_QUORUM`.
+   */
+  function quorum() public view returns (uint256) {
+    if (address(voterEligibility) == address(0)) return MIN_QUORUM;
+
+    uint256 eligibleVoters = voterEligibility.eligibleVotersCount();
+    uint256 share = (eligibleVoters * QUORUM_PERCENT + 99) / 100;
+    if (share < MIN_QUORUM) share = MIN_QUORUM;
+    if (share > eligibleVoters) share = eligibleVoters;
+    return share > 0 ? share : 1;
+  }
+
+  /**
+   * @notice Proposes marking a plant as a duplicate of a canonical plant, for example the same species entered
+   * under another spelling. Opening the proposal counts as a supporting vote. Only eligible voters can propose.
+   * @dev The proposal is resolved by the vote that reaches its quorum, see `voteOnDuplicate`.
+   * @param _duplicateId The ID of the plant to mark as a duplicate.
+   * @param _canonicalId The ID of the plant clients should redirect to.
+   * @return proposalId The ID of the new proposal.
+   */
+  function proposeDuplicate(uint256 _duplicateId, uint256 _canonicalId) public returns (uint256 proposalId) {
+    require(_duplicateId < nextPlantId && _canonicalId < nextPlantId, "GPC: Plant ID does not exist");
+    require(_duplicateId != _canonicalId, "GPC: A plant cannot duplicate itself");
+    require(!isDuplicate[_duplicateId], "GPC: Plant is already a duplicate");
+    require(!isDuplicate[_canonicalId], "GPC: Canonical plant is a duplicate");
+
+    proposalId = _openDuplicateProposal(_duplicateId, _canonicalId, false);
+    emit DuplicateProposed(proposalId, _duplicateId, _canonicalId, msg.sender);
+    _voteOnDuplicate(proposalId, true);
+  }
+
+  /**
+   * @notice Contests an accepted duplicate, for example two species that were wrongly merged. Accepting the
+   * contest unmarks the plant, which can then be voted, revised and proposed as a duplicate again. Opening it
+   * counts as a supporting vote. Only eligible voters can contest.
+   * @dev The contest is resolved like a duplicate proposal, see `voteOnDuplicate`.
+   * @param _duplicateId The ID of the plant marked as a duplicate.
+   * @return proposalId The ID of the new proposal.
+   */
+  function contestDuplicate(uint256 _duplicateId) public returns (uint256 proposalId) {
+    require(_duplicateId < nextPlantId, "GPC: Plant ID does not exist");
+    require(isDuplicate[_duplicateId], "GPC: Plant is not a duplicate");
+
+    proposalId = _openDuplicateProposal(_duplicateId, duplicateOf[_duplicateId], true);
+    emit DuplicateContested(proposalId, _duplicateId, duplicateOf[_duplicateId], msg.sender);
+    _voteOnDuplicate(proposalId, true);
+  }
 
-      // Store the user's new vote and emit the event.
-      userVotes[_plantId][msg.sender] = _voteType;
-      emit Voted(_plantId, msg.sender, _voteType);
+  /**
+   * @notice Votes on an open duplicate proposal or contest. Each eligible voter votes once per proposal.
+   * @dev The vote that reaches the quorum of the proposal resolves it: it is accepted when the supporting votes
+   * are the majority. The plant then redirects to the canonical plant or, for a contest, stops redirecting.
+   * @param _proposalId The ID of the proposal.
+   * @param _support True to support the proposal, false to oppose it.
+   */
+  function voteOnDuplicate(uint256 _proposalId, bool _support) public {
+    require(_proposalId < duplicateProposalsCount, "GPC: Proposal ID does not exist");
+    require(duplicateProposals[_proposalId].status == ProposalStatus.Open, "GPC: Proposal is already resolved");
+    require(isEligibleVoter(msg.sender), "GPC: Voter is not eligible");
+
+    _voteOnDuplicate(_proposalId, _support);
+  }
+
+  /**
+   * @notice Gives a plant the fields of an accepted revision. Only the revision registry can call it.
+   * @dev The registry checked the fields and that the scientific name is free for the plant, see
+   * `PlantRevisionRegistry`.
+   * @param _plantId The ID of the revised plant.
+   * @param _popularName The popular name of the plant.
+   * @param _scientificName The scientific name of the plant.
+   * @param _taxonomy The taxonomic classification.
+   * @param _description A description or additional information.
+   * @param _photoHash An IPFS hash or URL for the photos.
+   */
+  function applyRevision(
+    uint256 _plantId,
+    string memory _popularName,
+    string memory _scientificName,
+    string memory _taxonomy,
+    string memory _description,
+    string memory _photoHash
+  ) public {
+    require(msg.sender == address(plantRevisionRegistry), "GPC: Only the revision registry can revise plants");
+
+    Plant storage plant = plants[_plantId];
+    bytes32 previousKey = scientificNameKey(plant.scientificName);
+    bytes32 nameKey = scientificNameKey(_scientificName);
+    if (previousKey != nameKey) {
+      delete scientificNameKeyTaken[previousKey];
+      delete plantIdByScientificNameKey[previousKey];
+      scientificNameKeyTaken[nameKey] = true;
+      plantIdByScientificNameKey[nameKey] = _plantId;
     }
+
+    plant.popularName = _popularName;
+    plant.scientificName = _scientificName;
+    plant.taxonomy = _taxonomy;
+    plant.description = _description;
+    plant.photoHash = _photoHash;
   }
 
   /**
@@ -185,6 +510,23 @@ contract GlobalPlantCatalog {
     return plants[_plantId];
   }
 
+  /**
+   * @notice Retrieves a page of plants in ID order, so clients can list them without one call per ID.
+   * @dev `_offset` is the position of the first plant, not its ID: offset 0 is the plant with ID 0.
+   * `_limit` is capped at `MAX_PAGE_SIZE`, and pages past the last plant are empty.
+   * @param _offset The position of the first plant of the page.
+   * @param _limit The maximum number of plants to return.
+   * @return page The plants of the page.
+   */
+  function getPlants(uint256 _offset, uint256 _limit) public view returns (Plant[] memory page) {
+    uint256 size = Pagination.pageSize(nextPlantId, _offset, _limit, MAX_PAGE_SIZE);
+
+    page = new Plant[](size);
+    for (uint256 i = 0; i < size; i++) {
+      page[i] = plants[_offset + i];
+    }
+  }
+
   function getTotalPlantsCount() public view returns (uint256) {
     return nextPlantId;
   }
@@ -192,4 +534,191 @@ contract GlobalPlantCatalog {
   function getPlantsByCreator(address _creator) public view returns (uint256[] memory) {
     return creatorPlants[_creator];
   }
+
+  /**
+   * @notice Retrieves the plant registered with a scientific name, compared once normalised.
+   * @param _scientificName The scientific name, in any letter case and spacing.
+   * @return The `Plant` struct registered with that name.
+   */
+  function getPlantByScientificName(string memory _scientificName) public view returns (Plant memory) {
+    bytes32 nameKey = scientificNameKey(_scientificName);
+    require(scientificNameKeyTaken[nameKey], "GPC: Scientific name not found");
+    return plants[plantIdByScientificNameKey[nameKey]];
+  }
+
+  /**
+   * @notice Retrieves the plant clients should show for a plant ID: the plant itself, or the canonical plant
+   * when it was marked as a duplicate.
+   * @param _plantId The ID of the plant.
+   * @return canonicalId The ID of the canonical plant.
+   */
+  function getCanonicalPlantId(uint256 _plantId) public view returns (uint256 canonicalId) {
+    require(_plantId < nextPlantId, "GPC: Plant ID does not exist");
+    canonicalId = _plantId;
+    while (isDuplicate[canonicalId]) {
+      canonicalId = duplicateOf[canonicalId];
+    }
+  }
+
+  function getDuplicateProposal(uint256 _proposalId) public view returns (DuplicateProposal memory) {
+    require(_proposalId < duplicateProposalsCount, "GPC: Proposal ID does not exist");
+    return duplicateProposals[_proposalId];
+  }
+
+  /**
+   * @notice Normalises a scientific name: ASCII letters become lowercase, and runs of spaces, tabs and line breaks
+   * become a single space, with none at the start or end. "Hymenaea  Courbaril " becomes "hymenaea courbaril".
+   * @param _scientificName The scientific name to normalise.
+   * @return The normalised scientific name.
+   */
+  function normalizeScientificName(string memory _scientificName) public pure returns (string memory) {
+    bytes memory input = bytes(_scientificName);
+    bytes memory buffer = new bytes(input.length);
+    uint256 length = 0;
+    bool pendingSpace = false;
+
+    for (uint256 i = 0; i < input.length; i++) {
+      bytes1 char = input[i];
+      if (char == " " || char == "\t" || char == "\n" || char == "\r") {
+        // Spaces are only written before the next word, which drops them at the start and end.
+        pendingSpace = length > 0;
+        continue;
+      }
+      if (pendingSpace) {
+        buffer[length++] = " ";
+        pendingSpace = false;
+      }
+      if (char >= "A" && char <= "Z") {
+        char = bytes1(uint8(char) + 32);
+      }
+      buffer[length++] = char;
+    }
+
+    bytes memory normalized = new bytes(length);
+    for (uint256 i = 0; i < length; i++) {
+      normalized[i] = buffer[i];
+    }
+    return string(normalized);
+  }
+
+  /**
+   * @notice Key under which a scientific name is registered: the hash of its normalised form.
+   * @param _scientificName The scientific name.
+   * @return The keccak256 hash of `normalizeScientificName(_scientificName)`.
+   */
+  function scientificNameKey(string memory _scientificName) public pure returns (bytes32) {
+    return keccak256(bytes(normalizeScientificName(_scientificName)));
+  }
+
+  /**
+   * @notice Checks if a plant can use a scientific name: nobody uses it yet, or the plant itself does.
+   * @param _plantId The ID of the plant.
+   * @param _scientificName The scientific name, in any letter case and spacing.
+   * @return bool True if the name is free for the plant, false otherwise.
+   */
+  function isScientificNameFree(uint256 _plantId, string memory _scientificName) public view returns (bool) {
+    bytes32 nameKey = scientificNameKey(_scientificName);
+    return !scientificNameKeyTaken[nameKey] || plantIdByScientificNameKey[nameKey] == _plantId;
+  }
+
+  /**
+   * @notice Reverts unless every field of a plant is between 1 character and its maximum length, the rules of
+   * `addPlant` and of the revisions.
+   */
+  function validatePlantFields(
+    string memory _popularName,
+    string memory _scientificName,
+    string memory _taxonomy,
+    string memory _description,
+    string memory _photoHash
+  ) public pure {
+    require(
+      bytes(_popularName).length > 0 && bytes(_popularName).length < 50,
+      "String must be between 1 and 49 characters"
+    );
+    require(
+      bytes(_scientificName).length > 0 && bytes(_scientificName).length < 100,
+      "String must be between 1 and 99 characters"
+    );
+    require(
+      bytes(_taxonomy).length > 0 && bytes(_taxonomy).length < 300,
+      "String must be between 1 and 299 characters"
+    );
+    require(
+      bytes(_description).length > 0 && bytes(_description).length < 300,
+      "String must be between 1 and 299 characters"
+    );
+    require(
+      bytes(_photoHash).length > 0 && bytes(_photoHash).length < 150,
+      "String must be between 1 and 149 characters"
+    );
+  }
+
+  // --- Internal Functions ---
+
+  /// @dev Opens a duplicate proposal or contest of a plant, with the quorum of the catalog.
+  function _openDuplicateProposal(
+    uint256 _duplicateId,
+    uint256 _canonicalId,
+    bool _contest
+  ) internal returns (uint256 proposalId) {
+    require(!hasOpenDuplicateProposal[_duplicateId], "GPC: Plant already has an open duplicate proposal");
+    require(isEligibleVoter(msg.sender), "GPC: Voter is not eligible");
+
+    proposalId = duplicateProposalsCount;
+    DuplicateProposal storage proposal = duplicateProposals[proposalId];
+    proposal.id = proposalId;
+    proposal.duplicateId = _duplicateId;
+    proposal.canonicalId = _canonicalId;
+    proposal.proposer = msg.sender;
+    proposal.createdAt = block.number;
+    proposal.quorum = quorum();
+    proposal.contest = _contest;
+    hasOpenDuplicateProposal[_duplicateId] = true;
+    duplicateProposalsCount++;
+  }
+
+  /**
+   * @dev Records a vote on an open duplicate proposal or contest and resolves it when its quorum is reached.
+   * A proposal whose canonical plant now redirects back to the duplicate is rejected, so redirects never loop.
+   */
+  function _voteOnDuplicate(uint256 _proposalId, bool _support) internal {
+    require(!hasVotedOnDuplicate[_proposalId][msg.sender], "GPC: Already voted on this proposal");
+
+    DuplicateProposal storage proposal = duplicateProposals[_proposalId];
+    hasVotedOnDuplicate[_proposalId][msg.sender] = true;
+    if (_support) {
+      proposal.supportVotes++;
+    } else {
+      proposal.opposeVotes++;
+    }
+    emit DuplicateVoted(_proposalId, msg.sender, _support);
+
+    if (proposal.supportVotes + proposal.opposeVotes < proposal.quorum) return;
+
+    hasOpenDuplicateProposal[proposal.duplicateId] = false;
+    if (proposal.contest) {
+      bool unmarked = proposal.supportVotes > proposal.opposeVotes;
+      proposal.status = unmarked ? ProposalStatus.Accepted : ProposalStatus.Rejected;
+      if (unmarked) {
+        isDuplicate[proposal.duplicateId] = false;
+        delete duplicateOf[proposal.duplicateId];
+      }
+      emit DuplicateContestResolved(_proposalId, proposal.duplicateId, proposal.canonicalId, unmarked);
+      return;
+    }
+
+    uint256 canonicalId = getCanonicalPlantId(proposal.canonicalId);
+    bool accepted = proposal.supportVotes > proposal.opposeVotes && canonicalId != proposal.duplicateId;
+
+    if (accepted) {
+      proposal.status = ProposalStatus.Accepted;
+      isDuplicate[proposal.duplicateId] = true;
+      duplicateOf[proposal.duplicateId] = canonicalId;
+    } else {
+      proposal.status = ProposalStatus.Rejected;
+    }
+
+    emit DuplicateResolved(_proposalId, proposal.duplicateId, canonicalId, accepted);
+  }
 }
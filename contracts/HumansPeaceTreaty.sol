@@ -1,17 +1,38 @@
 // SPDX-License-Identifier: MIT
 pragma solidity ^0.8.20;
 
+import "@openzeppelin/contracts-upgradeable/proxy/utils/Initializable.sol";
+import "./interfaces/IVoterEligibility.sol";
+import { PeaceTreatyCertificate } from "./PeaceTreatyCertificate.sol";
+import "./libraries/Pagination.sol";
+
 /**
  * @title HumansPeaceTreaty
  * @notice Enough violence. Enough war. We want peace! 
  * Sign this pledge if you agree on this Humans Peace Treaty and demand commitment to peace from others. 
  * @dev This contract allows individuals to digitally sign a public pledge/promise for peace
  * and to periodically prove their ongoing commitment. It acts as an immutable ledger
- * of peace commitments.
+ * of peace commitments. A signer stays active for `proofWindow` blocks after each proof, the
+ * signature being the first one, and lapses when the window passes without a new proof.
+ * The text of the treaty is versioned: every signature is bound to the version it signed, and active
+ * signatories amend the text by majority, after which signatories re-sign to accept the new version.
+ * Signing issues a soulbound certificate of the PeaceTreatyCertificate contract, burned when the pledge is
+ * withdrawn.
  */
-contract HumansPeaceTreaty {
+contract HumansPeaceTreaty is Initializable, IVoterEligibility {
   // --- Custom Data Structures ---
 
+  /**
+   * @dev Status of an amendment. `getAmendment` reports open amendments of a version that is no longer the latest
+   * as `Outdated`: they can no longer be voted on.
+   */
+  enum AmendmentStatus {
+    Open,
+    Adopted,
+    Rejected,
+    Outdated
+  }
+
   /**
    * @dev Holds the data for each signatory.
    * It tracks both the initial pledge and the last time commitment was proven.
@@ -21,14 +42,66 @@ contract HumansPeaceTreaty {
     uint256 lastProofBlock; // The block number of the last commitment proof.
   }
 
+  /**
+   * @dev Statistics of the commitment of a signatory.
+   */
+  struct CommitmentStats {
+    uint256 proofCount; // Commitment proofs made after signing.
+    uint256 currentStreak; // Proofs made in a row, each within the window of the previous one. 0 once lapsed.
+    uint256 longestStreak; // Longest streak the signatory ever had.
+    uint256 lapseCount; // Times the signatory lapsed.
+  }
+
+  /**
+   * @dev A version of the text of the treaty.
+   * @param id The version number, 0 being the text the treaty was deployed with.
+   * @param textHash The keccak256 hash of the UTF-8 text, so anyone can check a copy of it.
+   * @param textUri Where to read the text, such as an IPFS CID.
+   * @param adoptedAt The block number when the version was adopted.
+   */
+  struct TreatyVersion {
+    uint256 id;
+    bytes32 textHash;
+    string textUri;
+    uint256 adoptedAt;
+  }
+
+  /**
+   * @dev A proposal to replace the latest version of the text. Proposing it counts as a supporting vote.
+   * @param id Unique identifier of the amendment.
+   * @param baseVersion The version the amendment replaces. Once adopted, the amendment is version `baseVersion + 1`.
+   * @param textHash The keccak256 hash of the proposed text.
+   * @param textUri Where to read the proposed text.
+   * @param proposer The address of the active signatory who proposed it.
+   * @param createdAt The block number when the amendment was proposed.
+   * @param supportVotes The number of votes for adopting the amendment.
+   * @param opposeVotes The number of votes against it.
+   * @param electorate The number of active signatories when the amendment was proposed, of whom either side needs a
+   * majority.
+   * @param status Whether the amendment is open, adopted, rejected or outdated.
+   */
+  struct Amendment {
+    uint256 id;
+    uint256 baseVersion;
+    bytes32 textHash;
+    string textUri;
+    address proposer;
+    uint256 createdAt;
+    uint256 supportVotes;
+    uint256 opposeVotes;
+    uint256 electorate;
+    AmendmentStatus status;
+  }
+
   // --- Events ---
 
   /**
    * @dev Emitted when a new address signs the peace pledge.
    * @param signer The address of the individual who signed.
    * @param blockNumber The block number when the pledge was made.
+   * @param version The version of the text that was signed.
    */
-  event PledgeSigned(address indexed signer, uint256 blockNumber);
+  event PledgeSigned(address indexed signer, uint256 blockNumber, uint256 version);
 
   /**
    * @dev Emitted when a signatory proves their ongoing commitment.
@@ -37,6 +110,59 @@ contract HumansPeaceTreaty {
    */
   event CommitmentProven(address indexed prover, uint256 blockNumber);
 
+  /**
+   * @dev Emitted once for each lapse of a signatory, when it is recorded with `recordLapse`
+   * or, at the latest, when the signatory proves their commitment again.
+   * @param signer The address of the signatory that lapsed.
+   * @param lapsedAtBlock The first block in which the signatory was no longer active.
+   */
+  event SignerLapsed(address indexed signer, uint256 lapsedAtBlock);
+
+  /**
+   * @dev Emitted when a lapsed signatory proves their commitment again, next to `CommitmentProven`.
+   * @param signer The address of the reactivated signatory.
+   * @param blockNumber The block number of the proof.
+   */
+  event SignerReactivated(address indexed signer, uint256 blockNumber);
+
+  /**
+   * @dev Emitted when a signatory withdraws from the peace pledge.
+   * @param signer The address of the individual who withdrew.
+   * @param blockNumber The block number of the withdrawal.
+   */
+  event PledgeWithdrawn(address indexed signer, uint256 blockNumber);
+
+  /**
+   * @dev Emitted when a version of the text is adopted, at deployment for the first one.
+   * @param version The version number.
+   * @param textHash The keccak256 hash of the text.
+   * @param textUri Where to read the text.
+   */
+  event VersionAdopted(uint256 indexed version, bytes32 textHash, string textUri);
+
+  /**
+   * @dev Emitted when an active signatory proposes an amendment.
+   * @param amendmentId The ID of the amendment.
+   * @param baseVersion The version the amendment replaces.
+   * @param proposer The address of the signatory who proposed it.
+   */
+  event AmendmentProposed(uint256 indexed amendmentId, uint256 indexed baseVersion, address indexed proposer);
+
+  /**
+   * @dev Emitted when an active signatory votes on an amendment, its proposer included.
+   * @param amendmentId The ID of the amendment.
+   * @param voter The address of the signatory who voted.
+   * @param support Whether the vote supports adopting the amendment.
+   */
+  event AmendmentVoted(uint256 indexed amendmentId, address indexed voter, bool support);
+
+  /**
+   * @dev Emitted when the votes on an amendment reach a majority of its electorate, either way.
+   * @param amendmentId The ID of the amendment.
+   * @param adopted Whether the amendment became the latest version.
+   */
+  event AmendmentResolved(uint256 indexed amendmentId, bool adopted);
+
   // --- State Variables ---
 
   /**
@@ -46,10 +172,162 @@ contract HumansPeaceTreaty {
 
   /**
    * @dev A public counter for the total number of unique addresses that
-   * have signed the peace pledge.
+   * have signed the peace pledge and did not withdraw from it.
    */
   uint256 public totalSignatures;
 
+  /// @notice Maximum number of items returned by a paginated view.
+  uint256 public constant MAX_PAGE_SIZE = 100;
+
+  /**
+   * @dev Blocks a signatory stays active after each proof of commitment.
+   */
+  uint256 public proofWindow;
+
+  /**
+   * @dev Commitment statistics of each signatory, as last updated. `getCommitmentStats` accounts for lapses
+   * that were not recorded yet.
+   */
+  mapping(address => CommitmentStats) private _stats;
+
+  /**
+   * @dev Whether the current lapse of a signatory was already recorded.
+   */
+  mapping(address => bool) private _lapseRecorded;
+
+  /**
+   * @dev Block number of every proof, in order. Only the latest proof of each signatory counts, the
+   * previous ones are removed from `_proofTree`, so the active signers are the counted proofs of the
+   * last `proofWindow` blocks.
+   */
+  uint256[] private _proofBlocks;
+
+  /**
+   * @dev Fenwick tree counting the proofs of `_proofBlocks` that are the latest of their signatory, by
+   * 1-based position. It counts the proofs up to any position in O(log n).
+   */
+  mapping(uint256 => uint256) private _proofTree;
+
+  /**
+   * @dev 1-based position in `_proofBlocks` of the latest proof of each signatory.
+   */
+  mapping(address => uint256) private _latestProof;
+
+  /**
+   * @dev Block number of every proof of each signatory, its signatures included, oldest first.
+   */
+  mapping(address => uint256[]) private _proofHistory;
+
+  /**
+   * @dev Versions of the text of the treaty, the latest one last.
+   */
+  TreatyVersion[] private _versions;
+
+  /**
+   * @dev The version of the latest signature of each address. It only counts while `pledges` says the address
+   * signed, see `hasSigned(address, uint256)`.
+   */
+  mapping(address => uint256) public signedVersion;
+
+  /**
+   * @dev Number of signatories whose signature, not withdrawn, is bound to each version.
+   */
+  mapping(uint256 => uint256) public versionSignersCount;
+
+  /// @notice Counter of amendments. Also the ID of the next amendment, starting at 0.
+  uint256 public amendmentsCount;
+
+  /// @dev Mapping from amendment ID to the Amendment data structure, read with `getAmendment`.
+  mapping(uint256 => Amendment) private _amendments;
+
+  /// @notice Whether an address voted on an amendment.
+  mapping(uint256 => mapping(address => bool)) public hasVotedOnAmendment;
+
+  /// @notice The soulbound certificates of the signatories, issued by the treaty.
+  PeaceTreatyCertificate public certificate;
+
+  /**
+   * @dev Reserved storage slots, so later versions can add state variables without shifting the storage layout.
+   */
+  uint256[36] private __gap;
+
+  // --- Initialization ---
+
+  /// @custom:oz-upgrades-unsafe-allow constructor
+  constructor() {
+    _disableInitializers();
+  }
+
+  /**
+   * @notice Initializes the contract behind its proxy.
+   * @dev Called once by the proxy when it is deployed. The constructor locks the implementation contract itself.
+   * @param _proofWindow Blocks a signatory stays active after each proof of commitment.
+   * @param _textHash The keccak256 hash of the first version of the text.
+   * @param _textUri Where to read the first version of the text.
+   * @param _certificate The certificates of the signatories, bound to the treaty by its deployer once deployed.
+   */
+  function initialize(
+    uint256 _proofWindow,
+    bytes32 _textHash,
+    string memory _textUri,
+    PeaceTreatyCertificate _certificate
+  ) public initializer {
+    require(_proofWindow > 0, "HumansPeaceTreaty: The proof window must be greater than zero.");
+    require(address(_certificate) != address(0), "HumansPeaceTreaty: Invalid certificate address.");
+
+    proofWindow = _proofWindow;
+    certificate = _certificate;
+    _adoptVersion(_textHash, _textUri);
+  }
+
+  /**
+   * @notice Upgrades a proxy of the first version of the treaty, which only kept the pledges and the number of
+   * signatures: sets the proof window, counts the signatories as active from their last proof, records the text
+   * they signed as version 0 and sets the certificates of the signatories.
+   * @dev Called on the proxy in the upgrade transaction, see the `upgrade` task. The first version did not list its
+   * signatories, so every one of them is passed, ordered by the block of their last proof, as read from the
+   * `PledgeSigned` and `CommitmentProven` events. Their last proof starts their proof history, their statistics
+   * count from the upgrade on, and their signatures are bound to version 0. The certificate is initialized with the
+   * address of the treaty, and the signatories claim their certificates with `claimCertificate`.
+   * @param _proofWindow Blocks a signatory stays active after each proof of commitment.
+   * @param _signers Every signatory, ordered by the block of their last proof.
+   * @param _textHash The keccak256 hash of the text the signatories signed.
+   * @param _textUri Where to read the text the signatories signed.
+   * @param _certificate The certificates of the signatories, initialized with the address of the treaty.
+   */
+  function initializeV2(
+    uint256 _proofWindow,
+    address[] calldata _signers,
+    bytes32 _textHash,
+    string memory _textUri,
+    PeaceTreatyCertificate _certificate
+  ) public reinitializer(2) {
+    require(_versions.length == 0, "HumansPeaceTreaty: Only proxies of the first version can be upgraded.");
+    require(_proofWindow > 0, "HumansPeaceTreaty: The proof window must be greater than zero.");
+    require(address(_certificate) != address(0), "HumansPeaceTreaty: Invalid certificate address.");
+    require(_signers.length == totalSignatures, "HumansPeaceTreaty: Every signer must be listed.");
+
+    proofWindow = _proofWindow;
+    certificate = _certificate;
+    uint256 previousProofBlock = 0;
+    for (uint256 i = 0; i < _signers.length; i++) {
+      Signature storage pledge = pledges[_signers[i]];
+      require(
+        pledge.hasSigned && _latestProof[_signers[i]] == 0,
+        "HumansPeaceTreaty: Signers must have signed and be listed once."
+      );
+      require(
+        pledge.lastProofBlock >= previousProofBlock,
+        "HumansPeaceTreaty: Signers must be ordered by their last proof."
+      );
+
+      previousProofBlock = pledge.lastProofBlock;
+      _addProof(_signers[i], pledge.lastProofBlock);
+    }
+    versionSignersCount[0] = totalSignatures;
+    _adoptVersion(_textHash, _textUri);
+  }
+
   // --- Functions ---
 
   /**
@@ -64,28 +342,44 @@ contract HumansPeaceTreaty {
    * another human being."
    *
    * @dev This function sets the caller's `hasSigned` status to true and initializes
-   * their `lastProofBlock` to the current block number. It can only be called once per address.
+   * their `lastProofBlock` to the current block number. Only the latest version can be signed, and the
+   * signature is bound to it. Signatories of an older version sign again to accept the latest one, which
+   * also proves their commitment. Otherwise, an address can only sign again after withdrawing its pledge.
+   * New signatories receive a certificate, which stays theirs when they accept a later version.
+   * @param _version The version of the text being signed, which must be `currentVersion()`.
    */
-  function signPeacePledge() external {
-    // Requirement: The caller must not have already signed the pledge.
-    require(!pledges[msg.sender].hasSigned, "HumansPeaceTreaty: You have already signed this pledge.");
+  function signPeacePledge(uint256 _version) external {
+    require(_version == currentVersion(), "HumansPeaceTreaty: Only the latest version of the treaty can be signed.");
 
-    // State change: Record the new signature.
-    // The act of signing is itself the first proof of commitment.
-    pledges[msg.sender] = Signature({ hasSigned: true, lastProofBlock: block.number });
+    if (pledges[msg.sender].hasSigned) {
+      // Requirement: The caller must not have already signed this version.
+      require(signedVersion[msg.sender] != _version, "HumansPeaceTreaty: You have already signed this pledge.");
 
-    // State change: Increment the total number of signatures.
-    totalSignatures++;
+      versionSignersCount[signedVersion[msg.sender]]--;
+      _proveCommitment(msg.sender);
+    } else {
+      // State change: Record the new signature.
+      // The act of signing is itself the first proof of commitment.
+      pledges[msg.sender] = Signature({ hasSigned: true, lastProofBlock: block.number });
+      _addProof(msg.sender, block.number);
+
+      // State change: Increment the total number of signatures.
+      totalSignatures++;
+      certificate.issue(msg.sender);
+    }
+    signedVersion[msg.sender] = _version;
+    versionSignersCount[_version]++;
 
     // Emit an event to log this action.
-    emit PledgeSigned(msg.sender, block.number);
+    emit PledgeSigned(msg.sender, block.number, _version);
   }
 
   /**
    * @notice Call this function to reaffirm your pledge. This updates your public record
    * to show a recent, on-chain proof of your ongoing commitment.
    * @dev This function can only be called by addresses that have already signed the pledge.
-   * It updates the `lastProofBlock` for the `msg.sender` to the current block number.
+   * It updates the `lastProofBlock` for the `msg.sender` to the current block number. A proof made
+   * after the window passed reactivates the signatory and starts a new streak.
    */
   function proveCommitment() external {
     // Requirement: The caller must have signed the pledge before they can prove it.
@@ -94,15 +388,109 @@ contract HumansPeaceTreaty {
       "HumansPeaceTreaty: You must sign the pledge first before proving commitment."
     );
 
-    // State change: Update the last proof block to the current block.
-    pledges[msg.sender].lastProofBlock = block.number;
+    _proveCommitment(msg.sender);
+  }
 
-    // Emit an event to log this reaffirmation.
-    emit CommitmentProven(msg.sender, block.number);
+  /**
+   * @notice Issues the certificate of a signatory who signed before the treaty issued certificates.
+   * @dev Only signatories of a treaty upgraded with `initializeV2` can have no certificate.
+   */
+  function claimCertificate() external {
+    require(
+      pledges[msg.sender].hasSigned,
+      "HumansPeaceTreaty: You must sign the pledge first before claiming a certificate."
+    );
+    require(certificate.certificateOf(msg.sender) == 0, "HumansPeaceTreaty: You already have a certificate.");
+
+    certificate.issue(msg.sender);
   }
 
   /**
-   * @notice A simple way to check if an address has signed the initial pledge.
+   * @notice Records that a signatory let their proof window pass, emitting `SignerLapsed`.
+   * @dev Anyone can call it, once per lapse. Lapses that nobody records are recorded when the signatory
+   * proves their commitment again.
+   * @param account The address of the lapsed signatory.
+   */
+  function recordLapse(address account) external {
+    require(pledges[account].hasSigned, "HumansPeaceTreaty: The account has not signed the pledge.");
+    require(!_isActive(account), "HumansPeaceTreaty: The signer is still active.");
+    require(!_lapseRecorded[account], "HumansPeaceTreaty: The lapse was already recorded.");
+
+    _recordLapse(account);
+  }
+
+  /**
+   * @notice Withdraws your signature from the peace pledge. You can sign it again later.
+   * @dev The signatory stops counting in `totalSignatures` and `activeSignersCount`, and their certificate is
+   * burned. Their proof history and their statistics are kept, except for the current streak, which ends.
+   */
+  function withdrawPledge() external {
+    require(pledges[msg.sender].hasSigned, "HumansPeaceTreaty: You must sign the pledge first before withdrawing it.");
+
+    pledges[msg.sender].hasSigned = false;
+    versionSignersCount[signedVersion[msg.sender]]--;
+    _removeLatestProof(msg.sender);
+    _stats[msg.sender].currentStreak = 0;
+    _lapseRecorded[msg.sender] = false;
+    totalSignatures--;
+    certificate.burn(msg.sender);
+
+    emit PledgeWithdrawn(msg.sender, block.number);
+  }
+
+  /**
+   * @notice Proposes a new version of the text of the treaty. Only active signatories can propose amendments, and
+   * proposing one counts as a supporting vote.
+   * @dev The active signatories at this block are the electorate of the amendment: it is resolved by the vote that
+   * reaches a majority of them, see `voteOnAmendment`.
+   * @param _textHash The keccak256 hash of the UTF-8 text of the new version.
+   * @param _textUri Where to read the text of the new version, such as an IPFS CID.
+   * @return amendmentId The ID of the new amendment.
+   */
+  function proposeAmendment(bytes32 _textHash, string calldata _textUri) external returns (uint256 amendmentId) {
+    require(_isActive(msg.sender), "HumansPeaceTreaty: Only active signers can propose amendments.");
+    require(_textHash != bytes32(0), "HumansPeaceTreaty: The text hash must not be empty.");
+    require(bytes(_textUri).length > 0, "HumansPeaceTreaty: The text URI must not be empty.");
+    require(
+      _textHash != _versions[currentVersion()].textHash,
+      "HumansPeaceTreaty: The text is already the latest version."
+    );
+
+    amendmentId = amendmentsCount;
+    Amendment storage amendment = _amendments[amendmentId];
+    amendment.id = amendmentId;
+    amendment.baseVersion = currentVersion();
+    amendment.textHash = _textHash;
+    amendment.textUri = _textUri;
+    amendment.proposer = msg.sender;
+    amendment.createdAt = block.number;
+    amendment.electorate = activeSignersCount();
+    amendmentsCount++;
+
+    emit AmendmentProposed(amendmentId, amendment.baseVersion, msg.sender);
+    _voteOnAmendment(amendmentId, true);
+  }
+
+  /**
+   * @notice Votes on an open amendment of the latest version. Only active signatories can vote, once per amendment.
+   * @dev The vote that makes its side a majority of the electorate of the amendment resolves it. When adopted, it
+   * becomes the latest version and signatories sign again to accept it.
+   * @param _amendmentId The ID of the amendment.
+   * @param _support True to adopt the amendment, false to oppose it.
+   */
+  function voteOnAmendment(uint256 _amendmentId, bool _support) external {
+    require(_amendmentId < amendmentsCount, "HumansPeaceTreaty: Amendment ID does not exist.");
+    require(_isActive(msg.sender), "HumansPeaceTreaty: Only active signers can vote on amendments.");
+
+    Amendment storage amendment = _amendments[_amendmentId];
+    require(amendment.status == AmendmentStatus.Open, "HumansPeaceTreaty: The amendment is already resolved.");
+    require(amendment.baseVersion == currentVersion(), "HumansPeaceTreaty: The amendment amends an outdated version.");
+
+    _voteOnAmendment(_amendmentId, _support);
+  }
+
+  /**
+   * @notice A simple way to check if an address has signed the pledge, whatever the version.
    * @param account The address you want to check.
    * @return A boolean value: 'true' if the address has signed, 'false' otherwise.
    */
@@ -110,4 +498,277 @@ contract HumansPeaceTreaty {
     // Returns the 'hasSigned' flag from the account's Signature struct.
     return pledges[account].hasSigned;
   }
+
+  /**
+   * @notice Checks if the signature of an address is bound to a version of the text.
+   * @param account The address you want to check.
+   * @param version The version of the text.
+   * @return 'true' if the address signed that version and did not sign a later one or withdraw since.
+   */
+  function hasSigned(address account, uint256 version) public view returns (bool) {
+    return pledges[account].hasSigned && signedVersion[account] == version;
+  }
+
+  /**
+   * @notice Checks if an address accepted the latest version of the text.
+   * @param account The address you want to check.
+   */
+  function hasSignedLatestVersion(address account) external view returns (bool) {
+    return hasSigned(account, currentVersion());
+  }
+
+  /**
+   * @notice Number of signatories who accepted the latest version of the text.
+   */
+  function latestVersionSignersCount() external view returns (uint256) {
+    return versionSignersCount[currentVersion()];
+  }
+
+  /**
+   * @notice The latest version of the text, the only one that can be signed.
+   */
+  function currentVersion() public view returns (uint256) {
+    return _versions.length - 1;
+  }
+
+  /**
+   * @notice Returns a version of the text of the treaty.
+   * @param _version The version number.
+   */
+  function getVersion(uint256 _version) external view returns (TreatyVersion memory) {
+    require(_version < _versions.length, "HumansPeaceTreaty: Version ID does not exist.");
+
+    return _versions[_version];
+  }
+
+  /**
+   * @notice Returns an amendment, with its status as of the latest version.
+   * @param _amendmentId The ID of the amendment.
+   */
+  function getAmendment(uint256 _amendmentId) public view returns (Amendment memory amendment) {
+    require(_amendmentId < amendmentsCount, "HumansPeaceTreaty: Amendment ID does not exist.");
+
+    amendment = _amendments[_amendmentId];
+    if (amendment.status == AmendmentStatus.Open && amendment.baseVersion != currentVersion()) {
+      amendment.status = AmendmentStatus.Outdated;
+    }
+  }
+
+  /**
+   * @notice Returns a page of amendments in ID order.
+   * @param _offset The ID of the first amendment of the page.
+   * @param _limit The maximum number of amendments to return, capped at `MAX_PAGE_SIZE`.
+   * @return page The amendments of the page.
+   */
+  function getAmendments(uint256 _offset, uint256 _limit) external view returns (Amendment[] memory page) {
+    uint256 size = Pagination.pageSize(amendmentsCount, _offset, _limit, MAX_PAGE_SIZE);
+
+    page = new Amendment[](size);
+    for (uint256 i = 0; i < size; i++) {
+      page[i] = getAmendment(_offset + i);
+    }
+  }
+
+  /**
+   * @notice Checks if a signatory proved their commitment within the last `proofWindow` blocks.
+   * @param account The address you want to check.
+   * @return 'true' if the address signed the pledge and its last proof is within the window.
+   */
+  function isActive(address account) external view returns (bool) {
+    return _isActive(account);
+  }
+
+  /**
+   * @notice Whether an account may vote in the apps deployed with the treaty as their voter registry: only active
+   * signatories may vote.
+   * @param account The address of the voter.
+   */
+  function isEligibleVoter(address account) external view returns (bool) {
+    return _isActive(account);
+  }
+
+  /// @notice Number of accounts that may vote in the apps deployed with the treaty: its active signatories.
+  function eligibleVotersCount() external view returns (uint256) {
+    return activeSignersCount();
+  }
+
+  /**
+   * @notice Number of signatories active in the current block.
+   * @dev The latest proofs are ordered by block, so the active ones are those from the first proof within the
+   * window onwards: found by binary search and counted with `_proofTree`.
+   */
+  function activeSignersCount() public view returns (uint256) {
+    uint256 firstActiveBlock = block.number > proofWindow ? block.number - proofWindow : 0;
+    uint256 low = 0;
+    uint256 high = _proofBlocks.length;
+    while (low < high) {
+      uint256 middle = (low + high) / 2;
+      if (_proofBlocks[middle] < firstActiveBlock) low = middle + 1;
+      else high = middle;
+    }
+
+    return _countProofs(_proofBlocks.length) - _countProofs(low);
+  }
+
+  /**
+   * @notice Proof count, streaks and lapses of a signatory.
+   * @param account The address of the signatory.
+   */
+  function getCommitmentStats(address account) external view returns (CommitmentStats memory stats) {
+    stats = _stats[account];
+    if (pledges[account].hasSigned && !_isActive(account)) {
+      stats.currentStreak = 0;
+      if (!_lapseRecorded[account]) stats.lapseCount++;
+    }
+  }
+
+  /**
+   * @notice Number of proofs of a signatory, their signatures included.
+   * @param account The address of the signatory.
+   */
+  function getProofHistoryCount(address account) external view returns (uint256) {
+    return _proofHistory[account].length;
+  }
+
+  /**
+   * @notice Returns a page of the proof history of a signatory: the block numbers of their signatures and
+   * commitment proofs, oldest first.
+   * @param account The address of the signatory.
+   * @param _offset The position of the first proof of the page.
+   * @param _limit The maximum number of proofs to return, capped at `MAX_PAGE_SIZE`.
+   * @return page The block numbers of the page.
+   */
+  function getProofHistory(
+    address account,
+    uint256 _offset,
+    uint256 _limit
+  ) external view returns (uint256[] memory page) {
+    uint256[] storage history = _proofHistory[account];
+    uint256 size = Pagination.pageSize(history.length, _offset, _limit, MAX_PAGE_SIZE);
+
+    page = new uint256[](size);
+    for (uint256 i = 0; i < size; i++) {
+      page[i] = history[_offset + i];
+    }
+  }
+
+  // --- Internal Functions ---
+
+  /**
+   * @dev Records a proof of commitment of a signatory, continuing their streak while active and reactivating
+   * them otherwise.
+   */
+  function _proveCommitment(address account) private {
+    CommitmentStats storage stats = _stats[account];
+    if (_isActive(account)) {
+      stats.currentStreak++;
+    } else {
+      // The lapse is recorded now if nobody did it before.
+      if (!_lapseRecorded[account]) _recordLapse(account);
+      _lapseRecorded[account] = false;
+      stats.currentStreak = 1;
+      emit SignerReactivated(account, block.number);
+    }
+    stats.proofCount++;
+    if (stats.currentStreak > stats.longestStreak) stats.longestStreak = stats.currentStreak;
+
+    // State change: Update the last proof block to the current block.
+    pledges[account].lastProofBlock = block.number;
+    _addProof(account, block.number);
+
+    // Emit an event to log this reaffirmation.
+    emit CommitmentProven(account, block.number);
+  }
+
+  /**
+   * @dev Records a vote on an open amendment and resolves it once the side of the vote is a majority of the
+   * electorate of the amendment.
+   */
+  function _voteOnAmendment(uint256 _amendmentId, bool _support) private {
+    require(
+      !hasVotedOnAmendment[_amendmentId][msg.sender],
+      "HumansPeaceTreaty: You have already voted on this amendment."
+    );
+
+    Amendment storage amendment = _amendments[_amendmentId];
+    hasVotedOnAmendment[_amendmentId][msg.sender] = true;
+    if (_support) {
+      amendment.supportVotes++;
+    } else {
+      amendment.opposeVotes++;
+    }
+    emit AmendmentVoted(_amendmentId, msg.sender, _support);
+
+    if (_support && amendment.supportVotes * 2 > amendment.electorate) {
+      amendment.status = AmendmentStatus.Adopted;
+      emit AmendmentResolved(_amendmentId, true);
+      _adoptVersion(amendment.textHash, amendment.textUri);
+    } else if (!_support && amendment.opposeVotes * 2 >= amendment.electorate) {
+      amendment.status = AmendmentStatus.Rejected;
+      emit AmendmentResolved(_amendmentId, false);
+    }
+  }
+
+  function _adoptVersion(bytes32 _textHash, string memory _textUri) private {
+    require(_textHash != bytes32(0), "HumansPeaceTreaty: The text hash must not be empty.");
+    require(bytes(_textUri).length > 0, "HumansPeaceTreaty: The text URI must not be empty.");
+
+    uint256 version = _versions.length;
+    _versions.push(TreatyVersion({ id: version, textHash: _textHash, textUri: _textUri, adoptedAt: block.number }));
+
+    emit VersionAdopted(version, _textHash, _textUri);
+  }
+
+  function _isActive(address account) private view returns (bool) {
+    Signature storage pledge = pledges[account];
+
+    return pledge.hasSigned && block.number <= pledge.lastProofBlock + proofWindow;
+  }
+
+  function _recordLapse(address account) private {
+    _lapseRecorded[account] = true;
+    _stats[account].lapseCount++;
+    _stats[account].currentStreak = 0;
+
+    emit SignerLapsed(account, pledges[account].lastProofBlock + proofWindow + 1);
+  }
+
+  /**
+   * @dev Makes a proof, of the current block except when seeding the signatories of an upgraded proxy, the latest
+   * proof of `account` in `_proofTree`, and adds it to their history.
+   */
+  function _addProof(address account, uint256 blockNumber) private {
+    _removeLatestProof(account);
+
+    _proofBlocks.push(blockNumber);
+    uint256 position = _proofBlocks.length;
+    // A node counts the proofs after its position minus its lowest bit, up to its own one.
+    _proofTree[position] = 1 + _countProofs(position - 1) - _countProofs(position - _lowestBit(position));
+    _latestProof[account] = position;
+    _proofHistory[account].push(blockNumber);
+  }
+
+  /**
+   * @dev Stops counting the latest proof of `account` in `_proofTree`, if they have one.
+   */
+  function _removeLatestProof(address account) private {
+    uint256 position = _latestProof[account];
+    if (position == 0) return;
+
+    for (uint256 node = position; node <= _proofBlocks.length; node += _lowestBit(node)) _proofTree[node]--;
+    _latestProof[account] = 0;
+  }
+
+  /**
+   * @dev Counts the latest proofs among the first `position` proofs of `_proofBlocks`.
+   */
+  function _countProofs(uint256 position) private view returns (uint256 count) {
+    for (uint256 node = position; node > 0; node -= _lowestBit(node)) count += _proofTree[node];
+  }
+
+  function _lowestBit(uint256 value) private pure returns (uint256) {
+    unchecked {
+      return value & (~value + 1);
+    }
+  }
 }
@@ -0,0 +1,296 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "@openzeppelin/contracts-upgradeable/proxy/utils/Initializable.sol";
+import "@openzeppelin/contracts-upgradeable/token/ERC721/extensions/IERC721MetadataUpgradeable.sol";
+import "@openzeppelin/contracts-upgradeable/utils/Base64Upgradeable.sol";
+import "@openzeppelin/contracts-upgradeable/utils/StringsUpgradeable.sol";
+import "./interfaces/IERC5192.sol";
+import { HumansPeaceTreaty } from "./HumansPeaceTreaty.sol";
+
+/**
+ * @title PeaceTreatyCertificate
+ * @notice The soulbound ERC-721 certificates (ERC-5192) of the signatories of the HumansPeaceTreaty, with on-chain
+ * metadata, so wallets display treaty membership like any other token.
+ * @dev Deployed before the treaty, then bound to it by its deployer, or initialized with a treaty upgraded to issue
+ * certificates. Only the treaty issues certificates, when an address signs the pledge, and burns them, when it
+ * withdraws the pledge.
+ */
+contract PeaceTreatyCertificate is Initializable, IERC721MetadataUpgradeable, IERC5192 {
+  using StringsUpgradeable for uint256;
+
+  // --- State Variables ---
+
+  /// @notice The treaty issuing the certificates, set once by `initialize` or `bindTreaty`.
+  HumansPeaceTreaty public humansPeaceTreaty;
+
+  /// @notice Number of certificates ever issued. Also the ID of the latest one, IDs starting at 1.
+  uint256 public certificatesCount;
+
+  /// @notice ID of the certificate of each signatory, 0 when they have none.
+  mapping(address => uint256) public certificateOf;
+
+  /// @dev Owner of each certificate that was not burned.
+  mapping(uint256 => address) private _owners;
+
+  /// @dev Block number of the signature each certificate was issued for.
+  mapping(uint256 => uint256) private _signedAt;
+
+  /// @dev Account that deployed the certificate, the only one that can bind it. Cleared once it is bound.
+  address private _deployer;
+
+  /**
+   * @dev Reserved storage slots, so later versions can add state variables without shifting the storage layout.
+   */
+  uint256[44] private __gap;
+
+  // --- Initialization ---
+
+  /// @custom:oz-upgrades-unsafe-allow constructor
+  constructor() {
+    _disableInitializers();
+  }
+
+  /**
+   * @notice Initializes the contract behind its proxy.
+   * @dev Called once by the proxy when it is deployed. The constructor locks the implementation contract itself.
+   * A certificate deployed before its treaty issues no certificate until its deployer binds it to the treaty with
+   * `bindTreaty`. The certificate of a treaty upgraded with `HumansPeaceTreaty.initializeV2` is initialized
+   * with the treaty instead.
+   * @param _humansPeaceTreaty The treaty issuing the certificates when it is already deployed, the zero address
+   * otherwise.
+   */
+  function initialize(HumansPeaceTreaty _humansPeaceTreaty) public initializer {
+    if (address(_humansPeaceTreaty) == address(0)) _deployer = msg.sender;
+    else humansPeaceTreaty = _humansPeaceTreaty;
+  }
+
+  /**
+   * @notice Binds the certificate to its treaty, once the treaty was deployed with it.
+   * @dev Only the account that deployed the certificate can bind it, and only to a treaty that lists this contract
+   * as its `certificate`.
+   * @param _humansPeaceTreaty The treaty issuing the certificates.
+   */
+  function bindTreaty(HumansPeaceTreaty _humansPeaceTreaty) external {
+    require(address(humansPeaceTreaty) == address(0), "PeaceTreatyCertificate: The treaty is already bound.");
+    require(msg.sender == _deployer, "PeaceTreatyCertificate: Only the deployer can bind the treaty.");
+    require(
+      address(_humansPeaceTreaty.certificate()) == address(this),
+      "PeaceTreatyCertificate: The treaty does not list this certificate."
+    );
+
+    humansPeaceTreaty = _humansPeaceTreaty;
+    delete _deployer;
+  }
+
+  // --- Functions ---
+
+  /**
+   * @notice Issues a locked certificate to a new signatory, with the next ID.
+   * @dev Only the treaty can call it, when `account` signs the pledge.
+   * @param account The address of the signatory.
+   * @return tokenId The ID of the new certificate.
+   */
+  function issue(address account) external returns (uint256 tokenId) {
+    require(
+      msg.sender == address(humansPeaceTreaty),
+      "PeaceTreatyCertificate: Only the treaty can issue certificates."
+    );
+
+    tokenId = ++certificatesCount;
+    certificateOf[account] = tokenId;
+    _owners[tokenId] = account;
+    _signedAt[tokenId] = block.number;
+
+    emit Transfer(address(0), account, tokenId);
+    emit Locked(tokenId);
+  }
+
+  /**
+   * @notice Burns the certificate of a signatory.
+   * @dev Only the treaty can call it, when `account` withdraws the pledge. Signatories of an upgraded treaty who
+   * never claimed their certificate have none to burn.
+   * @param account The address of the signatory.
+   */
+  function burn(address account) external {
+    require(msg.sender == address(humansPeaceTreaty), "PeaceTreatyCertificate: Only the treaty can burn certificates.");
+
+    uint256 tokenId = certificateOf[account];
+    if (tokenId == 0) return;
+    delete certificateOf[account];
+    delete _owners[tokenId];
+
+    emit Transfer(account, address(0), tokenId);
+  }
+
+  /// @notice Name of the certificates, as an ERC-721 collection.
+  function name() external pure returns (string memory) {
+    return "Humans Peace Treaty Certificate";
+  }
+
+  /// @notice Symbol of the certificates, as an ERC-721 collection.
+  function symbol() external pure returns (string memory) {
+    return "PEACE";
+  }
+
+  /**
+   * @notice Number of certificates of an address: 1 while it has signed the pledge, 0 otherwise.
+   * @param owner The address you want to check.
+   */
+  function balanceOf(address owner) external view returns (uint256) {
+    require(owner != address(0), "PeaceTreatyCertificate: The zero address cannot own certificates.");
+
+    return certificateOf[owner] == 0 ? 0 : 1;
+  }
+
+  /**
+   * @notice The signatory a certificate was issued to.
+   * @param tokenId The ID of the certificate.
+   */
+  function ownerOf(uint256 tokenId) public view returns (address owner) {
+    owner = _owners[tokenId];
+    require(owner != address(0), "PeaceTreatyCertificate: Certificate ID does not exist.");
+  }
+
+  /**
+   * @notice Certificates are soulbound: they are always locked to their signatory.
+   * @param tokenId The ID of the certificate.
+   */
+  function locked(uint256 tokenId) external view returns (bool) {
+    ownerOf(tokenId);
+
+    return true;
+  }
+
+  /**
+   * @notice Metadata of a certificate, generated on chain as a base64 JSON data URI with an SVG image. It shows the
+   * block of the signature, the proof count, the signed version and whether the signatory is active, as read from
+   * the treaty.
+   * @param tokenId The ID of the certificate.
+   */
+  function tokenURI(uint256 tokenId) external view returns (string memory) {
+    address signer = ownerOf(tokenId);
+    string memory status = humansPeaceTreaty.isActive(signer) ? "Active" : "Lapsed";
+    string memory signedAt = _signedAt[tokenId].toString();
+    string memory proofCount = humansPeaceTreaty.getCommitmentStats(signer).proofCount.toString();
+
+    // The double quotes of the JSON are written as \x22 escapes, here and in `_attributes`.
+    bytes memory json = abi.encodePacked(
+      "{\x22name\x22:\x22Humans Peace Treaty Signer #",
+      tokenId.toString(),
+      "\x22,\x22description\x22:\x22Certificate of a signatory of the Humans Peace Treaty. It cannot be transferred ",
+      "and is burned if the pledge is withdrawn.\x22,\x22image\x22:\x22data:image/svg+xml;base64,",
+      Base64Upgradeable.encode(_image(tokenId, signedAt, proofCount, status)),
+      "\x22,\x22attributes\x22:",
+      _attributes(signedAt, proofCount, humansPeaceTreaty.signedVersion(signer).toString(), status),
+      "}"
+    );
+
+    return string(abi.encodePacked("data:application/json;base64,", Base64Upgradeable.encode(json)));
+  }
+
+  /**
+   * @notice Whether the contract implements an interface: ERC-165, ERC-721, ERC-721 metadata and ERC-5192.
+   * @param interfaceId The ERC-165 identifier of the interface.
+   */
+  function supportsInterface(bytes4 interfaceId) external pure returns (bool) {
+    return
+      interfaceId == type(IERC165Upgradeable).interfaceId ||
+      interfaceId == type(IERC721Upgradeable).interfaceId ||
+      interfaceId == type(IERC721MetadataUpgradeable).interfaceId ||
+      interfaceId == type(IERC5192).interfaceId;
+  }
+
+  /// @dev Certificates are soulbound, see `_revertSoulbound`.
+  function transferFrom(address, address, uint256) external pure {
+    _revertSoulbound();
+  }
+
+  /// @dev Certificates are soulbound, see `_revertSoulbound`.
+  function safeTransferFrom(address, address, uint256) external pure {
+    _revertSoulbound();
+  }
+
+  /// @dev Certificates are soulbound, see `_revertSoulbound`.
+  function safeTransferFrom(address, address, uint256, bytes calldata) external pure {
+    _revertSoulbound();
+  }
+
+  /// @dev Certificates are soulbound, see `_revertSoulbound`.
+  function approve(address, uint256) external pure {
+    _revertSoulbound();
+  }
+
+  /// @dev Certificates are soulbound, see `_revertSoulbound`.
+  function setApprovalForAll(address, bool) external pure {
+    _revertSoulbound();
+  }
+
+  /// @notice Certificates cannot be approved, so nobody is approved for them.
+  function getApproved(uint256 tokenId) external view returns (address) {
+    ownerOf(tokenId);
+
+    return address(0);
+  }
+
+  /// @notice Certificates cannot be approved, so nobody is approved for them.
+  function isApprovedForAll(address, address) external pure returns (bool) {
+    return false;
+  }
+
+  // --- Internal Functions ---
+
+  /**
+   * @dev JSON array of the attributes of a certificate, shown by wallets and marketplaces.
+   */
+  function _attributes(
+    string memory signedAt,
+    string memory proofCount,
+    string memory version,
+    string memory status
+  ) private pure returns (bytes memory) {
+    return
+      abi.encodePacked(
+        "[{\x22trait_type\x22:\x22Signature block\x22,\x22display_type\x22:\x22number\x22,\x22value\x22:",
+        signedAt,
+        "},{\x22trait_type\x22:\x22Proof count\x22,\x22display_type\x22:\x22number\x22,\x22value\x22:",
+        proofCount,
+        "},{\x22trait_type\x22:\x22Treaty version\x22,\x22display_type\x22:\x22number\x22,\x22value\x22:",
+        version,
+        "},{\x22trait_type\x22:\x22Status\x22,\x22value\x22:\x22",
+        status,
+        "\x22}]"
+      );
+  }
+
+  /**
+   * @dev SVG image of a certificate, shown by wallets.
+   */
+  function _image(
+    uint256 tokenId,
+    string memory signedAt,
+    string memory proofCount,
+    string memory status
+  ) private pure returns (bytes memory) {
+    return
+      abi.encodePacked(
+        "<svg xmlns='http://www.w3.org/2000/svg' viewBox='0 0 350 350' font-family='serif' text-anchor='middle'>",
+        "<rect width='350' height='350' fill='#f5f1e6'/><rect x='15' y='15' width='320' height='320' fill='none' ",
+        "stroke='#3b6e3b' stroke-width='3'/><text x='175' y='95' font-size='24'>Humans Peace Treaty</text>",
+        "<text x='175' y='135' font-size='18'>Signer #",
+        tokenId.toString(),
+        "</text><text x='175' y='195' font-size='15'>Signed in block ",
+        signedAt,
+        "</text><text x='175' y='222' font-size='15'>Proofs of commitment: ",
+        proofCount,
+        "</text><text x='175' y='275' font-size='20' fill='#3b6e3b'>",
+        status,
+        "</text></svg>"
+      );
+  }
+
+  /// @dev Certificates stay with their signatory until the pledge is withdrawn.
+  function _revertSoulbound() private pure {
+    revert("PeaceTreatyCertificate: Certificates are soulbound and cannot be transferred.");
+  }
+}
@@ -0,0 +1,386 @@
+// SPDX-License-Identifier: GPL-3.0
+pragma solidity ^0.8.0;
+
+import "@openzeppelin/contracts-upgradeable/proxy/utils/Initializable.sol";
+import "./GlobalPlantCatalog.sol";
+import "./libraries/Pagination.sol";
+import "./libraries/Votes.sol";
+
+/**
+ * @title PlantAgroforestryRegistry
+ * @author Sintrop
+ * @notice The agroforestry knowledge about the plants of the GlobalPlantCatalog used to design syntropic
+ * consortia: the stratum and successional stage of each plant, and the relationships between plants voted by the
+ * community.
+ * @dev Deployed before the catalog, then bound to it by its deployer. The creator of a plant sets its
+ * attributes until a revision of the plant is accepted, then they only change through the PlantRevisionRegistry.
+ */
+contract PlantAgroforestryRegistry is Initializable {
+  // --- Enums ---
+
+  /**
+   * @notice Layer of a syntropic consortium a plant occupies when grown, by the light it needs: emergent plants
+   * rise above the canopy, high plants form it, medium and low plants grow under it. Unknown until it is set.
+   */
+  enum Stratum {
+    Unknown,
+    Emergent,
+    High,
+    Medium,
+    Low
+  }
+
+  /**
+   * @notice Stage of the natural succession a plant belongs to: placenta plants (short-lived pioneers that
+   * prepare the soil), secondary plants or climax plants. Unknown until it is set.
+   */
+  enum SuccessionalStage {
+    Unknown,
+    Placenta,
+    Secondary,
+    Climax
+  }
+
+  /**
+   * @notice Type of a relationship between two plants. A companion grows well next to the other plant, a nurse
+   * shelters the other plant while it establishes, an antagonist hinders it, and plants of the same consortium
+   * are planted together in syntropic systems. Only nurse relationships have a direction.
+   */
+  enum RelationshipType {
+    None,
+    Companion,
+    Nurse,
+    Antagonist,
+    SameConsortium
+  }
+
+  // --- Data Structures ---
+
+  /**
+   * @dev Structure of the agroforestry attributes of a plant, used to design syntropic consortia.
+   * @param stratum The stratum the plant occupies in a consortium.
+   * @param successionalStage The successional stage of the plant.
+   */
+  struct AgroforestryAttributes {
+    Stratum stratum;
+    SuccessionalStage successionalStage;
+  }
+
+  /**
+   * @dev Structure of a relationship between two plants, proposed by anyone and voted by the community.
+   * @param id Unique identifier of the relationship.
+   * @param plantId ID of the first plant, the nurse of a nurse relationship.
+   * @param relatedPlantId ID of the second plant, the nursed plant of a nurse relationship.
+   * @param relationshipType The type of the relationship.
+   * @param proposer The wallet address that proposed the relationship. Proposing counts as a positive vote.
+   * @param createdAt The block number when the relationship was proposed.
+   * @param upvotes The total count of positive votes.
+   * @param downvotes The total count of negative votes.
+   */
+  struct PlantRelationship {
+    uint256 id;
+    uint256 plantId;
+    uint256 relatedPlantId;
+    RelationshipType relationshipType;
+    address proposer;
+    uint256 createdAt;
+    uint256 upvotes;
+    uint256 downvotes;
+  }
+
+  // --- State Variables ---
+
+  /// @notice Maximum number of relationships returned by one call of `getPlantRelationships`.
+  uint256 public constant MAX_PAGE_SIZE = 100;
+
+  /// @notice The catalog the plant IDs refer to, set once by `bindCatalog`.
+  GlobalPlantCatalog public globalPlantCatalog;
+
+  /// @notice Mapping from plant ID to its stratum and successional stage. Both are Unknown until they are set.
+  mapping(uint256 => AgroforestryAttributes) public plantAgroforestry;
+
+  /// @notice Counter of relationships. Also the ID of the next relationship, starting at 0.
+  uint256 public relationshipsCount;
+
+  /// @notice Mapping from relationship ID to the complete PlantRelationship data structure.
+  mapping(uint256 => PlantRelationship) public relationships;
+
+  /// @notice Mapping from plant ID to the IDs of the relationships it takes part in, on either side.
+  mapping(uint256 => uint256[]) public plantRelationships;
+
+  /// @notice Whether a relationship key is already used by a relationship.
+  /// @dev Keys are computed with `relationshipKey`.
+  mapping(bytes32 => bool) public relationshipKeyTaken;
+
+  /// @notice Mapping from relationship key to the ID of the relationship proposed with it.
+  /// @dev Only meaningful when `relationshipKeyTaken` is true, since relationship IDs start at 0.
+  mapping(bytes32 => uint256) public relationshipIdByKey;
+
+  /// @notice Tracks the vote cast by each user on each relationship.
+  mapping(uint256 => mapping(address => GlobalPlantCatalog.VoteType)) public relationshipVotes;
+
+  /// @dev Account that deployed the registry, the only one that can bind it. Cleared once it is bound.
+  address private _deployer;
+
+  /// @dev Reserved storage slots, so later versions can add state variables without shifting the storage layout.
+  uint256[41] private __gap;
+
+  // --- Events ---
+
+  /**
+   * @notice Emitted when the stratum and successional stage of a plant are set or changed.
+   * @param plantId The ID of the plant.
+   * @param editor The wallet address that set the attributes.
+   * @param attributes The new agroforestry attributes.
+   */
+  event AgroforestryAttributesSet(uint256 indexed plantId, address indexed editor, AgroforestryAttributes attributes);
+
+  /**
+   * @notice Emitted when a relationship between two plants is proposed.
+   * @param relationshipId The unique ID of the relationship.
+   * @param plantId The ID of the first plant.
+   * @param relatedPlantId The ID of the second plant.
+   * @param relationshipType The type of the relationship.
+   * @param proposer The wallet address that proposed the relationship.
+   */
+  event RelationshipProposed(
+    uint256 indexed relationshipId,
+    uint256 indexed plantId,
+    uint256 indexed relatedPlantId,
+    RelationshipType relationshipType,
+    address proposer
+  );
+
+  /**
+   * @notice Emitted when a user casts or changes their vote on a relationship.
+   * @param relationshipId The ID of the relationship.
+   * @param voter The address of the user who voted.
+   * @param voteType The type of vote cast (Upvote or Downvote).
+   */
+  event RelationshipVoted(uint256 indexed relationshipId, address indexed voter, GlobalPlantCatalog.VoteType voteType);
+
+  // --- Initialization ---
+
+  /// @custom:oz-upgrades-unsafe-allow constructor
+  constructor() {
+    _disableInitializers();
+  }
+
+  /**
+   * @notice Initializes the contract behind its proxy.
+   * @dev Called once by the proxy when it is deployed. The constructor locks the implementation contract itself.
+   * The registry is unusable until its deployer binds it to the catalog with `bindCatalog`.
+   */
+  function initialize() public initializer {
+    _deployer = msg.sender;
+  }
+
+  /**
+   * @notice Binds the registry to its catalog, once the catalog was deployed with it.
+   * @dev Only the account that deployed the registry can bind it, and only to a catalog that lists this registry
+   * as its `plantAgroforestryRegistry`.
+   * @param _globalPlantCatalog The catalog of the registry.
+   */
+  function bindCatalog(GlobalPlantCatalog _globalPlantCatalog) public {
+    require(address(globalPlantCatalog) == address(0), "PAR: Catalog already bound");
+    require(msg.sender == _deployer, "PAR: Only the deployer can bind the registry");
+    require(
+      address(_globalPlantCatalog.plantAgroforestryRegistry()) == address(this),
+      "PAR: Registry is not listed by the catalog"
+    );
+    globalPlantCatalog = _globalPlantCatalog;
+    delete _deployer;
+  }
+
+  // --- Functions ---
+
+  /**
+   * @notice Sets the stratum and successional stage of a plant. Only the creator of the plant can set them, and
+   * once a revision of the plant was accepted they only change through revisions, like the taxonomic ranks.
+   * @param _plantId The ID of the plant.
+   * @param _attributes The agroforestry attributes of the plant. Unknown values are allowed.
+   */
+  function setAgroforestryAttributes(uint256 _plantId, AgroforestryAttributes memory _attributes) public {
+    require(_plantId < globalPlantCatalog.getTotalPlantsCount(), "PAR: Plant ID does not exist");
+    require(
+      globalPlantCatalog.getPlant(_plantId).creator == msg.sender,
+      "PAR: Only the creator can set the agroforestry attributes"
+    );
+    require(
+      !globalPlantCatalog.plantRevisionRegistry().isRevised(_plantId),
+      "PAR: Plant was revised, propose a revision instead"
+    );
+
+    _setAgroforestryAttributes(_plantId, _attributes, msg.sender);
+  }
+
+  /**
+   * @notice Gives a plant the agroforestry attributes of an accepted revision. Only the revision registry of the
+   * catalog can call it.
+   * @param _plantId The ID of the revised plant.
+   * @param _attributes The attributes of the revision.
+   * @param _editor The wallet address that proposed the revision.
+   */
+  function applyRevision(uint256 _plantId, AgroforestryAttributes memory _attributes, address _editor) public {
+    require(
+      msg.sender == address(globalPlantCatalog.plantRevisionRegistry()),
+      "PAR: Only the revision registry can revise plants"
+    );
+
+    _setAgroforestryAttributes(_plantId, _attributes, _editor);
+  }
+
+  /**
+   * @notice Proposes a relationship between two plants. Proposing counts as a positive vote.
+   * @dev Each relationship is proposed once: companion, antagonist and same-consortium relationships are the
+   * same in both directions, see `relationshipKey`. The community agrees with a relationship while its positive
+   * votes exceed its negative ones. Only the eligible voters of the catalog can propose relationships.
+   * @param _plantId The ID of the first plant, the nurse of a nurse relationship.
+   * @param _relatedPlantId The ID of the second plant, the nursed plant of a nurse relationship.
+   * @param _relationshipType The type of the relationship.
+   * @return relationshipId The ID of the new relationship.
+   */
+  function proposeRelationship(
+    uint256 _plantId,
+    uint256 _relatedPlantId,
+    RelationshipType _relationshipType
+  ) public returns (uint256 relationshipId) {
+    GlobalPlantCatalog catalog = globalPlantCatalog;
+    uint256 plantsCount = catalog.getTotalPlantsCount();
+    require(_plantId < plantsCount && _relatedPlantId < plantsCount, "PAR: Plant ID does not exist");
+    require(_plantId != _relatedPlantId, "PAR: A plant cannot relate to itself");
+    require(_relationshipType != RelationshipType.None, "PAR: Invalid relationship type");
+    require(
+      !catalog.isDuplicate(_plantId) && !catalog.isDuplicate(_relatedPlantId),
+      "PAR: Plant is a duplicate, relate its canonical plant"
+    );
+    require(catalog.isEligibleVoter(msg.sender), "PAR: Voter is not eligible");
+
+    bytes32 key = relationshipKey(_plantId, _relatedPlantId, _relationshipType);
+    require(!relationshipKeyTaken[key], "PAR: Relationship already proposed");
+
+    relationshipId = relationshipsCount;
+    relationships[relationshipId] = PlantRelationship(
+      relationshipId,
+      _plantId,
+      _relatedPlantId,
+      _relationshipType,
+      msg.sender,
+      block.number,
+      0, // upvotes, counted below
+      0 // downvotes
+    );
+    relationshipKeyTaken[key] = true;
+    relationshipIdByKey[key] = relationshipId;
+    plantRelationships[_plantId].push(relationshipId);
+    plantRelationships[_relatedPlantId].push(relationshipId);
+    relationshipsCount++;
+
+    emit RelationshipProposed(relationshipId, _plantId, _relatedPlantId, _relationshipType, msg.sender);
+    _voteOnRelationship(relationshipId, GlobalPlantCatalog.VoteType.Upvote);
+  }
+
+  /**
+   * @notice Casts a vote on a relationship. A user can change their vote, as in `GlobalPlantCatalog.vote`.
+   * @dev Only the accounts accepted by the voter registry of the catalog can vote.
+   * @param _relationshipId The ID of the relationship.
+   * @param _voteType The type of vote: `VoteType.Upvote` or `VoteType.Downvote`.
+   */
+  function voteOnRelationship(uint256 _relationshipId, GlobalPlantCatalog.VoteType _voteType) public {
+    require(_relationshipId < relationshipsCount, "PAR: Relationship ID does not exist");
+    require(Votes.isValid(_voteType), "PAR: Invalid vote type");
+    require(globalPlantCatalog.isEligibleVoter(msg.sender), "PAR: Voter is not eligible");
+
+    _voteOnRelationship(_relationshipId, _voteType);
+  }
+
+  /**
+   * @notice Retrieves the stratum and successional stage of a plant. Both are Unknown when they were not set.
+   * @param _plantId The ID of the plant.
+   * @return The `AgroforestryAttributes` struct of the plant.
+   */
+  function getAgroforestryAttributes(uint256 _plantId) public view returns (AgroforestryAttributes memory) {
+    require(_plantId < globalPlantCatalog.getTotalPlantsCount(), "PAR: Plant ID does not exist");
+    return plantAgroforestry[_plantId];
+  }
+
+  function getRelationship(uint256 _relationshipId) public view returns (PlantRelationship memory) {
+    require(_relationshipId < relationshipsCount, "PAR: Relationship ID does not exist");
+    return relationships[_relationshipId];
+  }
+
+  function getPlantRelationshipsCount(uint256 _plantId) public view returns (uint256) {
+    return plantRelationships[_plantId].length;
+  }
+
+  /**
+   * @notice Retrieves a page of the relationships a plant takes part in, on either side, whatever their votes.
+   * @dev Relationships are listed in the order they were proposed. `_limit` is capped at `MAX_PAGE_SIZE`, and
+   * pages past the last relationship are empty.
+   * @param _plantId The ID of the plant.
+   * @param _offset The position of the first relationship of the page.
+   * @param _limit The maximum number of relationships to return.
+   * @return page The relationships of the page.
+   */
+  function getPlantRelationships(
+    uint256 _plantId,
+    uint256 _offset,
+    uint256 _limit
+  ) public view returns (PlantRelationship[] memory page) {
+    require(_plantId < globalPlantCatalog.getTotalPlantsCount(), "PAR: Plant ID does not exist");
+    uint256[] storage ids = plantRelationships[_plantId];
+    uint256 size = Pagination.pageSize(ids.length, _offset, _limit, MAX_PAGE_SIZE);
+
+    page = new PlantRelationship[](size);
+    for (uint256 i = 0; i < size; i++) {
+      page[i] = relationships[ids[_offset + i]];
+    }
+  }
+
+  /**
+   * @notice Key under which a relationship is registered. Only nurse relationships depend on the order of the
+   * plants, so a companion of plant 1 and plant 2 has the same key as a companion of plant 2 and plant 1.
+   * @param _plantId The ID of the first plant.
+   * @param _relatedPlantId The ID of the second plant.
+   * @param _relationshipType The type of the relationship.
+   * @return The keccak256 hash of the type and both plant IDs.
+   */
+  function relationshipKey(
+    uint256 _plantId,
+    uint256 _relatedPlantId,
+    RelationshipType _relationshipType
+  ) public pure returns (bytes32) {
+    if (_relationshipType != RelationshipType.Nurse && _relatedPlantId < _plantId) {
+      (_plantId, _relatedPlantId) = (_relatedPlantId, _plantId);
+    }
+    return keccak256(abi.encode(_relationshipType, _plantId, _relatedPlantId));
+  }
+
+  // --- Internal Functions ---
+
+  /// @dev Stores the stratum and successional stage of a plant.
+  function _setAgroforestryAttributes(
+    uint256 _plantId,
+    AgroforestryAttributes memory _attributes,
+    address _editor
+  ) internal {
+    plantAgroforestry[_plantId] = _attributes;
+    emit AgroforestryAttributesSet(_plantId, _editor, _attributes);
+  }
+
+  /// @dev Records a vote on a relationship. Voting with the same type again has no effect.
+  function _voteOnRelationship(uint256 _relationshipId, GlobalPlantCatalog.VoteType _voteType) internal {
+    PlantRelationship storage relationship = relationships[_relationshipId];
+    bool changed;
+    (changed, relationship.upvotes, relationship.downvotes) = Votes.cast(
+      relationshipVotes[_relationshipId],
+      msg.sender,
+      _voteType,
+      relationship.upvotes,
+      relationship.downvotes
+    );
+    if (!changed) return;
+
+    emit RelationshipVoted(_relationshipId, msg.sender, _voteType);
+  }
+}
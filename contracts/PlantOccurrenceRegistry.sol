@@ -0,0 +1,365 @@
+// SPDX-License-Identifier: GPL-3.0
+pragma solidity ^0.8.0;
+
+import "@openzeppelin/contracts-upgradeable/proxy/utils/Initializable.sol";
+import "./GlobalPlantCatalog.sol";
+import "./libraries/Pagination.sol";
+
+/**
+ * @title PlantOccurrenceRegistry
+ * @author Sintrop
+ * @notice A registry of where the plants of the GlobalPlantCatalog were observed growing.
+ * @dev Each occurrence links a catalog plant to a place, given as fixed-point coordinates or as a geohash, an
+ * observation date and the IPFS CID of its evidence. Occurrences are indexed by plant and by every geohash
+ * prefix up to `GEOHASH_INDEX_PRECISION` characters, so the occurrences of a region can be listed on-chain.
+ */
+contract PlantOccurrenceRegistry is Initializable {
+  // --- Constants ---
+
+  /// @notice Maximum number of occurrences returned by one call of the paginated views.
+  uint256 public constant MAX_PAGE_SIZE = 100;
+
+  /// @notice Number of decimals of the fixed-point coordinates: 6, a millionth of a degree (about 11 cm).
+  uint8 public constant COORDINATE_DECIMALS = 6;
+
+  /// @notice Length of the geohash of occurrences reported with coordinates: 9 characters, a cell of about 5 m.
+  uint256 public constant COORDINATES_GEOHASH_PRECISION = 9;
+
+  /// @notice Longest geohash accepted: 12 characters, a cell of a few centimeters.
+  uint256 public constant MAX_GEOHASH_PRECISION = 12;
+
+  /// @notice Longest geohash prefix occurrences are indexed by: 6 characters, a cell of about 1.2 km by 0.6 km.
+  uint256 public constant GEOHASH_INDEX_PRECISION = 6;
+
+  // Coordinate ranges, in fixed-point degrees.
+  int256 private constant MAX_LATITUDE = 90_000_000;
+  int256 private constant MAX_LONGITUDE = 180_000_000;
+
+  // `encodeGeohash` scales the coordinates by 2^30, so the 30 halvings of each range of a geohash of
+  // `MAX_GEOHASH_PRECISION` characters are exact.
+  int256 private constant GEOHASH_SCALE = 2 ** 30;
+
+  // Base 32 alphabet of geohashes: digits and lowercase letters except "a", "i", "l" and "o".
+  bytes32 private constant GEOHASH_ALPHABET = "0123456789bcdefghjkmnpqrstuvwxyz";
+
+  // --- Structs ---
+
+  /**
+   * @notice A record of a plant observed growing somewhere.
+   * @dev Occurrences reported by geohash have no coordinates: `hasCoordinates` is false and `latitude` and
+   * `longitude` are zero.
+   */
+  struct Occurrence {
+    uint256 id; ///< @notice The unique identifier of the occurrence.
+    uint256 plantId; ///< @notice The ID of the plant in the GlobalPlantCatalog.
+    address reporter; ///< @notice The address that reported the occurrence.
+    string geohash; ///< @notice The geohash of the place, computed from the coordinates when they are given.
+    bool hasCoordinates; ///< @notice Whether the occurrence was reported with coordinates.
+    int32 latitude; ///< @notice The latitude, in millionths of a degree.
+    int32 longitude; ///< @notice The longitude, in millionths of a degree.
+    uint64 observedAt; ///< @notice The Unix timestamp of the day the plant was observed.
+    string evidenceCid; ///< @notice The IPFS CID of the evidence, such as a photo or a field record.
+    uint256 createdAt; ///< @notice The block number when the occurrence was reported.
+  }
+
+  // --- State Variables ---
+
+  /// @notice The catalog the plant IDs of the occurrences refer to.
+  GlobalPlantCatalog public globalPlantCatalog;
+
+  /// @notice The total number of occurrences, also the ID of the next occurrence. IDs start at 0.
+  uint256 public occurrencesCount;
+
+  /// @notice Mapping from occurrence ID to the occurrence.
+  mapping(uint256 => Occurrence) public occurrences;
+
+  /// @notice Mapping from plant ID to the IDs of its occurrences, in the order they were reported.
+  mapping(uint256 => uint256[]) public plantOccurrences;
+
+  /// @dev Mapping from the hash of a geohash prefix to the IDs of the occurrences inside it.
+  mapping(bytes32 => uint256[]) private geohashOccurrences;
+
+  /// @dev Reserved storage slots, so later versions can add state variables without shifting the storage layout.
+  uint256[45] private __gap;
+
+  // --- Events ---
+
+  /// @notice Emitted when an occurrence is reported.
+  /// @param occurrenceId The ID of the new occurrence.
+  /// @param plantId The ID of the observed plant.
+  /// @param reporter The address that reported the occurrence.
+  /// @param geohash The geohash of the place.
+  event OccurrenceReported(
+    uint256 indexed occurrenceId,
+    uint256 indexed plantId,
+    address indexed reporter,
+    string geohash
+  );
+
+  // --- Initialization ---
+
+  /// @custom:oz-upgrades-unsafe-allow constructor
+  constructor() {
+    _disableInitializers();
+  }
+
+  /**
+   * @notice Initializes the contract behind its proxy.
+   * @dev Called once by the proxy when it is deployed. The constructor locks the implementation contract itself.
+   * @param _globalPlantCatalog The address of the GlobalPlantCatalog.
+   */
+  function initialize(GlobalPlantCatalog _globalPlantCatalog) public initializer {
+    require(address(_globalPlantCatalog) != address(0), "POR: Invalid catalog address");
+    globalPlantCatalog = _globalPlantCatalog;
+  }
+
+  // --- Public Functions ---
+
+  /**
+   * @notice Reports that a plant was observed at a point.
+   * @dev The geohash of the occurrence is computed from the coordinates with `COORDINATES_GEOHASH_PRECISION`.
+   * @param _plantId The ID of the plant. Duplicate plants are rejected, report their canonical plant.
+   * @param _latitude The latitude, in millionths of a degree, between -90 and 90 degrees.
+   * @param _longitude The longitude, in millionths of a degree, between -180 and 180 degrees.
+   * @param _observedAt The Unix timestamp of the observation. Cannot be in the future.
+   * @param _evidenceCid The IPFS CID of the evidence. Cannot be empty and must be less than 150 characters.
+   * @return occurrenceId The ID of the new occurrence.
+   */
+  function reportOccurrence(
+    uint256 _plantId,
+    int32 _latitude,
+    int32 _longitude,
+    uint64 _observedAt,
+    string memory _evidenceCid
+  ) public returns (uint256 occurrenceId) {
+    string memory geohash = encodeGeohash(_latitude, _longitude, COORDINATES_GEOHASH_PRECISION);
+
+    occurrenceId = _report(_plantId, geohash, _observedAt, _evidenceCid);
+    Occurrence storage occurrence = occurrences[occurrenceId];
+    occurrence.hasCoordinates = true;
+    occurrence.latitude = _latitude;
+    occurrence.longitude = _longitude;
+  }
+
+  /**
+   * @notice Reports that a plant was observed inside a geohash cell, without exact coordinates. Useful when the
+   * place is only known roughly, or to avoid revealing where a threatened species grows.
+   * @param _plantId The ID of the plant. Duplicate plants are rejected, report their canonical plant.
+   * @param _geohash The lowercase geohash of the place, up to `MAX_GEOHASH_PRECISION` characters.
+   * @param _observedAt The Unix timestamp of the observation. Cannot be in the future.
+   * @param _evidenceCid The IPFS CID of the evidence. Cannot be empty and must be less than 150 characters.
+   * @return occurrenceId The ID of the new occurrence.
+   */
+  function reportOccurrenceByGeohash(
+    uint256 _plantId,
+    string memory _geohash,
+    uint64 _observedAt,
+    string memory _evidenceCid
+  ) public returns (uint256 occurrenceId) {
+    require(_isGeohash(bytes(_geohash), MAX_GEOHASH_PRECISION), "POR: Invalid geohash");
+
+    occurrenceId = _report(_plantId, _geohash, _observedAt, _evidenceCid);
+  }
+
+  // --- View Functions ---
+
+  /**
+   * @notice Retrieves an occurrence.
+   * @param _occurrenceId The ID of the occurrence.
+   * @return The `Occurrence` struct.
+   */
+  function getOccurrence(uint256 _occurrenceId) public view returns (Occurrence memory) {
+    require(_occurrenceId < occurrencesCount, "POR: Occurrence ID does not exist");
+    return occurrences[_occurrenceId];
+  }
+
+  /**
+   * @notice Retrieves a page of occurrences in ID order.
+   * @param _offset The position of the first occurrence of the page, the same as its ID.
+   * @param _limit The maximum number of occurrences to return, capped at `MAX_PAGE_SIZE`.
+   * @return page The occurrences of the page.
+   */
+  function getOccurrences(uint256 _offset, uint256 _limit) public view returns (Occurrence[] memory page) {
+    uint256 size = Pagination.pageSize(occurrencesCount, _offset, _limit, MAX_PAGE_SIZE);
+
+    page = new Occurrence[](size);
+    for (uint256 i = 0; i < size; i++) {
+      page[i] = occurrences[_offset + i];
+    }
+  }
+
+  /**
+   * @notice Returns the number of occurrences of a plant.
+   * @param _plantId The ID of the plant.
+   */
+  function getPlantOccurrencesCount(uint256 _plantId) public view returns (uint256) {
+    require(_plantId < globalPlantCatalog.getTotalPlantsCount(), "POR: Plant ID does not exist");
+    return plantOccurrences[_plantId].length;
+  }
+
+  /**
+   * @notice Retrieves a page of the occurrences of a plant, in the order they were reported.
+   * @param _plantId The ID of the plant.
+   * @param _offset The position of the first occurrence of the page.
+   * @param _limit The maximum number of occurrences to return, capped at `MAX_PAGE_SIZE`.
+   * @return page The occurrences of the page.
+   */
+  function getPlantOccurrences(
+    uint256 _plantId,
+    uint256 _offset,
+    uint256 _limit
+  ) public view returns (Occurrence[] memory page) {
+    require(_plantId < globalPlantCatalog.getTotalPlantsCount(), "POR: Plant ID does not exist");
+    return _occurrencesPage(plantOccurrences[_plantId], _offset, _limit);
+  }
+
+  /**
+   * @notice Returns the number of occurrences inside a geohash prefix.
+   * @param _prefix A lowercase geohash prefix of 1 to `GEOHASH_INDEX_PRECISION` characters.
+   */
+  function getGeohashOccurrencesCount(string memory _prefix) public view returns (uint256) {
+    return geohashOccurrences[_prefixKey(_prefix)].length;
+  }
+
+  /**
+   * @notice Retrieves a page of the occurrences inside a geohash prefix, in the order they were reported.
+   * @dev Occurrences reported with a geohash shorter than the prefix cover a larger cell and are not included.
+   * @param _prefix A lowercase geohash prefix of 1 to `GEOHASH_INDEX_PRECISION` characters.
+   * @param _offset The position of the first occurrence of the page.
+   * @param _limit The maximum number of occurrences to return, capped at `MAX_PAGE_SIZE`.
+   * @return page The occurrences of the page.
+   */
+  function getGeohashOccurrences(
+    string memory _prefix,
+    uint256 _offset,
+    uint256 _limit
+  ) public view returns (Occurrence[] memory page) {
+    return _occurrencesPage(geohashOccurrences[_prefixKey(_prefix)], _offset, _limit);
+  }
+
+  /**
+   * @notice Encodes fixed-point coordinates as a geohash.
+   * @dev Halves the longitude and latitude ranges alternately, starting with the longitude, and writes one
+   * base 32 character every 5 halvings.
+   * @param _latitude The latitude, in millionths of a degree, between -90 and 90 degrees.
+   * @param _longitude The longitude, in millionths of a degree, between -180 and 180 degrees.
+   * @param _precision The length of the geohash, from 1 to `MAX_GEOHASH_PRECISION`.
+   * @return The lowercase geohash.
+   */
+  function encodeGeohash(int32 _latitude, int32 _longitude, uint256 _precision) public pure returns (string memory) {
+    require(-MAX_LATITUDE <= _latitude && _latitude <= MAX_LATITUDE, "POR: Latitude must be between -90 and 90");
+    require(-MAX_LONGITUDE <= _longitude && _longitude <= MAX_LONGITUDE, "POR: Longitude must be between -180 and 180");
+    require(_precision > 0 && _precision <= MAX_GEOHASH_PRECISION, "POR: Invalid geohash precision");
+
+    int256[2] memory latitudeRange = [-MAX_LATITUDE * GEOHASH_SCALE, MAX_LATITUDE * GEOHASH_SCALE];
+    int256[2] memory longitudeRange = [-MAX_LONGITUDE * GEOHASH_SCALE, MAX_LONGITUDE * GEOHASH_SCALE];
+    bytes memory geohash = new bytes(_precision);
+
+    for (uint256 i = 0; i < _precision * 5; i++) {
+      // Even bits halve the longitude, odd bits the latitude.
+      int256[2] memory range = i % 2 == 0 ? longitudeRange : latitudeRange;
+      int256 value = (i % 2 == 0 ? _longitude : _latitude) * GEOHASH_SCALE;
+      int256 middle = (range[0] + range[1]) / 2;
+      uint8 bit = 0;
+
+      if (value >= middle) {
+        bit = 1;
+        range[0] = middle;
+      } else {
+        range[1] = middle;
+      }
+      geohash[i / 5] = bytes1((uint8(geohash[i / 5]) << 1) | bit);
+    }
+
+    for (uint256 i = 0; i < _precision; i++) {
+      geohash[i] = GEOHASH_ALPHABET[uint8(geohash[i])];
+    }
+
+    return string(geohash);
+  }
+
+  // --- Internal Functions ---
+
+  /**
+   * @dev Stores an occurrence without coordinates and indexes it by plant and by the prefixes of its geohash.
+   */
+  function _report(
+    uint256 _plantId,
+    string memory _geohash,
+    uint64 _observedAt,
+    string memory _evidenceCid
+  ) internal returns (uint256 occurrenceId) {
+    require(_plantId < globalPlantCatalog.getTotalPlantsCount(), "POR: Plant ID does not exist");
+    require(!globalPlantCatalog.isDuplicate(_plantId), "POR: Plant is a duplicate, report its canonical plant");
+    require(_observedAt > 0, "POR: Observation date is required");
+    require(_observedAt <= block.timestamp, "POR: Observation date cannot be in the future");
+    require(
+      bytes(_evidenceCid).length > 0 && bytes(_evidenceCid).length < 150,
+      "POR: Evidence CID must be between 1 and 149 characters"
+    );
+
+    occurrenceId = occurrencesCount;
+    occurrences[occurrenceId] = Occurrence(
+      occurrenceId,
+      _plantId,
+      msg.sender,
+      _geohash,
+      false, // hasCoordinates
+      0, // latitude
+      0, // longitude
+      _observedAt,
+      _evidenceCid,
+      block.number
+    );
+    plantOccurrences[_plantId].push(occurrenceId);
+
+    bytes memory geohash = bytes(_geohash);
+    uint256 indexedLength = geohash.length < GEOHASH_INDEX_PRECISION ? geohash.length : GEOHASH_INDEX_PRECISION;
+    for (uint256 length = 1; length <= indexedLength; length++) {
+      geohashOccurrences[keccak256(_slice(geohash, length))].push(occurrenceId);
+    }
+    occurrencesCount++;
+
+    emit OccurrenceReported(occurrenceId, _plantId, msg.sender, _geohash);
+  }
+
+  /// @dev Key of a geohash prefix in `geohashOccurrences`, reverting when the prefix cannot be indexed.
+  function _prefixKey(string memory _prefix) internal pure returns (bytes32) {
+    require(_isGeohash(bytes(_prefix), GEOHASH_INDEX_PRECISION), "POR: Invalid geohash prefix");
+    return keccak256(bytes(_prefix));
+  }
+
+  /// @dev Whether a value is a lowercase geohash of 1 to `_maxLength` characters.
+  function _isGeohash(bytes memory _value, uint256 _maxLength) internal pure returns (bool) {
+    if (_value.length == 0 || _value.length > _maxLength) return false;
+
+    for (uint256 i = 0; i < _value.length; i++) {
+      bytes1 character = _value[i];
+      bool isDigit = character >= "0" && character <= "9";
+      bool isLetter = character >= "b" && character <= "z" && character != "i" && character != "l" && character != "o";
+      if (!isDigit && !isLetter) return false;
+    }
+    return true;
+  }
+
+  /// @dev The first `_length` bytes of a value.
+  function _slice(bytes memory _value, uint256 _length) internal pure returns (bytes memory slice) {
+    slice = new bytes(_length);
+    for (uint256 i = 0; i < _length; i++) {
+      slice[i] = _value[i];
+    }
+  }
+
+  function _occurrencesPage(
+    uint256[] storage _ids,
+    uint256 _offset,
+    uint256 _limit
+  ) internal view returns (Occurrence[] memory page) {
+    uint256 size = Pagination.pageSize(_ids.length, _offset, _limit, MAX_PAGE_SIZE);
+
+    page = new Occurrence[](size);
+    for (uint256 i = 0; i < size; i++) {
+      page[i] = occurrences[_ids[_offset + i]];
+    }
+  }
+}
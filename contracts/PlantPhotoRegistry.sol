@@ -0,0 +1,253 @@
+// SPDX-License-Identifier: GPL-3.0
+pragma solidity ^0.8.0;
+
+import "@openzeppelin/contracts-upgradeable/proxy/utils/Initializable.sol";
+import "./GlobalPlantCatalog.sol";
+import "./libraries/Pagination.sol";
+import "./libraries/Votes.sol";
+
+/**
+ * @title PlantPhotoRegistry
+ * @author Sintrop
+ * @notice The photo galleries of the plants of the GlobalPlantCatalog. Anyone can add photos of a part of a
+ * plant, and the best voted one becomes the primary photo of the plant.
+ * @dev Deployed before the catalog, then bound to it by its deployer.
+ */
+contract PlantPhotoRegistry is Initializable {
+  // --- Enums ---
+
+  /// @notice Part of the plant shown by a photo of its gallery.
+  enum PhotoType {
+    WholePlant,
+    Leaf,
+    Flower,
+    Fruit,
+    Seed
+  }
+
+  // --- Data Structures ---
+
+  /**
+   * @dev Structure of a photo added to the gallery of a plant.
+   * @param id Unique identifier of the photo.
+   * @param plantId ID of the plant shown in the photo.
+   * @param photoType The part of the plant the photo shows.
+   * @param photoHash An IPFS hash or URL of the photo.
+   * @param contributor The wallet address that added the photo.
+   * @param createdAt The block number when the photo was added.
+   * @param upvotes The total count of positive votes.
+   * @param downvotes The total count of negative votes.
+   */
+  struct PlantPhoto {
+    uint256 id;
+    uint256 plantId;
+    PhotoType photoType;
+    string photoHash;
+    address contributor;
+    uint256 createdAt;
+    uint256 upvotes;
+    uint256 downvotes;
+  }
+
+  // --- State Variables ---
+
+  /// @notice Maximum number of photos returned by one call of `getPlantPhotos`.
+  uint256 public constant MAX_PAGE_SIZE = 100;
+
+  /// @notice The catalog the plant IDs refer to, set once by `bindCatalog`.
+  GlobalPlantCatalog public globalPlantCatalog;
+
+  /// @notice Counter of gallery photos. Also the ID of the next photo, starting at 0.
+  uint256 public photosCount;
+
+  /// @notice Mapping from photo ID to the complete PlantPhoto data structure.
+  mapping(uint256 => PlantPhoto) public photos;
+
+  /// @notice Mapping from plant ID to the IDs of the photos of its gallery, in the order they were added.
+  mapping(uint256 => uint256[]) public plantPhotos;
+
+  /// @notice Tracks the vote cast by each user on each photo.
+  mapping(uint256 => mapping(address => GlobalPlantCatalog.VoteType)) public photoVotes;
+
+  /// @dev Account that deployed the registry, the only one that can bind it. Cleared once it is bound.
+  address private _deployer;
+
+  /// @dev Reserved storage slots, so later versions can add state variables without shifting the storage layout.
+  uint256[44] private __gap;
+
+  // --- Events ---
+
+  /**
+   * @notice Emitted when a photo is added to the gallery of a plant.
+   * @param photoId The unique ID of the photo.
+   * @param plantId The ID of the plant.
+   * @param contributor The wallet address that added the photo.
+   * @param photoType The part of the plant the photo shows.
+   */
+  event PhotoAdded(uint256 indexed photoId, uint256 indexed plantId, address indexed contributor, PhotoType photoType);
+
+  /**
+   * @notice Emitted when a user casts or changes their vote on a photo.
+   * @param photoId The ID of the photo.
+   * @param voter The address of the user who voted.
+   * @param voteType The type of vote cast (Upvote or Downvote).
+   */
+  event PhotoVoted(uint256 indexed photoId, address indexed voter, GlobalPlantCatalog.VoteType voteType);
+
+  // --- Initialization ---
+
+  /// @custom:oz-upgrades-unsafe-allow constructor
+  constructor() {
+    _disableInitializers();
+  }
+
+  /**
+   * @notice Initializes the contract behind its proxy.
+   * @dev Called once by the proxy when it is deployed. The constructor locks the implementation contract itself.
+   * The registry is unusable until its deployer binds it to the catalog with `bindCatalog`.
+   */
+  function initialize() public initializer {
+    _deployer = msg.sender;
+  }
+
+  /**
+   * @notice Binds the registry to its catalog, once the catalog was deployed with it.
+   * @dev Only the account that deployed the registry can bind it, and only to a catalog that lists this registry
+   * as its `plantPhotoRegistry`.
+   * @param _globalPlantCatalog The catalog of the registry.
+   */
+  function bindCatalog(GlobalPlantCatalog _globalPlantCatalog) public {
+    require(address(globalPlantCatalog) == address(0), "PPR: Catalog already bound");
+    require(msg.sender == _deployer, "PPR: Only the deployer can bind the registry");
+    require(
+      address(_globalPlantCatalog.plantPhotoRegistry()) == address(this),
+      "PPR: Registry is not listed by the catalog"
+    );
+    globalPlantCatalog = _globalPlantCatalog;
+    delete _deployer;
+  }
+
+  // --- Functions ---
+
+  /**
+   * @notice Adds a photo of a part of a plant to its gallery. Anyone can add photos, and the best voted one
+   * becomes the primary photo of the plant, see `getPrimaryPhoto`.
+   * @param _plantId The ID of the plant.
+   * @param _photoType The part of the plant the photo shows.
+   * @param _photoHash An IPFS hash or URL of the photo.
+   * @return photoId The ID of the new photo.
+   */
+  function addPhoto(uint256 _plantId, PhotoType _photoType, string memory _photoHash) public returns (uint256 photoId) {
+    require(_plantId < globalPlantCatalog.getTotalPlantsCount(), "PPR: Plant ID does not exist");
+    require(!globalPlantCatalog.isDuplicate(_plantId), "PPR: Plant is a duplicate, add photos to its canonical plant");
+    require(
+      bytes(_photoHash).length > 0 && bytes(_photoHash).length < 150,
+      "String must be between 1 and 149 characters"
+    );
+
+    photoId = photosCount;
+    photos[photoId] = PlantPhoto(
+      photoId,
+      _plantId,
+      _photoType,
+      _photoHash,
+      msg.sender,
+      block.number,
+      0, // upvotes
+      0 // downvotes
+    );
+    plantPhotos[_plantId].push(photoId);
+    photosCount++;
+
+    emit PhotoAdded(photoId, _plantId, msg.sender, _photoType);
+  }
+
+  /**
+   * @notice Casts a vote on a photo. A user can change their vote, as in `GlobalPlantCatalog.vote`.
+   * @dev Only the accounts accepted by the voter registry of the catalog can vote.
+   * @param _photoId The ID of the photo.
+   * @param _voteType The type of vote: `VoteType.Upvote` or `VoteType.Downvote`.
+   */
+  function voteOnPhoto(uint256 _photoId, GlobalPlantCatalog.VoteType _voteType) public {
+    require(_photoId < photosCount, "PPR: Photo ID does not exist");
+    require(Votes.isValid(_voteType), "PPR: Invalid vote type");
+    require(globalPlantCatalog.isEligibleVoter(msg.sender), "PPR: Voter is not eligible");
+
+    PlantPhoto storage photo = photos[_photoId];
+    bool changed;
+    (changed, photo.upvotes, photo.downvotes) = Votes.cast(
+      photoVotes[_photoId],
+      msg.sender,
+      _voteType,
+      photo.upvotes,
+      photo.downvotes
+    );
+    if (!changed) return;
+
+    emit PhotoVoted(_photoId, msg.sender, _voteType);
+  }
+
+  function getPhoto(uint256 _photoId) public view returns (PlantPhoto memory) {
+    require(_photoId < photosCount, "PPR: Photo ID does not exist");
+    return photos[_photoId];
+  }
+
+  function getPlantPhotosCount(uint256 _plantId) public view returns (uint256) {
+    return plantPhotos[_plantId].length;
+  }
+
+  /**
+   * @notice Retrieves a page of the gallery of a plant, in the order the photos were added.
+   * @dev `_limit` is capped at `MAX_PAGE_SIZE`, and pages past the last photo are empty.
+   * @param _plantId The ID of the plant.
+   * @param _offset The position of the first photo of the page.
+   * @param _limit The maximum number of photos to return.
+   * @return page The photos of the page.
+   */
+  function getPlantPhotos(
+    uint256 _plantId,
+    uint256 _offset,
+    uint256 _limit
+  ) public view returns (PlantPhoto[] memory page) {
+    require(_plantId < globalPlantCatalog.getTotalPlantsCount(), "PPR: Plant ID does not exist");
+    uint256[] storage ids = plantPhotos[_plantId];
+    uint256 size = Pagination.pageSize(ids.length, _offset, _limit, MAX_PAGE_SIZE);
+
+    page = new PlantPhoto[](size);
+    for (uint256 i = 0; i < size; i++) {
+      page[i] = photos[ids[_offset + i]];
+    }
+  }
+
+  /**
+   * @notice Retrieves the photo clients should show first for a plant: the gallery photo with the highest net
+   * score (positive minus negative votes), the oldest one on ties. Until a gallery photo has more positive than
+   * negative votes, it is the photo the plant was added with.
+   * @dev Reads the whole gallery, so it is meant for off-chain calls.
+   * @param _plantId The ID of the plant.
+   * @return inGallery Whether the photo comes from the gallery.
+   * @return photoId The ID of the gallery photo. Only meaningful when `inGallery` is true.
+   * @return photoHash The IPFS hash or URL of the photo.
+   */
+  function getPrimaryPhoto(
+    uint256 _plantId
+  ) public view returns (bool inGallery, uint256 photoId, string memory photoHash) {
+    require(_plantId < globalPlantCatalog.getTotalPlantsCount(), "PPR: Plant ID does not exist");
+    uint256[] storage ids = plantPhotos[_plantId];
+    int256 bestScore = 0;
+
+    for (uint256 i = 0; i < ids.length; i++) {
+      PlantPhoto storage photo = photos[ids[i]];
+      int256 score = int256(photo.upvotes) - int256(photo.downvotes);
+      if (score > bestScore) {
+        bestScore = score;
+        inGallery = true;
+        photoId = photo.id;
+      }
+    }
+
+    photoHash = inGallery ? photos[photoId].photoHash : globalPlantCatalog.getPlant(_plantId).photoHash;
+  }
+
+  // --- Internal Functions ---
+}
@@ -0,0 +1,348 @@
+// SPDX-License-Identifier: GPL-3.0
+pragma solidity ^0.8.0;
+
+import "@openzeppelin/contracts-upgradeable/proxy/utils/Initializable.sol";
+import "./GlobalPlantCatalog.sol";
+import "./PlantAgroforestryRegistry.sol";
+import "./PlantTaxonomyRegistry.sol";
+import "./libraries/Votes.sol";
+
+/**
+ * @title PlantRevisionRegistry
+ * @author Sintrop
+ * @notice Community revisions of the plants of the GlobalPlantCatalog. Anyone can propose a revision replacing
+ * every editable field of a plant, and the plant takes its fields once the votes accept it.
+ * @dev Deployed before the catalog, then bound to it by its deployer. An accepted revision is applied to the
+ * catalog, the PlantTaxonomyRegistry and the PlantAgroforestryRegistry, which only take revisions from this registry.
+ */
+contract PlantRevisionRegistry is Initializable {
+  // --- Data Structures ---
+
+  /**
+   * @dev Structure of the editable fields of a plant, changed together by a revision.
+   * @param popularName Popular name of the plant/tree.
+   * @param scientificName Scientific name of the plant/tree.
+   * @param taxonomy Full taxonomic classification.
+   * @param description A detailed description of the plant.
+   * @param photoHash An IPFS hash or URL for the plant's photos.
+   * @param ranks The taxonomic ranks of the plant. Every rank is empty when the plant has none.
+   * @param agroforestry The stratum and successional stage of the plant, Unknown when not known.
+   */
+  struct PlantFields {
+    string popularName;
+    string scientificName;
+    string taxonomy;
+    string description;
+    string photoHash;
+    PlantTaxonomyRegistry.TaxonomicRanks ranks;
+    PlantAgroforestryRegistry.AgroforestryAttributes agroforestry;
+  }
+
+  /**
+   * @dev Structure of a revision of a plant, proposed by anyone and voted by the community.
+   * @param id Unique identifier of the revision.
+   * @param plantId ID of the revised plant.
+   * @param baseVersion Length of the revision history of the plant when the revision was proposed.
+   * @param fields Every editable field of the plant as the revision leaves it.
+   * @param proposer The wallet address that proposed the revision. Proposing counts as a positive vote.
+   * @param createdAt The block number when the revision was proposed.
+   * @param upvotes The total count of positive votes.
+   * @param downvotes The total count of negative votes.
+   * @param quorum The number of votes that resolves the revision, the quorum of the catalog when it was proposed.
+   * @param status Whether the revision is open, accepted, rejected or outdated.
+   */
+  struct PlantRevision {
+    uint256 id;
+    uint256 plantId;
+    uint256 baseVersion;
+    PlantFields fields;
+    address proposer;
+    uint256 createdAt;
+    uint256 upvotes;
+    uint256 downvotes;
+    uint256 quorum;
+    GlobalPlantCatalog.ProposalStatus status;
+  }
+
+  // --- State Variables ---
+
+  /// @notice The catalog the plant IDs refer to, set once by `bindCatalog`.
+  GlobalPlantCatalog public globalPlantCatalog;
+
+  /// @notice Counter of revisions. Also the ID of the next revision, starting at 0.
+  uint256 public revisionsCount;
+
+  /// @dev Mapping from revision ID to the complete PlantRevision data structure, read with `getRevision`.
+  mapping(uint256 => PlantRevision) internal revisions;
+
+  /// @notice Mapping from plant ID to the IDs of the revisions proposed for it, whatever their status.
+  mapping(uint256 => uint256[]) public plantRevisionProposals;
+
+  /// @notice Mapping from plant ID to the IDs of its accepted revisions, oldest first.
+  /// @dev The first revision of the history holds the plant as it was added. It is recorded when the first
+  /// revision is accepted, so the history of plants that were never revised is empty.
+  mapping(uint256 => uint256[]) public plantRevisionHistory;
+
+  /// @notice Tracks the vote cast by each user on each revision.
+  mapping(uint256 => mapping(address => GlobalPlantCatalog.VoteType)) public revisionVotes;
+
+  /// @dev Account that deployed the registry, the only one that can bind it. Cleared once it is bound.
+  address private _deployer;
+
+  /// @dev Reserved storage slots, so later versions can add state variables without shifting the storage layout.
+  uint256[43] private __gap;
+
+  // --- Events ---
+
+  /**
+   * @notice Emitted when a revision of a plant is proposed.
+   * @param revisionId The unique ID of the revision.
+   * @param plantId The ID of the revised plant.
+   * @param proposer The wallet address that proposed the revision.
+   */
+  event RevisionProposed(uint256 indexed revisionId, uint256 indexed plantId, address indexed proposer);
+
+  /**
+   * @notice Emitted when a user casts or changes their vote on a revision.
+   * @param revisionId The ID of the revision.
+   * @param voter The address of the user who voted.
+   * @param voteType The type of vote cast (Upvote or Downvote).
+   */
+  event RevisionVoted(uint256 indexed revisionId, address indexed voter, GlobalPlantCatalog.VoteType voteType);
+
+  /**
+   * @notice Emitted when the votes on a revision reach its quorum, either way.
+   * @param revisionId The ID of the revision.
+   * @param plantId The ID of the revised plant.
+   * @param status Accepted when the plant now holds the fields of the revision, otherwise Rejected or Outdated.
+   */
+  event RevisionResolved(uint256 indexed revisionId, uint256 indexed plantId, GlobalPlantCatalog.ProposalStatus status);
+
+  // --- Initialization ---
+
+  /// @custom:oz-upgrades-unsafe-allow constructor
+  constructor() {
+    _disableInitializers();
+  }
+
+  /**
+   * @notice Initializes the contract behind its proxy.
+   * @dev Called once by the proxy when it is deployed. The constructor locks the implementation contract itself.
+   * The registry is unusable until its deployer binds it to the catalog with `bindCatalog`.
+   */
+  function initialize() public initializer {
+    _deployer = msg.sender;
+  }
+
+  /**
+   * @notice Binds the registry to its catalog, once the catalog was deployed with it.
+   * @dev Only the account that deployed the registry can bind it, and only to a catalog that lists this registry
+   * as its `plantRevisionRegistry`.
+   * @param _globalPlantCatalog The catalog of the registry.
+   */
+  function bindCatalog(GlobalPlantCatalog _globalPlantCatalog) public {
+    require(address(globalPlantCatalog) == address(0), "PRR: Catalog already bound");
+    require(msg.sender == _deployer, "PRR: Only the deployer can bind the registry");
+    require(
+      address(_globalPlantCatalog.plantRevisionRegistry()) == address(this),
+      "PRR: Registry is not listed by the catalog"
+    );
+    globalPlantCatalog = _globalPlantCatalog;
+    delete _deployer;
+  }
+
+  // --- Functions ---
+
+  /**
+   * @notice Proposes a revision of a plant, replacing every editable field, to fix or complete it. Proposing
+   * counts as a positive vote.
+   * @dev The fields follow the rules of `GlobalPlantCatalog.addPlant` and `PlantTaxonomyRegistry.setTaxonomicRanks`,
+   * and the ranks may all be empty. The revision is resolved by the vote that reaches `GlobalPlantCatalog.quorum`
+   * as it was when the revision was proposed, see `voteOnRevision`. Only eligible voters can propose revisions.
+   * @param _plantId The ID of the plant to revise.
+   * @param _fields The fields of the plant as the revision leaves them.
+   * @return revisionId The ID of the new revision.
+   */
+  function proposeRevision(uint256 _plantId, PlantFields memory _fields) public returns (uint256 revisionId) {
+    GlobalPlantCatalog catalog = globalPlantCatalog;
+    require(_plantId < catalog.getTotalPlantsCount(), "PRR: Plant ID does not exist");
+    require(!catalog.isDuplicate(_plantId), "PRR: Plant is a duplicate, edit its canonical plant");
+    require(catalog.isEligibleVoter(msg.sender), "PRR: Voter is not eligible");
+    catalog.validatePlantFields(
+      _fields.popularName,
+      _fields.scientificName,
+      _fields.taxonomy,
+      _fields.description,
+      _fields.photoHash
+    );
+    PlantTaxonomyRegistry taxonomy = catalog.plantTaxonomyRegistry();
+    if (!taxonomy.isEmpty(_fields.ranks)) taxonomy.validateRanks(_fields.ranks);
+    require(catalog.isScientificNameFree(_plantId, _fields.scientificName), "PRR: Scientific name already registered");
+
+    revisionId = revisionsCount;
+    PlantRevision storage revision = revisions[revisionId];
+    revision.id = revisionId;
+    revision.plantId = _plantId;
+    revision.baseVersion = plantRevisionHistory[_plantId].length;
+    revision.fields = _fields;
+    revision.proposer = msg.sender;
+    revision.createdAt = block.number;
+    revision.quorum = catalog.quorum();
+
+    plantRevisionProposals[_plantId].push(revisionId);
+    revisionsCount++;
+
+    emit RevisionProposed(revisionId, _plantId, msg.sender);
+    _voteOnRevision(revisionId, GlobalPlantCatalog.VoteType.Upvote);
+  }
+
+  /**
+   * @notice Casts a vote on an open revision. A user can change their vote, as in `GlobalPlantCatalog.vote`.
+   * @dev Only the accounts accepted by the voter registry of the catalog can vote. The vote that reaches the quorum
+   * of the revision resolves it: it is accepted when the positive votes are the majority, and the plant then takes
+   * its fields, unless the plant was revised since the revision was proposed.
+   * @param _revisionId The ID of the revision.
+   * @param _voteType The type of vote: `VoteType.Upvote` or `VoteType.Downvote`.
+   */
+  function voteOnRevision(uint256 _revisionId, GlobalPlantCatalog.VoteType _voteType) public {
+    require(_revisionId < revisionsCount, "PRR: Revision ID does not exist");
+    require(Votes.isValid(_voteType), "PRR: Invalid vote type");
+    require(
+      revisions[_revisionId].status == GlobalPlantCatalog.ProposalStatus.Open,
+      "PRR: Proposal is already resolved"
+    );
+    require(globalPlantCatalog.isEligibleVoter(msg.sender), "PRR: Voter is not eligible");
+
+    _voteOnRevision(_revisionId, _voteType);
+  }
+
+  /**
+   * @notice Checks if a revision of a plant was accepted. The creator of a revised plant can no longer set its
+   * taxonomic ranks and agroforestry attributes directly.
+   * @param _plantId The ID of the plant.
+   * @return bool True if the revision history of the plant is not empty, false otherwise.
+   */
+  function isRevised(uint256 _plantId) public view returns (bool) {
+    return plantRevisionHistory[_plantId].length > 0;
+  }
+
+  function getRevision(uint256 _revisionId) public view returns (PlantRevision memory) {
+    require(_revisionId < revisionsCount, "PRR: Revision ID does not exist");
+    return revisions[_revisionId];
+  }
+
+  /**
+   * @notice Retrieves the IDs of every revision proposed for a plant, open and resolved.
+   * @param _plantId The ID of the plant.
+   * @return The revision IDs, in the order they were proposed.
+   */
+  function getPlantRevisions(uint256 _plantId) public view returns (uint256[] memory) {
+    require(_plantId < globalPlantCatalog.getTotalPlantsCount(), "PRR: Plant ID does not exist");
+    return plantRevisionProposals[_plantId];
+  }
+
+  /**
+   * @notice Retrieves the revision history of a plant: the plant as it was added, then every accepted revision.
+   * The last revision holds the current fields of the plant.
+   * @dev Empty for plants that were never revised, whose current fields are still the ones they were added with.
+   * @param _plantId The ID of the plant.
+   * @return history The accepted revisions, oldest first.
+   */
+  function getPlantHistory(uint256 _plantId) public view returns (PlantRevision[] memory history) {
+    require(_plantId < globalPlantCatalog.getTotalPlantsCount(), "PRR: Plant ID does not exist");
+    uint256[] storage ids = plantRevisionHistory[_plantId];
+
+    history = new PlantRevision[](ids.length);
+    for (uint256 i = 0; i < ids.length; i++) {
+      history[i] = revisions[ids[i]];
+    }
+  }
+
+  // --- Internal Functions ---
+
+  /**
+   * @dev Records a vote on an open revision and resolves it when the votes reach its quorum.
+   * Voting with the same type again has no effect.
+   */
+  function _voteOnRevision(uint256 _revisionId, GlobalPlantCatalog.VoteType _voteType) internal {
+    PlantRevision storage revision = revisions[_revisionId];
+    bool changed;
+    (changed, revision.upvotes, revision.downvotes) = Votes.cast(
+      revisionVotes[_revisionId],
+      msg.sender,
+      _voteType,
+      revision.upvotes,
+      revision.downvotes
+    );
+    if (!changed) return;
+
+    emit RevisionVoted(_revisionId, msg.sender, _voteType);
+
+    if (revision.upvotes + revision.downvotes < revision.quorum) return;
+
+    if (revision.upvotes > revision.downvotes) {
+      _applyRevision(revision);
+    } else {
+      revision.status = GlobalPlantCatalog.ProposalStatus.Rejected;
+    }
+
+    emit RevisionResolved(_revisionId, revision.plantId, revision.status);
+  }
+
+  /**
+   * @dev Gives the plant the fields of an accepted revision and adds it to the history, recording the plant
+   * as it was added first. The revision is outdated instead when the history changed since it was proposed or
+   * its scientific name was taken by another plant meanwhile.
+   */
+  function _applyRevision(PlantRevision storage _revision) internal {
+    GlobalPlantCatalog catalog = globalPlantCatalog;
+    uint256 plantId = _revision.plantId;
+    uint256[] storage history = plantRevisionHistory[plantId];
+    PlantFields storage fields = _revision.fields;
+
+    if (_revision.baseVersion != history.length || !catalog.isScientificNameFree(plantId, fields.scientificName)) {
+      _revision.status = GlobalPlantCatalog.ProposalStatus.Outdated;
+      return;
+    }
+    if (history.length == 0) {
+      history.push(_recordOriginal(plantId));
+    }
+
+    catalog.applyRevision(
+      plantId,
+      fields.popularName,
+      fields.scientificName,
+      fields.taxonomy,
+      fields.description,
+      fields.photoHash
+    );
+    catalog.plantTaxonomyRegistry().applyRevision(plantId, fields.ranks, _revision.proposer);
+    catalog.plantAgroforestryRegistry().applyRevision(plantId, fields.agroforestry, _revision.proposer);
+
+    _revision.status = GlobalPlantCatalog.ProposalStatus.Accepted;
+    history.push(_revision.id);
+  }
+
+  /// @dev Stores the current fields of a plant as an accepted revision by its creator and returns its ID.
+  function _recordOriginal(uint256 _plantId) internal returns (uint256 revisionId) {
+    GlobalPlantCatalog catalog = globalPlantCatalog;
+    GlobalPlantCatalog.Plant memory plant = catalog.getPlant(_plantId);
+
+    revisionId = revisionsCount++;
+    PlantRevision storage original = revisions[revisionId];
+    original.id = revisionId;
+    original.plantId = _plantId;
+    original.fields = PlantFields(
+      plant.popularName,
+      plant.scientificName,
+      plant.taxonomy,
+      plant.description,
+      plant.photoHash,
+      catalog.plantTaxonomyRegistry().getTaxonomicRanks(_plantId),
+      catalog.plantAgroforestryRegistry().getAgroforestryAttributes(_plantId)
+    );
+    original.proposer = plant.creator;
+    original.createdAt = plant.createdAt;
+    original.status = GlobalPlantCatalog.ProposalStatus.Accepted;
+  }
+}
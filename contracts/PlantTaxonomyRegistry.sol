@@ -0,0 +1,352 @@
+// SPDX-License-Identifier: GPL-3.0
+pragma solidity ^0.8.0;
+
+import "@openzeppelin/contracts-upgradeable/proxy/utils/Initializable.sol";
+import "./GlobalPlantCatalog.sol";
+import "./libraries/Pagination.sol";
+
+/**
+ * @title PlantTaxonomyRegistry
+ * @author Sintrop
+ * @notice The taxonomic ranks of the plants of the GlobalPlantCatalog, from kingdom to species, and the tree of
+ * families and genera they are listed in.
+ * @dev Deployed before the catalog, then bound to it by its deployer. The creator of a plant sets its ranks
+ * until a revision of the plant is accepted, then they only change through the PlantRevisionRegistry.
+ */
+contract PlantTaxonomyRegistry is Initializable {
+  // --- Data Structures ---
+
+  /**
+   * @dev Structure of the taxonomic ranks of a plant, from kingdom to species, e.g. Plantae, Tracheophyta,
+   * Magnoliopsida, Fabales, Fabaceae, Hymenaea and courbaril for Hymenaea courbaril.
+   * @param kingdom The kingdom, e.g. Plantae.
+   * @param phylum The phylum (division), e.g. Tracheophyta.
+   * @param class The class, e.g. Magnoliopsida.
+   * @param order The order, e.g. Fabales.
+   * @param family The family, e.g. Fabaceae.
+   * @param genus The genus, e.g. Hymenaea.
+   * @param species The specific epithet, e.g. courbaril.
+   * @param infraspecificRank The optional rank below species, e.g. subsp., var. or f. Empty when not used.
+   * @param infraspecificEpithet The epithet of the infraspecific rank, e.g. stilbocarpa. Empty when not used.
+   */
+  struct TaxonomicRanks {
+    string kingdom;
+    string phylum;
+    string class;
+    string order;
+    string family;
+    string genus;
+    string species;
+    string infraspecificRank;
+    string infraspecificEpithet;
+  }
+
+  // --- State Variables ---
+
+  /// @notice Maximum number of plants returned by one call of the paginated views.
+  uint256 public constant MAX_PAGE_SIZE = 100;
+
+  /// @notice The catalog the plant IDs refer to, set once by `bindCatalog`.
+  GlobalPlantCatalog public globalPlantCatalog;
+
+  /// @notice Mapping from plant ID to its taxonomic ranks. All ranks are empty until they are set.
+  mapping(uint256 => TaxonomicRanks) public plantRanks;
+
+  /// @notice Family names in the order they were first used, spelled as the first plant of the family.
+  /// @dev Families are never removed, so a family may have no plants left after their ranks changed.
+  string[] public families;
+
+  /// @notice Mapping from family key to the genus names used in that family, in the order they were first used.
+  /// @dev Keys are computed with `GlobalPlantCatalog.scientificNameKey`, so names are compared without letter
+  /// case and extra spaces.
+  mapping(bytes32 => string[]) public familyGenera;
+
+  /// @notice Whether a genus key was already listed in `familyGenera` of a family key.
+  mapping(bytes32 => mapping(bytes32 => bool)) public familyHasGenus;
+
+  /// @notice Mapping from family key to the IDs of the plants of that family.
+  mapping(bytes32 => uint256[]) public familyPlants;
+
+  /// @notice Mapping from genus key to the IDs of the plants of that genus.
+  mapping(bytes32 => uint256[]) public genusPlants;
+
+  /// @notice Position of each plant in its `familyPlants` list, used to remove it when its family changes.
+  mapping(uint256 => uint256) public familyPlantPosition;
+
+  /// @notice Position of each plant in its `genusPlants` list, used to remove it when its genus changes.
+  mapping(uint256 => uint256) public genusPlantPosition;
+
+  /// @dev Account that deployed the registry, the only one that can bind it. Cleared once it is bound.
+  address private _deployer;
+
+  /// @dev Reserved storage slots, so later versions can add state variables without shifting the storage layout.
+  uint256[40] private __gap;
+
+  // --- Events ---
+
+  /**
+   * @notice Emitted when the taxonomic ranks of a plant are set or changed.
+   * @param plantId The ID of the plant.
+   * @param editor The wallet address that set the ranks.
+   * @param ranks The new taxonomic ranks.
+   */
+  event TaxonomicRanksSet(uint256 indexed plantId, address indexed editor, TaxonomicRanks ranks);
+
+  // --- Initialization ---
+
+  /// @custom:oz-upgrades-unsafe-allow constructor
+  constructor() {
+    _disableInitializers();
+  }
+
+  /**
+   * @notice Initializes the contract behind its proxy.
+   * @dev Called once by the proxy when it is deployed. The constructor locks the implementation contract itself.
+   * The registry is unusable until its deployer binds it to the catalog with `bindCatalog`.
+   */
+  function initialize() public initializer {
+    _deployer = msg.sender;
+  }
+
+  /**
+   * @notice Binds the registry to its catalog, once the catalog was deployed with it.
+   * @dev Only the account that deployed the registry can bind it, and only to a catalog that lists this registry
+   * as its `plantTaxonomyRegistry`.
+   * @param _globalPlantCatalog The catalog of the registry.
+   */
+  function bindCatalog(GlobalPlantCatalog _globalPlantCatalog) public {
+    require(address(globalPlantCatalog) == address(0), "PTR: Catalog already bound");
+    require(msg.sender == _deployer, "PTR: Only the deployer can bind the registry");
+    require(
+      address(_globalPlantCatalog.plantTaxonomyRegistry()) == address(this),
+      "PTR: Registry is not listed by the catalog"
+    );
+    globalPlantCatalog = _globalPlantCatalog;
+    delete _deployer;
+  }
+
+  // --- Functions ---
+
+  /**
+   * @notice Sets the taxonomic ranks of a plant, which lists it under its family and genus. Only the creator of
+   * the plant can set them, and setting them again moves the plant to its new family and genus. Once a revision
+   * of the plant was accepted, its ranks only change through revisions.
+   * @dev Kingdom to species are required and must be between 1 and 49 characters. The infraspecific rank and
+   * epithet are optional, but must be set together.
+   * @param _plantId The ID of the plant.
+   * @param _ranks The taxonomic ranks of the plant.
+   */
+  function setTaxonomicRanks(uint256 _plantId, TaxonomicRanks memory _ranks) public {
+    require(_plantId < globalPlantCatalog.getTotalPlantsCount(), "PTR: Plant ID does not exist");
+    require(
+      globalPlantCatalog.getPlant(_plantId).creator == msg.sender,
+      "PTR: Only the creator can set the taxonomic ranks"
+    );
+    require(
+      !globalPlantCatalog.plantRevisionRegistry().isRevised(_plantId),
+      "PTR: Plant was revised, propose a revision instead"
+    );
+    validateRanks(_ranks);
+
+    _setRanks(_plantId, _ranks, msg.sender);
+  }
+
+  /**
+   * @notice Gives a plant the ranks of an accepted revision. Only the revision registry of the catalog can call it.
+   * @param _plantId The ID of the revised plant.
+   * @param _ranks The ranks of the revision, all empty to take the plant out of the tree.
+   * @param _editor The wallet address that proposed the revision.
+   */
+  function applyRevision(uint256 _plantId, TaxonomicRanks memory _ranks, address _editor) public {
+    require(
+      msg.sender == address(globalPlantCatalog.plantRevisionRegistry()),
+      "PTR: Only the revision registry can revise plants"
+    );
+
+    _setRanks(_plantId, _ranks, _editor);
+  }
+
+  /**
+   * @notice Retrieves the taxonomic ranks of a plant. Every rank is empty when they were not set.
+   * @param _plantId The ID of the plant.
+   * @return The `TaxonomicRanks` struct of the plant.
+   */
+  function getTaxonomicRanks(uint256 _plantId) public view returns (TaxonomicRanks memory) {
+    require(_plantId < globalPlantCatalog.getTotalPlantsCount(), "PTR: Plant ID does not exist");
+    return plantRanks[_plantId];
+  }
+
+  /**
+   * @notice Retrieves every family used by a plant, the first level of the catalog tree.
+   * @return The family names, in the order they were first used.
+   */
+  function getFamilies() public view returns (string[] memory) {
+    return families;
+  }
+
+  /**
+   * @notice Retrieves the genera used in a family, the second level of the catalog tree.
+   * @param _family The family name, in any letter case and spacing.
+   * @return The genus names, in the order they were first used in the family.
+   */
+  function getGenera(string memory _family) public view returns (string[] memory) {
+    return familyGenera[globalPlantCatalog.scientificNameKey(_family)];
+  }
+
+  function getPlantsCountByFamily(string memory _family) public view returns (uint256) {
+    return familyPlants[globalPlantCatalog.scientificNameKey(_family)].length;
+  }
+
+  function getPlantsCountByGenus(string memory _genus) public view returns (uint256) {
+    return genusPlants[globalPlantCatalog.scientificNameKey(_genus)].length;
+  }
+
+  /**
+   * @notice Retrieves a page of the plants of a family.
+   * @dev Plants are not kept in ID order: a plant that leaves the family is replaced by the last plant of the list.
+   * `_limit` is capped at `MAX_PAGE_SIZE`, and pages past the last plant are empty.
+   * @param _family The family name, in any letter case and spacing.
+   * @param _offset The position of the first plant of the page.
+   * @param _limit The maximum number of plants to return.
+   * @return page The plants of the page.
+   */
+  function getPlantsByFamily(
+    string memory _family,
+    uint256 _offset,
+    uint256 _limit
+  ) public view returns (GlobalPlantCatalog.Plant[] memory page) {
+    return _plantsPage(familyPlants[globalPlantCatalog.scientificNameKey(_family)], _offset, _limit);
+  }
+
+  /**
+   * @notice Retrieves a page of the plants of a genus, in the same way as `getPlantsByFamily`.
+   * @param _genus The genus name, in any letter case and spacing.
+   * @param _offset The position of the first plant of the page.
+   * @param _limit The maximum number of plants to return.
+   * @return page The plants of the page.
+   */
+  function getPlantsByGenus(
+    string memory _genus,
+    uint256 _offset,
+    uint256 _limit
+  ) public view returns (GlobalPlantCatalog.Plant[] memory page) {
+    return _plantsPage(genusPlants[globalPlantCatalog.scientificNameKey(_genus)], _offset, _limit);
+  }
+
+  /**
+   * @notice Reverts unless kingdom to species are set and the infraspecific rank and epithet are both set or
+   * empty, the rules of `setTaxonomicRanks` and of the revisions that set ranks.
+   * @param _ranks The taxonomic ranks to check.
+   */
+  function validateRanks(TaxonomicRanks memory _ranks) public pure {
+    string[7] memory required = [
+      _ranks.kingdom,
+      _ranks.phylum,
+      _ranks.class,
+      _ranks.order,
+      _ranks.family,
+      _ranks.genus,
+      _ranks.species
+    ];
+    for (uint256 i = 0; i < required.length; i++) {
+      require(
+        bytes(required[i]).length > 0 && bytes(required[i]).length < 50,
+        "PTR: Taxonomic ranks must be between 1 and 49 characters"
+      );
+    }
+
+    uint256 rankLength = bytes(_ranks.infraspecificRank).length;
+    uint256 epithetLength = bytes(_ranks.infraspecificEpithet).length;
+    require((rankLength == 0) == (epithetLength == 0), "PTR: Infraspecific rank and epithet go together");
+    require(rankLength < 50 && epithetLength < 50, "PTR: Taxonomic ranks must be between 1 and 49 characters");
+  }
+
+  /**
+   * @notice Checks if every rank is empty, as for plants whose ranks were never set.
+   * @param _ranks The taxonomic ranks to check.
+   * @return bool True if every rank is empty, false otherwise.
+   */
+  function isEmpty(TaxonomicRanks memory _ranks) public pure returns (bool) {
+    // Summing the lengths, rather than concatenating the ranks, keeps the function within the stack limit.
+    return
+      bytes(_ranks.kingdom).length +
+        bytes(_ranks.phylum).length +
+        bytes(_ranks.class).length +
+        bytes(_ranks.order).length +
+        bytes(_ranks.family).length +
+        bytes(_ranks.genus).length +
+        bytes(_ranks.species).length +
+        bytes(_ranks.infraspecificRank).length +
+        bytes(_ranks.infraspecificEpithet).length ==
+      0;
+  }
+
+  // --- Internal Functions ---
+
+  /// @dev Stores the ranks of a plant and moves it to its family and genus, or out of the tree when they are empty.
+  function _setRanks(uint256 _plantId, TaxonomicRanks memory _ranks, address _editor) internal {
+    TaxonomicRanks storage current = plantRanks[_plantId];
+    if (bytes(current.genus).length > 0) {
+      _removeFromIndex(
+        familyPlants[globalPlantCatalog.scientificNameKey(current.family)],
+        familyPlantPosition,
+        _plantId
+      );
+      _removeFromIndex(genusPlants[globalPlantCatalog.scientificNameKey(current.genus)], genusPlantPosition, _plantId);
+    }
+
+    plantRanks[_plantId] = _ranks;
+    if (!isEmpty(_ranks)) {
+      _indexRanks(_plantId, _ranks);
+    }
+    emit TaxonomicRanksSet(_plantId, _editor, _ranks);
+  }
+
+  /// @dev Lists a plant under its family and genus, adding them to the catalog tree when they are new.
+  function _indexRanks(uint256 _plantId, TaxonomicRanks memory _ranks) internal {
+    bytes32 familyKey = globalPlantCatalog.scientificNameKey(_ranks.family);
+    bytes32 genusKey = globalPlantCatalog.scientificNameKey(_ranks.genus);
+
+    if (familyGenera[familyKey].length == 0) {
+      families.push(_ranks.family);
+    }
+    if (!familyHasGenus[familyKey][genusKey]) {
+      familyHasGenus[familyKey][genusKey] = true;
+      familyGenera[familyKey].push(_ranks.genus);
+    }
+
+    familyPlantPosition[_plantId] = familyPlants[familyKey].length;
+    familyPlants[familyKey].push(_plantId);
+    genusPlantPosition[_plantId] = genusPlants[genusKey].length;
+    genusPlants[genusKey].push(_plantId);
+  }
+
+  /// @dev Removes a plant from an index list by moving the last plant of the list to its position.
+  function _removeFromIndex(
+    uint256[] storage _list,
+    mapping(uint256 => uint256) storage _positions,
+    uint256 _plantId
+  ) internal {
+    uint256 position = _positions[_plantId];
+    uint256 lastId = _list[_list.length - 1];
+
+    _list[position] = lastId;
+    _positions[lastId] = position;
+    _list.pop();
+    delete _positions[_plantId];
+  }
+
+  /// @dev Copies a page of the catalog plants listed in `_ids`.
+  function _plantsPage(
+    uint256[] storage _ids,
+    uint256 _offset,
+    uint256 _limit
+  ) internal view returns (GlobalPlantCatalog.Plant[] memory page) {
+    uint256 size = Pagination.pageSize(_ids.length, _offset, _limit, MAX_PAGE_SIZE);
+
+    page = new GlobalPlantCatalog.Plant[](size);
+    for (uint256 i = 0; i < size; i++) {
+      page[i] = globalPlantCatalog.getPlant(_ids[_offset + i]);
+    }
+  }
+}
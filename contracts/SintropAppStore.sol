@@ -1,6 +1,9 @@
 // SPDX-License-Identifier: GPL-3.0
 pragma solidity ^0.8.20;
 
+import "@openzeppelin/contracts-upgradeable/proxy/utils/Initializable.sol";
+import "./interfaces/IVoterEligibility.sol";
+
 /**
  * @title SintropAppStore v.1.0.0
  * @author Sintrop
@@ -9,7 +12,7 @@ pragma solidity ^0.8.20;
  * Vote on registered apps ou register your new impactApp.
  * @dev This contract allows users to register ImpactApps, vote on their impact, and determine their approval status dynamically.
  */
-contract SintropAppStore {
+contract SintropAppStore is Initializable {
   // --- Data Types ---
 
   /// @notice Represents a ImpactApp listed in the SintropAppStore.
@@ -41,12 +44,38 @@ contract SintropAppStore {
   /// @dev Used to generate unique IDs for new ImpactApps.
   uint256 public impactAppsCount;
 
+  /// @notice Maximum number of ImpactApps returned by one call of `getImpactApps`.
+  uint256 public constant MAX_PAGE_SIZE = 100;
+
   /// @notice Mapping of ImpactApp IDs to their complete information.
   mapping(uint256 => ImpactApp) private impactApps;
 
   /// @notice Mapping of `impactAppId => voterAddress => VoteType` to track each wallet's votes.
   mapping(uint256 => mapping(address => VoteType)) public impactAppVotes;
 
+  /// @notice Registry deciding who may vote, such as HumansPeaceTreaty, or the zero address when anyone may vote.
+  /// @dev Set once when the proxy is deployed, see `isEligibleVoter`.
+  IVoterEligibility public voterEligibility;
+
+  /// @dev Reserved storage slots, so later versions can add state variables without shifting the storage layout.
+  uint256[49] private __gap;
+
+  // --- Initialization ---
+
+  /// @custom:oz-upgrades-unsafe-allow constructor
+  constructor() {
+    _disableInitializers();
+  }
+
+  /**
+   * @notice Initializes the contract behind its proxy.
+   * @dev Called once by the proxy when it is deployed. The constructor locks the implementation contract itself.
+   * @param _voterEligibility The registry deciding who may vote, or the zero address to let anyone vote.
+   */
+  function initialize(IVoterEligibility _voterEligibility) public initializer {
+    voterEligibility = _voterEligibility;
+  }
+
   // --- Functions ---
 
   /**
@@ -115,6 +144,7 @@ contract SintropAppStore {
   function voteForImpactApp(uint256 _impactAppId, VoteType _voteType) public {
     require(_impactAppId > 0 && _impactAppId <= impactAppsCount, "Invalid ImpactApp ID.");
     require(_voteType == VoteType.Positive || _voteType == VoteType.Negative, "Invalid vote type.");
+    require(isEligibleVoter(msg.sender), "Voter is not eligible.");
 
     ImpactApp storage impactappToVote = impactApps[_impactAppId]; // Use `storage` to modify directly
 
@@ -144,6 +174,15 @@ contract SintropAppStore {
     }
   }
 
+  /**
+   * @notice Checks if an account may vote, according to the `voterEligibility` registry of the deployment.
+   * @param _account The address of the voter.
+   * @return bool True if the deployment has no registry or the registry accepts the account, false otherwise.
+   */
+  function isEligibleVoter(address _account) public view returns (bool) {
+    return address(voterEligibility) == address(0) || voterEligibility.isEligibleVoter(_account);
+  }
+
   /**
    * @notice Dynamically checks if a ImpactApp is considered sustainable based on its votes.
    * @dev A ImpactApp is considered sustainable if it has more positive votes than negative votes.
@@ -171,6 +210,28 @@ contract SintropAppStore {
     return impactApps[_impactAppId];
   }
 
+  /**
+   * @notice Retrieves a page of ImpactApps in ID order, so clients can list them without one call per ID.
+   * @dev `_offset` is the position of the first ImpactApp, not its ID: offset 0 is the ImpactApp with ID 1.
+   * `_limit` is capped at `MAX_PAGE_SIZE`, and pages past the last ImpactApp are empty.
+   * @param _offset The position of the first ImpactApp of the page.
+   * @param _limit The maximum number of ImpactApps to return.
+   * @return page The ImpactApps of the page.
+   */
+  function getImpactApps(uint256 _offset, uint256 _limit) public view returns (ImpactApp[] memory page) {
+    uint256 total = impactAppsCount;
+    if (_offset >= total) return new ImpactApp[](0);
+
+    uint256 size = total - _offset;
+    if (_limit < size) size = _limit;
+    if (MAX_PAGE_SIZE < size) size = MAX_PAGE_SIZE;
+
+    page = new ImpactApp[](size);
+    for (uint256 i = 0; i < size; i++) {
+      page[i] = impactApps[_offset + i + 1];
+    }
+  }
+
   // --- Events ---
 
   /// @notice Emitted when a new ImpactApp is registered in the SintropAppStore.
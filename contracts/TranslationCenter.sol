@@ -0,0 +1,411 @@
+// SPDX-License-Identifier: GPL-3.0
+pragma solidity ^0.8.0;
+
+import "@openzeppelin/contracts-upgradeable/proxy/utils/Initializable.sol";
+import "./GlobalPlantCatalog.sol";
+import "./FreeEducationCenter.sol";
+import "./libraries/Pagination.sol";
+import "./libraries/Votes.sol";
+
+/**
+ * @title TranslationCenter
+ * @author Sintrop
+ * @notice Community translations of the plants of the GlobalPlantCatalog and of the contents of the
+ * FreeEducationCenter, so each entry can be read in Portuguese, Spanish, English or any other language.
+ * @dev A translation gives the name and the description of an entry in a language: the popular name and the
+ * description of a plant, or the title and the description of a content. Anyone can add translations and vote on
+ * them. The localized views serve the best voted translation of the requested language and fall back to the
+ * original entry when there is none.
+ */
+contract TranslationCenter is Initializable {
+  // --- Constants ---
+
+  /// @notice Maximum number of translations returned by one call of the paginated views.
+  uint256 public constant MAX_PAGE_SIZE = 100;
+
+  // --- Enums ---
+
+  /// @notice The kinds of entries that can be translated.
+  enum EntryType {
+    Plant, // A plant of the GlobalPlantCatalog.
+    Content // A content of the FreeEducationCenter.
+  }
+
+  // --- Structs ---
+
+  /// @notice A translation of the name and the description of an entry.
+  struct Translation {
+    uint256 id; ///< @notice The unique identifier of the translation.
+    EntryType entryType; ///< @notice The kind of the translated entry.
+    uint256 entryId; ///< @notice The ID of the entry in its app.
+    string language; ///< @notice The language code, such as "pt", "es" or "pt-BR".
+    string name; ///< @notice The translated popular name of a plant, or title of a content.
+    string description; ///< @notice The translated description.
+    address translator; ///< @notice The address that added the translation.
+    uint256 createdAt; ///< @notice The block number when the translation was added.
+    uint256 upvotes; ///< @notice The total count of positive votes.
+    uint256 downvotes; ///< @notice The total count of negative votes.
+  }
+
+  // --- State Variables ---
+
+  /// @notice The catalog of the translated plants.
+  GlobalPlantCatalog public globalPlantCatalog;
+
+  /// @notice The education center of the translated contents.
+  FreeEducationCenter public freeEducationCenter;
+
+  /// @notice The total number of translations, also the ID of the next translation. IDs start at 0.
+  uint256 public translationsCount;
+
+  /// @notice Mapping from translation ID to the translation.
+  mapping(uint256 => Translation) public translations;
+
+  /// @notice Mapping from a translation ID to another mapping from a user address to their vote type.
+  mapping(uint256 => mapping(address => GlobalPlantCatalog.VoteType)) public userVotes;
+
+  /// @dev Mapping from the key of an entry and a language to the IDs of its translations, see `_languageKey`.
+  mapping(bytes32 => uint256[]) private languageTranslations;
+
+  /// @dev Mapping from an entry type and ID to the languages the entry was translated into, in order of use.
+  mapping(EntryType => mapping(uint256 => string[])) private entryLanguages;
+
+  /// @dev Reserved storage slots, so later versions can add state variables without shifting the storage layout.
+  uint256[44] private __gap;
+
+  // --- Events ---
+
+  /// @notice Emitted when a translation is added.
+  /// @param translationId The ID of the new translation.
+  /// @param entryId The ID of the translated entry.
+  /// @param translator The address that added the translation.
+  /// @param entryType The kind of the translated entry.
+  /// @param language The language code of the translation.
+  event TranslationAdded(
+    uint256 indexed translationId,
+    uint256 indexed entryId,
+    address indexed translator,
+    EntryType entryType,
+    string language
+  );
+
+  /// @notice Emitted when a user casts or changes their vote on a translation.
+  /// @param translationId The ID of the translation that was voted on.
+  /// @param voter The address of the user who voted.
+  /// @param voteType The type of vote cast (Upvote or Downvote).
+  event Voted(uint256 indexed translationId, address indexed voter, GlobalPlantCatalog.VoteType voteType);
+
+  // --- Initialization ---
+
+  /// @custom:oz-upgrades-unsafe-allow constructor
+  constructor() {
+    _disableInitializers();
+  }
+
+  /**
+   * @notice Initializes the contract behind its proxy.
+   * @dev Called once by the proxy when it is deployed. The constructor locks the implementation contract itself.
+   * @param _globalPlantCatalog The address of the GlobalPlantCatalog.
+   * @param _freeEducationCenter The address of the FreeEducationCenter.
+   */
+  function initialize(
+    GlobalPlantCatalog _globalPlantCatalog,
+    FreeEducationCenter _freeEducationCenter
+  ) public initializer {
+    require(address(_globalPlantCatalog) != address(0), "TC: Invalid catalog address");
+    require(address(_freeEducationCenter) != address(0), "TC: Invalid education center address");
+    globalPlantCatalog = _globalPlantCatalog;
+    freeEducationCenter = _freeEducationCenter;
+  }
+
+  // --- Public Functions ---
+
+  /**
+   * @notice Adds a translation of an entry.
+   * @dev Plants marked as duplicates and retracted contents cannot be translated. The names and descriptions
+   * follow the length limits of the original entries.
+   * @param _entryType The kind of the entry.
+   * @param _entryId The ID of the entry in its app.
+   * @param _language A language code: 2 or 3 lowercase letters, optionally followed by "-" and 2 uppercase
+   * letters of a region, such as "pt", "es" or "pt-BR".
+   * @param _name The popular name of a plant, or the title of a content, in the language.
+   * @param _description The description in the language.
+   * @return translationId The ID of the new translation.
+   */
+  function addTranslation(
+    EntryType _entryType,
+    uint256 _entryId,
+    string memory _language,
+    string memory _name,
+    string memory _description
+  ) public returns (uint256 translationId) {
+    require(_isLanguageCode(bytes(_language)), "TC: Invalid language code");
+    require(bytes(_name).length > 0 && bytes(_name).length < 50, "TC: Name must be between 1 and 49 characters");
+    if (_entryType == EntryType.Plant) {
+      _requirePlant(_entryId);
+      require(!globalPlantCatalog.isDuplicate(_entryId), "TC: Plant is a duplicate, translate its canonical plant");
+      require(
+        bytes(_description).length > 0 && bytes(_description).length < 300,
+        "TC: Description must be between 1 and 299 characters"
+      );
+    } else {
+      _requireContent(_entryId);
+      require(!freeEducationCenter.getContent(_entryId).retracted, "TC: Content was retracted");
+      require(
+        bytes(_description).length > 0 && bytes(_description).length < 500,
+        "TC: Description must be between 1 and 499 characters"
+      );
+    }
+
+    translationId = translationsCount;
+    translations[translationId] = Translation(
+      translationId,
+      _entryType,
+      _entryId,
+      _language,
+      _name,
+      _description,
+      msg.sender,
+      block.number,
+      0, // upvotes
+      0 // downvotes
+    );
+
+    uint256[] storage ids = languageTranslations[_languageKey(_entryType, _entryId, _language)];
+    if (ids.length == 0) entryLanguages[_entryType][_entryId].push(_language);
+    ids.push(translationId);
+    translationsCount++;
+
+    emit TranslationAdded(translationId, _entryId, msg.sender, _entryType, _language);
+  }
+
+  /**
+   * @notice Casts or changes a vote on a translation.
+   * @dev Voting with the same type again has no effect. Only the accounts accepted by the voter registry of the
+   * catalog, the registry of the deployment, can vote.
+   * @param _translationId The ID of the translation.
+   * @param _voteType The type of vote: `VoteType.Upvote` or `VoteType.Downvote`.
+   */
+  function vote(uint256 _translationId, GlobalPlantCatalog.VoteType _voteType) public {
+    require(_translationId < translationsCount, "TC: Translation ID does not exist");
+    require(Votes.isValid(_voteType), "TC: Invalid vote type");
+    require(globalPlantCatalog.isEligibleVoter(msg.sender), "TC: Voter is not eligible");
+
+    Translation storage translation = translations[_translationId];
+    bool changed;
+    (changed, translation.upvotes, translation.downvotes) = Votes.cast(
+      userVotes[_translationId],
+      msg.sender,
+      _voteType,
+      translation.upvotes,
+      translation.downvotes
+    );
+    if (!changed) return;
+
+    emit Voted(_translationId, msg.sender, _voteType);
+  }
+
+  // --- View Functions ---
+
+  /**
+   * @notice Checks if a translation has more positive votes than negative votes.
+   * @param _translationId The ID of the translation.
+   * @return bool True if upvotes are strictly greater than downvotes, false otherwise.
+   */
+  function hasMoreUpvotes(uint256 _translationId) public view returns (bool) {
+    require(_translationId < translationsCount, "TC: Translation ID does not exist");
+    return translations[_translationId].upvotes > translations[_translationId].downvotes;
+  }
+
+  /**
+   * @notice Retrieves a translation.
+   * @param _translationId The ID of the translation.
+   * @return The `Translation` struct.
+   */
+  function getTranslation(uint256 _translationId) public view returns (Translation memory) {
+    require(_translationId < translationsCount, "TC: Translation ID does not exist");
+    return translations[_translationId];
+  }
+
+  /**
+   * @notice Retrieves a page of translations in ID order.
+   * @param _offset The position of the first translation of the page, the same as its ID.
+   * @param _limit The maximum number of translations to return, capped at `MAX_PAGE_SIZE`.
+   * @return page The translations of the page.
+   */
+  function getTranslations(uint256 _offset, uint256 _limit) public view returns (Translation[] memory page) {
+    uint256 size = Pagination.pageSize(translationsCount, _offset, _limit, MAX_PAGE_SIZE);
+
+    page = new Translation[](size);
+    for (uint256 i = 0; i < size; i++) {
+      page[i] = translations[_offset + i];
+    }
+  }
+
+  /**
+   * @notice Returns the languages an entry was translated into, in the order they were first used.
+   * @param _entryType The kind of the entry.
+   * @param _entryId The ID of the entry in its app.
+   */
+  function getEntryLanguages(EntryType _entryType, uint256 _entryId) public view returns (string[] memory) {
+    _requireEntry(_entryType, _entryId);
+    return entryLanguages[_entryType][_entryId];
+  }
+
+  /**
+   * @notice Returns the number of translations of an entry into a language.
+   * @param _entryType The kind of the entry.
+   * @param _entryId The ID of the entry in its app.
+   * @param _language The language code.
+   */
+  function getEntryTranslationsCount(
+    EntryType _entryType,
+    uint256 _entryId,
+    string memory _language
+  ) public view returns (uint256) {
+    _requireEntry(_entryType, _entryId);
+    return languageTranslations[_languageKey(_entryType, _entryId, _language)].length;
+  }
+
+  /**
+   * @notice Retrieves a page of the translations of an entry into a language, in the order they were added.
+   * @param _entryType The kind of the entry.
+   * @param _entryId The ID of the entry in its app.
+   * @param _language The language code.
+   * @param _offset The position of the first translation of the page.
+   * @param _limit The maximum number of translations to return, capped at `MAX_PAGE_SIZE`.
+   * @return page The translations of the page.
+   */
+  function getEntryTranslations(
+    EntryType _entryType,
+    uint256 _entryId,
+    string memory _language,
+    uint256 _offset,
+    uint256 _limit
+  ) public view returns (Translation[] memory page) {
+    _requireEntry(_entryType, _entryId);
+    uint256[] storage ids = languageTranslations[_languageKey(_entryType, _entryId, _language)];
+    uint256 size = Pagination.pageSize(ids.length, _offset, _limit, MAX_PAGE_SIZE);
+
+    page = new Translation[](size);
+    for (uint256 i = 0; i < size; i++) {
+      page[i] = translations[ids[_offset + i]];
+    }
+  }
+
+  /**
+   * @notice Returns the translation of an entry served in a language: the one with the highest net score
+   * (upvotes minus downvotes), the earliest on ties. Translations with more downvotes than upvotes are never
+   * served.
+   * @param _entryType The kind of the entry.
+   * @param _entryId The ID of the entry in its app.
+   * @param _language The language code.
+   * @return found Whether the entry has a translation to serve in the language.
+   * @return translationId The ID of the translation, 0 when none was found.
+   */
+  function getBestTranslation(
+    EntryType _entryType,
+    uint256 _entryId,
+    string memory _language
+  ) public view returns (bool found, uint256 translationId) {
+    _requireEntry(_entryType, _entryId);
+    uint256[] storage ids = languageTranslations[_languageKey(_entryType, _entryId, _language)];
+    int256 bestScore = -1;
+
+    for (uint256 i = 0; i < ids.length; i++) {
+      Translation storage translation = translations[ids[i]];
+      int256 score = int256(translation.upvotes) - int256(translation.downvotes);
+      if (score > bestScore) {
+        bestScore = score;
+        found = true;
+        translationId = translation.id;
+      }
+    }
+  }
+
+  /**
+   * @notice Retrieves a plant with its popular name and description in a language, see `getBestTranslation`.
+   * @param _plantId The ID of the plant.
+   * @param _language The language code.
+   * @return plant The plant, with the translated fields when a translation was found.
+   * @return translated Whether the fields were translated. When false, the plant is the original entry.
+   */
+  function getLocalizedPlant(
+    uint256 _plantId,
+    string memory _language
+  ) public view returns (GlobalPlantCatalog.Plant memory plant, bool translated) {
+    plant = globalPlantCatalog.getPlant(_plantId);
+    uint256 translationId;
+    (translated, translationId) = getBestTranslation(EntryType.Plant, _plantId, _language);
+
+    if (translated) {
+      plant.popularName = translations[translationId].name;
+      plant.description = translations[translationId].description;
+    }
+  }
+
+  /**
+   * @notice Retrieves a content with its title and description in a language, see `getBestTranslation`.
+   * @param _contentId The ID of the content.
+   * @param _language The language code.
+   * @return content The content, with the translated fields when a translation was found.
+   * @return translated Whether the fields were translated. When false, the content is the original entry.
+   */
+  function getLocalizedContent(
+    uint256 _contentId,
+    string memory _language
+  ) public view returns (FreeEducationCenter.Content memory content, bool translated) {
+    content = freeEducationCenter.getContent(_contentId);
+    uint256 translationId;
+    (translated, translationId) = getBestTranslation(EntryType.Content, _contentId, _language);
+
+    if (translated) {
+      content.title = translations[translationId].name;
+      content.description = translations[translationId].description;
+    }
+  }
+
+  // --- Internal Functions ---
+
+  /// @dev Key of the translations of an entry into a language in `languageTranslations`.
+  function _languageKey(
+    EntryType _entryType,
+    uint256 _entryId,
+    string memory _language
+  ) internal pure returns (bytes32) {
+    require(_isLanguageCode(bytes(_language)), "TC: Invalid language code");
+    return keccak256(abi.encode(_entryType, _entryId, _language));
+  }
+
+  /// @dev Whether a value is 2 or 3 lowercase letters, optionally followed by "-" and 2 uppercase letters.
+  function _isLanguageCode(bytes memory _value) internal pure returns (bool) {
+    uint256 languageLength = _value.length;
+    if (languageLength > 3 && _value[languageLength - 3] == "-") languageLength -= 3;
+    if (languageLength < 2 || languageLength > 3) return false;
+
+    for (uint256 i = 0; i < _value.length; i++) {
+      bytes1 character = _value[i];
+      if (i < languageLength && (character < "a" || character > "z")) return false;
+      if (i > languageLength && (character < "A" || character > "Z")) return false;
+    }
+    return true;
+  }
+
+  function _requireEntry(EntryType _entryType, uint256 _entryId) internal view {
+    if (_entryType == EntryType.Plant) {
+      _requirePlant(_entryId);
+    } else {
+      _requireContent(_entryId);
+    }
+  }
+
+  /// @dev Plant IDs start at 0.
+  function _requirePlant(uint256 _plantId) internal view {
+    require(_plantId < globalPlantCatalog.getTotalPlantsCount(), "TC: Plant ID does not exist");
+  }
+
+  /// @dev Content IDs start at 1.
+  function _requireContent(uint256 _contentId) internal view {
+    require(_contentId > 0 && _contentId <= freeEducationCenter.contentsCount(), "TC: Content ID does not exist");
+  }
+}
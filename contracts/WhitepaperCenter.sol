@@ -1,19 +1,25 @@
 // SPDX-License-Identifier: GPL-3.0
 pragma solidity >=0.8.2 <0.9.0;
 
+import "@openzeppelin/contracts-upgradeable/proxy/utils/Initializable.sol";
+import "./interfaces/IVoterEligibility.sol";
+
 /**
  * @title Whitepapers Center
  * @author Sintrop
  * @notice A contract for users to publish and access whitepapers or technical papers aiming to operate at Sintrop Impact Chain.
  * @dev This contract manages the storage and retrieval of whitepapers publications, each identified by a unique ID.
  */
-contract WhitepaperCenter {
+contract WhitepaperCenter is Initializable {
   // --- State Variables ---
 
   /// @notice A counter for the total number of whitepaper entries published in the center.
   /// @dev This variable is incremented for each new whitepaper added and serves as the unique ID for new whitepaper.
   uint256 public whitepapersCount;
 
+  /// @notice Maximum number of whitepapers returned by one call of `getWhitepapers`.
+  uint256 public constant MAX_PAGE_SIZE = 100;
+
   /// @notice Stores all whitepaper entries, mapped by their unique ID.
   /// @dev This mapping allows efficient retrieval of whitepaper using its `id`.
   mapping(uint256 => Whitepaper) public whitepapers;
@@ -26,6 +32,13 @@ contract WhitepaperCenter {
   /// @dev Maps a whitepaper ID to another mapping from a user address to their vote type.
   mapping(uint256 => mapping(address => VoteType)) public userVotes;
 
+  /// @notice Registry deciding who may vote, such as HumansPeaceTreaty, or the zero address when anyone may vote.
+  /// @dev Set once when the proxy is deployed, see `isEligibleVoter`.
+  IVoterEligibility public voterEligibility;
+
+  /// @dev Reserved storage slots, so later versions can add state variables without shifting the storage layout.
+  uint256[49] private __gap;
+
   // --- Enums ---
 
   /// @notice Represents the type of vote a user can cast: no vote, a positive vote (Upvote), or a negative vote (Downvote).
@@ -56,6 +69,28 @@ contract WhitepaperCenter {
   /// @param publisher The address of the user who published the whitepaper.
   event WhitepaperPublished(uint256 indexed id, string title, address indexed publisher);
 
+  /// @notice Emitted when a user casts or changes their vote on a whitepaper.
+  /// @param whitepaperId The ID of the whitepaper that was voted on.
+  /// @param voter The address of the user who voted.
+  /// @param voteType The type of vote cast (Upvote or Downvote).
+  event Voted(uint256 indexed whitepaperId, address indexed voter, VoteType voteType);
+
+  // --- Initialization ---
+
+  /// @custom:oz-upgrades-unsafe-allow constructor
+  constructor() {
+    _disableInitializers();
+  }
+
+  /**
+   * @notice Initializes the contract behind its proxy.
+   * @dev Called once by the proxy when it is deployed. The constructor locks the implementation contract itself.
+   * @param _voterEligibility The registry deciding who may vote, or the zero address to let anyone vote.
+   */
+  function initialize(IVoterEligibility _voterEligibility) public initializer {
+    voterEligibility = _voterEligibility;
+  }
+
   // --- Public Functions ---
 
   /**
@@ -103,6 +138,7 @@ contract WhitepaperCenter {
   function vote(uint256 _id, VoteType _voteType) public {
     require(_id > 0 && _id <= whitepapersCount, "Whitepaper ID does not exist");
     require(_voteType == VoteType.Upvote || _voteType == VoteType.Downvote, "Invalid vote type");
+    require(isEligibleVoter(msg.sender), "Voter is not eligible");
 
     Whitepaper storage contentToVote = whitepapers[_id];
     VoteType existingVote = userVotes[_id][msg.sender];
@@ -124,11 +160,21 @@ contract WhitepaperCenter {
         contentToVote.downvotes++;
       }
 
-      // Store the user's new vote.
+      // Store the user's new vote and emit the event.
       userVotes[_id][msg.sender] = _voteType;
+      emit Voted(_id, msg.sender, _voteType);
     }
   }
 
+  /**
+   * @notice Checks if an account may vote, according to the `voterEligibility` registry of the deployment.
+   * @param _account The address of the voter.
+   * @return bool True if the deployment has no registry or the registry accepts the account, false otherwise.
+   */
+  function isEligibleVoter(address _account) public view returns (bool) {
+    return address(voterEligibility) == address(0) || voterEligibility.isEligibleVoter(_account);
+  }
+
   /**
    * @notice Checks if a piece of content has more positive votes than negative votes.
    * @dev This function can be used in front-end applications to only display positive papers.
@@ -152,4 +198,26 @@ contract WhitepaperCenter {
     require(_id > 0 && _id <= whitepapersCount, "Whitepaper ID does not exist");
     return whitepapers[_id];
   }
+
+  /**
+   * @notice Retrieves a page of whitepapers in ID order, so clients can list them without one call per ID.
+   * @dev `_offset` is the position of the first whitepaper, not its ID: offset 0 is the whitepaper with ID 1.
+   * `_limit` is capped at `MAX_PAGE_SIZE`, and pages past the last whitepaper are empty.
+   * @param _offset The position of the first whitepaper of the page.
+   * @param _limit The maximum number of whitepapers to return.
+   * @return page The whitepapers of the page.
+   */
+  function getWhitepapers(uint256 _offset, uint256 _limit) public view returns (Whitepaper[] memory page) {
+    uint256 total = whitepapersCount;
+    if (_offset >= total) return new Whitepaper[](0);
+
+    uint256 size = total - _offset;
+    if (_limit < size) size = _limit;
+    if (MAX_PAGE_SIZE < size) size = MAX_PAGE_SIZE;
+
+    page = new Whitepaper[](size);
+    for (uint256 i = 0; i < size; i++) {
+      page[i] = whitepapers[_offset + i + 1];
+    }
+  }
 }
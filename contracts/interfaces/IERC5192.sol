@@ -0,0 +1,27 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+/**
+ * @title IERC5192
+ * @dev Minimal soulbound NFTs, see https://eips.ethereum.org/EIPS/eip-5192. The ERC-165 identifier of this
+ * interface is 0xb45a3c0e.
+ */
+interface IERC5192 {
+  /**
+   * @notice Emitted when the locking status of a token is changed to locked.
+   * @param tokenId The identifier of the token.
+   */
+  event Locked(uint256 tokenId);
+
+  /**
+   * @notice Emitted when the locking status of a token is changed to unlocked.
+   * @param tokenId The identifier of the token.
+   */
+  event Unlocked(uint256 tokenId);
+
+  /**
+   * @notice Returns the locking status of a soulbound token. Tokens that do not exist make it revert.
+   * @param tokenId The identifier of the token.
+   */
+  function locked(uint256 tokenId) external view returns (bool);
+}
@@ -0,0 +1,20 @@
+// SPDX-License-Identifier: GPL-3.0
+pragma solidity ^0.8.0;
+
+/**
+ * @title IVoterEligibility
+ * @notice Registry deciding who may vote in the votable apps deployed with it, such as HumansPeaceTreaty, whose active
+ * signers are eligible, or any other identity registry. It keeps addresses created only to swing votes out.
+ */
+interface IVoterEligibility {
+  /**
+   * @notice Whether an account may vote.
+   * @param account The address of the voter.
+   */
+  function isEligibleVoter(address account) external view returns (bool);
+
+  /**
+   * @notice Number of accounts that may vote now. The apps size the quorum of their proposals with it.
+   */
+  function eligibleVotersCount() external view returns (uint256);
+}
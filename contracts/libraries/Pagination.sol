@@ -0,0 +1,30 @@
+// SPDX-License-Identifier: GPL-3.0
+pragma solidity ^0.8.0;
+
+/**
+ * @title Pagination
+ * @author Sintrop
+ * @notice Sizes the pages of the paginated views of the apps.
+ */
+library Pagination {
+  /**
+   * @notice Number of entries of a page starting at `_offset` of `_total` entries.
+   * @param _total Number of entries of the list.
+   * @param _offset Position of the first entry of the page.
+   * @param _limit Number of entries requested.
+   * @param _maxPageSize The largest page the app returns, its `MAX_PAGE_SIZE`.
+   * @return size `_limit`, capped at the entries left after `_offset` and at `_maxPageSize`.
+   */
+  function pageSize(
+    uint256 _total,
+    uint256 _offset,
+    uint256 _limit,
+    uint256 _maxPageSize
+  ) internal pure returns (uint256 size) {
+    if (_offset >= _total) return 0;
+
+    size = _total - _offset;
+    if (_limit < size) size = _limit;
+    if (_maxPageSize < size) size = _maxPageSize;
+  }
+}
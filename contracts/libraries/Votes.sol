@@ -0,0 +1,55 @@
+// SPDX-License-Identifier: GPL-3.0
+pragma solidity ^0.8.0;
+
+import "../GlobalPlantCatalog.sol";
+
+/**
+ * @title Votes
+ * @author Sintrop
+ * @notice Bookkeeping of the upvotes and downvotes of the entries of the GlobalPlantCatalog and the apps built on it.
+ * @dev Each app keeps the counts in its entries and the vote of each account in a mapping. Before casting a vote
+ * with `cast`, it checks the vote type with `isValid` and the voter with `GlobalPlantCatalog.isEligibleVoter`.
+ */
+library Votes {
+  /// @notice Whether a vote can be cast: an upvote or a downvote.
+  function isValid(GlobalPlantCatalog.VoteType _voteType) internal pure returns (bool) {
+    return _voteType == GlobalPlantCatalog.VoteType.Upvote || _voteType == GlobalPlantCatalog.VoteType.Downvote;
+  }
+
+  /**
+   * @notice Records the vote of an account on an entry. A different vote replaces the previous one, and the same
+   * vote again has no effect.
+   * @param _votes The vote of each account on the entry.
+   * @param _voter The address of the voter.
+   * @param _voteType The vote, already checked with `isValid`.
+   * @param _upvotes The count of positive votes of the entry.
+   * @param _downvotes The count of negative votes of the entry.
+   * @return changed False when the account had already cast the same vote.
+   * @return upvotes The new count of positive votes, to store in the entry.
+   * @return downvotes The new count of negative votes, to store in the entry.
+   */
+  function cast(
+    mapping(address => GlobalPlantCatalog.VoteType) storage _votes,
+    address _voter,
+    GlobalPlantCatalog.VoteType _voteType,
+    uint256 _upvotes,
+    uint256 _downvotes
+  ) internal returns (bool changed, uint256 upvotes, uint256 downvotes) {
+    GlobalPlantCatalog.VoteType existingVote = _votes[_voter];
+    if (existingVote == _voteType) return (false, _upvotes, _downvotes);
+
+    (upvotes, downvotes) = (_upvotes, _downvotes);
+    if (existingVote == GlobalPlantCatalog.VoteType.Upvote) {
+      upvotes--;
+    } else if (existingVote == GlobalPlantCatalog.VoteType.Downvote) {
+      downvotes--;
+    }
+    if (_voteType == GlobalPlantCatalog.VoteType.Upvote) {
+      upvotes++;
+    } else {
+      downvotes++;
+    }
+    _votes[_voter] = _voteType;
+    changed = true;
+  }
+}
@@ -0,0 +1,19 @@
+// SPDX-License-Identifier: GPL-3.0
+pragma solidity ^0.8.0;
+
+import "@openzeppelin/contracts-upgradeable/proxy/utils/Initializable.sol";
+
+/**
+ * @title GlobalPlantCatalogBadLayoutMock
+ * @dev Incompatible new version of GlobalPlantCatalog, used to test that upgrades validate the storage layout.
+ * The plant counter takes the first slot, where the deployed version keeps the plants mapping.
+ */
+contract GlobalPlantCatalogBadLayoutMock is Initializable {
+  uint256 public nextPlantId;
+  mapping(uint256 => uint256) public plants;
+
+  /// @custom:oz-upgrades-unsafe-allow constructor
+  constructor() {
+    _disableInitializers();
+  }
+}
@@ -0,0 +1,14 @@
+// SPDX-License-Identifier: GPL-3.0
+pragma solidity ^0.8.0;
+
+import "../GlobalPlantCatalog.sol";
+
+/**
+ * @title GlobalPlantCatalogV2Mock
+ * @dev Compatible new version of GlobalPlantCatalog, used to test upgrades. It only adds a function.
+ */
+contract GlobalPlantCatalogV2Mock is GlobalPlantCatalog {
+  function version() external pure returns (string memory) {
+    return "v2";
+  }
+}
@@ -0,0 +1,38 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "@openzeppelin/contracts-upgradeable/proxy/utils/Initializable.sol";
+
+/**
+ * @title HumansPeaceTreatyV1Mock
+ * @dev The first version of HumansPeaceTreaty, which only kept the pledges and the number of signatures, behind a
+ * proxy. Used to test the upgrade from that storage layout with `HumansPeaceTreaty.initializeV2`.
+ */
+contract HumansPeaceTreatyV1Mock is Initializable {
+  struct Signature {
+    bool hasSigned;
+    uint256 lastProofBlock;
+  }
+
+  mapping(address => Signature) public pledges;
+  uint256 public totalSignatures;
+  uint256[50] private __gap;
+
+  /// @custom:oz-upgrades-unsafe-allow constructor
+  constructor() {
+    _disableInitializers();
+  }
+
+  function initialize() public initializer {}
+
+  function signPeacePledge() external {
+    require(!pledges[msg.sender].hasSigned, "HumansPeaceTreaty: You have already signed this pledge.");
+
+    pledges[msg.sender] = Signature({ hasSigned: true, lastProofBlock: block.number });
+    totalSignatures++;
+  }
+
+  function proveCommitment() external {
+    pledges[msg.sender].lastProofBlock = block.number;
+  }
+}
@@ -0,0 +1,25 @@
+// SPDX-License-Identifier: GPL-3.0
+pragma solidity ^0.8.0;
+
+import "../interfaces/IVoterEligibility.sol";
+
+/**
+ * @title VoterEligibilityMock
+ * @dev Identity registry with an allowlist anyone can change, used to test apps deployed with another registry than
+ * HumansPeaceTreaty.
+ */
+contract VoterEligibilityMock is IVoterEligibility {
+  mapping(address => bool) public isEligibleVoter;
+  uint256 public eligibleVotersCount;
+
+  function setEligible(address account, bool eligible) external {
+    if (isEligibleVoter[account] == eligible) return;
+
+    isEligibleVoter[account] = eligible;
+    if (eligible) {
+      eligibleVotersCount++;
+    } else {
+      eligibleVotersCount--;
+    }
+  }
+}
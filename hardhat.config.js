@@ -1,7 +1,16 @@
 require("@nomicfoundation/hardhat-toolbox");
 require("@nomicfoundation/hardhat-verify");
+require("@openzeppelin/hardhat-upgrades");
 require("solidity-coverage");
 require("dotenv").config({ path: __dirname + "/.env" });
+require("./tasks/migrate");
+require("./tasks/manifest");
+require("./tasks/os");
+require("./tasks/indexer");
+require("./tasks/api");
+require("./tasks/seed");
+require("./tasks/upgrade");
+require("./tasks/dwca");
 
 const privateKey = process.env.PRIVATE_KEY_ACCOUNT_TO_DEPLOY || "set private key";
 const etherscanApiKey = process.env.ETHERSCAN_API_KEY;
@@ -10,17 +19,29 @@ const gasReportEnabled = process.env.GAS_REPORT_ENABLED;
 
 /** @type import('hardhat/config').HardhatUserConfig */
 module.exports = {
-  solidity: "0.8.27",
+  // The contracts only fit the 24 KB limit of EIP-170 when optimized.
+  solidity: {
+    version: "0.8.27",
+    settings: {
+      optimizer: {
+        enabled: true,
+        runs: 200,
+        details: {
+          yul: true,
+          yulDetails: {
+            stackAllocation: true,
+            optimizerSteps: "dhfoDgvulfnTUtnIf",
+          },
+        },
+      },
+    },
+  },
   networks: {
     hardhat: {
-      allowUnlimitedContractSize: true,
       accounts: {
         count: 30,
       },
     },
-    localhost: {
-      allowUnlimitedContractSize: true,
-    },
     // mainnet: {
     //   url: "https://rpc.sintrop.com",
     //   accounts: [privateKey],
@@ -33,19 +54,6 @@ module.exports = {
   sourcify: {
     enabled: false,
   },
-  settings: {
-    optimizer: {
-      enabled: true,
-      runs: 200,
-      details: {
-        yul: true,
-        yulDetails: {
-          stackAllocation: true,
-          optimizerSteps: "dhfoDgvulfnTUtnIf",
-        },
-      },
-    },
-  },
   gasReporter: {
     enabled: gasReportEnabled == 'true',
     currency: "USD",
@@ -60,6 +68,8 @@ module.exports = {
     tests: "./test",
     cache: "./cache",
     artifacts: "./artifacts",
+    // Deployment manifests, one folder per network. Can be overridden with DEPLOYED_CONTRACTS_DIR.
+    deployments: "./deployed_contracts",
   },
   mocha: {
     bail: false,
@@ -0,0 +1,413 @@
+const Database = require("better-sqlite3");
+
+/**
+ * Tables of the index. Every row keeps the block it came from, so a reorg is undone by deleting the rows
+ * above the last safe block. Vote tallies are derived from the vote events instead of being stored.
+ */
+const SCHEMA = `
+  CREATE TABLE IF NOT EXISTS blocks (
+    number INTEGER PRIMARY KEY,
+    hash TEXT NOT NULL
+  );
+
+  CREATE TABLE IF NOT EXISTS events (
+    block_number INTEGER NOT NULL,
+    log_index INTEGER NOT NULL,
+    transaction_hash TEXT NOT NULL,
+    app TEXT NOT NULL,
+    event TEXT NOT NULL,
+    args TEXT NOT NULL,
+    PRIMARY KEY (block_number, log_index)
+  );
+
+  CREATE TABLE IF NOT EXISTS contents (
+    id INTEGER PRIMARY KEY,
+    title TEXT NOT NULL,
+    description TEXT NOT NULL,
+    url TEXT NOT NULL,
+    photo TEXT NOT NULL,
+    publisher TEXT NOT NULL,
+    created_at INTEGER NOT NULL,
+    block_number INTEGER NOT NULL
+  );
+
+  CREATE TABLE IF NOT EXISTS content_updates (
+    content_id INTEGER NOT NULL,
+    title TEXT NOT NULL,
+    description TEXT NOT NULL,
+    url TEXT NOT NULL,
+    photo TEXT NOT NULL,
+    block_number INTEGER NOT NULL,
+    log_index INTEGER NOT NULL,
+    PRIMARY KEY (block_number, log_index)
+  );
+  CREATE INDEX IF NOT EXISTS content_updates_content ON content_updates (content_id);
+
+  CREATE TABLE IF NOT EXISTS content_retractions (
+    content_id INTEGER NOT NULL,
+    block_number INTEGER NOT NULL,
+    log_index INTEGER NOT NULL,
+    PRIMARY KEY (block_number, log_index)
+  );
+  CREATE INDEX IF NOT EXISTS content_retractions_content ON content_retractions (content_id);
+
+  CREATE TABLE IF NOT EXISTS plants (
+    id INTEGER PRIMARY KEY,
+    popular_name TEXT NOT NULL,
+    scientific_name TEXT NOT NULL,
+    taxonomy TEXT NOT NULL,
+    description TEXT NOT NULL,
+    photo_hash TEXT NOT NULL,
+    creator TEXT NOT NULL,
+    block_number INTEGER NOT NULL
+  );
+
+  CREATE TABLE IF NOT EXISTS plant_duplicates (
+    plant_id INTEGER NOT NULL,
+    canonical_id INTEGER NOT NULL,
+    block_number INTEGER NOT NULL,
+    log_index INTEGER NOT NULL,
+    PRIMARY KEY (block_number, log_index)
+  );
+  CREATE INDEX IF NOT EXISTS plant_duplicates_plant ON plant_duplicates (plant_id);
+
+  CREATE TABLE IF NOT EXISTS plant_duplicate_contests (
+    plant_id INTEGER NOT NULL,
+    block_number INTEGER NOT NULL,
+    log_index INTEGER NOT NULL,
+    PRIMARY KEY (block_number, log_index)
+  );
+
+  CREATE TABLE IF NOT EXISTS plant_ranks (
+    plant_id INTEGER NOT NULL,
+    kingdom TEXT NOT NULL,
+    phylum TEXT NOT NULL,
+    class_name TEXT NOT NULL,
+    order_name TEXT NOT NULL,
+    family TEXT NOT NULL,
+    genus TEXT NOT NULL,
+    species TEXT NOT NULL,
+    infraspecific_rank TEXT NOT NULL,
+    infraspecific_epithet TEXT NOT NULL,
+    block_number INTEGER NOT NULL,
+    log_index INTEGER NOT NULL,
+    PRIMARY KEY (block_number, log_index)
+  );
+  CREATE INDEX IF NOT EXISTS plant_ranks_plant ON plant_ranks (plant_id);
+
+  CREATE TABLE IF NOT EXISTS plant_revisions (
+    plant_id INTEGER NOT NULL,
+    revision_id INTEGER NOT NULL,
+    popular_name TEXT NOT NULL,
+    scientific_name TEXT NOT NULL,
+    taxonomy TEXT NOT NULL,
+    description TEXT NOT NULL,
+    photo_hash TEXT NOT NULL,
+    proposer TEXT NOT NULL,
+    block_number INTEGER NOT NULL,
+    log_index INTEGER NOT NULL,
+    PRIMARY KEY (block_number, log_index)
+  );
+  CREATE INDEX IF NOT EXISTS plant_revisions_plant ON plant_revisions (plant_id);
+
+  CREATE TABLE IF NOT EXISTS plant_agroforestry (
+    plant_id INTEGER NOT NULL,
+    stratum TEXT NOT NULL,
+    successional_stage TEXT NOT NULL,
+    block_number INTEGER NOT NULL,
+    log_index INTEGER NOT NULL,
+    PRIMARY KEY (block_number, log_index)
+  );
+  CREATE INDEX IF NOT EXISTS plant_agroforestry_plant ON plant_agroforestry (plant_id);
+
+  CREATE TABLE IF NOT EXISTS plant_relationships (
+    id INTEGER PRIMARY KEY,
+    plant_id INTEGER NOT NULL,
+    related_plant_id INTEGER NOT NULL,
+    relationship_type TEXT NOT NULL,
+    proposer TEXT NOT NULL,
+    block_number INTEGER NOT NULL
+  );
+  CREATE INDEX IF NOT EXISTS plant_relationships_plant ON plant_relationships (plant_id);
+  CREATE INDEX IF NOT EXISTS plant_relationships_related_plant ON plant_relationships (related_plant_id);
+
+  CREATE TABLE IF NOT EXISTS plant_photos (
+    id INTEGER PRIMARY KEY,
+    plant_id INTEGER NOT NULL,
+    photo_type TEXT NOT NULL,
+    photo_hash TEXT NOT NULL,
+    contributor TEXT NOT NULL,
+    block_number INTEGER NOT NULL
+  );
+  CREATE INDEX IF NOT EXISTS plant_photos_plant ON plant_photos (plant_id);
+
+  CREATE TABLE IF NOT EXISTS impact_apps (
+    id INTEGER PRIMARY KEY,
+    name TEXT NOT NULL,
+    description TEXT NOT NULL,
+    icon TEXT NOT NULL,
+    repository_url TEXT NOT NULL,
+    external_link TEXT NOT NULL,
+    contract_addresses TEXT NOT NULL,
+    publisher TEXT NOT NULL,
+    block_number INTEGER NOT NULL
+  );
+
+  CREATE TABLE IF NOT EXISTS whitepapers (
+    id INTEGER PRIMARY KEY,
+    title TEXT NOT NULL,
+    description TEXT NOT NULL,
+    url TEXT NOT NULL,
+    publisher TEXT NOT NULL,
+    block_number INTEGER NOT NULL
+  );
+
+  CREATE TABLE IF NOT EXISTS occurrences (
+    id INTEGER PRIMARY KEY,
+    plant_id INTEGER NOT NULL,
+    reporter TEXT NOT NULL,
+    geohash TEXT NOT NULL,
+    latitude REAL,
+    longitude REAL,
+    observed_at INTEGER NOT NULL,
+    evidence_cid TEXT NOT NULL,
+    block_number INTEGER NOT NULL
+  );
+  CREATE INDEX IF NOT EXISTS occurrences_plant ON occurrences (plant_id);
+  CREATE INDEX IF NOT EXISTS occurrences_geohash ON occurrences (geohash);
+
+  CREATE TABLE IF NOT EXISTS translations (
+    id INTEGER PRIMARY KEY,
+    entry_type TEXT NOT NULL,
+    entry_id INTEGER NOT NULL,
+    language TEXT NOT NULL,
+    name TEXT NOT NULL,
+    description TEXT NOT NULL,
+    translator TEXT NOT NULL,
+    block_number INTEGER NOT NULL
+  );
+  CREATE INDEX IF NOT EXISTS translations_entry ON translations (entry_type, entry_id, language);
+
+  CREATE TABLE IF NOT EXISTS votes (
+    app TEXT NOT NULL,
+    entry_id INTEGER NOT NULL,
+    voter TEXT NOT NULL,
+    vote TEXT NOT NULL,
+    block_number INTEGER NOT NULL,
+    log_index INTEGER NOT NULL,
+    PRIMARY KEY (block_number, log_index)
+  );
+  CREATE INDEX IF NOT EXISTS votes_entry ON votes (app, entry_id, voter);
+
+  -- Signatures of the treaty, each bound to the version of the text it signed.
+  CREATE TABLE IF NOT EXISTS pledges (
+    signer TEXT NOT NULL,
+    version INTEGER NOT NULL,
+    block_number INTEGER NOT NULL,
+    log_index INTEGER NOT NULL,
+    PRIMARY KEY (block_number, log_index)
+  );
+  CREATE INDEX IF NOT EXISTS pledges_signer ON pledges (signer);
+
+  CREATE TABLE IF NOT EXISTS proofs (
+    signer TEXT NOT NULL,
+    block_number INTEGER NOT NULL,
+    log_index INTEGER NOT NULL,
+    PRIMARY KEY (block_number, log_index)
+  );
+  CREATE INDEX IF NOT EXISTS proofs_signer ON proofs (signer);
+
+  -- Lapses of treaty signers, once recorded on chain. lapsed_block is the first block the signer was inactive.
+  CREATE TABLE IF NOT EXISTS lapses (
+    signer TEXT NOT NULL,
+    lapsed_block INTEGER NOT NULL,
+    block_number INTEGER NOT NULL,
+    log_index INTEGER NOT NULL,
+    PRIMARY KEY (block_number, log_index)
+  );
+  CREATE INDEX IF NOT EXISTS lapses_signer ON lapses (signer);
+
+  -- Withdrawn pledges. A signer who withdrew can sign again, so only withdrawals after the latest pledge count.
+  CREATE TABLE IF NOT EXISTS withdrawals (
+    signer TEXT NOT NULL,
+    block_number INTEGER NOT NULL,
+    log_index INTEGER NOT NULL,
+    PRIMARY KEY (block_number, log_index)
+  );
+  CREATE INDEX IF NOT EXISTS withdrawals_signer ON withdrawals (signer);
+
+  -- Versions of the text of the treaty, the first one adopted at deployment and the others by amendment.
+  CREATE TABLE IF NOT EXISTS treaty_versions (
+    version INTEGER PRIMARY KEY,
+    text_hash TEXT NOT NULL,
+    text_uri TEXT NOT NULL,
+    block_number INTEGER NOT NULL
+  );
+
+  -- Proof window of the treaty, read from the chain once it is set. A signer stays active for that many blocks
+  -- after each proof.
+  CREATE TABLE IF NOT EXISTS treaty_settings (
+    block_number INTEGER PRIMARY KEY,
+    proof_window INTEGER NOT NULL
+  );
+
+  -- Latest vote of each voter on each entry.
+  CREATE VIEW IF NOT EXISTS current_votes AS
+    SELECT app, entry_id, voter, vote, block_number FROM (
+      SELECT *, ROW_NUMBER() OVER (
+        PARTITION BY app, entry_id, voter ORDER BY block_number DESC, log_index DESC
+      ) AS position
+      FROM votes
+    ) WHERE position = 1;
+
+  -- Contents with the fields of their latest update and whether they were retracted.
+  CREATE VIEW IF NOT EXISTS current_contents AS
+    SELECT
+      c.id,
+      COALESCE(u.title, c.title) AS title,
+      COALESCE(u.description, c.description) AS description,
+      COALESCE(u.url, c.url) AS url,
+      COALESCE(u.photo, c.photo) AS photo,
+      c.publisher,
+      c.created_at,
+      c.block_number,
+      u.block_number AS updated_block,
+      r.block_number IS NOT NULL AS retracted
+    FROM contents c
+    LEFT JOIN (
+      SELECT *, ROW_NUMBER() OVER (PARTITION BY content_id ORDER BY block_number DESC, log_index DESC) AS position
+      FROM content_updates
+    ) u ON u.content_id = c.id AND u.position = 1
+    LEFT JOIN content_retractions r ON r.content_id = c.id;
+
+  -- Plants with the fields of their latest accepted revision, their latest taxonomic ranks, also as a JSON
+  -- object, their latest stratum and successional stage, their primary photo (the gallery photo with the
+  -- highest positive score, or the photo of the plant) and the plant they redirect to when the community
+  -- marked them as duplicates and did not unmark them since. Views hold no data, so they are recreated on
+  -- every start.
+  DROP VIEW IF EXISTS current_plants;
+  CREATE VIEW current_plants AS
+    SELECT
+      p.id,
+      COALESCE(v.popular_name, p.popular_name) AS popular_name,
+      COALESCE(v.scientific_name, p.scientific_name) AS scientific_name,
+      COALESCE(v.taxonomy, p.taxonomy) AS taxonomy,
+      COALESCE(v.description, p.description) AS description,
+      COALESCE(v.photo_hash, p.photo_hash) AS photo_hash,
+      p.creator,
+      p.block_number,
+      v.revision_id,
+      v.block_number AS revised_block,
+      r.family,
+      r.genus,
+      CASE WHEN r.plant_id IS NULL THEN NULL ELSE json_object(
+        'kingdom', r.kingdom,
+        'phylum', r.phylum,
+        'class', r.class_name,
+        'order', r.order_name,
+        'family', r.family,
+        'genus', r.genus,
+        'species', r.species,
+        'infraspecificRank', r.infraspecific_rank,
+        'infraspecificEpithet', r.infraspecific_epithet
+      ) END AS ranks,
+      g.id AS primary_photo_id,
+      COALESCE(g.photo_hash, v.photo_hash, p.photo_hash) AS primary_photo,
+      COALESCE(a.stratum, 'unknown') AS stratum,
+      COALESCE(a.successional_stage, 'unknown') AS successional_stage,
+      d.canonical_id,
+      d.canonical_id IS NOT NULL AS duplicate
+    FROM plants p
+    LEFT JOIN (
+      SELECT *, ROW_NUMBER() OVER (PARTITION BY plant_id ORDER BY block_number DESC, log_index DESC) AS position
+      FROM plant_revisions
+    ) v ON v.plant_id = p.id AND v.position = 1
+    LEFT JOIN (
+      SELECT *, ROW_NUMBER() OVER (PARTITION BY plant_id ORDER BY block_number DESC, log_index DESC) AS position
+      FROM plant_ranks
+    ) r ON r.plant_id = p.id AND r.position = 1
+    LEFT JOIN (
+      SELECT *, ROW_NUMBER() OVER (PARTITION BY plant_id ORDER BY block_number DESC, log_index DESC) AS position
+      FROM plant_agroforestry
+    ) a ON a.plant_id = p.id AND a.position = 1
+    LEFT JOIN (
+      SELECT ph.id, ph.plant_id, ph.photo_hash,
+        ROW_NUMBER() OVER (PARTITION BY ph.plant_id ORDER BY s.score DESC, ph.id ASC) AS position
+      FROM plant_photos ph
+      JOIN (
+        SELECT entry_id, SUM(vote = 'positive') - SUM(vote = 'negative') AS score
+        FROM current_votes WHERE app = 'photos' GROUP BY entry_id
+      ) s ON s.entry_id = ph.id
+      WHERE s.score > 0
+    ) g ON g.plant_id = p.id AND g.position = 1
+    LEFT JOIN (
+      SELECT *, ROW_NUMBER() OVER (PARTITION BY plant_id ORDER BY block_number DESC, log_index DESC) AS position
+      FROM plant_duplicates
+    ) d ON d.plant_id = p.id AND d.position = 1 AND NOT EXISTS (
+      SELECT 1 FROM plant_duplicate_contests c
+      WHERE c.plant_id = d.plant_id AND (c.block_number, c.log_index) > (d.block_number, d.log_index)
+    );
+
+  CREATE VIEW IF NOT EXISTS vote_tallies AS
+    SELECT
+      app,
+      entry_id,
+      SUM(vote = 'positive') AS positive,
+      SUM(vote = 'negative') AS negative,
+      SUM(vote = 'positive') - SUM(vote = 'negative') AS score
+    FROM current_votes
+    GROUP BY app, entry_id;
+
+  -- The translation served for each entry and language, as getBestTranslation in TranslationCenter: the
+  -- best scored one, the earliest on ties, and never one with more negative than positive votes.
+  CREATE VIEW IF NOT EXISTS best_translations AS
+    SELECT * FROM (
+      SELECT tr.*, ROW_NUMBER() OVER (
+        PARTITION BY tr.entry_type, tr.entry_id, tr.language ORDER BY COALESCE(t.score, 0) DESC, tr.id ASC
+      ) AS position
+      FROM translations tr
+      LEFT JOIN vote_tallies t ON t.app = 'translations' AND t.entry_id = tr.id
+      WHERE COALESCE(t.score, 0) >= 0
+    ) WHERE position = 1;
+`;
+
+// Tables holding indexed data, cleared above the rewind block on reorgs.
+const DATA_TABLES = [
+  "events",
+  "contents",
+  "content_updates",
+  "content_retractions",
+  "plants",
+  "plant_duplicates",
+  "plant_duplicate_contests",
+  "plant_ranks",
+  "plant_revisions",
+  "plant_agroforestry",
+  "plant_relationships",
+  "plant_photos",
+  "impact_apps",
+  "whitepapers",
+  "occurrences",
+  "translations",
+  "votes",
+  "pledges",
+  "proofs",
+  "lapses",
+  "withdrawals",
+  "treaty_versions",
+  "treaty_settings",
+];
+
+/**
+ * Opens (and creates if needed) the index database.
+ * @param {string} filename Path of the SQLite file, or ":memory:".
+ */
+function openDatabase(filename) {
+  const db = new Database(filename);
+  db.pragma("journal_mode = WAL");
+  db.exec(SCHEMA);
+
+  return db;
+}
+
+module.exports = { openDatabase, DATA_TABLES };
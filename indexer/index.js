@@ -0,0 +1,4 @@
+const { openDatabase } = require("./database");
+const { SintropIndexer } = require("./indexer");
+
+module.exports = { openDatabase, SintropIndexer };
@@ -0,0 +1,571 @@
+const { createSintropOS } = require("../sdk");
+const { toPlain } = require("../sdk/plain");
+const { STRATA, SUCCESSIONAL_STAGES, RELATIONSHIP_TYPES, PHOTO_TYPES } = require("../sdk/plants");
+const { COORDINATE_SCALE } = require("../sdk/occurrences");
+const { ENTRY_TYPES } = require("../sdk/translations");
+const { DATA_TABLES } = require("./database");
+
+// JSON.stringify cannot handle BigInt values, which only show up for numbers too large for a JS number.
+const stringifyArgs = (args) =>
+  JSON.stringify(args, (key, value) => (typeof value === "bigint" ? value.toString() : value));
+
+// Value of ProposalStatus.Accepted in the duplicate proposals and revisions of GlobalPlantCatalog.
+const PROPOSAL_ACCEPTED = 1;
+
+const voteRow = (app, entryId, event) => ({
+  table: "votes",
+  row: {
+    app,
+    entry_id: entryId,
+    voter: event.voter,
+    vote: event.voteType,
+    block_number: event.blockNumber,
+    log_index: event.logIndex,
+  },
+});
+
+/**
+ * Rows written for each indexed event, by app. New entries are built from the fields their event carries, and
+ * the fields it leaves out are read with the getter of the app at the latest block, so any node can serve them.
+ * Only entries that never change after their event are read: contents and plants come whole in their event.
+ * Content updates and retractions, and the taxonomic ranks, revisions and agroforestry attributes of plants, are
+ * kept as rows of their own, so a reorg undoes them without touching the entry. Votes on plant relationships and photos are kept with the votes, under the
+ * `relationships` and `photos` apps, and so are the votes on translations, under `translations`.
+ */
+const HANDLERS = {
+  education: {
+    async ContentPublished(event) {
+      return [
+        {
+          table: "contents",
+          row: {
+            id: event.id,
+            title: event.title,
+            description: event.description,
+            url: event.url,
+            photo: event.photo,
+            publisher: event.publisher,
+            created_at: event.blockNumber,
+            block_number: event.blockNumber,
+          },
+        },
+      ];
+    },
+    async ContentUpdated(event) {
+      return [
+        {
+          table: "content_updates",
+          row: {
+            content_id: event.id,
+            title: event.title,
+            description: event.description,
+            url: event.url,
+            photo: event.photo,
+            block_number: event.blockNumber,
+            log_index: event.logIndex,
+          },
+        },
+      ];
+    },
+    async ContentRetracted(event) {
+      return [
+        {
+          table: "content_retractions",
+          row: { content_id: event.id, block_number: event.blockNumber, log_index: event.logIndex },
+        },
+      ];
+    },
+    async Voted(event) {
+      return [voteRow("education", event.contentId, event)];
+    },
+  },
+  plants: {
+    async PlantAdded(event) {
+      return [
+        {
+          table: "plants",
+          row: {
+            id: event.plantId,
+            popular_name: event.popularName,
+            scientific_name: event.scientificName,
+            taxonomy: event.taxonomy,
+            description: event.description,
+            photo_hash: event.photoHash,
+            creator: event.creator,
+            block_number: event.blockNumber,
+          },
+        },
+      ];
+    },
+    async Voted(event) {
+      return [voteRow("plants", event.plantId, event)];
+    },
+    async TaxonomicRanksSet(event) {
+      const { ranks } = event;
+
+      return [
+        {
+          table: "plant_ranks",
+          row: {
+            plant_id: event.plantId,
+            kingdom: ranks.kingdom,
+            phylum: ranks.phylum,
+            class_name: ranks.class,
+            order_name: ranks.order,
+            family: ranks.family,
+            genus: ranks.genus,
+            species: ranks.species,
+            infraspecific_rank: ranks.infraspecificRank,
+            infraspecific_epithet: ranks.infraspecificEpithet,
+            block_number: event.blockNumber,
+            log_index: event.logIndex,
+          },
+        },
+      ];
+    },
+    async AgroforestryAttributesSet(event) {
+      const { attributes } = event;
+
+      return [
+        {
+          table: "plant_agroforestry",
+          row: {
+            plant_id: event.plantId,
+            stratum: STRATA[attributes.stratum],
+            successional_stage: SUCCESSIONAL_STAGES[attributes.successionalStage],
+            block_number: event.blockNumber,
+            log_index: event.logIndex,
+          },
+        },
+      ];
+    },
+    async RelationshipProposed(event) {
+      return [
+        {
+          table: "plant_relationships",
+          row: {
+            id: event.relationshipId,
+            plant_id: event.plantId,
+            related_plant_id: event.relatedPlantId,
+            relationship_type: RELATIONSHIP_TYPES[event.relationshipType],
+            proposer: event.proposer,
+            block_number: event.blockNumber,
+          },
+        },
+      ];
+    },
+    async RelationshipVoted(event) {
+      return [voteRow("relationships", event.relationshipId, event)];
+    },
+    async PhotoAdded(event, contract) {
+      const photo = toPlain(await contract.getPhoto(event.photoId));
+
+      return [
+        {
+          table: "plant_photos",
+          row: {
+            id: event.photoId,
+            plant_id: event.plantId,
+            photo_type: PHOTO_TYPES[event.photoType],
+            photo_hash: photo.photoHash,
+            contributor: event.contributor,
+            block_number: event.blockNumber,
+          },
+        },
+      ];
+    },
+    async PhotoVoted(event) {
+      return [voteRow("photos", event.photoId, event)];
+    },
+    async RevisionResolved(event, contract) {
+      if (event.status !== PROPOSAL_ACCEPTED) return [];
+
+      const { fields, proposer } = toPlain(await contract.getRevision(event.revisionId));
+
+      return [
+        {
+          table: "plant_revisions",
+          row: {
+            plant_id: event.plantId,
+            revision_id: event.revisionId,
+            popular_name: fields.popularName,
+            scientific_name: fields.scientificName,
+            taxonomy: fields.taxonomy,
+            description: fields.description,
+            photo_hash: fields.photoHash,
+            proposer,
+            block_number: event.blockNumber,
+            log_index: event.logIndex,
+          },
+        },
+      ];
+    },
+    async DuplicateResolved(event) {
+      if (!event.accepted) return [];
+
+      return [
+        {
+          table: "plant_duplicates",
+          row: {
+            plant_id: event.duplicateId,
+            canonical_id: event.canonicalId,
+            block_number: event.blockNumber,
+            log_index: event.logIndex,
+          },
+        },
+      ];
+    },
+    async DuplicateContestResolved(event) {
+      if (!event.accepted) return [];
+
+      return [
+        {
+          table: "plant_duplicate_contests",
+          row: { plant_id: event.duplicateId, block_number: event.blockNumber, log_index: event.logIndex },
+        },
+      ];
+    },
+  },
+  appStore: {
+    async ImpactAppRegistered(event, contract) {
+      const impactApp = toPlain(await contract.getImpactApp(event.impactAppId));
+
+      return [
+        {
+          table: "impact_apps",
+          row: {
+            id: event.impactAppId,
+            name: event.name,
+            description: impactApp.description,
+            icon: impactApp.icon,
+            repository_url: impactApp.repositoryUrl,
+            external_link: impactApp.externalLink,
+            contract_addresses: JSON.stringify(impactApp.contractAddresses),
+            publisher: event.publisher,
+            block_number: event.blockNumber,
+          },
+        },
+      ];
+    },
+    async ImpactAppVoted(event) {
+      return [voteRow("appStore", event.impactAppId, event)];
+    },
+  },
+  whitepapers: {
+    async WhitepaperPublished(event, contract) {
+      const whitepaper = toPlain(await contract.getWhitepaper(event.id));
+
+      return [
+        {
+          table: "whitepapers",
+          row: {
+            id: event.id,
+            title: event.title,
+            description: whitepaper.description,
+            url: whitepaper.url,
+            publisher: event.publisher,
+            block_number: event.blockNumber,
+          },
+        },
+      ];
+    },
+    async Voted(event) {
+      return [voteRow("whitepapers", event.whitepaperId, event)];
+    },
+  },
+  occurrences: {
+    async OccurrenceReported(event, contract) {
+      const occurrence = toPlain(await contract.getOccurrence(event.occurrenceId));
+
+      return [
+        {
+          table: "occurrences",
+          row: {
+            id: event.occurrenceId,
+            plant_id: event.plantId,
+            reporter: event.reporter,
+            geohash: event.geohash,
+            latitude: occurrence.hasCoordinates ? occurrence.latitude / COORDINATE_SCALE : null,
+            longitude: occurrence.hasCoordinates ? occurrence.longitude / COORDINATE_SCALE : null,
+            observed_at: occurrence.observedAt,
+            evidence_cid: occurrence.evidenceCid,
+            block_number: event.blockNumber,
+          },
+        },
+      ];
+    },
+  },
+  translations: {
+    async TranslationAdded(event, contract) {
+      const translation = toPlain(await contract.getTranslation(event.translationId));
+
+      return [
+        {
+          table: "translations",
+          row: {
+            id: event.translationId,
+            entry_type: ENTRY_TYPES[event.entryType],
+            entry_id: event.entryId,
+            language: event.language,
+            name: translation.name,
+            description: translation.description,
+            translator: event.translator,
+            block_number: event.blockNumber,
+          },
+        },
+      ];
+    },
+    async Voted(event) {
+      return [voteRow("translations", event.translationId, event)];
+    },
+  },
+  treaty: {
+    async PledgeSigned(event) {
+      return [
+        {
+          table: "pledges",
+          row: {
+            signer: event.signer,
+            version: event.version,
+            block_number: event.blockNumber,
+            log_index: event.logIndex,
+          },
+        },
+      ];
+    },
+    async CommitmentProven(event) {
+      return [
+        { table: "proofs", row: { signer: event.prover, block_number: event.blockNumber, log_index: event.logIndex } },
+      ];
+    },
+    async SignerLapsed(event) {
+      return [
+        {
+          table: "lapses",
+          row: {
+            signer: event.signer,
+            lapsed_block: event.lapsedAtBlock,
+            block_number: event.blockNumber,
+            log_index: event.logIndex,
+          },
+        },
+      ];
+    },
+    async VersionAdopted(event) {
+      return [
+        {
+          table: "treaty_versions",
+          row: {
+            version: event.version,
+            text_hash: event.textHash,
+            text_uri: event.textUri,
+            block_number: event.blockNumber,
+          },
+        },
+      ];
+    },
+    async PledgeWithdrawn(event) {
+      return [
+        {
+          table: "withdrawals",
+          row: { signer: event.signer, block_number: event.blockNumber, log_index: event.logIndex },
+        },
+      ];
+    },
+  },
+};
+
+/**
+ * Replays the events of the Sintrop OS apps into the SQLite index and follows new blocks.
+ *
+ * The hash of the last indexed block is checked before every sync. When the chain no longer has that
+ * block, the index is rewound by `confirmations` blocks and indexed again from there, which undoes reorgs
+ * up to that depth.
+ */
+class SintropIndexer {
+  /**
+   * @param {object} options
+   * @param {import("better-sqlite3").Database} options.db Database opened with `openDatabase()`.
+   * @param {import("ethers").Provider} options.provider
+   * @param {object} options.addresses App addresses, with the same keys as `createSintropOS()`.
+   * @param {object} [options.abis] ABIs by contract name, read from the Hardhat artifacts when missing.
+   * @param {number} [options.startBlock] First block to index, usually the deployment block of the apps.
+   * @param {number} [options.confirmations] Blocks rewound when a reorg is found.
+   * @param {number} [options.batchSize] Maximum number of blocks per `eth_getLogs` request.
+   * @param {number} [options.pollInterval] Milliseconds between syncs when following the chain.
+   * @param {(message: string) => void} [options.log]
+   */
+  constructor({
+    db,
+    provider,
+    addresses,
+    abis,
+    startBlock = 0,
+    confirmations = 12,
+    batchSize = 2000,
+    pollInterval = 4000,
+    log = () => {},
+  }) {
+    this.db = db;
+    this.provider = provider;
+    this.startBlock = startBlock;
+    this.confirmations = Math.max(confirmations, 1);
+    this.batchSize = batchSize;
+    this.pollInterval = pollInterval;
+    this.log = log;
+    this.running = false;
+
+    const os = createSintropOS({ runner: provider, addresses, abis });
+    this.treaty = os.treaty && os.treaty.contract;
+    // Apps made of several contracts, such as the plants and their registries, index the events of all of them.
+    this.apps = Object.keys(HANDLERS)
+      .filter((key) => os[key])
+      .flatMap((key) => os[key].contracts.map((contract) => ({ key, contract, handlers: HANDLERS[key] })));
+  }
+
+  /** Last indexed block and its hash, or null when nothing was indexed yet. */
+  head() {
+    return this.db.prepare("SELECT number, hash FROM blocks ORDER BY number DESC LIMIT 1").get() || null;
+  }
+
+  /** Deletes everything indexed after `blockNumber`. */
+  rewind(blockNumber) {
+    this.db.transaction(() => {
+      this.db.prepare("DELETE FROM blocks WHERE number > ?").run(blockNumber);
+      for (const table of DATA_TABLES) {
+        this.db.prepare(`DELETE FROM ${table} WHERE block_number > ?`).run(blockNumber);
+      }
+    })();
+  }
+
+  async _undoReorgs() {
+    let head = this.head();
+
+    while (head) {
+      const block = await this.provider.getBlock(head.number);
+      if (block && block.hash === head.hash) return;
+
+      const target = head.number - this.confirmations;
+      this.log(`Block ${head.number} is not on the chain anymore, rewinding the index to block ${target}`);
+      this.rewind(target);
+      head = this.head();
+    }
+  }
+
+  async _collectRows(logs) {
+    const rows = [];
+
+    for (const log of logs) {
+      const app = this.apps.find(({ contract }) => contract.target.toLowerCase() === log.address.toLowerCase());
+      const parsed = app && app.contract.interface.parseLog(log);
+      if (!parsed) continue;
+
+      const event = {
+        ...toPlain(parsed.args),
+        blockNumber: log.blockNumber,
+        logIndex: log.index,
+      };
+      rows.push({
+        table: "events",
+        row: {
+          block_number: log.blockNumber,
+          log_index: log.index,
+          transaction_hash: log.transactionHash,
+          app: app.key,
+          event: parsed.name,
+          args: stringifyArgs(toPlain(parsed.args)),
+        },
+      });
+      rows.push({ table: "blocks", row: { number: log.blockNumber, hash: log.blockHash } });
+
+      const handler = app.handlers[parsed.name];
+      if (handler) rows.push(...(await handler(event, app.contract)));
+    }
+
+    return rows;
+  }
+
+  // The proof window of the treaty is set once by its initializer, so it is read at the latest block until it is
+  // found.
+  async _settingsRows(blockNumber) {
+    if (!this.treaty || this.db.prepare("SELECT 1 FROM treaty_settings").get()) return [];
+
+    const proofWindow = toPlain(await this.treaty.proofWindow());
+    if (proofWindow === 0) return [];
+
+    return [{ table: "treaty_settings", row: { block_number: blockNumber, proof_window: proofWindow } }];
+  }
+
+  _write(rows) {
+    this.db.transaction(() => {
+      for (const { table, row } of rows) {
+        const columns = Object.keys(row);
+        this.db
+          .prepare(
+            `INSERT OR REPLACE INTO ${table} (${columns.join(", ")}) VALUES (${columns.map((c) => `@${c}`).join(", ")})`
+          )
+          .run(row);
+      }
+    })();
+  }
+
+  /**
+   * Indexes every block from the last indexed one up to the chain head.
+   * @returns {Promise<{ fromBlock: number, toBlock: number, events: number }>}
+   */
+  async sync() {
+    await this._undoReorgs();
+
+    const head = this.head();
+    const fromBlock = head ? head.number + 1 : this.startBlock;
+    const latest = await this.provider.getBlockNumber();
+    let events = 0;
+
+    for (let from = fromBlock; from <= latest; from += this.batchSize) {
+      const to = Math.min(from + this.batchSize - 1, latest);
+      const logs = await this.provider.getLogs({
+        address: this.apps.map(({ contract }) => contract.target),
+        fromBlock: from,
+        toBlock: to,
+      });
+      const rows = await this._collectRows(logs);
+      const settings = await this._settingsRows(to);
+      const toBlock = await this.provider.getBlock(to);
+
+      this._write([...rows, ...settings, { table: "blocks", row: { number: to, hash: toBlock.hash } }]);
+      events += logs.length;
+    }
+
+    return { fromBlock, toBlock: latest, events };
+  }
+
+  /**
+   * Syncs and keeps following new blocks until `stop()` is called. A failed sync, such as an RPC timeout, is logged
+   * and retried on the next poll.
+   */
+  async start() {
+    this.running = true;
+
+    while (this.running) {
+      try {
+        const { fromBlock, toBlock, events } = await this.sync();
+        if (toBlock >= fromBlock) this.log(`Indexed blocks ${fromBlock} to ${toBlock} (${events} events)`);
+      } catch (error) {
+        this.log(`Sync failed, retrying in ${this.pollInterval} ms: ${error.message}`);
+      }
+
+      await new Promise((resolve) => {
+        this.wake = resolve;
+        this.timer = setTimeout(resolve, this.pollInterval);
+      });
+    }
+  }
+
+  stop() {
+    this.running = false;
+    clearTimeout(this.timer);
+    if (this.wake) this.wake();
+  }
+}
+
+module.exports = { SintropIndexer, HANDLERS };
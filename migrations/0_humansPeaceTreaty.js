@@ -0,0 +1,44 @@
+const { ethers } = require("hardhat");
+const saveContractAddress = require("../scripts/shared/saveContractAddress");
+const verifyContract = require("../scripts/shared/verifyContract");
+const { deployHumansPeaceTreaty } = require("../scripts/shared/deployHumansPeaceTreaty");
+
+// Blocks a signer stays active after each proof, about 30 days of 12-second blocks unless
+// TREATY_PROOF_WINDOW says otherwise.
+const DEFAULT_PROOF_WINDOW = 216000;
+
+// First version of the text of the treaty, the pledge quoted in the documentation of `signPeacePledge`.
+const PLEDGE_TEXT =
+  "I hereby commit myself to the principles of peace and non-violence. I recognize the inherent dignity and " +
+  "worth of every individual, regardless of origin, belief, or status. With the exception of defending myself or " +
+  "others from imminent harm, I pledge to abstain from physical violence, theft, and any act intended to kill or " +
+  "make harm to another human being.";
+
+async function humansPeaceTreatyDeploy() {
+  const proofWindow = Number(process.env["TREATY_PROOF_WINDOW"] || DEFAULT_PROOF_WINDOW);
+  // The text is embedded in a data URI unless TREATY_TEXT_URI points to a published copy, such as its IPFS CID. The
+  // published text may differ from the pledge, so its hash must then be given with TREATY_TEXT_HASH.
+  const publishedUri = process.env["TREATY_TEXT_URI"];
+  const publishedHash = process.env["TREATY_TEXT_HASH"];
+  if (publishedUri && !ethers.isHexString(publishedHash, 32)) {
+    throw new Error(
+      `TREATY_TEXT_HASH must be the keccak256 hash of the text at TREATY_TEXT_URI, got "${publishedHash || ""}"`
+    );
+  }
+  const textUri = publishedUri || `data:text/plain;charset=utf-8,${encodeURIComponent(PLEDGE_TEXT)}`;
+  const textHash = publishedUri ? publishedHash : ethers.id(PLEDGE_TEXT);
+  const contracts = await deployHumansPeaceTreaty(proofWindow, textHash, textUri);
+  const contractNames = { humansPeaceTreaty: "HumansPeaceTreaty", peaceTreatyCertificate: "PeaceTreatyCertificate" };
+
+  for (const [key, contractName] of Object.entries(contractNames)) {
+    await saveContractAddress(contractName, contracts[key]);
+
+    console.log(`${key} address ${contracts[key].target}`);
+
+    await verifyContract(contracts[key], contractName);
+  }
+
+  return contracts;
+}
+
+module.exports = humansPeaceTreatyDeploy;
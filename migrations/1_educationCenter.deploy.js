@@ -1,13 +1,12 @@
 const saveContractAddress = require("../scripts/shared/saveContractAddress");
 const verifyContract = require("../scripts/shared/verifyContract");
+const { deployProxy } = require("../scripts/shared/deployProxy");
+const { resolveVoterEligibility } = require("../scripts/shared/voterEligibility");
 
 async function educationCenterDeploy() {
+  const educationCenter = await deployProxy("FreeEducationCenter", [await resolveVoterEligibility()]);
 
-  const FreeEducationCenter = await ethers.getContractFactory("FreeEducationCenter");
-
-  const educationCenter = await FreeEducationCenter.deploy();
-
-  saveContractAddress("FreeEducationCenter", educationCenter.target);
+  await saveContractAddress("FreeEducationCenter", educationCenter);
 
   console.log(`EducationCenter address ${educationCenter.target}`);
 
@@ -1,13 +1,12 @@
 const saveContractAddress = require("../scripts/shared/saveContractAddress");
 const verifyContract = require("../scripts/shared/verifyContract");
+const { deployProxy } = require("../scripts/shared/deployProxy");
+const { resolveVoterEligibility } = require("../scripts/shared/voterEligibility");
 
 async function sintropAppStoreDeploy() {
+  const sintropAppStore = await deployProxy("SintropAppStore", [await resolveVoterEligibility()]);
 
-  const SintropAppStore = await ethers.getContractFactory("SintropAppStore");
-
-  const sintropAppStore = await SintropAppStore.deploy();
-
-  saveContractAddress("SintropAppStore", sintropAppStore.target);
+  await saveContractAddress("SintropAppStore", sintropAppStore);
 
   console.log(`sintropAppStore address ${sintropAppStore.target}`);
 
@@ -1,19 +1,22 @@
 const saveContractAddress = require("../scripts/shared/saveContractAddress");
 const verifyContract = require("../scripts/shared/verifyContract");
+const { deployPlantCatalog, PLANT_CATALOG_REGISTRIES } = require("../scripts/shared/deployPlantCatalog");
+const { resolveVoterEligibility } = require("../scripts/shared/voterEligibility");
 
+// The catalog keeps its taxonomy, revisions, agroforestry data and galleries in registries deployed with it.
 async function globalPlantCatalogDeploy() {
+  const contracts = await deployPlantCatalog(await resolveVoterEligibility());
+  const contractNames = { globalPlantCatalog: "GlobalPlantCatalog", ...PLANT_CATALOG_REGISTRIES };
 
-  const GlobalPlantCatalog = await ethers.getContractFactory("GlobalPlantCatalog");
+  for (const [key, contractName] of Object.entries(contractNames)) {
+    await saveContractAddress(contractName, contracts[key]);
 
-  const globalPlantCatalog = await GlobalPlantCatalog.deploy();
+    console.log(`${key} address ${contracts[key].target}`);
 
-  saveContractAddress("GlobalPlantCatalog", globalPlantCatalog.target);
+    await verifyContract(contracts[key], contractName);
+  }
 
-  console.log(`globalPlantCatalog address ${globalPlantCatalog.target}`);
-
-  await verifyContract(globalPlantCatalog, "globalPlantCatalog");
-
-  return { globalPlantCatalog };
+  return contracts;
 }
 
 module.exports = globalPlantCatalogDeploy;
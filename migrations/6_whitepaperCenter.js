@@ -1,13 +1,12 @@
 const saveContractAddress = require("../scripts/shared/saveContractAddress");
 const verifyContract = require("../scripts/shared/verifyContract");
+const { deployProxy } = require("../scripts/shared/deployProxy");
+const { resolveVoterEligibility } = require("../scripts/shared/voterEligibility");
 
 async function whitepaperCenterDeploy() {
+  const whitepaperCenter = await deployProxy("WhitepaperCenter", [await resolveVoterEligibility()]);
 
-  const WhitepaperCenter = await ethers.getContractFactory("WhitepaperCenter");
-
-  const whitepaperCenter = await WhitepaperCenter.deploy();
-
-  saveContractAddress("WhitepaperCenter", whitepaperCenter.target);
+  await saveContractAddress("WhitepaperCenter", whitepaperCenter);
 
   console.log(`WhitepaperCenter address ${whitepaperCenter.target}`);
 
@@ -0,0 +1,20 @@
+const saveContractAddress = require("../scripts/shared/saveContractAddress");
+const verifyContract = require("../scripts/shared/verifyContract");
+const { deployProxy } = require("../scripts/shared/deployProxy");
+const { readDeployment } = require("../scripts/shared/deployments");
+
+// Occurrences refer to the plant IDs of the catalog, so GlobalPlantCatalog must be deployed first.
+async function plantOccurrenceRegistryDeploy() {
+  const { address: globalPlantCatalog } = readDeployment("GlobalPlantCatalog");
+  const plantOccurrenceRegistry = await deployProxy("PlantOccurrenceRegistry", [globalPlantCatalog]);
+
+  await saveContractAddress("PlantOccurrenceRegistry", plantOccurrenceRegistry);
+
+  console.log(`PlantOccurrenceRegistry address ${plantOccurrenceRegistry.target}`);
+
+  await verifyContract(plantOccurrenceRegistry, "PlantOccurrenceRegistry");
+
+  return { plantOccurrenceRegistry };
+}
+
+module.exports = plantOccurrenceRegistryDeploy;
@@ -0,0 +1,22 @@
+const saveContractAddress = require("../scripts/shared/saveContractAddress");
+const verifyContract = require("../scripts/shared/verifyContract");
+const { deployProxy } = require("../scripts/shared/deployProxy");
+const { readDeployment } = require("../scripts/shared/deployments");
+
+// Translations refer to the plants of the catalog and the contents of the education center, so both must be
+// deployed first.
+async function translationCenterDeploy() {
+  const { address: globalPlantCatalog } = readDeployment("GlobalPlantCatalog");
+  const { address: freeEducationCenter } = readDeployment("FreeEducationCenter");
+  const translationCenter = await deployProxy("TranslationCenter", [globalPlantCatalog, freeEducationCenter]);
+
+  await saveContractAddress("TranslationCenter", translationCenter);
+
+  console.log(`TranslationCenter address ${translationCenter.target}`);
+
+  await verifyContract(translationCenter, "TranslationCenter");
+
+  return { translationCenter };
+}
+
+module.exports = translationCenterDeploy;
@@ -5,12 +5,8 @@
 // will compile your contracts, add the Hardhat Runtime Environment's members to the
 // global scope, and execute the script.
 const hre = require("hardhat");
-var fs = require("fs");
-const educationCenterDeploy = require("../migrations/1_educationCenter.deploy.js");
-const sintropAppStoreDeploy = require("../migrations/2_sintropAppStore.deploy.js");
-const globalPlantCatalogDeploy = require("../migrations/3_globalPlantCatalog.js");
-const humansPeaceTreatyDeploy = require("../migrations/5_humansPeaceTreaty.js");
-const whitepaperDeploy = require("../migrations/6_whitepaperCenter.js");
+const { runMigrations } = require("./shared/runMigrations");
+const { readDeployments } = require("./shared/deployments");
 
 const sleep = (ms = 0) => new Promise((resolve) => setTimeout(resolve, ms));
 
@@ -33,13 +29,7 @@ async function startDeployAlert() {
 }
 
 function showDeployedAddress() {
-  const filepath = `deployed_contracts/${hre.network.name}`;
-  var files = fs.readdirSync(filepath);
-
-  files.forEach((filename) => {
-    const data = fs.readFileSync(`${filepath}/${filename}`, "utf8");
-    object = JSON.parse(data);
-
+  readDeployments().forEach((object) => {
     console.log();
     console.log(object["name"]);
     console.log(object["address"]);
@@ -50,15 +40,15 @@ function showDeployedAddress() {
 async function main() {
   await startDeployAlert();
 
-  // await educationCenterDeploy();
-  // await sintropAppStoreDeploy();
-  // await globalPlantCatalogDeploy();
-  // await humansPeaceTreatyDeploy();
-  // await whitepaperDeploy();
-
-//  await afterDeploy();
+  // `hardhat run` does not forward arguments to the script, so the selection comes from the environment.
+  // The `migrate` task accepts the same options as --only, --from and --force.
+  await runMigrations({
+    only: process.env["DEPLOY_ONLY"],
+    from: process.env["DEPLOY_FROM"],
+    force: process.env["DEPLOY_FORCE"] == "true",
+  });
 
-  // showDeployedAddress();
+  showDeployedAddress();
 }
 // We recommend this pattern to be able to use async/await everywhere
 // and properly handle errors.
@@ -0,0 +1,98 @@
+const hre = require("hardhat");
+const { readDeployments } = require("./deployments");
+const { readProxy } = require("./saveContractAddress");
+
+const STATUS = {
+  OK: "ok",
+  MISSING: "missing",
+  CHANGED: "changed",
+  REDEPLOYED: "redeployed",
+};
+
+async function checkRecord(record, chainId) {
+  const provider = hre.ethers.provider;
+  const result = { name: record.name, address: record.address, status: STATUS.OK, detail: "" };
+
+  if (record.chainId !== undefined && record.chainId !== chainId) {
+    return {
+      ...result,
+      status: STATUS.REDEPLOYED,
+      detail: `manifest is for chain ${record.chainId}, node is on ${chainId}`,
+    };
+  }
+
+  const code = await provider.getCode(record.address);
+  if (code === "0x") {
+    return { ...result, status: STATUS.MISSING, detail: "no code at the recorded address" };
+  }
+
+  if (record.txHash) {
+    const receipt = await provider.getTransactionReceipt(record.txHash);
+
+    if (!receipt) {
+      return { ...result, status: STATUS.REDEPLOYED, detail: "deployment transaction not found on chain" };
+    }
+    if (receipt.contractAddress && receipt.contractAddress.toLowerCase() !== record.address.toLowerCase()) {
+      return {
+        ...result,
+        status: STATUS.REDEPLOYED,
+        detail: `deployment transaction created ${receipt.contractAddress}`,
+      };
+    }
+    if (record.blockNumber !== null && receipt.blockNumber !== record.blockNumber) {
+      return {
+        ...result,
+        status: STATUS.REDEPLOYED,
+        detail: `deployed at block ${receipt.blockNumber}, manifest says ${record.blockNumber}`,
+      };
+    }
+  }
+
+  // Upgrades made outside the `upgrade` task leave the manifest pointing to the old implementation.
+  if (record.implementation) {
+    const proxy = await readProxy(record.address);
+
+    if (!proxy) {
+      return { ...result, status: STATUS.CHANGED, detail: "the recorded address is not a proxy anymore" };
+    }
+    if (proxy.implementation.toLowerCase() !== record.implementation.toLowerCase()) {
+      return {
+        ...result,
+        status: STATUS.CHANGED,
+        detail: `proxy points to implementation ${proxy.implementation}, manifest says ${record.implementation}`,
+      };
+    }
+    if (record.implementationBytecodeHash && proxy.implementationBytecodeHash !== record.implementationBytecodeHash) {
+      return { ...result, status: STATUS.CHANGED, detail: "implementation bytecode differs from the manifest" };
+    }
+  }
+
+  if (!record.bytecodeHash) {
+    return { ...result, detail: "manifest has no bytecode hash, code was not compared" };
+  }
+  if (hre.ethers.keccak256(code) !== record.bytecodeHash) {
+    return { ...result, status: STATUS.CHANGED, detail: "on-chain bytecode differs from the manifest" };
+  }
+
+  return result;
+}
+
+/**
+ * Compares every manifest of the selected network against the chain.
+ * A contract is `missing` when there is no code at its address, `redeployed` when the recorded deployment
+ * is not part of the chain history anymore, and `changed` when its code hash differs from the manifest or,
+ * for proxies, when the proxy points to another implementation than the recorded one.
+ * @returns {Promise<Array<{ name: string, address: string, status: string, detail: string }>>}
+ */
+async function checkManifest() {
+  const { chainId } = await hre.ethers.provider.getNetwork();
+  const results = [];
+
+  for (const record of readDeployments()) {
+    results.push(await checkRecord(record, Number(chainId)));
+  }
+
+  return results;
+}
+
+module.exports = { checkManifest, STATUS };
@@ -0,0 +1,249 @@
+const fs = require("node:fs");
+const path = require("node:path");
+const zlib = require("node:zlib");
+
+// Namespaces of the terms used by the archive.
+const DWC = "http://rs.tdwg.org/dwc/terms/";
+// Terms Darwin Core has no equivalent for, such as the account that added a plant to the catalog.
+const SINTROP = "https://sintrop.com/terms/";
+
+// Row types of the core and extension files.
+const TAXON = `${DWC}Taxon`;
+const MEASUREMENT_OR_FACT = `${DWC}MeasurementOrFact`;
+
+// Infraspecific ranks, as the catalog abbreviates them, mapped to the values of `dwc:taxonRank`.
+const TAXON_RANKS = { "subsp.": "subspecies", "var.": "variety", "f.": "form" };
+
+// Columns of `taxon.txt`, the core file with one row per plant. The first column is the row ID.
+const TAXON_COLUMNS = [
+  { term: `${DWC}taxonID`, value: (plant) => plant.id },
+  { term: `${DWC}scientificName`, value: (plant) => plant.scientificName },
+  { term: `${DWC}vernacularName`, value: (plant) => plant.popularName },
+  { term: `${DWC}higherClassification`, value: (plant) => plant.taxonomy },
+  { term: `${DWC}kingdom`, value: (plant) => plant.ranks?.kingdom },
+  { term: `${DWC}phylum`, value: (plant) => plant.ranks?.phylum },
+  { term: `${DWC}class`, value: (plant) => plant.ranks?.class },
+  { term: `${DWC}order`, value: (plant) => plant.ranks?.order },
+  { term: `${DWC}family`, value: (plant) => plant.ranks?.family },
+  { term: `${DWC}genus`, value: (plant) => plant.ranks?.genus },
+  { term: `${DWC}specificEpithet`, value: (plant) => plant.ranks?.species },
+  { term: `${DWC}infraspecificEpithet`, value: (plant) => plant.ranks?.infraspecificEpithet },
+  { term: `${DWC}taxonRank`, value: (plant) => taxonRank(plant.ranks) },
+  // Plants marked as duplicates point to their canonical plant, like synonyms to the accepted name.
+  { term: `${DWC}taxonomicStatus`, value: (plant) => (plant.canonicalId === plant.id ? "accepted" : "synonym") },
+  { term: `${DWC}acceptedNameUsageID`, value: (plant) => plant.canonicalId },
+  { term: `${DWC}taxonRemarks`, value: (plant) => plant.description },
+  { term: `${SINTROP}creator`, value: (plant) => plant.creator },
+  { term: `${SINTROP}createdAtBlock`, value: (plant) => plant.createdAt },
+];
+
+// Columns of `votes.txt`, the MeasurementOrFact extension with the community votes of each plant.
+const VOTE_COLUMNS = [
+  { term: `${DWC}measurementType`, value: (fact) => fact.type },
+  { term: `${DWC}measurementValue`, value: (fact) => fact.value },
+  { term: `${DWC}measurementMethod`, value: () => "Community votes in the GlobalPlantCatalog" },
+];
+
+const VOTE_FACTS = [
+  { type: "positive votes", value: (votes) => votes.positive },
+  { type: "negative votes", value: (votes) => votes.negative },
+  { type: "vote score", value: (votes) => votes.score },
+];
+
+function taxonRank(ranks) {
+  if (!ranks) return "";
+  if (ranks.infraspecificRank) return TAXON_RANKS[ranks.infraspecificRank] ?? ranks.infraspecificRank;
+
+  return "species";
+}
+
+// Quotes every value, doubling the quotes inside, as declared by `fieldsEnclosedBy` in meta.xml. Line breaks
+// inside values become spaces, many Darwin Core readers split rows on every line break.
+function toCsv(rows) {
+  const quote = (value) =>
+    `"${String(value ?? "")
+      .replace(/\r?\n|\r/g, " ")
+      .replace(/"/g, '""')}"`;
+
+  return rows.map((row) => `${row.map(quote).join(",")}\n`).join("");
+}
+
+const escapeXml = (value) =>
+  String(value).replace(/[<>&"]/g, (char) => ({ "<": "&lt;", ">": "&gt;", "&": "&amp;", '"': "&quot;" }[char]));
+
+// Describes a data file of the archive. Column 0 is the row ID of the core, or the core ID of an extension.
+function fileDescriptor(element, idElement, { rowType, location, terms }) {
+  const fields = terms.map((term, index) => `    <field index="${index + 1}" term="${escapeXml(term)}"/>`);
+
+  return [
+    `  <${element} encoding="UTF-8" fieldsTerminatedBy="," linesTerminatedBy="\\n" fieldsEnclosedBy="&quot;" ignoreHeaderLines="1" rowType="${rowType}">`,
+    `    <files>`,
+    `      <location>${location}</location>`,
+    `    </files>`,
+    `    <${idElement} index="0"/>`,
+    ...fields,
+    `  </${element}>`,
+  ].join("\n");
+}
+
+// Header row of a data file, with the term names without their namespace.
+const header = (idColumn, columns) => [idColumn, ...columns.map(({ term }) => term.split("/").pop())];
+
+/**
+ * Builds the files of a Darwin Core Archive with the plants of the catalog: `taxon.txt` as the core,
+ * `votes.txt` as a MeasurementOrFact extension and `meta.xml` describing both.
+ * @param {Array<object>} plants Plants as read by `readCatalogPlants()`.
+ * @returns {Record<string, string>} Content of each file, by file name.
+ */
+function buildDarwinCoreArchive(plants) {
+  const taxa = plants.map((plant) => [plant.id, ...TAXON_COLUMNS.map(({ value }) => value(plant))]);
+  const votes = plants.flatMap((plant) =>
+    VOTE_FACTS.map((fact) => {
+      const entry = { type: fact.type, value: fact.value(plant.votes) };
+      return [plant.id, ...VOTE_COLUMNS.map(({ value }) => value(entry))];
+    })
+  );
+
+  const meta = [
+    `<?xml version="1.0" encoding="UTF-8"?>`,
+    `<archive xmlns="http://rs.tdwg.org/dwc/text/">`,
+    fileDescriptor("core", "id", {
+      rowType: TAXON,
+      location: "taxon.txt",
+      terms: TAXON_COLUMNS.map(({ term }) => term),
+    }),
+    fileDescriptor("extension", "coreid", {
+      rowType: MEASUREMENT_OR_FACT,
+      location: "votes.txt",
+      terms: VOTE_COLUMNS.map(({ term }) => term),
+    }),
+    `</archive>`,
+    ``,
+  ].join("\n");
+
+  return {
+    "meta.xml": meta,
+    "taxon.txt": toCsv([header("id", TAXON_COLUMNS), ...taxa]),
+    "votes.txt": toCsv([header("coreid", VOTE_COLUMNS), ...votes]),
+  };
+}
+
+/**
+ * Reads every plant of the catalog with its taxonomic ranks, its votes and its canonical plant.
+ * @param {import("../../sdk/plants").Plants} plants Plants client of the SDK.
+ */
+async function readCatalogPlants(plants) {
+  const { items } = await plants.list({ limit: await plants.count() });
+
+  return Promise.all(
+    items.map(async (plant) => ({
+      ...plant,
+      ranks: await plants.ranks(plant.id),
+      canonicalId: await plants.canonicalId(plant.id),
+    }))
+  );
+}
+
+// DOS date of the zip entries, 1980-01-01. A fixed date makes the same files always produce the same zip.
+const ZIP_DATE = 0x21;
+
+// CRC-32 lookup table of the zip entries. `zlib.crc32()` is missing from the Node versions before 20.15.
+const CRC_TABLE = Array.from({ length: 256 }, (_, byte) => {
+  let crc = byte;
+  for (let bit = 0; bit < 8; bit++) crc = crc & 1 ? 0xedb88320 ^ (crc >>> 1) : crc >>> 1;
+  return crc >>> 0;
+});
+
+function crc32(data) {
+  let crc = 0xffffffff;
+  for (const byte of data) crc = CRC_TABLE[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+/** Packs files into a zip archive with deflated entries. */
+function zipFiles(files) {
+  const entries = [];
+  const directory = [];
+  let offset = 0;
+
+  for (const [name, content] of Object.entries(files)) {
+    const fileName = Buffer.from(name);
+    const data = Buffer.from(content);
+    const compressed = zlib.deflateRawSync(data);
+
+    const local = Buffer.alloc(30);
+    local.writeUInt32LE(0x04034b50, 0);
+    local.writeUInt16LE(20, 4);
+    local.writeUInt16LE(8, 8);
+    local.writeUInt16LE(ZIP_DATE, 12);
+    local.writeUInt32LE(crc32(data), 14);
+    local.writeUInt32LE(compressed.length, 18);
+    local.writeUInt32LE(data.length, 22);
+    local.writeUInt16LE(fileName.length, 26);
+    entries.push(local, fileName, compressed);
+
+    const central = Buffer.alloc(46);
+    central.writeUInt32LE(0x02014b50, 0);
+    central.writeUInt16LE(20, 4);
+    central.writeUInt16LE(20, 6);
+    central.writeUInt16LE(8, 10);
+    central.writeUInt16LE(ZIP_DATE, 14);
+    local.copy(central, 16, 14, 26);
+    central.writeUInt16LE(fileName.length, 28);
+    central.writeUInt32LE(offset, 42);
+    directory.push(central, fileName);
+
+    offset += local.length + fileName.length + compressed.length;
+  }
+
+  const directorySize = directory.reduce((size, buffer) => size + buffer.length, 0);
+  const end = Buffer.alloc(22);
+  end.writeUInt32LE(0x06054b50, 0);
+  end.writeUInt16LE(directory.length / 2, 8);
+  end.writeUInt16LE(directory.length / 2, 10);
+  end.writeUInt32LE(directorySize, 12);
+  end.writeUInt32LE(offset, 16);
+
+  return Buffer.concat([...entries, ...directory, end]);
+}
+
+/**
+ * Writes the files of an archive as a zip file when `out` ends with `.zip`, or into the `out` folder otherwise.
+ * @returns {string} Absolute path of what was written.
+ */
+function writeDarwinCoreArchive(files, out) {
+  const target = path.resolve(out);
+
+  if (target.endsWith(".zip")) {
+    fs.mkdirSync(path.dirname(target), { recursive: true });
+    fs.writeFileSync(target, zipFiles(files));
+  } else {
+    fs.mkdirSync(target, { recursive: true });
+    for (const [name, content] of Object.entries(files)) fs.writeFileSync(path.join(target, name), content);
+  }
+
+  return target;
+}
+
+/**
+ * Exports the plants of the catalog as a Darwin Core Archive.
+ * @param {object} options
+ * @param {import("../../sdk/plants").Plants} options.plants Plants client of the SDK.
+ * @param {string} options.out Path of the zip file, or of a folder to write the files into.
+ * @returns {Promise<{ path: string, plants: number }>}
+ */
+async function exportDarwinCoreArchive({ plants, out }) {
+  const entries = await readCatalogPlants(plants);
+
+  return { path: writeDarwinCoreArchive(buildDarwinCoreArchive(entries), out), plants: entries.length };
+}
+
+module.exports = {
+  buildDarwinCoreArchive,
+  readCatalogPlants,
+  writeDarwinCoreArchive,
+  exportDarwinCoreArchive,
+  TAXON_COLUMNS,
+  VOTE_COLUMNS,
+};
@@ -0,0 +1,26 @@
+const { ethers } = require("hardhat");
+const { deployProxy } = require("./deployProxy");
+
+/**
+ * Deploys HumansPeaceTreaty and its PeaceTreatyCertificate behind transparent proxies. The certificate is deployed
+ * first, since the treaty is initialized with its address, then bound to the treaty, the only contract that can
+ * issue certificates.
+ * @param {number} proofWindow Blocks a signer stays active after each proof of commitment.
+ * @param {string} textHash keccak256 hash of the first version of the text.
+ * @param {string} textUri Where to read the first version of the text.
+ * @returns {Promise<{ humansPeaceTreaty, peaceTreatyCertificate }>}
+ */
+async function deployHumansPeaceTreaty(proofWindow, textHash, textUri) {
+  const peaceTreatyCertificate = await deployProxy("PeaceTreatyCertificate", [ethers.ZeroAddress]);
+  const humansPeaceTreaty = await deployProxy("HumansPeaceTreaty", [
+    proofWindow,
+    textHash,
+    textUri,
+    peaceTreatyCertificate.target,
+  ]);
+  await (await peaceTreatyCertificate.bindTreaty(humansPeaceTreaty.target)).wait();
+
+  return { humansPeaceTreaty, peaceTreatyCertificate };
+}
+
+module.exports = { deployHumansPeaceTreaty };
@@ -0,0 +1,35 @@
+const { deployProxy } = require("./deployProxy");
+
+// Registries of GlobalPlantCatalog by deployment key, in the order `initialize` of the catalog takes them.
+const PLANT_CATALOG_REGISTRIES = {
+  plantTaxonomyRegistry: "PlantTaxonomyRegistry",
+  plantRevisionRegistry: "PlantRevisionRegistry",
+  plantAgroforestryRegistry: "PlantAgroforestryRegistry",
+  plantPhotoRegistry: "PlantPhotoRegistry",
+};
+
+/**
+ * Deploys GlobalPlantCatalog and its registries behind transparent proxies. The registries are deployed first,
+ * since the catalog is initialized with their addresses, then each one is bound to the catalog. The catalog
+ * cannot bind them from its initializer: a proxy has no code to call back while its constructor runs.
+ * @param {string} voterEligibility Registry deciding who may vote, or the zero address to let anyone vote.
+ * @returns {Promise<{ globalPlantCatalog, plantTaxonomyRegistry, plantRevisionRegistry, plantAgroforestryRegistry, plantPhotoRegistry }>}
+ */
+async function deployPlantCatalog(voterEligibility) {
+  const registries = {};
+  for (const [key, contractName] of Object.entries(PLANT_CATALOG_REGISTRIES)) {
+    registries[key] = await deployProxy(contractName);
+  }
+
+  const globalPlantCatalog = await deployProxy("GlobalPlantCatalog", [
+    voterEligibility,
+    ...Object.values(registries).map((registry) => registry.target),
+  ]);
+  for (const registry of Object.values(registries)) {
+    await (await registry.bindCatalog(globalPlantCatalog.target)).wait();
+  }
+
+  return { globalPlantCatalog, ...registries };
+}
+
+module.exports = { deployPlantCatalog, PLANT_CATALOG_REGISTRIES };
@@ -0,0 +1,25 @@
+const hre = require("hardhat");
+
+// Kind of proxy the native apps are deployed behind. Transparent proxies keep the upgrade rights in a
+// ProxyAdmin contract, so the apps themselves need no owner.
+const PROXY_KIND = "transparent";
+
+/**
+ * Deploys a contract behind a transparent proxy and calls its `initialize` function.
+ * The plugin validates that the contract is upgrade safe before deploying it.
+ * @param {string} contractName Name of the contract artifact.
+ * @param {Array} initializerArgs Arguments of `initialize`.
+ * @returns {Promise<import("ethers").Contract>} The contract attached to the proxy address.
+ */
+async function deployProxy(contractName, initializerArgs = []) {
+  const Factory = await hre.ethers.getContractFactory(contractName);
+  const contract = await hre.upgrades.deployProxy(Factory, initializerArgs, {
+    kind: PROXY_KIND,
+    initializer: "initialize",
+  });
+  await contract.waitForDeployment();
+
+  return contract;
+}
+
+module.exports = { deployProxy, PROXY_KIND };
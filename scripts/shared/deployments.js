@@ -0,0 +1,120 @@
+const hre = require("hardhat");
+const fs = require("node:fs");
+const path = require("node:path");
+
+// Key used by `loadSintropOS()` for each native app and the other contracts of the plant catalog and the treaty,
+// mapped to its contract name.
+const SINTROP_OS_CONTRACTS = {
+  educationCenter: "FreeEducationCenter",
+  sintropAppStore: "SintropAppStore",
+  globalPlantCatalog: "GlobalPlantCatalog",
+  plantTaxonomyRegistry: "PlantTaxonomyRegistry",
+  plantRevisionRegistry: "PlantRevisionRegistry",
+  plantAgroforestryRegistry: "PlantAgroforestryRegistry",
+  plantPhotoRegistry: "PlantPhotoRegistry",
+  humansPeaceTreaty: "HumansPeaceTreaty",
+  peaceTreatyCertificate: "PeaceTreatyCertificate",
+  whitepaperCenter: "WhitepaperCenter",
+  plantOccurrenceRegistry: "PlantOccurrenceRegistry",
+  translationCenter: "TranslationCenter",
+};
+
+class DeploymentNotFoundError extends Error {
+  constructor(contractName, network, detail) {
+    super(
+      `${contractName} is not deployed on network "${network}": ${detail}. ` +
+        `Run the migrations first (npx hardhat migrate --network ${network}).`
+    );
+    this.name = "DeploymentNotFoundError";
+    this.contractName = contractName;
+    this.network = network;
+  }
+}
+
+/**
+ * Directory holding the deployment manifests of a network.
+ * The base directory comes from the `DEPLOYED_CONTRACTS_DIR` env var, then `paths.deployments` in the
+ * Hardhat config, and defaults to `deployed_contracts/` in the project root. Relative paths are resolved
+ * from the project root, so scripts behave the same inside and outside the Docker container.
+ * @param {string} network Network name, defaults to the selected network.
+ */
+function getDeploymentsDir(network = hre.network.name) {
+  const baseDir = process.env["DEPLOYED_CONTRACTS_DIR"] || hre.config.paths.deployments || "deployed_contracts";
+
+  return path.resolve(hre.config.paths.root, baseDir, network);
+}
+
+function deploymentPath(contractName, network = hre.network.name) {
+  return path.join(getDeploymentsDir(network), `${contractName.toLowerCase()}.json`);
+}
+
+/**
+ * Reads the manifest of a contract on the selected network.
+ * @throws {DeploymentNotFoundError} When the network has no manifest for the contract.
+ */
+function readDeployment(contractName) {
+  const filepath = deploymentPath(contractName);
+
+  if (!fs.existsSync(filepath)) {
+    throw new DeploymentNotFoundError(contractName, hre.network.name, `manifest ${filepath} not found`);
+  }
+
+  const record = JSON.parse(fs.readFileSync(filepath, "utf8"));
+  // Manifests written before the address field was introduced keyed the address by the lowercase name.
+  return { ...record, address: record.address || record[contractName.toLowerCase()] };
+}
+
+// Reads every manifest of the selected network. Files starting with a dot hold deploy bookkeeping and are skipped.
+function readDeployments() {
+  const dir = getDeploymentsDir();
+  if (!fs.existsSync(dir)) return [];
+
+  return fs
+    .readdirSync(dir)
+    .filter((filename) => filename.endsWith(".json") && !filename.startsWith("."))
+    .map((filename) => JSON.parse(fs.readFileSync(path.join(dir, filename), "utf8")));
+}
+
+/**
+ * Returns an ethers instance of a deployed contract attached to its manifest address.
+ * @param {string} contractName Name of the contract artifact.
+ * @param {import("ethers").Signer} [signer] Signer to connect, defaults to the first account.
+ * @throws {DeploymentNotFoundError} When there is no manifest or no code at the recorded address.
+ */
+async function loadContract(contractName, signer) {
+  const { address } = readDeployment(contractName);
+
+  const code = await hre.ethers.provider.getCode(address);
+  if (code === "0x") {
+    throw new DeploymentNotFoundError(contractName, hre.network.name, `no code at ${address}`);
+  }
+
+  return hre.ethers.getContractAt(contractName, address, signer);
+}
+
+/**
+ * Loads every Sintrop OS native app of the selected network in one call.
+ * @param {import("ethers").Signer} [signer] Signer to connect, defaults to the first account.
+ * @returns {Promise<{ educationCenter, sintropAppStore, globalPlantCatalog, plantTaxonomyRegistry, plantRevisionRegistry, plantAgroforestryRegistry, plantPhotoRegistry, humansPeaceTreaty, peaceTreatyCertificate, whitepaperCenter, plantOccurrenceRegistry, translationCenter }>}
+ */
+async function loadSintropOS(signer) {
+  const entries = await Promise.all(
+    Object.entries(SINTROP_OS_CONTRACTS).map(async ([key, contractName]) => [
+      key,
+      await loadContract(contractName, signer),
+    ])
+  );
+
+  return Object.fromEntries(entries);
+}
+
+module.exports = {
+  SINTROP_OS_CONTRACTS,
+  DeploymentNotFoundError,
+  getDeploymentsDir,
+  deploymentPath,
+  readDeployment,
+  readDeployments,
+  loadContract,
+  loadSintropOS,
+};
@@ -0,0 +1,164 @@
+const hre = require("hardhat");
+const fs = require("node:fs");
+const path = require("node:path");
+const { getDeploymentsDir } = require("./deployments");
+
+const MIGRATIONS_DIR = path.join(__dirname, "..", "..", "migrations");
+const MIGRATION_FILE_PATTERN = /^(\d+)_(.+?)(\.deploy)?\.js$/;
+
+/**
+ * Lists every migration found in `migrations/`, or in `dir`, ordered by its numeric prefix.
+ * A file named `3_globalPlantCatalog.js` becomes `{ id: 3, name: "globalPlantCatalog", file: "3_globalPlantCatalog.js" }`.
+ */
+function listMigrations(dir = MIGRATIONS_DIR) {
+  return fs
+    .readdirSync(dir)
+    .map((file) => {
+      const match = file.match(MIGRATION_FILE_PATTERN);
+      if (!match) return null;
+
+      return { id: Number(match[1]), name: match[2], file, filepath: path.join(dir, file) };
+    })
+    .filter(Boolean)
+    .sort((a, b) => a.id - b.id);
+}
+
+// The in-process `hardhat` network starts empty on every run, so there is nothing to resume and no state file.
+function migrationStatePath() {
+  if (hre.network.name === "hardhat") return null;
+
+  return path.join(getDeploymentsDir(), ".migrations.json");
+}
+
+// Migrations are recorded under their file name. A migration renumbered since it ran is found by its name.
+function findPreviousRun(state, migration) {
+  return state[migration.file] || Object.values(state).find((run) => run.name === migration.name);
+}
+
+function readMigrationState(filepath = migrationStatePath()) {
+  if (!filepath || !fs.existsSync(filepath)) return {};
+
+  return JSON.parse(fs.readFileSync(filepath, "utf8"));
+}
+
+function writeMigrationState(filepath, state) {
+  if (!filepath) return;
+
+  fs.mkdirSync(path.dirname(filepath), { recursive: true });
+  fs.writeFileSync(filepath, JSON.stringify(state, null, 2));
+}
+
+// Accepts a migration number ("3"), its name ("globalPlantCatalog") or its file name.
+function matchesSelector(migration, selector) {
+  const value = String(selector).trim().toLowerCase();
+
+  return (
+    value === String(migration.id) || value === migration.name.toLowerCase() || value === migration.file.toLowerCase()
+  );
+}
+
+function findMigration(migrations, selector) {
+  const migration = migrations.find((item) => matchesSelector(item, selector));
+  if (!migration) {
+    const available = migrations.map((item) => item.file).join(", ");
+    throw new Error(`Unknown migration "${selector}". Available migrations: ${available}`);
+  }
+
+  return migration;
+}
+
+function parseSelectorList(value) {
+  if (!value) return [];
+  if (Array.isArray(value)) return value;
+
+  return String(value)
+    .split(",")
+    .map((item) => item.trim())
+    .filter(Boolean);
+}
+
+/**
+ * Picks the migrations to run from the `only` and `from` options.
+ * `only` is a list (or comma separated string) of migration selectors, `from` is a single selector
+ * and keeps that migration and every one after it.
+ */
+function selectMigrations(migrations, { only, from } = {}) {
+  const onlySelectors = parseSelectorList(only);
+  let selected = migrations;
+
+  if (onlySelectors.length > 0) {
+    const ids = onlySelectors.map((selector) => findMigration(migrations, selector).id);
+    selected = selected.filter((migration) => ids.includes(migration.id));
+  }
+
+  if (from !== undefined && from !== null && from !== "") {
+    const start = findMigration(migrations, from);
+    selected = selected.filter((migration) => migration.id >= start.id);
+  }
+
+  return selected;
+}
+
+// Migrations return objects such as `{ educationCenter }`, keep the addresses they deployed.
+function deployedAddresses(result) {
+  if (!result || typeof result !== "object") return {};
+
+  return Object.fromEntries(
+    Object.entries(result)
+      .filter(([, value]) => value && value.target)
+      .map(([key, value]) => [key, value.target])
+  );
+}
+
+/**
+ * Runs the selected migrations in order, skipping the ones already recorded as finished on the current
+ * network unless `force` is set. Each migration is recorded as soon as it finishes, so a failed run can
+ * be resumed by running it again.
+ * @param {object} [options]
+ * @param {string|string[]} [options.only] Migrations to run, see `selectMigrations`.
+ * @param {string|number} [options.from] First migration to run, see `selectMigrations`.
+ * @param {boolean} [options.force] Runs the selected migrations even if they were recorded as finished.
+ * @param {string} [options.migrationsDir] Directory of the migrations, `migrations/` by default.
+ * @param {string|null} [options.statePath] File recording the finished migrations, the one of the network by default.
+ * @returns {Promise<{ ran: string[], skipped: string[] }>}
+ */
+async function runMigrations({
+  only,
+  from,
+  force = false,
+  migrationsDir = MIGRATIONS_DIR,
+  statePath = migrationStatePath(),
+} = {}) {
+  const migrations = selectMigrations(listMigrations(migrationsDir), { only, from });
+  const state = readMigrationState(statePath);
+  const ran = [];
+  const skipped = [];
+
+  for (const migration of migrations) {
+    const previousRun = findPreviousRun(state, migration);
+
+    if (previousRun && !force) {
+      console.log(`[${migration.id}] ${migration.name} already deployed at ${previousRun.completedAt}, skipping`);
+      skipped.push(migration.file);
+      continue;
+    }
+
+    console.log(`[${migration.id}] ${migration.name} running...`);
+
+    const deploy = require(migration.filepath);
+    const result = await deploy();
+
+    state[migration.file] = {
+      id: migration.id,
+      name: migration.name,
+      contracts: deployedAddresses(result),
+      completedAt: new Date().toISOString(),
+    };
+    writeMigrationState(statePath, state);
+    ran.push(migration.file);
+  }
+
+  return { ran, skipped };
+}
+
+module.exports = { runMigrations, listMigrations, selectMigrations, readMigrationState, findPreviousRun };
@@ -1,23 +1,84 @@
 const hre = require("hardhat");
 const fs = require("node:fs");
+const { getDeploymentsDir, deploymentPath } = require("./deployments");
 
-function saveContractAddress(contractName, contractAddress) {
-  const contractsDir = `/app/deployed_contracts/${hre.network.name}`;
-  const filepath = `${contractsDir}/${contractName.toLowerCase()}.json`;
-  const currentDateTime = new Date().toLocaleString("pt-BR", { timeZone: "America/Sao_Paulo" });
+// JSON.stringify cannot handle BigInt values, which ethers uses for every uint.
+function serializeArgs(args) {
+  return JSON.parse(JSON.stringify(args, (key, value) => (typeof value === "bigint" ? value.toString() : value)));
+}
+
+/**
+ * Implementation and admin of a contract deployed behind an ERC-1967 proxy, or null for plain contracts.
+ * @param {string} address
+ */
+async function readProxy(address) {
+  let implementation;
+  try {
+    implementation = await hre.upgrades.erc1967.getImplementationAddress(address);
+  } catch (error) {
+    // No implementation slot: the contract is not a proxy.
+    return null;
+  }
+  const admin = await hre.upgrades.erc1967.getAdminAddress(address);
+  const implementationCode = await hre.ethers.provider.getCode(implementation);
+
+  return {
+    proxyKind: admin === hre.ethers.ZeroAddress ? "uups" : "transparent",
+    implementation,
+    implementationBytecodeHash: hre.ethers.keccak256(implementationCode),
+    proxyAdmin: admin === hre.ethers.ZeroAddress ? null : admin,
+  };
+}
+
+/**
+ * Writes the deployment manifest of a contract to `<deployments dir>/<network>/<name>.json`.
+ * Besides the address, the record keeps where and by whom the contract was deployed, its ABI and the hash
+ * of the deployed bytecode, which `manifest:check` uses to detect drift against the chain.
+ * For contracts behind a proxy, `address` is the proxy and the record also keeps the implementation, its
+ * bytecode hash and the ProxyAdmin.
+ * @param {string} contractName Name of the contract artifact.
+ * @param {import("ethers").BaseContract} contract The deployed contract instance.
+ * @param {Array} constructorArgs Arguments passed to the constructor.
+ */
+async function saveContractAddress(contractName, contract, constructorArgs = []) {
+  const contractsDir = getDeploymentsDir();
+  const filepath = deploymentPath(contractName);
 
   if (!fs.existsSync(contractsDir)) {
     fs.mkdirSync(contractsDir, { recursive: true });
   }
 
+  await contract.waitForDeployment();
+
+  const provider = hre.ethers.provider;
+  const address = await contract.getAddress();
+  const deploymentTx = contract.deploymentTransaction();
+  const receipt = deploymentTx ? await deploymentTx.wait() : null;
+  const block = receipt ? await provider.getBlock(receipt.blockNumber) : null;
+  const { chainId } = await provider.getNetwork();
+  const { abi } = await hre.artifacts.readArtifact(contractName);
+  const code = await provider.getCode(address);
+  const proxy = await readProxy(address);
+
   const data = {
     name: contractName,
-    address: contractAddress,
-    [contractName.toLowerCase()]: contractAddress,
-    deployedAt: currentDateTime,
+    address,
+    chainId: Number(chainId),
+    deployer: deploymentTx ? deploymentTx.from : null,
+    txHash: receipt ? receipt.hash : null,
+    blockNumber: receipt ? receipt.blockNumber : null,
+    constructorArgs: serializeArgs(constructorArgs),
+    bytecodeHash: hre.ethers.keccak256(code),
+    ...proxy,
+    abi,
+    deployedAt: block ? new Date(block.timestamp * 1000).toISOString() : null,
+    savedAt: new Date().toISOString(),
   };
 
-  fs.writeFileSync(filepath, JSON.stringify(data));
+  fs.writeFileSync(filepath, JSON.stringify(data, null, 2));
+
+  return data;
 }
 
 module.exports = saveContractAddress;
+module.exports.readProxy = readProxy;
@@ -0,0 +1,198 @@
+const hre = require("hardhat");
+const { createSintropOS } = require("../../sdk");
+const { readDeployment, SINTROP_OS_CONTRACTS } = require("./deployments");
+const { PLANTS, PLANT_DESCRIPTIONS, CONTENT_TOPICS, CONTENT_FORMATS, APPS, WHITEPAPER_TOPICS } = require("./seedData");
+
+const DEFAULT_COUNTS = {
+  contents: 40,
+  plants: 60,
+  apps: 12,
+  whitepapers: 10,
+  // Maximum number of accounts voting on each entry.
+  votes: 12,
+  signers: 20,
+};
+
+/**
+ * Deterministic pseudo random numbers (mulberry32) from a seed string, so the same seed always produces
+ * the same entries, votes and pledges.
+ */
+function createRandom(seed) {
+  let state = 0;
+  for (const char of String(seed)) state = (Math.imul(state, 31) + char.charCodeAt(0)) | 0;
+
+  const next = () => {
+    state = (state + 0x6d2b79f5) | 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+  const int = (min, max) => min + Math.floor(next() * (max - min + 1));
+  const pick = (items) => items[int(0, items.length - 1)];
+  const shuffle = (items) => {
+    const copy = [...items];
+    for (let i = copy.length - 1; i > 0; i--) {
+      const j = int(0, i);
+      [copy[i], copy[j]] = [copy[j], copy[i]];
+    }
+    return copy;
+  };
+
+  return { next, int, pick, shuffle };
+}
+
+// Entries past the size of a sample list are numbered, e.g. "Pruning for biomass (2)".
+const numbered = (items, index) => {
+  const round = Math.floor(index / items.length);
+  return { item: items[index % items.length], suffix: round === 0 ? "" : ` (${round + 1})` };
+};
+
+// Taxonomic ranks of a sample plant. The taxonomy lists kingdom to family and sometimes the genus, which is
+// also the first word of the scientific name.
+const plantRanks = (scientificName, taxonomy) => {
+  const [kingdom, phylum, className, order, family] = taxonomy.split(" > ");
+  const [genus, species] = scientificName.split(" ");
+  return { kingdom, phylum, class: className, order, family, genus, species };
+};
+
+async function mineBlocks(count) {
+  await hre.network.provider.send("hardhat_mine", [`0x${count.toString(16)}`]);
+}
+
+/**
+ * Fills the native apps with sample entries sent from many accounts, votes on them and signs and proves
+ * treaty pledges over mined blocks. Meant for local networks only, it mines blocks with `hardhat_mine`.
+ * @param {object} [options]
+ * @param {string|number} [options.seed] Seed of the generated data.
+ * @param {object} [options.counts] Overrides of `DEFAULT_COUNTS`.
+ * @param {object} [options.addresses] App addresses, read from the deployment manifests when missing.
+ * @param {(message: string) => void} [options.log]
+ * @returns {Promise<object>} Number of entries, votes, pledges and proofs created.
+ */
+async function seedSintropOS({ seed = "sintrop", counts = {}, addresses, log = () => {} } = {}) {
+  const random = createRandom(seed);
+  const settings = { ...DEFAULT_COUNTS, ...counts };
+  const signers = await hre.ethers.getSigners();
+  if (!addresses) {
+    addresses = Object.fromEntries(
+      Object.entries(SINTROP_OS_CONTRACTS).map(([key, name]) => [key, readDeployment(name).address])
+    );
+  }
+
+  const clients = signers.map((signer) => createSintropOS({ runner: signer, addresses }));
+  const accounts = new Map(clients.map((client, index) => [client, signers[index].address]));
+  const randomClient = () => clients[random.int(0, clients.length - 1)];
+  const summary = { contents: 0, plants: 0, apps: 0, whitepapers: 0, votes: 0, pledges: 0, proofs: 0 };
+  const entries = [];
+
+  for (let i = 0; i < settings.contents; i++) {
+    const { item: topic, suffix } = numbered(CONTENT_TOPICS, i);
+    const format = random.pick(CONTENT_FORMATS);
+    const { id } = await randomClient().education.publish({
+      title: `${topic}${suffix}`.slice(0, 49),
+      description: `${format} about ${topic.toLowerCase()} for producers and students of regenerative agriculture.`,
+      url: `ipfs://seed-content-${seed}-${i}`,
+      photo: random.next() < 0.7 ? `ipfs://seed-content-photo-${seed}-${i}` : "",
+    });
+    entries.push({ app: "education", id });
+  }
+  summary.contents = settings.contents;
+  log(`Published ${settings.contents} contents`);
+
+  for (let i = 0; i < settings.plants; i++) {
+    const { item, suffix } = numbered(PLANTS, i);
+    const [popularName, scientificName, taxonomy] = item;
+    const client = randomClient();
+    const { id } = await client.plants.add({
+      popularName: `${popularName}${suffix}`,
+      // The catalog accepts each scientific name once.
+      scientificName: `${scientificName}${suffix}`,
+      taxonomy,
+      description: random.pick(PLANT_DESCRIPTIONS),
+      photoHash: `ipfs://seed-plant-${seed}-${i}`,
+    });
+    await client.plants.setRanks(id, plantRanks(scientificName, taxonomy));
+    entries.push({ app: "plants", id });
+  }
+  summary.plants = settings.plants;
+  log(`Added ${settings.plants} plants`);
+
+  for (let i = 0; i < settings.apps; i++) {
+    const { item, suffix } = numbered(APPS, i);
+    const [name, description] = item;
+    const slug = name.toLowerCase().replace(/ /g, "-");
+    const { id } = await randomClient().appStore.register({
+      name: `${name}${suffix}`,
+      description,
+      icon: `ipfs://seed-icon-${slug}`,
+      repositoryUrl: `https://github.com/sintrop/${slug}`,
+      externalLink: `https://${slug}.sintrop.com`,
+      contractAddresses: random
+        .shuffle(signers)
+        .slice(0, random.int(1, 3))
+        .map((signer) => signer.address),
+    });
+    entries.push({ app: "appStore", id });
+  }
+  summary.apps = settings.apps;
+  log(`Registered ${settings.apps} ImpactApps`);
+
+  // WhitepaperCenter accepts a single whitepaper per account.
+  let whitepaperIndex = 0;
+  for (const [index, client] of random.shuffle(clients.map((client, index) => [index, client]))) {
+    if (summary.whitepapers >= settings.whitepapers) break;
+    if (await client.whitepapers.hasPublished(signers[index].address)) continue;
+
+    const { item: topic, suffix } = numbered(WHITEPAPER_TOPICS, whitepaperIndex++);
+    const { id } = await client.whitepapers.publish({
+      title: `${topic}${suffix}`,
+      description: `Proposal of a project on top of Sintrop Impact Chain: ${topic.toLowerCase()}.`,
+      url: `ipfs://seed-whitepaper-${seed}-${index}`,
+    });
+    entries.push({ app: "whitepapers", id });
+    summary.whitepapers++;
+  }
+  log(`Published ${summary.whitepapers} whitepapers`);
+
+  // Each entry gets a quality, the chance of a positive vote, so scores spread from very bad to very good.
+  for (const { app, id } of entries) {
+    const quality = random.next();
+    const voters = random.shuffle(clients).slice(0, random.int(0, settings.votes));
+
+    for (const client of voters) {
+      const vote = random.next() < quality ? "positive" : "negative";
+      // Apps deployed with a voter registry refuse the votes of the other accounts.
+      if (!(await client[app].canVote(accounts.get(client)))) continue;
+
+      await client[app].vote(id, vote);
+      summary.votes++;
+    }
+  }
+  log(`Cast ${summary.votes} votes`);
+
+  // Pledges are signed over time and some signers prove their commitment again later.
+  const pledgers = [];
+  for (const [index, client] of random.shuffle(clients.map((client, index) => [index, client]))) {
+    if (pledgers.length >= settings.signers) break;
+    if ((await client.treaty.status(signers[index].address)).hasSigned) continue;
+
+    await mineBlocks(random.int(1, 50));
+    await client.treaty.sign();
+    pledgers.push(client);
+  }
+  summary.pledges = pledgers.length;
+
+  for (const client of random.shuffle(pledgers)) {
+    if (random.next() < 0.4) continue;
+
+    await mineBlocks(random.int(1, 100));
+    await client.treaty.prove();
+    summary.proofs++;
+  }
+  log(`Signed ${summary.pledges} pledges and proved ${summary.proofs} commitments`);
+
+  return summary;
+}
+
+module.exports = { seedSintropOS, createRandom, DEFAULT_COUNTS };
@@ -0,0 +1,94 @@
+// Sample entries used by the seed task. Plants are species commonly planted in syntropic agroforestry.
+
+const PLANTS = [
+  ["Banana", "Musa paradisiaca", "Plantae > Magnoliophyta > Liliopsida > Zingiberales > Musaceae > Musa"],
+  ["Jatobá", "Hymenaea courbaril", "Plantae > Magnoliophyta > Magnoliopsida > Fabales > Fabaceae > Hymenaea"],
+  ["Ipê-amarelo", "Handroanthus albus", "Plantae > Magnoliophyta > Magnoliopsida > Lamiales > Bignoniaceae"],
+  ["Cedro-rosa", "Cedrela fissilis", "Plantae > Magnoliophyta > Magnoliopsida > Sapindales > Meliaceae > Cedrela"],
+  ["Mogno", "Swietenia macrophylla", "Plantae > Magnoliophyta > Magnoliopsida > Sapindales > Meliaceae"],
+  ["Guapuruvu", "Schizolobium parahyba", "Plantae > Magnoliophyta > Magnoliopsida > Fabales > Fabaceae"],
+  ["Ingá", "Inga edulis", "Plantae > Magnoliophyta > Magnoliopsida > Fabales > Fabaceae > Inga"],
+  ["Gliricídia", "Gliricidia sepium", "Plantae > Magnoliophyta > Magnoliopsida > Fabales > Fabaceae"],
+  ["Feijão-guandu", "Cajanus cajan", "Plantae > Magnoliophyta > Magnoliopsida > Fabales > Fabaceae > Cajanus"],
+  ["Mandioca", "Manihot esculenta", "Plantae > Magnoliophyta > Magnoliopsida > Malpighiales > Euphorbiaceae"],
+  ["Cacau", "Theobroma cacao", "Plantae > Magnoliophyta > Magnoliopsida > Malvales > Malvaceae > Theobroma"],
+  ["Cupuaçu", "Theobroma grandiflorum", "Plantae > Magnoliophyta > Magnoliopsida > Malvales > Malvaceae"],
+  ["Açaí", "Euterpe oleracea", "Plantae > Magnoliophyta > Liliopsida > Arecales > Arecaceae > Euterpe"],
+  ["Juçara", "Euterpe edulis", "Plantae > Magnoliophyta > Liliopsida > Arecales > Arecaceae > Euterpe"],
+  ["Pupunha", "Bactris gasipaes", "Plantae > Magnoliophyta > Liliopsida > Arecales > Arecaceae > Bactris"],
+  ["Café", "Coffea arabica", "Plantae > Magnoliophyta > Magnoliopsida > Gentianales > Rubiaceae > Coffea"],
+  ["Abacate", "Persea americana", "Plantae > Magnoliophyta > Magnoliopsida > Laurales > Lauraceae > Persea"],
+  ["Manga", "Mangifera indica", "Plantae > Magnoliophyta > Magnoliopsida > Sapindales > Anacardiaceae"],
+  ["Jaca", "Artocarpus heterophyllus", "Plantae > Magnoliophyta > Magnoliopsida > Rosales > Moraceae"],
+  ["Mamão", "Carica papaya", "Plantae > Magnoliophyta > Magnoliopsida > Brassicales > Caricaceae > Carica"],
+  ["Goiaba", "Psidium guajava", "Plantae > Magnoliophyta > Magnoliopsida > Myrtales > Myrtaceae > Psidium"],
+  ["Pitanga", "Eugenia uniflora", "Plantae > Magnoliophyta > Magnoliopsida > Myrtales > Myrtaceae > Eugenia"],
+  ["Jabuticaba", "Plinia cauliflora", "Plantae > Magnoliophyta > Magnoliopsida > Myrtales > Myrtaceae > Plinia"],
+  ["Araucária", "Araucaria angustifolia", "Plantae > Pinophyta > Pinopsida > Araucariales > Araucariaceae"],
+  ["Erva-mate", "Ilex paraguariensis", "Plantae > Magnoliophyta > Magnoliopsida > Aquifoliales > Aquifoliaceae"],
+  ["Castanha-do-pará", "Bertholletia excelsa", "Plantae > Magnoliophyta > Magnoliopsida > Ericales > Lecythidaceae"],
+  ["Embaúba", "Cecropia pachystachya", "Plantae > Magnoliophyta > Magnoliopsida > Rosales > Urticaceae"],
+  ["Capim-mombaça", "Megathyrsus maximus", "Plantae > Magnoliophyta > Liliopsida > Poales > Poaceae"],
+  ["Milho", "Zea mays", "Plantae > Magnoliophyta > Liliopsida > Poales > Poaceae > Zea"],
+  ["Cúrcuma", "Curcuma longa", "Plantae > Magnoliophyta > Liliopsida > Zingiberales > Zingiberaceae > Curcuma"],
+];
+
+const PLANT_DESCRIPTIONS = [
+  "Fast growing species used to produce biomass and open the first successional stages.",
+  "Fruit species for the medium stratum, productive after a few years of growth.",
+  "Long lived tree of the emergent stratum that structures the consortium for decades.",
+  "Nitrogen fixing species that tolerates heavy pruning and feeds the soil with its leaves.",
+  "Shade tolerant species that thrives under the canopy of pioneer trees.",
+  "Native species of the Atlantic Forest, important for fauna and seed dispersal.",
+];
+
+const CONTENT_TOPICS = [
+  "Syntropic agriculture basics",
+  "Designing agroforestry lines",
+  "Pruning for biomass",
+  "Succession in practice",
+  "Soil cover and mulching",
+  "Planting in strata",
+  "Seed balls and direct seeding",
+  "Composting at home",
+  "Water retention with swales",
+  "Managing banana lines",
+  "Restoring degraded pastures",
+  "Cacao under forest shade",
+  "Native bees and pollination",
+  "Measuring soil carbon",
+  "Regenerative coffee farming",
+  "Nurseries on a budget",
+];
+
+const CONTENT_FORMATS = ["Introduction", "Workshop", "Field guide", "Case study", "Video course"];
+
+const APPS = [
+  ["Sintrop Regeneration Map", "Maps the areas under regeneration and their inspections."],
+  ["Seed Exchange", "Peer to peer exchange of native seeds between producers."],
+  ["Biomass Tracker", "Registers pruning and biomass production of agroforestry lines."],
+  ["Carbon Ledger", "Publishes soil carbon measurements of regenerating farms."],
+  ["Nursery Network", "Connects seedling nurseries with reforestation projects."],
+  ["Pollinator Watch", "Citizen science records of native bees and pollinators."],
+  ["Water Guardians", "Monitors springs and streams protected by the community."],
+  ["Impact Crowdfunding", "Funds regeneration projects with transparent on-chain reports."],
+  ["Agroforestry Planner", "Plans consortia by stratum and successional stage."],
+  ["Forest Market", "Marketplace for products of agroforestry systems."],
+  ["Tree Adoption", "Lets supporters adopt and follow the growth of a tree."],
+  ["Soil Lab", "Shares soil analyses and recommendations between producers."],
+];
+
+const WHITEPAPER_TOPICS = [
+  "Proof of regeneration",
+  "Decentralized inspections of ecosystem services",
+  "Tokenized biodiversity credits",
+  "Community governance of impact funds",
+  "Reputation of regenerative producers",
+  "Open data for agroforestry research",
+  "Incentives for water protection",
+  "A ledger of restored hectares",
+  "Verifiable carbon removal from agroforestry",
+  "Peer review of impact claims",
+];
+
+module.exports = { PLANTS, PLANT_DESCRIPTIONS, CONTENT_TOPICS, CONTENT_FORMATS, APPS, WHITEPAPER_TOPICS };
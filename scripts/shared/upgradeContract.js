@@ -0,0 +1,69 @@
+const hre = require("hardhat");
+const fs = require("node:fs");
+const { readDeployment, deploymentPath } = require("./deployments");
+const { readProxy } = require("./saveContractAddress");
+const { PROXY_KIND } = require("./deployProxy");
+
+/**
+ * Upgrades the proxy of a deployed app to a new implementation.
+ * The storage layout of the new implementation is validated against the deployed one first, and nothing
+ * is sent when they are not compatible. The manifest keeps the new implementation and the list of upgrades.
+ * @param {string} contractName Name of the deployed contract, as in its manifest.
+ * @param {object} [options]
+ * @param {string} [options.implementation] Artifact of the new implementation, defaults to `contractName`.
+ * @param {{ fn: string, args?: Array }} [options.call] Function called on the proxy in the upgrade transaction,
+ * usually a `reinitializer`.
+ * @param {boolean} [options.validateOnly] Only validates the storage layout.
+ * @returns {Promise<{ name: string, address: string, previousImplementation: string, implementation: string|null }>}
+ */
+async function upgradeContract(contractName, { implementation = contractName, call, validateOnly = false } = {}) {
+  const record = readDeployment(contractName);
+  if (!record.implementation) {
+    throw new Error(`${contractName} at ${record.address} was not deployed behind a proxy and cannot be upgraded`);
+  }
+
+  const Factory = await hre.ethers.getContractFactory(implementation);
+  const previousImplementation = await hre.upgrades.erc1967.getImplementationAddress(record.address);
+
+  // Throws with the incompatible variables listed when the storage layout does not match.
+  await hre.upgrades.validateUpgrade(record.address, Factory, { kind: PROXY_KIND });
+
+  const result = { name: contractName, address: record.address, previousImplementation, implementation: null };
+  if (validateOnly) return result;
+
+  const upgraded = await hre.upgrades.upgradeProxy(record.address, Factory, { kind: PROXY_KIND, call });
+  await upgraded.waitForDeployment();
+
+  const proxy = await readProxy(record.address);
+  const { abi } = await hre.artifacts.readArtifact(implementation);
+  const upgradedAt = await hre.ethers.provider.getBlock("latest");
+
+  fs.writeFileSync(
+    deploymentPath(contractName),
+    JSON.stringify(
+      {
+        ...record,
+        ...proxy,
+        implementationName: implementation,
+        abi,
+        upgrades: [
+          ...(record.upgrades || []),
+          {
+            from: previousImplementation,
+            to: proxy.implementation,
+            implementationName: implementation,
+            blockNumber: upgradedAt.number,
+            upgradedAt: new Date(upgradedAt.timestamp * 1000).toISOString(),
+          },
+        ],
+        savedAt: new Date().toISOString(),
+      },
+      null,
+      2
+    )
+  );
+
+  return { ...result, implementation: proxy.implementation };
+}
+
+module.exports = { upgradeContract };
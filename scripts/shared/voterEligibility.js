@@ -0,0 +1,29 @@
+const hre = require("hardhat");
+const { readDeployment } = require("./deployments");
+
+/**
+ * Registry the votable apps are deployed with, from the `VOTER_ELIGIBILITY` env var:
+ * - empty: anyone may vote, the zero address is used;
+ * - `HumansPeaceTreaty`: only the active signers of the treaty deployed on the network may vote;
+ * - an address: any contract implementing `IVoterEligibility`, such as another identity registry.
+ * The treaty migration runs first, so the treaty is deployed before the apps it gates.
+ * @returns {Promise<string>} Address passed to `initialize` of the votable apps.
+ * @throws {DeploymentNotFoundError} When the treaty is selected but not deployed yet.
+ */
+async function resolveVoterEligibility(value = process.env["VOTER_ELIGIBILITY"]) {
+  const setting = (value || "").trim();
+  if (!setting) return hre.ethers.ZeroAddress;
+
+  const address = setting.toLowerCase() === "humanspeacetreaty" ? readDeployment("HumansPeaceTreaty").address : setting;
+  if (!hre.ethers.isAddress(address)) {
+    throw new Error(`VOTER_ELIGIBILITY must be empty, HumansPeaceTreaty or a registry address, got "${setting}"`);
+  }
+  // Votes would revert forever if the registry is not a contract.
+  if ((await hre.ethers.provider.getCode(address)) === "0x") {
+    throw new Error(`VOTER_ELIGIBILITY registry ${address} has no code on network "${hre.network.name}"`);
+  }
+
+  return hre.ethers.getAddress(address);
+}
+
+module.exports = { resolveVoterEligibility };
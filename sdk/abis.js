@@ -0,0 +1,17 @@
+const path = require("node:path");
+
+const ARTIFACTS_DIR = path.join(__dirname, "..", "artifacts", "contracts");
+
+/**
+ * Reads the ABI of a contract from the Hardhat artifacts of this repository.
+ * Apps that ship their own ABIs pass them to `createSintropOS({ abis })` instead.
+ */
+function loadAbi(contractName) {
+  try {
+    return require(path.join(ARTIFACTS_DIR, `${contractName}.sol`, `${contractName}.json`)).abi;
+  } catch (error) {
+    throw new Error(`ABI of ${contractName} not found in ${ARTIFACTS_DIR}, run "npx hardhat compile" first`);
+  }
+}
+
+module.exports = { loadAbi };
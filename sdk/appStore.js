@@ -0,0 +1,63 @@
+const { BaseApp } = require("./baseApp");
+
+/** Client of SintropAppStore. ImpactApp IDs start at 1. */
+class AppStore extends BaseApp {
+  /**
+   * Registers an ImpactApp.
+   * @param {{ name: string, description: string, icon: string, repositoryUrl: string, externalLink: string, contractAddresses: string[] }} app
+   * @returns {Promise<{ id: number, hash: string, blockNumber: number, events: Array<object> }>}
+   */
+  async register({ name, description, icon, repositoryUrl, externalLink, contractAddresses }) {
+    const result = await this._send(
+      "registerImpactApp",
+      name,
+      description,
+      icon,
+      repositoryUrl,
+      externalLink,
+      contractAddresses
+    );
+    const registered = result.events.find((event) => event.event === "ImpactAppRegistered");
+
+    return { id: registered.impactAppId, ...result };
+  }
+
+  async get(id) {
+    return this._toEntry(await this._call("getImpactApp", id));
+  }
+
+  async count() {
+    return this._call("impactAppsCount");
+  }
+
+  /** Lists ImpactApps in ID order. `offset` is the position of the first entry, not its ID. */
+  async list({ offset, limit } = {}) {
+    return this._page("getImpactApps", await this.count(), { offset, limit });
+  }
+
+  /** @param {"positive"|"negative"|"up"|"down"|"Upvote"|"Downvote"} vote */
+  vote(id, vote) {
+    return this._vote("voteForImpactApp", id, vote);
+  }
+
+  /** @returns {Promise<"none"|"positive"|"negative">} */
+  userVote(id, account) {
+    return this._userVote("impactAppVotes", id, account);
+  }
+
+  /** Whether an account may vote, according to the voter registry the app was deployed with, if any. */
+  canVote(account) {
+    return this._call("isEligibleVoter", account);
+  }
+
+  /** Whether the community considers the app an ImpactApp, that is, it has more positive than negative votes. */
+  isImpactApp(id) {
+    return this._call("isImpactApp", id);
+  }
+
+  _toEntry(impactApp) {
+    return this._withVotes(impactApp, impactApp.positiveVotes, impactApp.negativeVotes);
+  }
+}
+
+module.exports = { AppStore };
@@ -0,0 +1,140 @@
+const { Contract } = require("ethers");
+const { translateError } = require("./errors");
+const { toPlain, decodeEvents } = require("./plain");
+const { toVoteValue, toVoteName } = require("./votes");
+
+const DEFAULT_PAGE_SIZE = 20;
+
+// Largest page returned by the paginated views of the contracts (`MAX_PAGE_SIZE` in Solidity).
+const MAX_CONTRACT_PAGE_SIZE = 100;
+
+/**
+ * Common behaviour of the app clients: contract calls that throw typed errors, transactions that
+ * resolve to their decoded events and the normalised votes of every votable entry.
+ */
+class BaseApp {
+  /**
+   * @param {string} address Address of the app contract.
+   * @param {Array} abi ABI of the app contract.
+   * @param {import("ethers").ContractRunner} runner Signer to send transactions, or provider for read-only use.
+   * @param {Object<string, { address: string, abi: Array }>} [registries] Other contracts of the app, by key of
+   *   `REGISTRIES` of the client. The methods of a missing registry throw.
+   */
+  constructor(address, abi, runner, registries = {}) {
+    this.contract = new Contract(address, abi, runner);
+    // Contracts of the app, the app contract first. Transactions resolve to the events of any of them.
+    this.contracts = [this.contract];
+
+    this._registries = {};
+    for (const [key, registry] of Object.entries(registries)) {
+      const client = new BaseApp(registry.address, registry.abi, runner);
+      // A transaction can change several contracts of the app, such as an accepted revision of a plant, so every
+      // contract decodes the events of the others.
+      client.contracts = this.contracts;
+      this.contracts.push(client.contract);
+      this._registries[key] = client;
+    }
+  }
+
+  get address() {
+    return this.contract.target;
+  }
+
+  /** Client of a registry of the app, passed to the constructor. */
+  _registry(key) {
+    const registry = this._registries[key];
+    if (!registry) {
+      const { addressKey, contractName } = this.constructor.REGISTRIES[key];
+      throw new Error(`${contractName} has no address, pass addresses.${addressKey} to createSintropOS()`);
+    }
+
+    return registry;
+  }
+
+  /** Calls a view function and returns its result as plain values. */
+  async _call(method, ...args) {
+    try {
+      return toPlain(await this.contract[method](...args));
+    } catch (error) {
+      throw translateError(error);
+    }
+  }
+
+  /**
+   * Sends a transaction and waits for it to be mined.
+   * @returns {Promise<{ hash: string, blockNumber: number, events: Array<object> }>}
+   */
+  async _send(method, ...args) {
+    try {
+      const tx = await this.contract[method](...args);
+      const receipt = await tx.wait();
+
+      return { hash: receipt.hash, blockNumber: receipt.blockNumber, events: decodeEvents(receipt, this.contracts) };
+    } catch (error) {
+      throw translateError(error);
+    }
+  }
+
+  _vote(method, id, vote) {
+    return this._send(method, id, toVoteValue(vote));
+  }
+
+  async _userVote(method, id, account) {
+    return toVoteName(await this._call(method, id, account));
+  }
+
+  /** Adds the votes of an entry under the same names in every app. */
+  _withVotes(entry, positive, negative) {
+    return { ...entry, votes: { positive, negative, score: positive - negative } };
+  }
+
+  /** Converts an entry returned by the contract into the entry returned by the client. */
+  _toEntry(entry) {
+    return entry;
+  }
+
+  /** Whether an entry takes part in `top()`. */
+  _isRanked() {
+    return true;
+  }
+
+  /**
+   * Reads a page of entries with the paginated view of the app, in as many calls as the contract page size needs.
+   * @param {string} method Paginated view, such as `getPlants`.
+   * @param {number} total Number of entries of the app, or of the list read by `method`.
+   * @param {{ offset?: number, limit?: number }} [page]
+   * @param {...*} args Arguments of `method` before the offset and limit, such as the family of `getPlantsByFamily`.
+   */
+  async _page(method, total, { offset = 0, limit = DEFAULT_PAGE_SIZE } = {}, ...args) {
+    const start = Math.min(offset, total);
+    const end = Math.min(start + limit, total);
+    const items = [];
+
+    for (let position = start; position < end; position += MAX_CONTRACT_PAGE_SIZE) {
+      const entries = await this._call(method, ...args, position, Math.min(MAX_CONTRACT_PAGE_SIZE, end - position));
+      items.push(...entries.map((entry) => this._toEntry(entry)));
+    }
+
+    return { items, total, offset: start, limit };
+  }
+
+  /**
+   * Lists the entries with the highest net score (positive minus negative votes) first, ties in ID order.
+   * Every entry is read from the contract, so large catalogs are better ranked by the read API (`sort=score`).
+   * @returns {Promise<{ items: Array<object>, total: number, offset: number, limit: number }>}
+   */
+  async top({ offset = 0, limit = DEFAULT_PAGE_SIZE } = {}) {
+    const count = await this.count();
+    const { items } = await this.list({ offset: 0, limit: count });
+    const ranked = items
+      .filter((entry) => this._isRanked(entry))
+      .sort((a, b) => b.votes.score - a.votes.score || a.id - b.id);
+
+    return { items: ranked.slice(offset, offset + limit), total: ranked.length, offset, limit };
+  }
+}
+
+// Registries of the apps made of several contracts, by key: the address key and the contract name of each one.
+BaseApp.REGISTRIES = {};
+
+module.exports = { BaseApp, DEFAULT_PAGE_SIZE };
@@ -0,0 +1,85 @@
+const { BaseApp } = require("./baseApp");
+
+/** Client of FreeEducationCenter. Content IDs start at 1. */
+class Education extends BaseApp {
+  /**
+   * Publishes educational content.
+   * @param {{ title: string, description: string, url: string, photo?: string }} content
+   * @returns {Promise<{ id: number, hash: string, blockNumber: number, events: Array<object> }>}
+   */
+  async publish({ title, description, url, photo = "" }) {
+    const result = await this._send("addContent", title, description, url, photo);
+    const published = result.events.find((event) => event.event === "ContentPublished");
+
+    return { id: published.id, ...result };
+  }
+
+  /**
+   * Changes the fields of content published by the runner. Fields left out keep their current value.
+   * @param {number} id
+   * @param {{ title?: string, description?: string, url?: string, photo?: string }} changes
+   */
+  async update(id, changes) {
+    const current = await this.get(id);
+    const { title, description, url, photo } = { ...current, ...changes };
+
+    return this._send("updateContent", id, title, description, url, photo);
+  }
+
+  /** Withdraws content published by the runner. It can no longer be voted on or updated. */
+  retract(id) {
+    return this._send("retractContent", id);
+  }
+
+  /** Reads content, retracted content included: check its `retracted` flag before showing it. */
+  async get(id) {
+    return this._toEntry(await this._call("getContent", id));
+  }
+
+  async count() {
+    return this._call("contentsCount");
+  }
+
+  /**
+   * Lists content in ID order, retracted content included, see `get()`. `offset` is the position of the first entry,
+   * not its ID.
+   */
+  async list({ offset, limit } = {}) {
+    return this._page("getContents", await this.count(), { offset, limit });
+  }
+
+  /** IDs of the contents published by an address, retracted ones included. */
+  byPublisher(publisher) {
+    return this._call("getContentsByPublisher", publisher);
+  }
+
+  /** @param {"positive"|"negative"|"up"|"down"|"Upvote"|"Downvote"} vote */
+  vote(id, vote) {
+    return this._vote("vote", id, vote);
+  }
+
+  /** @returns {Promise<"none"|"positive"|"negative">} */
+  userVote(id, account) {
+    return this._userVote("userVotes", id, account);
+  }
+
+  /** Whether an account may vote, according to the voter registry the app was deployed with, if any. */
+  canVote(account) {
+    return this._call("isEligibleVoter", account);
+  }
+
+  hasMoreUpvotes(id) {
+    return this._call("hasMoreUpvotes", id);
+  }
+
+  /** Retracted content keeps its votes but is left out of the ranking. */
+  _isRanked(content) {
+    return !content.retracted;
+  }
+
+  _toEntry(content) {
+    return this._withVotes(content, content.upvotes, content.downvotes);
+  }
+}
+
+module.exports = { Education };
@@ -0,0 +1,94 @@
+/**
+ * Errors thrown by the SDK. Contract reverts are translated into one of these classes, so apps can
+ * handle them without matching the revert strings of each contract.
+ */
+class SintropOSError extends Error {
+  constructor(message, { reason, cause } = {}) {
+    super(message);
+    this.name = this.constructor.name;
+    this.reason = reason;
+    this.cause = cause;
+  }
+}
+
+/** The requested entry does not exist, such as "FEC: Content ID does not exist" or "Invalid ImpactApp ID.". */
+class NotFoundError extends SintropOSError {}
+
+/** The vote is not one of the accepted values. */
+class InvalidVoteError extends SintropOSError {}
+
+/** An input is empty or exceeds the length accepted by the contract. */
+class ValidationError extends SintropOSError {}
+
+/**
+ * The action was already done and can only be done once, such as signing the pledge twice or adding a
+ * scientific name that is already in the catalog.
+ */
+class AlreadyExistsError extends SintropOSError {}
+
+/**
+ * The caller is not allowed to do the action, such as proving a pledge that was never signed or
+ * changing content published by someone else.
+ */
+class NotAllowedError extends SintropOSError {}
+
+/** Any other revert of a Sintrop OS contract. */
+class ContractError extends SintropOSError {}
+
+// Revert strings of the native apps, matched in order.
+const REVERT_ERRORS = [
+  [/ID does not exist|Invalid ImpactApp ID|not found/i, NotFoundError],
+  [/Invalid vote type/i, InvalidVoteError],
+  [
+    /must be between|must be less than|must include at least one|cannot duplicate itself|cannot relate to itself|Invalid relationship type|go together|Invalid geohash|Observation date|Invalid language code|must not be empty/i,
+    ValidationError,
+  ],
+  [
+    /already signed|already have a certificate|only one paper allowed|already registered|already voted|already a duplicate|already has an open|already proposed|already recorded|already the latest version/i,
+    AlreadyExistsError,
+  ],
+  [
+    /must sign the pledge first|has not signed the pledge|still active|only the publisher|only the creator|propose a revision|was retracted|is a duplicate|already resolved|is not a duplicate|only the latest version|only active signers|outdated version|cannot be transferred|voter is not eligible/i,
+    NotAllowedError,
+  ],
+];
+
+const REASON_PATTERNS = [/reverted with reason string '([^']*)'/, /execution reverted: "?([^"]*)"?/];
+
+/** Finds the revert string of a failed call or transaction, whichever provider produced it. */
+function extractRevertReason(error) {
+  if (!error) return null;
+  if (typeof error.reason === "string" && error.reason) return error.reason;
+  if (error.revert && error.revert.args && error.revert.args.length > 0) return String(error.revert.args[0]);
+
+  for (const pattern of REASON_PATTERNS) {
+    const match = String(error.message || "").match(pattern);
+    if (match) return match[1];
+  }
+
+  return error.error ? extractRevertReason(error.error) : null;
+}
+
+/** Converts a contract revert into a typed SDK error. Errors that are not reverts are returned unchanged. */
+function translateError(error) {
+  if (error instanceof SintropOSError) return error;
+
+  const reason = extractRevertReason(error);
+  if (!reason) return error;
+
+  const [, ErrorClass] = REVERT_ERRORS.find(([pattern]) => pattern.test(reason)) || [null, ContractError];
+
+  return new ErrorClass(reason, { reason, cause: error });
+}
+
+module.exports = {
+  SintropOSError,
+  NotFoundError,
+  InvalidVoteError,
+  ValidationError,
+  AlreadyExistsError,
+  NotAllowedError,
+  ContractError,
+  extractRevertReason,
+  translateError,
+};
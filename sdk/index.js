@@ -0,0 +1,99 @@
+const { loadAbi } = require("./abis");
+const { Education } = require("./education");
+const { Plants, PLANT_REGISTRIES } = require("./plants");
+const { AppStore } = require("./appStore");
+const { Whitepapers } = require("./whitepapers");
+const { Treaty, TREATY_REGISTRIES } = require("./treaty");
+const { Occurrences } = require("./occurrences");
+const { Translations } = require("./translations");
+const { decodeEvents, toPlain } = require("./plain");
+const { VOTE, toVoteValue, toVoteName } = require("./votes");
+const errors = require("./errors");
+
+// Client key, address key (the same used by the deployment manifests) and contract of each app, and the
+// registries of the apps made of several contracts.
+const APPS = [
+  { key: "education", addressKey: "educationCenter", contractName: "FreeEducationCenter", Client: Education },
+  {
+    key: "plants",
+    addressKey: "globalPlantCatalog",
+    contractName: "GlobalPlantCatalog",
+    Client: Plants,
+    registries: PLANT_REGISTRIES,
+  },
+  { key: "appStore", addressKey: "sintropAppStore", contractName: "SintropAppStore", Client: AppStore },
+  { key: "whitepapers", addressKey: "whitepaperCenter", contractName: "WhitepaperCenter", Client: Whitepapers },
+  {
+    key: "treaty",
+    addressKey: "humansPeaceTreaty",
+    contractName: "HumansPeaceTreaty",
+    Client: Treaty,
+    registries: TREATY_REGISTRIES,
+  },
+  {
+    key: "occurrences",
+    addressKey: "plantOccurrenceRegistry",
+    contractName: "PlantOccurrenceRegistry",
+    Client: Occurrences,
+  },
+  { key: "translations", addressKey: "translationCenter", contractName: "TranslationCenter", Client: Translations },
+];
+
+/**
+ * Creates the clients of the Sintrop OS native apps.
+ * Apps without an address are left out, so an app can use only the clients it needs. The plants client also
+ * needs the addresses of the registries of the catalog, such as `plantTaxonomyRegistry`, and the treaty client the
+ * address of `peaceTreatyCertificate`, for the methods they serve.
+ *
+ * @example
+ * const os = createSintropOS({ runner: signer, addresses: { educationCenter: "0x...", globalPlantCatalog: "0x..." } });
+ * await os.education.publish({ title, description, url });
+ * const { items } = await os.plants.list({ offset: 0, limit: 10 });
+ *
+ * @param {object} options
+ * @param {import("ethers").ContractRunner} options.runner Signer to send transactions, or provider for read-only use.
+ * @param {{ educationCenter?: string, globalPlantCatalog?: string, plantTaxonomyRegistry?: string, plantRevisionRegistry?: string, plantAgroforestryRegistry?: string, plantPhotoRegistry?: string, sintropAppStore?: string, whitepaperCenter?: string, humansPeaceTreaty?: string, peaceTreatyCertificate?: string, plantOccurrenceRegistry?: string, translationCenter?: string }} options.addresses
+ * @param {Object<string, Array>} [options.abis] ABIs by contract name, read from the Hardhat artifacts when missing.
+ * @returns {{ education?: Education, plants?: Plants, appStore?: AppStore, whitepapers?: Whitepapers, treaty?: Treaty, occurrences?: Occurrences, translations?: Translations, decodeEvents: Function }}
+ */
+function createSintropOS({ runner, addresses = {}, abis = {} }) {
+  const os = {};
+
+  const contractOptions = (addressKey, contractName) => ({
+    address: addresses[addressKey],
+    abi: abis[contractName] || loadAbi(contractName),
+  });
+
+  for (const { key, addressKey, contractName, Client, registries = {} } of APPS) {
+    if (!addresses[addressKey]) continue;
+
+    const { address, abi } = contractOptions(addressKey, contractName);
+    const registryOptions = Object.entries(registries)
+      .filter(([, registry]) => addresses[registry.addressKey])
+      .map(([registryKey, registry]) => [registryKey, contractOptions(registry.addressKey, registry.contractName)]);
+    os[key] = new Client(address, abi, runner, Object.fromEntries(registryOptions));
+  }
+
+  const contracts = Object.values(os).flatMap((client) => client.contracts);
+  /** Decodes the events of any Sintrop OS app found in a transaction receipt. */
+  os.decodeEvents = (receipt) => decodeEvents(receipt, contracts);
+
+  return os;
+}
+
+module.exports = {
+  createSintropOS,
+  Education,
+  Plants,
+  AppStore,
+  Whitepapers,
+  Treaty,
+  Occurrences,
+  Translations,
+  VOTE,
+  toVoteValue,
+  toVoteName,
+  toPlain,
+  decodeEvents,
+  ...errors,
+};
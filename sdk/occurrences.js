@@ -0,0 +1,110 @@
+const { BaseApp } = require("./baseApp");
+const { ValidationError } = require("./errors");
+
+// Coordinates are stored in millionths of a degree (`COORDINATE_DECIMALS` in Solidity).
+const COORDINATE_SCALE = 1e6;
+
+function toFixedPoint(degrees, label) {
+  if (typeof degrees !== "number" || !Number.isFinite(degrees)) {
+    throw new ValidationError(`Invalid ${label} "${degrees}", use decimal degrees`);
+  }
+
+  return Math.round(degrees * COORDINATE_SCALE);
+}
+
+// Observation dates are given as a Date, an ISO date string or a Unix timestamp in seconds.
+function toTimestamp(date) {
+  let seconds = date;
+  if (date instanceof Date) seconds = date.getTime() / 1000;
+  else if (typeof date === "string") seconds = Date.parse(date) / 1000;
+
+  if (typeof seconds !== "number" || !Number.isFinite(seconds)) {
+    throw new ValidationError(`Invalid observation date "${date}"`);
+  }
+
+  return Math.floor(seconds);
+}
+
+/**
+ * Client of PlantOccurrenceRegistry, the records of where the plants of GlobalPlantCatalog grow.
+ * Occurrence IDs start at 0. Coordinates are given and returned in decimal degrees and observation dates are
+ * returned as Unix timestamps in seconds.
+ */
+class Occurrences extends BaseApp {
+  /**
+   * Reports that a plant was observed at a point, given by `latitude` and `longitude`, or inside a `geohash`
+   * cell when the exact place is unknown or should not be revealed.
+   * @param {{ plantId: number, latitude?: number, longitude?: number, geohash?: string, observedAt: Date|string|number, evidenceCid: string }} occurrence
+   * @returns {Promise<{ id: number, geohash: string, hash: string, blockNumber: number, events: Array<object> }>}
+   */
+  async report({ plantId, latitude, longitude, geohash, observedAt, evidenceCid }) {
+    const hasCoordinates = latitude !== undefined || longitude !== undefined;
+    if (hasCoordinates === (geohash !== undefined)) {
+      throw new ValidationError("Give either the coordinates or the geohash of the occurrence");
+    }
+
+    const result = hasCoordinates
+      ? await this._send(
+          "reportOccurrence",
+          plantId,
+          toFixedPoint(latitude, "latitude"),
+          toFixedPoint(longitude, "longitude"),
+          toTimestamp(observedAt),
+          evidenceCid
+        )
+      : await this._send("reportOccurrenceByGeohash", plantId, geohash, toTimestamp(observedAt), evidenceCid);
+    const reported = result.events.find((event) => event.event === "OccurrenceReported");
+
+    return { id: reported.occurrenceId, geohash: reported.geohash, ...result };
+  }
+
+  async get(id) {
+    return this._toEntry(await this._call("getOccurrence", id));
+  }
+
+  async count() {
+    return this._call("occurrencesCount");
+  }
+
+  /** Lists every occurrence in ID order. */
+  async list({ offset, limit } = {}) {
+    return this._page("getOccurrences", await this.count(), { offset, limit });
+  }
+
+  /** Lists the occurrences of a plant, in the order they were reported. */
+  async byPlant(plantId, { offset, limit } = {}) {
+    const count = await this._call("getPlantOccurrencesCount", plantId);
+
+    return this._page("getPlantOccurrences", count, { offset, limit }, plantId);
+  }
+
+  /**
+   * Lists the occurrences inside a geohash prefix of 1 to 6 characters, in the order they were reported.
+   * Occurrences reported with a geohash shorter than the prefix cover a larger cell and are left out.
+   */
+  async inRegion(geohash, { offset, limit } = {}) {
+    const count = await this._call("getGeohashOccurrencesCount", geohash);
+
+    return this._page("getGeohashOccurrences", count, { offset, limit }, geohash);
+  }
+
+  /** Geohash of a point given in decimal degrees, as computed by the contract. */
+  encodeGeohash(latitude, longitude, precision = 9) {
+    return this._call(
+      "encodeGeohash",
+      toFixedPoint(latitude, "latitude"),
+      toFixedPoint(longitude, "longitude"),
+      precision
+    );
+  }
+
+  _toEntry({ hasCoordinates, latitude, longitude, ...occurrence }) {
+    return {
+      ...occurrence,
+      latitude: hasCoordinates ? latitude / COORDINATE_SCALE : null,
+      longitude: hasCoordinates ? longitude / COORDINATE_SCALE : null,
+    };
+  }
+}
+
+module.exports = { Occurrences, COORDINATE_SCALE };
@@ -0,0 +1,59 @@
+const { toVoteName } = require("./votes");
+
+// Enum arguments named like this are votes and are returned by name.
+const VOTE_KEYS = ["voteType"];
+
+/**
+ * Converts ethers results into plain objects. Unsigned integers become numbers when they fit, which is
+ * always the case for IDs, vote counts and block numbers, and stay BigInt otherwise.
+ */
+function toPlain(value) {
+  if (typeof value === "bigint") return value <= BigInt(Number.MAX_SAFE_INTEGER) ? Number(value) : value;
+  if (value && typeof value.toArray === "function") {
+    let object = {};
+    try {
+      object = value.toObject();
+    } catch (error) {
+      // Lists, such as address[], have no member names and cannot become objects.
+    }
+    // ethers names the item of a single item list "_", which is not a member name either.
+    const keys = Object.keys(object).filter((key) => key !== "_");
+    if (keys.length === 0) return value.toArray().map(toPlain);
+
+    return Object.fromEntries(
+      keys.map((key) => [key, VOTE_KEYS.includes(key) ? toVoteName(value[key]) : toPlain(value[key])])
+    );
+  }
+  if (Array.isArray(value)) return value.map(toPlain);
+
+  return value;
+}
+
+/**
+ * Decodes the logs of a receipt emitted by the given contracts into plain objects such as
+ * `{ event: "Voted", contentId: 1, voter: "0x...", voteType: "positive", blockNumber: 10, logIndex: 0 }`.
+ * Logs of other contracts are ignored.
+ */
+function decodeEvents(receipt, contracts) {
+  const events = [];
+
+  for (const log of receipt.logs) {
+    const contract = contracts.find((item) => item.target.toLowerCase() === log.address.toLowerCase());
+    if (!contract) continue;
+
+    const parsed = contract.interface.parseLog(log);
+    if (!parsed) continue;
+
+    events.push({
+      event: parsed.name,
+      ...toPlain(parsed.args),
+      blockNumber: log.blockNumber,
+      transactionHash: log.transactionHash,
+      logIndex: log.index,
+    });
+  }
+
+  return events;
+}
+
+module.exports = { toPlain, decodeEvents };
@@ -0,0 +1,525 @@
+const { BaseApp, DEFAULT_PAGE_SIZE } = require("./baseApp");
+const { ValidationError } = require("./errors");
+
+// Values of the ProposalStatus enum of the duplicate proposals and revisions.
+const PROPOSAL_STATUS = ["open", "accepted", "rejected", "outdated"];
+
+// Taxonomic ranks of a plant that has none.
+const EMPTY_RANKS = {
+  kingdom: "",
+  phylum: "",
+  class: "",
+  order: "",
+  family: "",
+  genus: "",
+  species: "",
+  infraspecificRank: "",
+  infraspecificEpithet: "",
+};
+
+// Values of the Stratum, SuccessionalStage, RelationshipType and PhotoType enums.
+const STRATA = ["unknown", "emergent", "high", "medium", "low"];
+const SUCCESSIONAL_STAGES = ["unknown", "placenta", "secondary", "climax"];
+const RELATIONSHIP_TYPES = ["none", "companion", "nurse", "antagonist", "sameConsortium"];
+const PHOTO_TYPES = ["wholePlant", "leaf", "flower", "fruit", "seed"];
+
+// Relationships that bring a plant into the consortium of another.
+const CONSORTIUM_RELATIONSHIPS = ["companion", "nurse", "sameConsortium"];
+
+/**
+ * Converts an enum name, in any letter case and with or without dashes ("same-consortium"), or its value
+ * into the value of the contract enum.
+ * @throws {ValidationError}
+ */
+function toEnumValue(names, value, label) {
+  const simplify = (name) => name.toLowerCase().replace(/[-_ ]/g, "");
+  const index =
+    typeof value === "string" ? names.findIndex((name) => simplify(name) === simplify(value)) : Number(value);
+  if (index >= 0 && index < names.length) return index;
+
+  throw new ValidationError(`Invalid ${label} "${value}". Use one of: ${names.join(", ")}.`);
+}
+
+// Registries of GlobalPlantCatalog, by client key, with the address key (the same used by the deployment
+// manifests) and the contract of each.
+const PLANT_REGISTRIES = {
+  taxonomy: { addressKey: "plantTaxonomyRegistry", contractName: "PlantTaxonomyRegistry" },
+  revisions: { addressKey: "plantRevisionRegistry", contractName: "PlantRevisionRegistry" },
+  agroforestry: { addressKey: "plantAgroforestryRegistry", contractName: "PlantAgroforestryRegistry" },
+  photos: { addressKey: "plantPhotoRegistry", contractName: "PlantPhotoRegistry" },
+};
+
+/**
+ * Client of GlobalPlantCatalog and of its registries, which keep the taxonomic ranks, the revisions, the
+ * agroforestry attributes and relationships, and the galleries of the plants. Plant IDs start at 0.
+ */
+class Plants extends BaseApp {
+  /**
+   * Adds a plant to the catalog.
+   * @param {{ popularName: string, scientificName: string, taxonomy: string, description: string, photoHash: string }} plant
+   * @returns {Promise<{ id: number, hash: string, blockNumber: number, events: Array<object> }>}
+   */
+  async add({ popularName, scientificName, taxonomy, description, photoHash }) {
+    const result = await this._send("addPlant", popularName, scientificName, taxonomy, description, photoHash);
+    const added = result.events.find((event) => event.event === "PlantAdded");
+
+    return { id: added.plantId, ...result };
+  }
+
+  async get(id) {
+    return this._toEntry(await this._call("getPlant", id));
+  }
+
+  async count() {
+    return this._call("getTotalPlantsCount");
+  }
+
+  /** Lists plants in ID order. `offset` is the position of the first entry, not its ID. */
+  async list({ offset, limit } = {}) {
+    return this._page("getPlants", await this.count(), { offset, limit });
+  }
+
+  /** The plant registered with a scientific name, compared in lowercase and with single spaces. */
+  async getByScientificName(scientificName) {
+    return this._toEntry(await this._call("getPlantByScientificName", scientificName));
+  }
+
+  /** ID of the plant to show for `id`: itself, or its canonical plant when it was marked as a duplicate. */
+  canonicalId(id) {
+    return this._call("getCanonicalPlantId", id);
+  }
+
+  /**
+   * Proposes marking a plant as a duplicate of a canonical plant. Proposing counts as a supporting vote.
+   * @returns {Promise<{ proposalId: number, hash: string, blockNumber: number, events: Array<object> }>}
+   */
+  async proposeDuplicate(duplicateId, canonicalId) {
+    const result = await this._send("proposeDuplicate", duplicateId, canonicalId);
+    const proposed = result.events.find((event) => event.event === "DuplicateProposed");
+
+    return { proposalId: proposed.proposalId, ...result };
+  }
+
+  /**
+   * Contests a plant marked as a duplicate, proposing to unmark it. Contesting counts as a supporting vote.
+   * @returns {Promise<{ proposalId: number, hash: string, blockNumber: number, events: Array<object> }>}
+   */
+  async contestDuplicate(duplicateId) {
+    const result = await this._send("contestDuplicate", duplicateId);
+    const contested = result.events.find((event) => event.event === "DuplicateContested");
+
+    return { proposalId: contested.proposalId, ...result };
+  }
+
+  /** Supports or opposes a duplicate proposal or contest. The vote that reaches its quorum resolves it. */
+  voteOnDuplicate(proposalId, support) {
+    return this._send("voteOnDuplicate", proposalId, support);
+  }
+
+  /**
+   * `quorum` is the number of votes resolving the proposal, and `contest` is true for the proposals unmarking a
+   * duplicate.
+   * @returns {Promise<{ id: number, duplicateId: number, canonicalId: number, quorum: number, status: "open"|"accepted"|"rejected", contest: boolean }>}
+   */
+  async getDuplicateProposal(proposalId) {
+    const proposal = await this._call("getDuplicateProposal", proposalId);
+
+    return { ...proposal, status: PROPOSAL_STATUS[proposal.status] };
+  }
+
+  /**
+   * Sets the taxonomic ranks of a plant, which lists it under its family and genus. Only its creator can.
+   * @param {{ kingdom: string, phylum: string, class: string, order: string, family: string, genus: string, species: string, infraspecificRank?: string, infraspecificEpithet?: string }} ranks
+   *   `species` is the specific epithet, such as "courbaril" for Hymenaea courbaril.
+   */
+  setRanks(id, ranks) {
+    return this._registry("taxonomy")._send("setTaxonomicRanks", id, { ...EMPTY_RANKS, ...ranks });
+  }
+
+  /** Taxonomic ranks of a plant, or null when they were not set. */
+  async ranks(id) {
+    const ranks = await this._registry("taxonomy")._call("getTaxonomicRanks", id);
+
+    return ranks.genus ? ranks : null;
+  }
+
+  /** Families used by the plants, in the order they were first used. */
+  families() {
+    return this._registry("taxonomy")._call("getFamilies");
+  }
+
+  /** Genera used in a family, in the order they were first used. */
+  genera(family) {
+    return this._registry("taxonomy")._call("getGenera", family);
+  }
+
+  /** Lists the plants of a family. Names are compared in lowercase and with single spaces. */
+  async byFamily(family, { offset, limit } = {}) {
+    const count = await this._registry("taxonomy")._call("getPlantsCountByFamily", family);
+
+    const page = await this._registry("taxonomy")._page("getPlantsByFamily", count, { offset, limit }, family);
+
+    return { ...page, items: page.items.map((plant) => this._toEntry(plant)) };
+  }
+
+  /** Lists the plants of a genus. Names are compared in lowercase and with single spaces. */
+  async byGenus(genus, { offset, limit } = {}) {
+    const count = await this._registry("taxonomy")._call("getPlantsCountByGenus", genus);
+
+    const page = await this._registry("taxonomy")._page("getPlantsByGenus", count, { offset, limit }, genus);
+
+    return { ...page, items: page.items.map((plant) => this._toEntry(plant)) };
+  }
+
+  /**
+   * The catalog as a tree of families and their genera, with the number of plants of each. Families and
+   * genera without plants left are skipped. It makes one call per family and genus, the read API answers
+   * the same tree in one request (`GET /taxonomy`).
+   * @returns {Promise<Array<{ family: string, plants: number, genera: Array<{ genus: string, plants: number }> }>>}
+   */
+  async tree() {
+    const tree = [];
+
+    for (const family of await this.families()) {
+      const genera = [];
+      for (const genus of await this.genera(family)) {
+        const plants = await this._registry("taxonomy")._call("getPlantsCountByGenus", genus);
+        if (plants > 0) genera.push({ genus, plants });
+      }
+
+      const plants = await this._registry("taxonomy")._call("getPlantsCountByFamily", family);
+      if (plants > 0) tree.push({ family, plants, genera });
+    }
+
+    return tree;
+  }
+
+  /**
+   * Sets the stratum and successional stage of a plant. Only its creator can, and a missing value is unknown.
+   * @param {{ stratum?: "emergent"|"high"|"medium"|"low"|"unknown", successionalStage?: "placenta"|"secondary"|"climax"|"unknown" }} attributes
+   */
+  async setAgroforestry(id, attributes) {
+    return this._registry("agroforestry")._send("setAgroforestryAttributes", id, this._toAttributes(attributes));
+  }
+
+  /** @returns {Promise<{ stratum: string, successionalStage: string }>} Names of the attributes, "unknown" when not set. */
+  async agroforestry(id) {
+    return this._toAttributeNames(await this._registry("agroforestry")._call("getAgroforestryAttributes", id));
+  }
+
+  /**
+   * Proposes a revision of a plant. Fields missing from `changes` keep their current value, and `ranks: null`
+   * removes the taxonomic ranks. Proposing counts as a positive vote.
+   * @param {{ popularName?: string, scientificName?: string, taxonomy?: string, description?: string, photoHash?: string, ranks?: object|null, agroforestry?: { stratum?: string, successionalStage?: string } }} changes
+   * @returns {Promise<{ revisionId: number, hash: string, blockNumber: number, events: Array<object> }>}
+   */
+  async proposeRevision(id, changes) {
+    const current = {
+      ...(await this.get(id)),
+      ranks: await this._registry("taxonomy")._call("getTaxonomicRanks", id),
+      agroforestry: await this.agroforestry(id),
+    };
+    const { popularName, scientificName, taxonomy, description, photoHash } = { ...current, ...changes };
+    const ranks = changes.ranks === undefined ? current.ranks : { ...EMPTY_RANKS, ...changes.ranks };
+    const agroforestry = this._toAttributes({ ...current.agroforestry, ...changes.agroforestry });
+
+    const result = await this._registry("revisions")._send("proposeRevision", id, {
+      popularName,
+      scientificName,
+      taxonomy,
+      description,
+      photoHash,
+      ranks,
+      agroforestry,
+    });
+    const proposed = result.events.find((event) => event.event === "RevisionProposed");
+
+    return { revisionId: proposed.revisionId, ...result };
+  }
+
+  /**
+   * Votes on an open revision. The vote that reaches the quorum of the revision resolves it.
+   * @param {"positive"|"negative"|"up"|"down"|"Upvote"|"Downvote"} vote
+   */
+  voteOnRevision(revisionId, vote) {
+    return this._registry("revisions")._vote("voteOnRevision", revisionId, vote);
+  }
+
+  /** @returns {Promise<"none"|"positive"|"negative">} */
+  revisionVote(revisionId, account) {
+    return this._registry("revisions")._userVote("revisionVotes", revisionId, account);
+  }
+
+  /** @returns {Promise<{ id: number, plantId: number, fields: object, status: "open"|"accepted"|"rejected"|"outdated", votes: object }>} */
+  async getRevision(revisionId) {
+    return this._toRevision(await this._registry("revisions")._call("getRevision", revisionId));
+  }
+
+  /** IDs of the revisions proposed for a plant, whatever their status. */
+  revisions(id) {
+    return this._registry("revisions")._call("getPlantRevisions", id);
+  }
+
+  /**
+   * Accepted revisions of a plant, oldest first: the plant as it was added, then each revision. Empty when
+   * the plant was never revised.
+   */
+  async history(id) {
+    return (await this._registry("revisions")._call("getPlantHistory", id)).map((revision) =>
+      this._toRevision(revision)
+    );
+  }
+
+  /**
+   * Proposes a relationship between two plants. Proposing counts as a positive vote. Only nurse relationships
+   * have a direction: `plantId` nurses `relatedPlantId`.
+   * @param {"companion"|"nurse"|"antagonist"|"sameConsortium"} type
+   * @returns {Promise<{ relationshipId: number, hash: string, blockNumber: number, events: Array<object> }>}
+   */
+  async proposeRelationship(plantId, relatedPlantId, type) {
+    const value = toEnumValue(RELATIONSHIP_TYPES, type, "relationship type");
+    const result = await this._registry("agroforestry")._send("proposeRelationship", plantId, relatedPlantId, value);
+    const proposed = result.events.find((event) => event.event === "RelationshipProposed");
+
+    return { relationshipId: proposed.relationshipId, ...result };
+  }
+
+  /** @param {"positive"|"negative"|"up"|"down"|"Upvote"|"Downvote"} vote */
+  voteOnRelationship(relationshipId, vote) {
+    return this._registry("agroforestry")._vote("voteOnRelationship", relationshipId, vote);
+  }
+
+  /** @returns {Promise<"none"|"positive"|"negative">} */
+  relationshipVote(relationshipId, account) {
+    return this._registry("agroforestry")._userVote("relationshipVotes", relationshipId, account);
+  }
+
+  /** @returns {Promise<{ id: number, plantId: number, relatedPlantId: number, relationshipType: string, votes: object }>} */
+  async getRelationship(relationshipId) {
+    return this._toRelationship(await this._registry("agroforestry")._call("getRelationship", relationshipId));
+  }
+
+  /** Lists the relationships of a plant on either side, in the order they were proposed, whatever their votes. */
+  async relationships(id, { offset, limit } = {}) {
+    const count = await this._registry("agroforestry")._call("getPlantRelationshipsCount", id);
+    const page = await this._registry("agroforestry")._page("getPlantRelationships", count, { offset, limit }, id);
+
+    return { ...page, items: page.items.map((relationship) => this._toRelationship(relationship)) };
+  }
+
+  /**
+   * Suggests a consortium for a plant from the relationships the community agrees with, those with more
+   * positive than negative votes. Its companions, nurses, nursed plants and plants of the same consortium
+   * join it, the best scored first, unless they are antagonists of the plant or of a plant that already
+   * joined. Each stratum takes up to `perStratum` plants, the plant included, so the consortium spreads over
+   * the strata.
+   * It reads the relationships of the plant and of every candidate a page at a time, and each plant's canonical
+   * ID and attributes once. For plants with many relationships, the read API lists them in one request
+   * (`GET /plants/:id/relationships`).
+   * @param {number} id Plant ID. Duplicate plants suggest the consortium of their canonical plant.
+   * @param {{ perStratum?: number }} [options]
+   * @returns {Promise<{ plantId: number, stratum: string, successionalStage: string, members: Array<{ id: number, popularName: string, scientificName: string, stratum: string, successionalStage: string, relationships: string[], score: number }>, antagonists: number[], missingStrata: string[] }>}
+   */
+  async suggestConsortium(id, { perStratum = 3 } = {}) {
+    // Plants are often related to the same plants, so their canonical IDs and attributes are read once per call.
+    const cache = { canonicalIds: new Map(), attributes: new Map() };
+    const plantId = await this._cached(cache.canonicalIds, id, () => this.canonicalId(id));
+    const attributes = await this._cached(cache.attributes, plantId, () => this.agroforestry(plantId));
+    const antagonists = new Set();
+    const candidates = new Map();
+
+    for (const { relatedId, relationshipType, score } of await this._agreedRelationships(plantId, cache)) {
+      if (relationshipType === "antagonist") {
+        antagonists.add(relatedId);
+      } else if (CONSORTIUM_RELATIONSHIPS.includes(relationshipType)) {
+        const candidate = candidates.get(relatedId) || { id: relatedId, relationships: [], score: 0 };
+        candidate.relationships.push(relationshipType);
+        candidate.score += score;
+        candidates.set(relatedId, candidate);
+      }
+    }
+
+    const members = [];
+    const strata = [attributes.stratum];
+    const excluded = new Set(antagonists);
+    const ranked = [...candidates.values()].sort((a, b) => b.score - a.score || a.id - b.id);
+    for (const candidate of ranked) {
+      if (excluded.has(candidate.id)) continue;
+
+      const candidateAttributes = await this._cached(cache.attributes, candidate.id, () =>
+        this.agroforestry(candidate.id)
+      );
+      const { stratum } = candidateAttributes;
+      if (strata.filter((taken) => taken === stratum).length >= perStratum) continue;
+
+      const { popularName, scientificName } = await this.get(candidate.id);
+      members.push({ id: candidate.id, popularName, scientificName, ...candidateAttributes, ...candidate });
+      strata.push(stratum);
+      for (const { relatedId, relationshipType } of await this._agreedRelationships(candidate.id, cache)) {
+        if (relationshipType === "antagonist") excluded.add(relatedId);
+      }
+    }
+
+    return {
+      plantId,
+      ...attributes,
+      members,
+      antagonists: [...antagonists],
+      missingStrata: STRATA.filter((stratum) => stratum !== "unknown" && !strata.includes(stratum)),
+    };
+  }
+
+  /**
+   * Adds a photo of a part of a plant to its gallery.
+   * @param {{ type: "wholePlant"|"leaf"|"flower"|"fruit"|"seed", photoHash: string }} photo
+   * @returns {Promise<{ photoId: number, hash: string, blockNumber: number, events: Array<object> }>}
+   */
+  async addPhoto(id, { type, photoHash }) {
+    const result = await this._registry("photos")._send(
+      "addPhoto",
+      id,
+      toEnumValue(PHOTO_TYPES, type, "photo type"),
+      photoHash
+    );
+    const added = result.events.find((event) => event.event === "PhotoAdded");
+
+    return { photoId: added.photoId, ...result };
+  }
+
+  /** @param {"positive"|"negative"|"up"|"down"|"Upvote"|"Downvote"} vote */
+  voteOnPhoto(photoId, vote) {
+    return this._registry("photos")._vote("voteOnPhoto", photoId, vote);
+  }
+
+  /** @returns {Promise<"none"|"positive"|"negative">} */
+  photoVote(photoId, account) {
+    return this._registry("photos")._userVote("photoVotes", photoId, account);
+  }
+
+  /** @returns {Promise<{ id: number, plantId: number, photoType: string, photoHash: string, contributor: string, votes: object }>} */
+  async getPhoto(photoId) {
+    return this._toPhoto(await this._registry("photos")._call("getPhoto", photoId));
+  }
+
+  /** Lists the gallery of a plant, in the order the photos were added. */
+  async gallery(id, { offset, limit } = {}) {
+    const count = await this._registry("photos")._call("getPlantPhotosCount", id);
+    const page = await this._registry("photos")._page("getPlantPhotos", count, { offset, limit }, id);
+
+    return { ...page, items: page.items.map((photo) => this._toPhoto(photo)) };
+  }
+
+  /**
+   * The photo to show first for a plant: the best voted gallery photo, or the photo the plant was added with
+   * until a gallery photo has more positive than negative votes.
+   * @returns {Promise<{ photoId: number|null, photoHash: string }>} `photoId` is null for the photo of the plant.
+   */
+  async primaryPhoto(id) {
+    const { inGallery, photoId, photoHash } = await this._registry("photos")._call("getPrimaryPhoto", id);
+
+    return { photoId: inGallery ? photoId : null, photoHash };
+  }
+
+  /** IDs of the plants added by an address. */
+  byCreator(creator) {
+    return this._call("getPlantsByCreator", creator);
+  }
+
+  /** @param {"positive"|"negative"|"up"|"down"|"Upvote"|"Downvote"} vote */
+  vote(id, vote) {
+    return this._vote("vote", id, vote);
+  }
+
+  /** @returns {Promise<"none"|"positive"|"negative">} */
+  userVote(id, account) {
+    return this._userVote("userVotes", id, account);
+  }
+
+  /** Whether an account may vote, according to the voter registry the app was deployed with, if any. */
+  canVote(account) {
+    return this._call("isEligibleVoter", account);
+  }
+
+  hasMoreUpvotes(id) {
+    return this._call("hasMoreUpvotes", id);
+  }
+
+  _toEntry(plant) {
+    return this._withVotes(plant, plant.upvotes, plant.downvotes);
+  }
+
+  _toRevision(revision) {
+    const fields = { ...revision.fields, agroforestry: this._toAttributeNames(revision.fields.agroforestry) };
+
+    return this._withVotes(
+      { ...revision, fields, status: PROPOSAL_STATUS[revision.status] },
+      revision.upvotes,
+      revision.downvotes
+    );
+  }
+
+  _toRelationship(relationship) {
+    return this._withVotes(
+      { ...relationship, relationshipType: RELATIONSHIP_TYPES[relationship.relationshipType] },
+      relationship.upvotes,
+      relationship.downvotes
+    );
+  }
+
+  _toPhoto(photo) {
+    return this._withVotes({ ...photo, photoType: PHOTO_TYPES[photo.photoType] }, photo.upvotes, photo.downvotes);
+  }
+
+  _toAttributes({ stratum = "unknown", successionalStage = "unknown" } = {}) {
+    return {
+      stratum: toEnumValue(STRATA, stratum, "stratum"),
+      successionalStage: toEnumValue(SUCCESSIONAL_STAGES, successionalStage, "successional stage"),
+    };
+  }
+
+  _toAttributeNames({ stratum, successionalStage }) {
+    return { stratum: STRATA[stratum], successionalStage: SUCCESSIONAL_STAGES[successionalStage] };
+  }
+
+  /**
+   * Relationships of a plant with more positive than negative votes, seen from the plant: the other plant,
+   * after following duplicates, the type and the net score. Relationships with itself are skipped.
+   * @param {{ canonicalIds: Map<number, Promise<number>> }} cache Canonical IDs already read.
+   */
+  async _agreedRelationships(id, cache) {
+    const agreed = [];
+    let offset = 0;
+    let total;
+
+    do {
+      const page = await this.relationships(id, { offset, limit: DEFAULT_PAGE_SIZE });
+      const positive = page.items.filter((relationship) => relationship.votes.score > 0);
+      const relatedIds = await Promise.all(
+        positive.map((relationship) => {
+          const otherId = relationship.plantId === id ? relationship.relatedPlantId : relationship.plantId;
+          return this._cached(cache.canonicalIds, otherId, () => this.canonicalId(otherId));
+        })
+      );
+
+      positive.forEach(({ relationshipType, votes }, index) => {
+        if (relatedIds[index] !== id)
+          agreed.push({ relatedId: relatedIds[index], relationshipType, score: votes.score });
+      });
+
+      offset += page.items.length;
+      total = page.total;
+    } while (offset < total);
+
+    return agreed;
+  }
+
+  // Reads a value once per key, keeping the promise so concurrent reads of the same key share the call.
+  _cached(cache, key, read) {
+    if (!cache.has(key)) cache.set(key, read());
+    return cache.get(key);
+  }
+}
+
+Plants.REGISTRIES = PLANT_REGISTRIES;
+
+module.exports = { Plants, PLANT_REGISTRIES, STRATA, SUCCESSIONAL_STAGES, RELATIONSHIP_TYPES, PHOTO_TYPES };
@@ -0,0 +1,130 @@
+const { BaseApp } = require("./baseApp");
+const { ValidationError } = require("./errors");
+
+// Values of the EntryType enum of TranslationCenter.
+const ENTRY_TYPES = ["plant", "content"];
+
+function toEntryTypeValue(entryType) {
+  const value = ENTRY_TYPES.indexOf(entryType);
+  if (value < 0) throw new ValidationError(`Invalid entry type "${entryType}". Use one of: ${ENTRY_TYPES.join(", ")}`);
+
+  return value;
+}
+
+/**
+ * Language code of a locale as the contract stores it: "pt", "es" or "pt-BR". Locales such as "pt_br" or
+ * "PT-br" are accepted too.
+ */
+function toLanguageCode(locale) {
+  const match = /^([a-z]{2,3})(?:[-_]([a-z]{2}))?$/i.exec(String(locale));
+  if (!match) throw new ValidationError(`Invalid language code "${locale}", use codes such as "pt", "es" or "pt-BR"`);
+
+  const [, language, region] = match;
+  return region ? `${language.toLowerCase()}-${region.toUpperCase()}` : language.toLowerCase();
+}
+
+/**
+ * Client of TranslationCenter, the community translations of the plants of GlobalPlantCatalog and of the
+ * contents of FreeEducationCenter. Translation IDs start at 0. A translation gives the `name` (the popular name
+ * of a plant or the title of a content) and the `description` of an entry in a language.
+ */
+class Translations extends BaseApp {
+  /**
+   * Adds a translation of a plant or a content.
+   * @param {{ entryType: "plant"|"content", entryId: number, language: string, name: string, description: string }} translation
+   * @returns {Promise<{ id: number, hash: string, blockNumber: number, events: Array<object> }>}
+   */
+  async add({ entryType, entryId, language, name, description }) {
+    const result = await this._send(
+      "addTranslation",
+      toEntryTypeValue(entryType),
+      entryId,
+      toLanguageCode(language),
+      name,
+      description
+    );
+    const added = result.events.find((event) => event.event === "TranslationAdded");
+
+    return { id: added.translationId, ...result };
+  }
+
+  async get(id) {
+    return this._toEntry(await this._call("getTranslation", id));
+  }
+
+  async count() {
+    return this._call("translationsCount");
+  }
+
+  /** Lists every translation in ID order. */
+  async list({ offset, limit } = {}) {
+    return this._page("getTranslations", await this.count(), { offset, limit });
+  }
+
+  /** Lists the translations of an entry into a language, in the order they were added. */
+  async forEntry(entryType, entryId, language, { offset, limit } = {}) {
+    const args = [toEntryTypeValue(entryType), entryId, toLanguageCode(language)];
+    const count = await this._call("getEntryTranslationsCount", ...args);
+
+    return this._page("getEntryTranslations", count, { offset, limit }, ...args);
+  }
+
+  /** Language codes an entry was translated into, in the order they were first used. */
+  languages(entryType, entryId) {
+    return this._call("getEntryLanguages", toEntryTypeValue(entryType), entryId);
+  }
+
+  /** The translation of an entry served in a language, the best voted one, or null when there is none. */
+  async best(entryType, entryId, language) {
+    const { found, translationId } = await this._call(
+      "getBestTranslation",
+      toEntryTypeValue(entryType),
+      entryId,
+      toLanguageCode(language)
+    );
+
+    return found ? this.get(translationId) : null;
+  }
+
+  /**
+   * A plant of the catalog with its popular name and description in `locale`, or as it was added when it has
+   * no translation into it. `locale` is the language served, null for the original.
+   */
+  async plant(id, locale) {
+    const language = toLanguageCode(locale);
+    const { plant, translated } = await this._call("getLocalizedPlant", id, language);
+
+    return { ...this._withVotes(plant, plant.upvotes, plant.downvotes), locale: translated ? language : null };
+  }
+
+  /** A content of the education center with its title and description in `locale`, as `plant()`. */
+  async content(id, locale) {
+    const language = toLanguageCode(locale);
+    const { content, translated } = await this._call("getLocalizedContent", id, language);
+
+    return { ...this._withVotes(content, content.upvotes, content.downvotes), locale: translated ? language : null };
+  }
+
+  vote(id, vote) {
+    return this._vote("vote", id, vote);
+  }
+
+  /** @returns {Promise<"none"|"positive"|"negative">} */
+  userVote(id, account) {
+    return this._userVote("userVotes", id, account);
+  }
+
+  hasMoreUpvotes(id) {
+    return this._call("hasMoreUpvotes", id);
+  }
+
+  _toEntry(translation) {
+    return this._withVotes(
+      { ...translation, entryType: ENTRY_TYPES[translation.entryType] },
+      translation.upvotes,
+      translation.downvotes
+    );
+  }
+}
+
+module.exports = { Translations, ENTRY_TYPES, toLanguageCode };
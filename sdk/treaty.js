@@ -0,0 +1,172 @@
+const { id: hashText } = require("ethers");
+const { BaseApp } = require("./baseApp");
+
+// Values of the AmendmentStatus enum.
+const AMENDMENT_STATUS = ["open", "adopted", "rejected", "outdated"];
+
+const toAmendment = (amendment) => ({ ...amendment, status: AMENDMENT_STATUS[amendment.status] });
+
+// The contract issuing the soulbound certificates of the signers, deployed with the treaty.
+const TREATY_REGISTRIES = {
+  certificates: { addressKey: "peaceTreatyCertificate", contractName: "PeaceTreatyCertificate" },
+};
+
+/** Decodes the base64 JSON data URI returned by the `tokenURI` of the certificates. */
+function decodeTokenUri(uri) {
+  return JSON.parse(Buffer.from(uri.slice(uri.indexOf(",") + 1), "base64").toString("utf8"));
+}
+
+/**
+ * Client of HumansPeaceTreaty and of its PeaceTreatyCertificate. A signer stays active for `proofWindow()` blocks
+ * after signing and after each proof of commitment. Signatures are bound to a version of the text, and active
+ * signers amend it by majority.
+ */
+class Treaty extends BaseApp {
+  /**
+   * Signs the pledge with the signer of the client. Signers of an older version sign again to accept the latest one.
+   * @param {number} [version] Version of the text being signed, the latest one by default.
+   */
+  async sign(version) {
+    return this._send("signPeacePledge", version ?? (await this.currentVersion()));
+  }
+
+  /** Proves the ongoing commitment of the signer of the client. */
+  prove() {
+    return this._send("proveCommitment");
+  }
+
+  /** Withdraws the pledge of the signer of the client, who can sign it again later. */
+  withdraw() {
+    return this._send("withdrawPledge");
+  }
+
+  /**
+   * Pledge of an address, with the version it signed (null when it has not signed).
+   * @returns {Promise<{ account: string, hasSigned: boolean, lastProofBlock: number, version: number|null }>}
+   */
+  async status(account) {
+    const [pledge, version] = await Promise.all([this._call("pledges", account), this._call("signedVersion", account)]);
+
+    return { account, ...pledge, version: pledge.hasSigned ? version : null };
+  }
+
+  totalSignatures() {
+    return this._call("totalSignatures");
+  }
+
+  proofWindow() {
+    return this._call("proofWindow");
+  }
+
+  isActive(account) {
+    return this._call("isActive", account);
+  }
+
+  /** Number of signers active in the latest block. */
+  activeSigners() {
+    return this._call("activeSignersCount");
+  }
+
+  /**
+   * Commitment statistics of an address. `currentStreak` is 0 once the signer lapsed.
+   * @returns {Promise<{ account: string, active: boolean, proofCount: number, currentStreak: number, longestStreak: number, lapseCount: number }>}
+   */
+  async stats(account) {
+    const [active, stats] = await Promise.all([this.isActive(account), this._call("getCommitmentStats", account)]);
+
+    return { account, active, ...stats };
+  }
+
+  /**
+   * Blocks of every signature and proof of commitment of an address, oldest first. Withdrawals do not
+   * clear the history.
+   * @returns {Promise<{ items: Array<number>, total: number, offset: number, limit: number }>}
+   */
+  async history(account, { offset, limit } = {}) {
+    const count = await this._call("getProofHistoryCount", account);
+
+    return this._page("getProofHistory", count, { offset, limit }, account);
+  }
+
+  /** Latest version of the text, the only one that can be signed. */
+  currentVersion() {
+    return this._call("currentVersion");
+  }
+
+  /**
+   * A version of the text of the treaty.
+   * @returns {Promise<{ id: number, textHash: string, textUri: string, adoptedAt: number }>}
+   */
+  version(version) {
+    return this._call("getVersion", version);
+  }
+
+  /** Whether an address signed the latest version of the text, or the given one. */
+  hasSigned(account, version) {
+    if (version === undefined) return this._call("hasSignedLatestVersion", account);
+
+    return this._call("hasSigned(address,uint256)", account, version);
+  }
+
+  /** Number of signers who accepted the latest version of the text, or the given one. */
+  async versionSigners(version) {
+    return this._call("versionSignersCount", version ?? (await this.currentVersion()));
+  }
+
+  /**
+   * Proposes a new version of the text. Only active signers can, and proposing counts as a supporting vote.
+   * @param {{ text?: string, textHash?: string, textUri: string }} amendment The text, or its keccak256 hash, and
+   *   where to read it.
+   */
+  async proposeAmendment({ text, textHash = hashText(text), textUri }) {
+    const result = await this._send("proposeAmendment", textHash, textUri);
+    const proposed = result.events.find((event) => event.event === "AmendmentProposed");
+
+    return { amendmentId: proposed.amendmentId, ...result };
+  }
+
+  /** Supports or opposes an amendment. The vote that reaches a majority of the signers active when it was proposed resolves it. */
+  voteOnAmendment(amendmentId, support) {
+    return this._send("voteOnAmendment", amendmentId, support);
+  }
+
+  /**
+   * @returns {Promise<{ id: number, baseVersion: number, textHash: string, textUri: string, proposer: string, status: "open"|"adopted"|"rejected"|"outdated" }>}
+   */
+  async amendment(amendmentId) {
+    return toAmendment(await this._call("getAmendment", amendmentId));
+  }
+
+  /** Lists the amendments in ID order. */
+  async amendments({ offset, limit } = {}) {
+    const page = await this._page("getAmendments", await this._call("amendmentsCount"), { offset, limit });
+
+    return { ...page, items: page.items.map(toAmendment) };
+  }
+
+  /**
+   * Soulbound certificate of a signer, with the metadata generated by the treaty, or null when it has not signed.
+   * @returns {Promise<{ tokenId: number, name: string, description: string, image: string, attributes: Array<{ trait_type: string, value: number|string }> }|null>}
+   */
+  async certificate(account) {
+    const certificates = this._registry("certificates");
+    const tokenId = await certificates._call("certificateOf", account);
+    if (tokenId === 0) return null;
+
+    return { tokenId, ...decodeTokenUri(await certificates._call("tokenURI", tokenId)) };
+  }
+
+  /** Issues the certificate of the signer of the client, who signed before the treaty issued certificates. */
+  claimCertificate() {
+    return this._send("claimCertificate");
+  }
+
+  /** Records that a signer let their proof window pass, so the treaty emits `SignerLapsed`. */
+  recordLapse(account) {
+    return this._send("recordLapse", account);
+  }
+}
+
+Treaty.REGISTRIES = TREATY_REGISTRIES;
+
+module.exports = { Treaty, TREATY_REGISTRIES, AMENDMENT_STATUS, decodeTokenUri };
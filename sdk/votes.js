@@ -0,0 +1,47 @@
+const { InvalidVoteError } = require("./errors");
+
+/**
+ * FreeEducationCenter, GlobalPlantCatalog and WhitepaperCenter name their votes Upvote/Downvote while
+ * SintropAppStore uses Positive/Negative. Both enums share the same values, so the SDK speaks of
+ * "positive" and "negative" votes everywhere and accepts any of the spellings below.
+ */
+const VOTE = {
+  NONE: 0,
+  POSITIVE: 1,
+  NEGATIVE: 2,
+};
+
+const VOTE_ALIASES = {
+  positive: VOTE.POSITIVE,
+  upvote: VOTE.POSITIVE,
+  up: VOTE.POSITIVE,
+  negative: VOTE.NEGATIVE,
+  downvote: VOTE.NEGATIVE,
+  down: VOTE.NEGATIVE,
+};
+
+const VOTE_NAMES = ["none", "positive", "negative"];
+
+/**
+ * Converts a vote given by the app into the value of the contract enums.
+ * @param {string|number|bigint} vote "positive", "up", "Upvote", "negative", "down", "Downvote", 1 or 2.
+ * @returns {number}
+ * @throws {InvalidVoteError}
+ */
+function toVoteValue(vote) {
+  if (typeof vote === "number" || typeof vote === "bigint") {
+    const value = Number(vote);
+    if (value === VOTE.POSITIVE || value === VOTE.NEGATIVE) return value;
+  } else if (typeof vote === "string" && VOTE_ALIASES[vote.toLowerCase()]) {
+    return VOTE_ALIASES[vote.toLowerCase()];
+  }
+
+  throw new InvalidVoteError(`Invalid vote "${vote}". Use "positive" or "negative".`);
+}
+
+/** Converts a contract enum value into "none", "positive" or "negative". */
+function toVoteName(value) {
+  return VOTE_NAMES[Number(value)] || "none";
+}
+
+module.exports = { VOTE, toVoteValue, toVoteName };
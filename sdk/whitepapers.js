@@ -0,0 +1,58 @@
+const { BaseApp } = require("./baseApp");
+
+/** Client of WhitepaperCenter. Whitepaper IDs start at 1 and each address publishes at most one whitepaper. */
+class Whitepapers extends BaseApp {
+  /**
+   * Publishes the whitepaper of the signer.
+   * @param {{ title: string, description: string, url: string }} whitepaper
+   * @returns {Promise<{ id: number, hash: string, blockNumber: number, events: Array<object> }>}
+   */
+  async publish({ title, description, url }) {
+    const result = await this._send("addWhitepaper", title, description, url);
+    const published = result.events.find((event) => event.event === "WhitepaperPublished");
+
+    return { id: published.id, ...result };
+  }
+
+  async get(id) {
+    return this._toEntry(await this._call("getWhitepaper", id));
+  }
+
+  async count() {
+    return this._call("whitepapersCount");
+  }
+
+  /** Lists whitepapers in ID order. `offset` is the position of the first entry, not its ID. */
+  async list({ offset, limit } = {}) {
+    return this._page("getWhitepapers", await this.count(), { offset, limit });
+  }
+
+  hasPublished(account) {
+    return this._call("hasPublished", account);
+  }
+
+  /** @param {"positive"|"negative"|"up"|"down"|"Upvote"|"Downvote"} vote */
+  vote(id, vote) {
+    return this._vote("vote", id, vote);
+  }
+
+  /** @returns {Promise<"none"|"positive"|"negative">} */
+  userVote(id, account) {
+    return this._userVote("userVotes", id, account);
+  }
+
+  /** Whether an account may vote, according to the voter registry the app was deployed with, if any. */
+  canVote(account) {
+    return this._call("isEligibleVoter", account);
+  }
+
+  hasMoreUpvotes(id) {
+    return this._call("hasMoreUpvotes", id);
+  }
+
+  _toEntry(whitepaper) {
+    return this._withVotes(whitepaper, whitepaper.upvotes, whitepaper.downvotes);
+  }
+}
+
+module.exports = { Whitepapers };
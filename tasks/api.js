@@ -0,0 +1,22 @@
+const { task, types } = require("hardhat/config");
+
+task("api:serve", "Serves the indexed Sintrop OS data over a read-only HTTP API")
+  .addOptionalParam("database", "Path of the SQLite database", "indexer/data/sintrop-os.sqlite", types.string)
+  .addOptionalParam("host", "Host to listen on", "127.0.0.1", types.string)
+  .addOptionalParam("port", "Port to listen on", 4000, types.int)
+  .setAction(async ({ database, host, port }, hre) => {
+    const path = require("node:path");
+    const { openDatabase } = require("../indexer");
+    const { createApiServer } = require("../api");
+
+    const db = openDatabase(path.resolve(hre.config.paths.root, database));
+    const server = createApiServer({ db });
+
+    await new Promise((resolve) => server.listen(port, host, resolve));
+    console.log(`Sintrop OS API listening on http://${host}:${port}`);
+
+    await new Promise((resolve) => {
+      process.on("SIGINT", () => server.close(resolve));
+    });
+    db.close();
+  });
@@ -0,0 +1,26 @@
+const { task, types } = require("hardhat/config");
+
+task("dwca:export", "Exports the plants of GlobalPlantCatalog as a Darwin Core Archive")
+  .addOptionalParam(
+    "out",
+    "Path of the zip file, or of a folder to write the files into when it does not end with .zip",
+    "exports/sintrop-plants-dwca.zip",
+    types.string
+  )
+  .setAction(async ({ out }, hre) => {
+    const path = require("node:path");
+    const { createSintropOS } = require("../sdk");
+    const { readDeployment } = require("../scripts/shared/deployments");
+    const { exportDarwinCoreArchive } = require("../scripts/shared/darwinCore");
+
+    const os = createSintropOS({
+      runner: hre.ethers.provider,
+      addresses: {
+        globalPlantCatalog: readDeployment("GlobalPlantCatalog").address,
+        plantTaxonomyRegistry: readDeployment("PlantTaxonomyRegistry").address,
+      },
+    });
+    const result = await exportDarwinCoreArchive({ plants: os.plants, out: path.resolve(hre.config.paths.root, out) });
+
+    console.log(`Exported ${result.plants} plants to ${result.path}`);
+  });
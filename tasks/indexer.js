@@ -0,0 +1,46 @@
+const { task, types } = require("hardhat/config");
+
+task("indexer:run", "Indexes the events of the Sintrop OS apps into a SQLite database")
+  .addOptionalParam("database", "Path of the SQLite database", "indexer/data/sintrop-os.sqlite", types.string)
+  .addOptionalParam("fromBlock", "First block to index when the database is empty", undefined, types.int)
+  .addOptionalParam("confirmations", "Blocks rewound when a reorg is found", 12, types.int)
+  .addOptionalParam("pollInterval", "Milliseconds between syncs when following the chain", 4000, types.int)
+  .addFlag("follow", "Keep following new blocks after catching up")
+  .setAction(async ({ database, fromBlock, confirmations, pollInterval, follow }, hre) => {
+    const fs = require("node:fs");
+    const path = require("node:path");
+    const { openDatabase, SintropIndexer } = require("../indexer");
+    const { readDeployment, SINTROP_OS_CONTRACTS } = require("../scripts/shared/deployments");
+
+    const addresses = {};
+    let firstDeployBlock;
+    for (const [key, contractName] of Object.entries(SINTROP_OS_CONTRACTS)) {
+      const deployment = readDeployment(contractName);
+      addresses[key] = deployment.address;
+      if (deployment.blockNumber != null)
+        firstDeployBlock = Math.min(firstDeployBlock ?? Infinity, deployment.blockNumber);
+    }
+
+    const filename = path.resolve(hre.config.paths.root, database);
+    fs.mkdirSync(path.dirname(filename), { recursive: true });
+
+    const indexer = new SintropIndexer({
+      db: openDatabase(filename),
+      provider: hre.ethers.provider,
+      addresses,
+      // Nothing happens in the apps before they are deployed.
+      startBlock: fromBlock ?? firstDeployBlock ?? 0,
+      confirmations,
+      pollInterval,
+      log: console.log,
+    });
+
+    if (!follow) {
+      const { fromBlock: from, toBlock, events } = await indexer.sync();
+      console.log(`Indexed blocks ${from} to ${toBlock} (${events} events) into ${filename}`);
+      return;
+    }
+
+    process.on("SIGINT", () => indexer.stop());
+    await indexer.start();
+  });
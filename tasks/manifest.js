@@ -0,0 +1,21 @@
+const { task } = require("hardhat/config");
+
+task("manifest:check", "Compares the deployment manifest with the contracts on the selected network")
+  .addFlag("json", "Print the report as JSON")
+  .setAction(async ({ json }) => {
+    const { checkManifest, STATUS } = require("../scripts/shared/checkManifest");
+
+    const results = await checkManifest();
+    const problems = results.filter((result) => result.status !== STATUS.OK);
+
+    if (json) {
+      console.log(JSON.stringify(results, null, 2));
+    } else if (results.length === 0) {
+      console.log("No deployment manifest found for this network.");
+    } else {
+      console.table(results);
+      console.log(problems.length === 0 ? "Manifest matches the chain." : `${problems.length} contract(s) drifted.`);
+    }
+
+    if (problems.length > 0) process.exitCode = 1;
+  });
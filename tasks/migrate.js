@@ -0,0 +1,32 @@
+const { task, types } = require("hardhat/config");
+
+task("migrate", "Runs the deploy migrations in order, skipping the ones already deployed on the network")
+  .addOptionalParam("only", "Comma separated migrations to run (number, name or file name)", undefined, types.string)
+  .addOptionalParam("from", "Run this migration and every one after it", undefined, types.string)
+  .addFlag("force", "Run the selected migrations even if they are already deployed")
+  .setAction(async ({ only, from, force }) => {
+    // Loaded lazily: the migrations require "hardhat", which is not available while the config is loading.
+    const { runMigrations } = require("../scripts/shared/runMigrations");
+
+    const { ran, skipped } = await runMigrations({ only, from, force });
+
+    console.log(`Migrations executed: ${ran.length}, skipped: ${skipped.length}`);
+  });
+
+task("migrate:status", "Shows which migrations are deployed on the network").setAction(async () => {
+  const { listMigrations, readMigrationState, findPreviousRun } = require("../scripts/shared/runMigrations");
+
+  const state = readMigrationState();
+
+  console.table(
+    listMigrations().map((migration) => {
+      const previousRun = findPreviousRun(state, migration);
+
+      return {
+        id: migration.id,
+        migration: migration.name,
+        completedAt: previousRun ? previousRun.completedAt : "pending",
+      };
+    })
+  );
+});
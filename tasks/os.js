@@ -0,0 +1,869 @@
+const fs = require("node:fs");
+const { task, types } = require("hardhat/config");
+const { toVoteValue } = require("../sdk/votes");
+const { STRATA, SUCCESSIONAL_STAGES, RELATIONSHIP_TYPES, PHOTO_TYPES } = require("../sdk/plants");
+const { COORDINATE_SCALE } = require("../sdk/occurrences");
+const { ENTRY_TYPES, toLanguageCode } = require("../sdk/translations");
+const { AMENDMENT_STATUS, decodeTokenUri } = require("../sdk/treaty");
+
+// `--app` values of `os:vote`, mapped to the loader key and the vote function of each app.
+const VOTABLE_APPS = {
+  education: { key: "educationCenter", fn: "vote" },
+  plants: { key: "globalPlantCatalog", fn: "vote" },
+  apps: { key: "sintropAppStore", fn: "voteForImpactApp" },
+  whitepapers: { key: "whitepaperCenter", fn: "vote" },
+  translations: { key: "translationCenter", fn: "vote" },
+};
+
+// Converts ethers results into plain JSON friendly values.
+function toPlain(value) {
+  if (typeof value === "bigint") return value.toString();
+  if (value && typeof value.toArray === "function") {
+    let object = {};
+    try {
+      object = value.toObject();
+    } catch (error) {
+      // Lists, such as address[], have no member names and cannot become objects.
+    }
+    // ethers names the item of a single item list "_", which is not a member name either.
+    const keys = Object.keys(object).filter((key) => key !== "_");
+    if (keys.length === 0) return value.toArray().map(toPlain);
+
+    return Object.fromEntries(keys.map((key) => [key, toPlain(value[key])]));
+  }
+  if (Array.isArray(value)) return value.map(toPlain);
+  if (value && value.constructor === Object) {
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, toPlain(item)]));
+  }
+
+  return value;
+}
+
+// Converts the name of a GlobalPlantCatalog enum value given to a task into its value.
+function toEnumValue(names, name, param) {
+  const value = names.indexOf(name);
+  if (value < 0) throw new Error(`Invalid ${param} "${name}". Use one of: ${names.join(", ")}`);
+
+  return value;
+}
+
+function print(data, json) {
+  if (json) {
+    console.log(JSON.stringify(data, null, 2));
+  } else if (Array.isArray(data)) {
+    console.table(data);
+  } else {
+    // Nested lists do not fit in a table cell, show them joined.
+    console.table(
+      Object.fromEntries(
+        Object.entries(data).map(([key, value]) => [key, Array.isArray(value) ? value.join(", ") : value])
+      )
+    );
+  }
+}
+
+async function getSigner(hre, signerIndex) {
+  const signers = await hre.ethers.getSigners();
+  if (!signers[signerIndex]) throw new Error(`Account #${signerIndex} is not configured for this network`);
+
+  return signers[signerIndex];
+}
+
+async function loadApp(hre, key, signerIndex) {
+  // Loaded lazily: the loader requires "hardhat", which is not available while the config is loading.
+  const { loadContract, SINTROP_OS_CONTRACTS } = require("../scripts/shared/deployments");
+
+  return loadContract(SINTROP_OS_CONTRACTS[key], await getSigner(hre, signerIndex));
+}
+
+// Waits for the transaction and prints the events it emitted, decoded with the app ABI.
+async function reportTransaction(contract, tx, json) {
+  const receipt = await tx.wait();
+  const events = receipt.logs
+    .map((log) => {
+      try {
+        return contract.interface.parseLog(log);
+      } catch (error) {
+        return null;
+      }
+    })
+    .filter(Boolean)
+    .map((event) => ({ event: event.name, ...toPlain(event.args) }));
+
+  if (json) {
+    print({ txHash: receipt.hash, blockNumber: receipt.blockNumber, events }, true);
+    return;
+  }
+
+  console.log(`Transaction ${receipt.hash} mined in block ${receipt.blockNumber}`);
+  if (events.length > 0) print(events, false);
+}
+
+// Every `os:*` task can run from any configured account and print JSON instead of tables.
+function osTask(name, description) {
+  return task(name, description)
+    .addOptionalParam("signer", "Index of the account sending the transaction", 0, types.int)
+    .addFlag("json", "Print the result as JSON");
+}
+
+osTask("os:list", "Lists the deployed Sintrop OS apps and how many entries each one holds").setAction(
+  async ({ signer, json }, hre) => {
+    const { loadSintropOS } = require("../scripts/shared/deployments");
+
+    const os = await loadSintropOS(await getSigner(hre, signer));
+
+    print(
+      [
+        {
+          app: "FreeEducationCenter",
+          address: os.educationCenter.target,
+          entries: await os.educationCenter.contentsCount(),
+        },
+        {
+          app: "SintropAppStore",
+          address: os.sintropAppStore.target,
+          entries: await os.sintropAppStore.impactAppsCount(),
+        },
+        {
+          app: "GlobalPlantCatalog",
+          address: os.globalPlantCatalog.target,
+          entries: await os.globalPlantCatalog.getTotalPlantsCount(),
+        },
+        {
+          app: "HumansPeaceTreaty",
+          address: os.humansPeaceTreaty.target,
+          entries: await os.humansPeaceTreaty.totalSignatures(),
+        },
+        {
+          app: "WhitepaperCenter",
+          address: os.whitepaperCenter.target,
+          entries: await os.whitepaperCenter.whitepapersCount(),
+        },
+        {
+          app: "PlantOccurrenceRegistry",
+          address: os.plantOccurrenceRegistry.target,
+          entries: await os.plantOccurrenceRegistry.occurrencesCount(),
+        },
+        {
+          app: "TranslationCenter",
+          address: os.translationCenter.target,
+          entries: await os.translationCenter.translationsCount(),
+        },
+      ].map(toPlain),
+      json
+    );
+  }
+);
+
+// --- FreeEducationCenter ---
+
+osTask("os:content:add", "Publishes educational content in FreeEducationCenter")
+  .addParam("title", "Content title", undefined, types.string)
+  .addParam("description", "Content description", undefined, types.string)
+  .addParam("url", "URL or IPFS CID of the content", undefined, types.string)
+  .addOptionalParam("photo", "URL or IPFS CID of the thumbnail", "", types.string)
+  .setAction(async ({ title, description, url, photo, signer, json }, hre) => {
+    const educationCenter = await loadApp(hre, "educationCenter", signer);
+
+    await reportTransaction(educationCenter, await educationCenter.addContent(title, description, url, photo), json);
+  });
+
+osTask("os:content:get", "Shows a FreeEducationCenter content")
+  .addParam("id", "Content ID", undefined, types.int)
+  .addOptionalParam(
+    "locale",
+    "Language code to show the title and description in, such as pt-BR",
+    undefined,
+    types.string
+  )
+  .setAction(async ({ id, locale, signer, json }, hre) => {
+    if (locale !== undefined) {
+      const translationCenter = await loadApp(hre, "translationCenter", signer);
+      const { content, translated } = toPlain(await translationCenter.getLocalizedContent(id, toLanguageCode(locale)));
+      return print({ ...content, translated }, json);
+    }
+
+    const educationCenter = await loadApp(hre, "educationCenter", signer);
+
+    print(toPlain(await educationCenter.getContent(id)), json);
+  });
+
+osTask("os:content:update", "Changes a FreeEducationCenter content published by the signer")
+  .addParam("id", "Content ID", undefined, types.int)
+  .addOptionalParam("title", "New title, defaults to the current one", undefined, types.string)
+  .addOptionalParam("description", "New description, defaults to the current one", undefined, types.string)
+  .addOptionalParam("url", "New URL or IPFS CID, defaults to the current one", undefined, types.string)
+  .addOptionalParam("photo", "New thumbnail URL or IPFS CID, defaults to the current one", undefined, types.string)
+  .setAction(async ({ id, title, description, url, photo, signer, json }, hre) => {
+    const educationCenter = await loadApp(hre, "educationCenter", signer);
+    const current = await educationCenter.getContent(id);
+
+    await reportTransaction(
+      educationCenter,
+      await educationCenter.updateContent(
+        id,
+        title ?? current.title,
+        description ?? current.description,
+        url ?? current.url,
+        photo ?? current.photo
+      ),
+      json
+    );
+  });
+
+osTask("os:content:retract", "Withdraws a FreeEducationCenter content published by the signer")
+  .addParam("id", "Content ID", undefined, types.int)
+  .setAction(async ({ id, signer, json }, hre) => {
+    const educationCenter = await loadApp(hre, "educationCenter", signer);
+
+    await reportTransaction(educationCenter, await educationCenter.retractContent(id), json);
+  });
+
+// --- GlobalPlantCatalog ---
+
+osTask("os:plant:add", "Adds a plant to GlobalPlantCatalog")
+  .addParam("popularName", "Popular name", undefined, types.string)
+  .addParam("scientificName", "Scientific name", undefined, types.string)
+  .addParam("taxonomy", "Taxonomic classification", undefined, types.string)
+  .addParam("description", "Plant description", undefined, types.string)
+  .addParam("photoHash", "IPFS hash or URL of the photo", undefined, types.string)
+  .setAction(async ({ popularName, scientificName, taxonomy, description, photoHash, signer, json }, hre) => {
+    const globalPlantCatalog = await loadApp(hre, "globalPlantCatalog", signer);
+
+    await reportTransaction(
+      globalPlantCatalog,
+      await globalPlantCatalog.addPlant(popularName, scientificName, taxonomy, description, photoHash),
+      json
+    );
+  });
+
+osTask("os:plant:get", "Shows a GlobalPlantCatalog plant")
+  .addParam("id", "Plant ID", undefined, types.int)
+  .addOptionalParam(
+    "locale",
+    "Language code to show the name and description in, such as pt-BR",
+    undefined,
+    types.string
+  )
+  .setAction(async ({ id, locale, signer, json }, hre) => {
+    if (locale !== undefined) {
+      const translationCenter = await loadApp(hre, "translationCenter", signer);
+      const { plant, translated } = toPlain(await translationCenter.getLocalizedPlant(id, toLanguageCode(locale)));
+      return print({ ...plant, translated }, json);
+    }
+
+    const globalPlantCatalog = await loadApp(hre, "globalPlantCatalog", signer);
+
+    print(toPlain(await globalPlantCatalog.getPlant(id)), json);
+  });
+
+osTask("os:plant:find", "Shows the GlobalPlantCatalog plant registered with a scientific name")
+  .addParam("scientificName", "Scientific name, in any letter case and spacing", undefined, types.string)
+  .setAction(async ({ scientificName, signer, json }, hre) => {
+    const globalPlantCatalog = await loadApp(hre, "globalPlantCatalog", signer);
+    const plant = toPlain(await globalPlantCatalog.getPlantByScientificName(scientificName));
+
+    print({ ...plant, canonicalId: toPlain(await globalPlantCatalog.getCanonicalPlantId(plant.id)) }, json);
+  });
+
+osTask("os:plant:ranks", "Sets the taxonomic ranks of a GlobalPlantCatalog plant added by the signer")
+  .addParam("id", "Plant ID", undefined, types.int)
+  .addParam("kingdom", "Kingdom, e.g. Plantae", undefined, types.string)
+  .addParam("phylum", "Phylum, e.g. Tracheophyta", undefined, types.string)
+  .addParam("class", "Class, e.g. Magnoliopsida", undefined, types.string)
+  .addParam("order", "Order, e.g. Fabales", undefined, types.string)
+  .addParam("family", "Family, e.g. Fabaceae", undefined, types.string)
+  .addParam("genus", "Genus, e.g. Hymenaea", undefined, types.string)
+  .addParam("species", "Specific epithet, e.g. courbaril", undefined, types.string)
+  .addOptionalParam("infraspecificRank", "Rank below species, e.g. subsp. or var.", "", types.string)
+  .addOptionalParam("infraspecificEpithet", "Epithet of the infraspecific rank", "", types.string)
+  .setAction(async ({ id, signer, json, ...ranks }, hre) => {
+    const plantTaxonomyRegistry = await loadApp(hre, "plantTaxonomyRegistry", signer);
+
+    await reportTransaction(plantTaxonomyRegistry, await plantTaxonomyRegistry.setTaxonomicRanks(id, ranks), json);
+  });
+
+osTask("os:plant:tree", "Lists the families and genera of the GlobalPlantCatalog plants")
+  .addOptionalParam("family", "Only list the genera of this family", undefined, types.string)
+  .setAction(async ({ family, signer, json }, hre) => {
+    const plantTaxonomyRegistry = await loadApp(hre, "plantTaxonomyRegistry", signer);
+    const families = family ? [family] : await plantTaxonomyRegistry.getFamilies();
+    const rows = [];
+
+    for (const name of families) {
+      for (const genus of await plantTaxonomyRegistry.getGenera(name)) {
+        rows.push({ family: name, genus, plants: await plantTaxonomyRegistry.getPlantsCountByGenus(genus) });
+      }
+    }
+
+    print(toPlain(rows), json);
+  });
+
+osTask(
+  "os:plant:revise",
+  "Proposes a revision of a GlobalPlantCatalog plant, keeping its taxonomic ranks and agroforestry attributes"
+)
+  .addParam("id", "Plant ID", undefined, types.int)
+  .addOptionalParam("popularName", "New popular name, defaults to the current one", undefined, types.string)
+  .addOptionalParam("scientificName", "New scientific name, defaults to the current one", undefined, types.string)
+  .addOptionalParam("taxonomy", "New taxonomic classification, defaults to the current one", undefined, types.string)
+  .addOptionalParam("description", "New description, defaults to the current one", undefined, types.string)
+  .addOptionalParam(
+    "photoHash",
+    "New IPFS hash or URL of the photo, defaults to the current one",
+    undefined,
+    types.string
+  )
+  .setAction(async ({ id, popularName, scientificName, taxonomy, description, photoHash, signer, json }, hre) => {
+    const globalPlantCatalog = await loadApp(hre, "globalPlantCatalog", signer);
+    const plantTaxonomyRegistry = await loadApp(hre, "plantTaxonomyRegistry", signer);
+    const plantAgroforestryRegistry = await loadApp(hre, "plantAgroforestryRegistry", signer);
+    const plantRevisionRegistry = await loadApp(hre, "plantRevisionRegistry", signer);
+    const current = await globalPlantCatalog.getPlant(id);
+
+    await reportTransaction(
+      plantRevisionRegistry,
+      await plantRevisionRegistry.proposeRevision(id, {
+        popularName: popularName ?? current.popularName,
+        scientificName: scientificName ?? current.scientificName,
+        taxonomy: taxonomy ?? current.taxonomy,
+        description: description ?? current.description,
+        photoHash: photoHash ?? current.photoHash,
+        ranks: toPlain(await plantTaxonomyRegistry.getTaxonomicRanks(id)),
+        agroforestry: toPlain(await plantAgroforestryRegistry.getAgroforestryAttributes(id)),
+      }),
+      json
+    );
+  });
+
+osTask("os:plant:revision:vote", "Votes on a revision of a GlobalPlantCatalog plant")
+  .addParam("revision", "Revision ID", undefined, types.int)
+  .addParam("vote", "up (upvote, positive) or down (downvote, negative)", undefined, types.string)
+  .setAction(async ({ revision, vote, signer, json }, hre) => {
+    const plantRevisionRegistry = await loadApp(hre, "plantRevisionRegistry", signer);
+
+    await reportTransaction(
+      plantRevisionRegistry,
+      await plantRevisionRegistry.voteOnRevision(revision, toVoteValue(vote)),
+      json
+    );
+  });
+
+osTask("os:plant:history", "Lists the accepted revisions of a GlobalPlantCatalog plant, oldest first")
+  .addParam("id", "Plant ID", undefined, types.int)
+  .setAction(async ({ id, signer, json }, hre) => {
+    const plantRevisionRegistry = await loadApp(hre, "plantRevisionRegistry", signer);
+    const history = toPlain(await plantRevisionRegistry.getPlantHistory(id));
+
+    print(
+      json
+        ? history
+        : history.map(({ id: revisionId, fields, proposer, createdAt }) => ({
+            revisionId,
+            popularName: fields.popularName,
+            scientificName: fields.scientificName,
+            description: fields.description,
+            proposer,
+            createdAt,
+          })),
+      json
+    );
+  });
+
+osTask(
+  "os:plant:agroforestry",
+  "Sets the stratum and successional stage of a GlobalPlantCatalog plant added by the signer"
+)
+  .addParam("id", "Plant ID", undefined, types.int)
+  .addParam("stratum", STRATA.join(", "), undefined, types.string)
+  .addParam("stage", `Successional stage: ${SUCCESSIONAL_STAGES.join(", ")}`, undefined, types.string)
+  .setAction(async ({ id, stratum, stage, signer, json }, hre) => {
+    const plantAgroforestryRegistry = await loadApp(hre, "plantAgroforestryRegistry", signer);
+    const attributes = {
+      stratum: toEnumValue(STRATA, stratum, "stratum"),
+      successionalStage: toEnumValue(SUCCESSIONAL_STAGES, stage, "stage"),
+    };
+
+    await reportTransaction(
+      plantAgroforestryRegistry,
+      await plantAgroforestryRegistry.setAgroforestryAttributes(id, attributes),
+      json
+    );
+  });
+
+osTask("os:plant:relate", "Proposes a relationship between two GlobalPlantCatalog plants")
+  .addParam("id", "ID of the first plant, the nurse of a nurse relationship", undefined, types.int)
+  .addParam("related", "ID of the second plant", undefined, types.int)
+  .addParam("type", RELATIONSHIP_TYPES.slice(1).join(", "), undefined, types.string)
+  .setAction(async ({ id, related, type, signer, json }, hre) => {
+    const plantAgroforestryRegistry = await loadApp(hre, "plantAgroforestryRegistry", signer);
+    // None is not a relationship, the values of the other types start at 1.
+    const relationshipType = toEnumValue(RELATIONSHIP_TYPES.slice(1), type, "type") + 1;
+
+    await reportTransaction(
+      plantAgroforestryRegistry,
+      await plantAgroforestryRegistry.proposeRelationship(id, related, relationshipType),
+      json
+    );
+  });
+
+osTask("os:plant:relationship:vote", "Votes on a relationship between GlobalPlantCatalog plants")
+  .addParam("relationship", "Relationship ID", undefined, types.int)
+  .addParam("vote", "up (upvote, positive) or down (downvote, negative)", undefined, types.string)
+  .setAction(async ({ relationship, vote, signer, json }, hre) => {
+    const plantAgroforestryRegistry = await loadApp(hre, "plantAgroforestryRegistry", signer);
+
+    await reportTransaction(
+      plantAgroforestryRegistry,
+      await plantAgroforestryRegistry.voteOnRelationship(relationship, toVoteValue(vote)),
+      json
+    );
+  });
+
+osTask("os:plant:consortium", "Suggests a consortium for a GlobalPlantCatalog plant from its agreed relationships")
+  .addParam("id", "Plant ID", undefined, types.int)
+  .addOptionalParam("perStratum", "Maximum number of plants of each stratum", 3, types.int)
+  .setAction(async ({ id, perStratum, signer, json }, hre) => {
+    const { createSintropOS } = require("../sdk");
+
+    const globalPlantCatalog = await loadApp(hre, "globalPlantCatalog", signer);
+    const plantAgroforestryRegistry = await loadApp(hre, "plantAgroforestryRegistry", signer);
+    const { plants } = createSintropOS({
+      runner: await getSigner(hre, signer),
+      addresses: {
+        globalPlantCatalog: globalPlantCatalog.target,
+        plantAgroforestryRegistry: plantAgroforestryRegistry.target,
+      },
+    });
+    const consortium = await plants.suggestConsortium(id, { perStratum });
+
+    if (json) return print(consortium, true);
+
+    console.log(`Plant ${consortium.plantId} (${consortium.stratum}, ${consortium.successionalStage})`);
+    print(
+      consortium.members.map(({ id: memberId, popularName, stratum, successionalStage, relationships, score }) => ({
+        id: memberId,
+        popularName,
+        stratum,
+        successionalStage,
+        relationships: relationships.join(", "),
+        score,
+      })),
+      false
+    );
+    console.log(`Antagonists: ${consortium.antagonists.join(", ") || "none"}`);
+    console.log(`Strata without plants: ${consortium.missingStrata.join(", ") || "none"}`);
+  });
+
+osTask("os:plant:photo:add", "Adds a photo to the gallery of a GlobalPlantCatalog plant")
+  .addParam("id", "Plant ID", undefined, types.int)
+  .addParam("type", `Part of the plant shown: ${PHOTO_TYPES.join(", ")}`, undefined, types.string)
+  .addParam("photoHash", "IPFS hash or URL of the photo", undefined, types.string)
+  .setAction(async ({ id, type, photoHash, signer, json }, hre) => {
+    const plantPhotoRegistry = await loadApp(hre, "plantPhotoRegistry", signer);
+    const photoType = toEnumValue(PHOTO_TYPES, type, "type");
+
+    await reportTransaction(plantPhotoRegistry, await plantPhotoRegistry.addPhoto(id, photoType, photoHash), json);
+  });
+
+osTask("os:plant:photo:vote", "Votes on a photo of a GlobalPlantCatalog plant")
+  .addParam("photo", "Photo ID", undefined, types.int)
+  .addParam("vote", "up (upvote, positive) or down (downvote, negative)", undefined, types.string)
+  .setAction(async ({ photo, vote, signer, json }, hre) => {
+    const plantPhotoRegistry = await loadApp(hre, "plantPhotoRegistry", signer);
+
+    await reportTransaction(plantPhotoRegistry, await plantPhotoRegistry.voteOnPhoto(photo, toVoteValue(vote)), json);
+  });
+
+osTask("os:plant:gallery", "Lists the photos of a GlobalPlantCatalog plant and shows its primary photo")
+  .addParam("id", "Plant ID", undefined, types.int)
+  .setAction(async ({ id, signer, json }, hre) => {
+    const plantPhotoRegistry = await loadApp(hre, "plantPhotoRegistry", signer);
+    const count = await plantPhotoRegistry.getPlantPhotosCount(id);
+    const photos = toPlain(await plantPhotoRegistry.getPlantPhotos(id, 0, count)).map((photo) => ({
+      ...photo,
+      photoType: PHOTO_TYPES[photo.photoType],
+    }));
+    const primary = toPlain(await plantPhotoRegistry.getPrimaryPhoto(id));
+
+    if (json) return print({ primary, photos }, true);
+
+    console.log(`Primary photo: ${primary.photoHash}${primary.inGallery ? ` (photo ${primary.photoId})` : ""}`);
+    if (photos.length > 0) print(photos, false);
+  });
+
+osTask("os:plant:duplicate:propose", "Proposes marking a GlobalPlantCatalog plant as a duplicate of another")
+  .addParam("id", "ID of the duplicate plant", undefined, types.int)
+  .addParam("canonical", "ID of the canonical plant", undefined, types.int)
+  .setAction(async ({ id, canonical, signer, json }, hre) => {
+    const globalPlantCatalog = await loadApp(hre, "globalPlantCatalog", signer);
+
+    await reportTransaction(globalPlantCatalog, await globalPlantCatalog.proposeDuplicate(id, canonical), json);
+  });
+
+osTask("os:plant:duplicate:contest", "Contests a GlobalPlantCatalog plant marked as a duplicate, to unmark it")
+  .addParam("id", "ID of the duplicate plant", undefined, types.int)
+  .setAction(async ({ id, signer, json }, hre) => {
+    const globalPlantCatalog = await loadApp(hre, "globalPlantCatalog", signer);
+
+    await reportTransaction(globalPlantCatalog, await globalPlantCatalog.contestDuplicate(id), json);
+  });
+
+osTask("os:plant:duplicate:vote", "Votes on a GlobalPlantCatalog duplicate proposal or contest")
+  .addParam("proposal", "Proposal ID", undefined, types.int)
+  .addParam("support", "yes to accept the proposal or contest, no to oppose it", undefined, types.string)
+  .setAction(async ({ proposal, support, signer, json }, hre) => {
+    if (support !== "yes" && support !== "no") throw new Error(`Invalid support "${support}". Use yes or no`);
+
+    const globalPlantCatalog = await loadApp(hre, "globalPlantCatalog", signer);
+
+    await reportTransaction(
+      globalPlantCatalog,
+      await globalPlantCatalog.voteOnDuplicate(proposal, support === "yes"),
+      json
+    );
+  });
+
+// --- SintropAppStore ---
+
+osTask("os:app:register", "Registers an ImpactApp in SintropAppStore")
+  .addParam("name", "App name", undefined, types.string)
+  .addParam("description", "App description", undefined, types.string)
+  .addParam("icon", "URL of the app icon", undefined, types.string)
+  .addParam("repositoryUrl", "URL of the code repository", undefined, types.string)
+  .addParam("externalLink", "URL of the app website", undefined, types.string)
+  .addParam("contracts", "Comma separated contract addresses of the app", undefined, types.string)
+  .setAction(async ({ name, description, icon, repositoryUrl, externalLink, contracts, signer, json }, hre) => {
+    const sintropAppStore = await loadApp(hre, "sintropAppStore", signer);
+    const contractAddresses = contracts.split(",").map((address) => hre.ethers.getAddress(address.trim()));
+
+    await reportTransaction(
+      sintropAppStore,
+      await sintropAppStore.registerImpactApp(name, description, icon, repositoryUrl, externalLink, contractAddresses),
+      json
+    );
+  });
+
+osTask("os:app:get", "Shows a SintropAppStore ImpactApp")
+  .addParam("id", "ImpactApp ID", undefined, types.int)
+  .setAction(async ({ id, signer, json }, hre) => {
+    const sintropAppStore = await loadApp(hre, "sintropAppStore", signer);
+    const impactApp = toPlain(await sintropAppStore.getImpactApp(id));
+
+    print({ ...impactApp, isImpactApp: await sintropAppStore.isImpactApp(id) }, json);
+  });
+
+// --- WhitepaperCenter ---
+
+osTask("os:whitepaper:add", "Publishes a whitepaper in WhitepaperCenter")
+  .addParam("title", "Whitepaper title", undefined, types.string)
+  .addParam("description", "Whitepaper description", undefined, types.string)
+  .addParam("url", "URL or IPFS CID of the whitepaper", undefined, types.string)
+  .setAction(async ({ title, description, url, signer, json }, hre) => {
+    const whitepaperCenter = await loadApp(hre, "whitepaperCenter", signer);
+
+    await reportTransaction(whitepaperCenter, await whitepaperCenter.addWhitepaper(title, description, url), json);
+  });
+
+osTask("os:whitepaper:get", "Shows a WhitepaperCenter whitepaper")
+  .addParam("id", "Whitepaper ID", undefined, types.int)
+  .setAction(async ({ id, signer, json }, hre) => {
+    const whitepaperCenter = await loadApp(hre, "whitepaperCenter", signer);
+
+    print(toPlain(await whitepaperCenter.getWhitepaper(id)), json);
+  });
+
+// --- PlantOccurrenceRegistry ---
+
+// Occurrences are shown with their coordinates in decimal degrees and their observation date.
+function toOccurrence({ hasCoordinates, latitude, longitude, observedAt, ...occurrence }) {
+  return {
+    ...occurrence,
+    latitude: hasCoordinates ? Number(latitude) / COORDINATE_SCALE : "",
+    longitude: hasCoordinates ? Number(longitude) / COORDINATE_SCALE : "",
+    observedAt: new Date(Number(observedAt) * 1000).toISOString().slice(0, 10),
+  };
+}
+
+// Converts decimal degrees given to a task into the fixed-point coordinates of the registry.
+function toFixedPoint(degrees, param) {
+  const value = Number(degrees);
+  if (degrees.trim() === "" || !Number.isFinite(value)) throw new Error(`Invalid ${param} "${degrees}"`);
+
+  return Math.round(value * COORDINATE_SCALE);
+}
+
+osTask("os:occurrence:report", "Reports where a GlobalPlantCatalog plant was observed in PlantOccurrenceRegistry")
+  .addParam("plant", "Plant ID", undefined, types.int)
+  // Hardhat floats cannot be negative, coordinates are parsed by `toFixedPoint`.
+  .addOptionalParam("latitude", "Latitude in decimal degrees", undefined, types.string)
+  .addOptionalParam("longitude", "Longitude in decimal degrees", undefined, types.string)
+  .addOptionalParam("geohash", "Geohash of the place, instead of the coordinates", undefined, types.string)
+  .addParam("observed", "Observation date, such as 2024-05-30", undefined, types.string)
+  .addParam("evidence", "IPFS CID of the evidence", undefined, types.string)
+  .setAction(async ({ plant, latitude, longitude, geohash, observed, evidence, signer, json }, hre) => {
+    const hasCoordinates = latitude !== undefined && longitude !== undefined;
+    if (hasCoordinates === (geohash !== undefined)) {
+      throw new Error("Give either --latitude and --longitude or --geohash");
+    }
+    const observedAt = Math.floor(Date.parse(observed) / 1000);
+    if (Number.isNaN(observedAt)) throw new Error(`Invalid observation date "${observed}"`);
+
+    const plantOccurrenceRegistry = await loadApp(hre, "plantOccurrenceRegistry", signer);
+    const tx = hasCoordinates
+      ? await plantOccurrenceRegistry.reportOccurrence(
+          plant,
+          toFixedPoint(latitude, "latitude"),
+          toFixedPoint(longitude, "longitude"),
+          observedAt,
+          evidence
+        )
+      : await plantOccurrenceRegistry.reportOccurrenceByGeohash(plant, geohash, observedAt, evidence);
+
+    await reportTransaction(plantOccurrenceRegistry, tx, json);
+  });
+
+osTask("os:occurrence:get", "Shows a PlantOccurrenceRegistry occurrence")
+  .addParam("id", "Occurrence ID", undefined, types.int)
+  .setAction(async ({ id, signer, json }, hre) => {
+    const plantOccurrenceRegistry = await loadApp(hre, "plantOccurrenceRegistry", signer);
+
+    print(toOccurrence(toPlain(await plantOccurrenceRegistry.getOccurrence(id))), json);
+  });
+
+osTask("os:occurrence:list", "Lists the occurrences of a plant or inside a geohash prefix of up to 6 characters")
+  .addOptionalParam("plant", "Plant ID", undefined, types.int)
+  .addOptionalParam("geohash", "Geohash prefix of the region", undefined, types.string)
+  .addOptionalParam("offset", "Position of the first occurrence", 0, types.int)
+  .addOptionalParam("limit", "Maximum number of occurrences", 100, types.int)
+  .setAction(async ({ plant, geohash, offset, limit, signer, json }, hre) => {
+    if ((plant === undefined) === (geohash === undefined)) throw new Error("Give either --plant or --geohash");
+
+    const plantOccurrenceRegistry = await loadApp(hre, "plantOccurrenceRegistry", signer);
+    const occurrences =
+      plant === undefined
+        ? await plantOccurrenceRegistry.getGeohashOccurrences(geohash, offset, limit)
+        : await plantOccurrenceRegistry.getPlantOccurrences(plant, offset, limit);
+
+    print(toPlain(occurrences).map(toOccurrence), json);
+  });
+
+// --- TranslationCenter ---
+
+// Translations are shown with the name of their entry type.
+const toTranslation = ({ entryType, ...translation }) => ({ ...translation, entryType: ENTRY_TYPES[entryType] });
+
+osTask("os:translation:add", "Translates a GlobalPlantCatalog plant or a FreeEducationCenter content")
+  .addParam("type", `Entry type: ${ENTRY_TYPES.join(", ")}`, undefined, types.string)
+  .addParam("entry", "ID of the plant or the content", undefined, types.int)
+  .addParam("language", "Language code, such as pt, es or pt-BR", undefined, types.string)
+  .addParam("name", "Popular name of the plant or title of the content", undefined, types.string)
+  .addParam("description", "Description", undefined, types.string)
+  .setAction(async ({ type, entry, language, name, description, signer, json }, hre) => {
+    const entryType = toEnumValue(ENTRY_TYPES, type, "type");
+    const translationCenter = await loadApp(hre, "translationCenter", signer);
+
+    await reportTransaction(
+      translationCenter,
+      await translationCenter.addTranslation(entryType, entry, toLanguageCode(language), name, description),
+      json
+    );
+  });
+
+osTask("os:translation:get", "Shows a TranslationCenter translation")
+  .addParam("id", "Translation ID", undefined, types.int)
+  .setAction(async ({ id, signer, json }, hre) => {
+    const translationCenter = await loadApp(hre, "translationCenter", signer);
+
+    print(toTranslation(toPlain(await translationCenter.getTranslation(id))), json);
+  });
+
+osTask("os:translation:list", "Lists the translations of a plant or a content, in one language or in all of them")
+  .addParam("type", `Entry type: ${ENTRY_TYPES.join(", ")}`, undefined, types.string)
+  .addParam("entry", "ID of the plant or the content", undefined, types.int)
+  .addOptionalParam("language", "Language code, such as pt, es or pt-BR", undefined, types.string)
+  .setAction(async ({ type, entry, language, signer, json }, hre) => {
+    const entryType = toEnumValue(ENTRY_TYPES, type, "type");
+    const translationCenter = await loadApp(hre, "translationCenter", signer);
+    const languages =
+      language === undefined ? await translationCenter.getEntryLanguages(entryType, entry) : [toLanguageCode(language)];
+
+    const translations = [];
+    for (const code of languages) {
+      translations.push(...(await translationCenter.getEntryTranslations(entryType, entry, code, 0, 100)));
+    }
+
+    print(toPlain(translations).map(toTranslation), json);
+  });
+
+// --- Voting ---
+
+osTask(
+  "os:vote",
+  "Votes on an entry of FreeEducationCenter, GlobalPlantCatalog, SintropAppStore, WhitepaperCenter or TranslationCenter"
+)
+  .addParam("app", `App to vote on: ${Object.keys(VOTABLE_APPS).join(", ")}`, undefined, types.string)
+  .addParam("id", "ID of the entry", undefined, types.int)
+  .addParam("vote", "up (upvote, positive) or down (downvote, negative)", undefined, types.string)
+  .setAction(async ({ app, id, vote, signer, json }, hre) => {
+    const votableApp = VOTABLE_APPS[app];
+    if (!votableApp) throw new Error(`Invalid app "${app}". Use one of: ${Object.keys(VOTABLE_APPS).join(", ")}`);
+
+    const contract = await loadApp(hre, votableApp.key, signer);
+
+    await reportTransaction(contract, await contract[votableApp.fn](id, toVoteValue(vote)), json);
+  });
+
+// --- HumansPeaceTreaty ---
+
+osTask("os:pledge:sign", "Signs the latest version of the HumansPeaceTreaty pledge, or accepts it when signed before")
+  .addOptionalParam("textVersion", "Version of the text being signed, defaults to the latest", undefined, types.int)
+  .setAction(async ({ textVersion, signer, json }, hre) => {
+    const humansPeaceTreaty = await loadApp(hre, "humansPeaceTreaty", signer);
+    const signedVersion = textVersion ?? (await humansPeaceTreaty.currentVersion());
+
+    await reportTransaction(humansPeaceTreaty, await humansPeaceTreaty.signPeacePledge(signedVersion), json);
+  });
+
+osTask("os:pledge:prove", "Proves the commitment to the HumansPeaceTreaty pledge").setAction(
+  async ({ signer, json }, hre) => {
+    const humansPeaceTreaty = await loadApp(hre, "humansPeaceTreaty", signer);
+
+    await reportTransaction(humansPeaceTreaty, await humansPeaceTreaty.proveCommitment(), json);
+  }
+);
+
+osTask("os:pledge:withdraw", "Withdraws the HumansPeaceTreaty pledge, which can be signed again later").setAction(
+  async ({ signer, json }, hre) => {
+    const humansPeaceTreaty = await loadApp(hre, "humansPeaceTreaty", signer);
+
+    await reportTransaction(humansPeaceTreaty, await humansPeaceTreaty.withdrawPledge(), json);
+  }
+);
+
+osTask("os:pledge:status", "Shows the HumansPeaceTreaty pledge of an account with its commitment statistics")
+  .addOptionalParam("account", "Address to check, defaults to the signer", undefined, types.string)
+  .setAction(async ({ account, signer, json }, hre) => {
+    const humansPeaceTreaty = await loadApp(hre, "humansPeaceTreaty", signer);
+    const address = account ? hre.ethers.getAddress(account) : (await getSigner(hre, signer)).address;
+
+    print(
+      {
+        account: address,
+        ...toPlain(await humansPeaceTreaty.pledges(address)),
+        version: toPlain(await humansPeaceTreaty.signedVersion(address)),
+        acceptedLatestVersion: await humansPeaceTreaty.hasSignedLatestVersion(address),
+        active: await humansPeaceTreaty.isActive(address),
+        ...toPlain(await humansPeaceTreaty.getCommitmentStats(address)),
+      },
+      json
+    );
+  });
+
+osTask("os:pledge:lapse", "Records that a HumansPeaceTreaty signer let their proof window pass")
+  .addParam("account", "Address of the lapsed signer", undefined, types.string)
+  .setAction(async ({ account, signer, json }, hre) => {
+    const humansPeaceTreaty = await loadApp(hre, "humansPeaceTreaty", signer);
+
+    await reportTransaction(humansPeaceTreaty, await humansPeaceTreaty.recordLapse(account), json);
+  });
+
+osTask("os:pledge:history", "Lists the blocks of the HumansPeaceTreaty signatures and proofs of an account")
+  .addOptionalParam("account", "Address to check, defaults to the signer", undefined, types.string)
+  .addOptionalParam("offset", "Position of the first proof", 0, types.int)
+  .addOptionalParam("limit", "Maximum number of proofs", 100, types.int)
+  .setAction(async ({ account, offset, limit, signer, json }, hre) => {
+    const humansPeaceTreaty = await loadApp(hre, "humansPeaceTreaty", signer);
+    const address = account ? hre.ethers.getAddress(account) : (await getSigner(hre, signer)).address;
+    const blocks = toPlain(await humansPeaceTreaty.getProofHistory(address, offset, limit));
+
+    print(
+      blocks.map((blockNumber, index) => ({ position: offset + index, blockNumber })),
+      json
+    );
+  });
+
+osTask(
+  "os:pledge:versions",
+  "Lists the versions of the HumansPeaceTreaty text with the number of signers of each"
+).setAction(async ({ signer, json }, hre) => {
+  const humansPeaceTreaty = await loadApp(hre, "humansPeaceTreaty", signer);
+  const versions = [];
+
+  for (let version = 0n; version <= (await humansPeaceTreaty.currentVersion()); version++) {
+    versions.push({
+      ...toPlain(await humansPeaceTreaty.getVersion(version)),
+      signers: toPlain(await humansPeaceTreaty.versionSignersCount(version)),
+    });
+  }
+
+  print(versions, json);
+});
+
+osTask("os:pledge:amend", "Proposes a new version of the HumansPeaceTreaty text, as an active signer")
+  .addParam("file", "File with the text of the new version, hashed as UTF-8", undefined, types.inputFile)
+  .addParam("uri", "Where to read the new version, such as its IPFS CID", undefined, types.string)
+  .setAction(async ({ file, uri, signer, json }, hre) => {
+    const humansPeaceTreaty = await loadApp(hre, "humansPeaceTreaty", signer);
+    const textHash = hre.ethers.id(fs.readFileSync(file, "utf8"));
+
+    await reportTransaction(humansPeaceTreaty, await humansPeaceTreaty.proposeAmendment(textHash, uri), json);
+  });
+
+osTask("os:pledge:amendment", "Shows a HumansPeaceTreaty amendment")
+  .addParam("id", "Amendment ID", undefined, types.int)
+  .setAction(async ({ id, signer, json }, hre) => {
+    const humansPeaceTreaty = await loadApp(hre, "humansPeaceTreaty", signer);
+    const amendment = toPlain(await humansPeaceTreaty.getAmendment(id));
+
+    print({ ...amendment, status: AMENDMENT_STATUS[amendment.status] }, json);
+  });
+
+osTask("os:pledge:amendment:vote", "Votes on a HumansPeaceTreaty amendment, as an active signer")
+  .addParam("amendment", "Amendment ID", undefined, types.int)
+  .addParam("support", "yes to adopt the amendment, no to oppose it", undefined, types.string)
+  .setAction(async ({ amendment, support, signer, json }, hre) => {
+    if (support !== "yes" && support !== "no") throw new Error(`Invalid support "${support}". Use yes or no`);
+
+    const humansPeaceTreaty = await loadApp(hre, "humansPeaceTreaty", signer);
+
+    await reportTransaction(
+      humansPeaceTreaty,
+      await humansPeaceTreaty.voteOnAmendment(amendment, support === "yes"),
+      json
+    );
+  });
+
+osTask("os:pledge:certificate", "Shows the soulbound HumansPeaceTreaty certificate of an account")
+  .addOptionalParam("account", "Address to check, defaults to the signer", undefined, types.string)
+  .setAction(async ({ account, signer, json }, hre) => {
+    const peaceTreatyCertificate = await loadApp(hre, "peaceTreatyCertificate", signer);
+    const address = account ? hre.ethers.getAddress(account) : (await getSigner(hre, signer)).address;
+    const tokenId = await peaceTreatyCertificate.certificateOf(address);
+    if (tokenId === 0n) throw new Error(`${address} has no certificate, it has not signed the pledge`);
+
+    const { name, attributes } = decodeTokenUri(await peaceTreatyCertificate.tokenURI(tokenId));
+    print(
+      {
+        tokenId: toPlain(tokenId),
+        name,
+        ...Object.fromEntries(attributes.map((attribute) => [attribute.trait_type, attribute.value])),
+      },
+      json
+    );
+  });
+
+osTask("os:pledge:active", "Shows the proof window and the number of active HumansPeaceTreaty signers").setAction(
+  async ({ signer, json }, hre) => {
+    const humansPeaceTreaty = await loadApp(hre, "humansPeaceTreaty", signer);
+
+    print(
+      {
+        proofWindow: toPlain(await humansPeaceTreaty.proofWindow()),
+        activeSigners: toPlain(await humansPeaceTreaty.activeSignersCount()),
+        totalSignatures: toPlain(await humansPeaceTreaty.totalSignatures()),
+      },
+      json
+    );
+  }
+);
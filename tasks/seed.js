@@ -0,0 +1,26 @@
+const { task, types } = require("hardhat/config");
+
+// Blocks are mined with `hardhat_mine`, which only Hardhat networks support.
+const LOCAL_NETWORKS = ["hardhat", "localhost"];
+
+task("seed", "Fills the deployed Sintrop OS apps with deterministic sample data")
+  .addOptionalParam("seed", "Seed of the generated data, the same seed creates the same data", "sintrop", types.string)
+  .addOptionalParam("contents", "Number of FreeEducationCenter contents", undefined, types.int)
+  .addOptionalParam("plants", "Number of GlobalPlantCatalog plants", undefined, types.int)
+  .addOptionalParam("apps", "Number of SintropAppStore ImpactApps", undefined, types.int)
+  .addOptionalParam("whitepapers", "Number of whitepapers, at most one per account", undefined, types.int)
+  .addOptionalParam("votes", "Maximum number of accounts voting on each entry", undefined, types.int)
+  .addOptionalParam("signers", "Number of accounts signing the HumansPeaceTreaty", undefined, types.int)
+  .setAction(async ({ seed, ...options }, hre) => {
+    if (!LOCAL_NETWORKS.includes(hre.network.name)) {
+      throw new Error(`The seed task only runs on local networks (${LOCAL_NETWORKS.join(", ")})`);
+    }
+
+    // Loaded lazily: the seed script requires "hardhat", which is not available while the config is loading.
+    const { seedSintropOS } = require("../scripts/shared/seed");
+
+    const counts = Object.fromEntries(Object.entries(options).filter(([, value]) => value !== undefined));
+    const summary = await seedSintropOS({ seed, counts, log: console.log });
+
+    console.table(summary);
+  });
@@ -0,0 +1,50 @@
+const { task, types } = require("hardhat/config");
+
+task("upgrade", "Validates the storage layout of a new implementation and upgrades the proxy of a deployed app")
+  .addParam("contract", "Name of the deployed contract, e.g. GlobalPlantCatalog", undefined, types.string)
+  .addOptionalParam(
+    "implementation",
+    "Contract of the new implementation, defaults to the current source of --contract",
+    undefined,
+    types.string
+  )
+  .addOptionalParam("call", "Function to call on the proxy in the upgrade transaction", undefined, types.string)
+  .addOptionalParam("args", "JSON array with the arguments of --call", "[]", types.json)
+  .addFlag("validateOnly", "Only check that the storage layout is compatible")
+  .setAction(async ({ contract, implementation, call, args, validateOnly }) => {
+    // Loaded lazily: the upgrade script requires "hardhat", which is not available while the config is loading.
+    const { upgradeContract } = require("../scripts/shared/upgradeContract");
+
+    const result = await upgradeContract(contract, {
+      implementation,
+      call: call ? { fn: call, args } : undefined,
+      validateOnly,
+    });
+
+    if (validateOnly) {
+      console.log(
+        `${implementation || contract} is compatible with the storage layout of ${contract} at ${result.address}`
+      );
+      return;
+    }
+
+    console.log(
+      `${contract} at ${result.address} upgraded from ${result.previousImplementation} to ${result.implementation}`
+    );
+  });
+
+task(
+  "upgrade:certificate",
+  "Deploys the PeaceTreatyCertificate of a HumansPeaceTreaty deployed before the certificates, to pass to its reinitializer"
+).setAction(async () => {
+  // Loaded lazily: the scripts require "hardhat", which is not available while the config is loading.
+  const { deployProxy } = require("../scripts/shared/deployProxy");
+  const { readDeployment } = require("../scripts/shared/deployments");
+  const saveContractAddress = require("../scripts/shared/saveContractAddress");
+
+  const treaty = readDeployment("HumansPeaceTreaty");
+  const certificate = await deployProxy("PeaceTreatyCertificate", [treaty.address]);
+  await saveContractAddress("PeaceTreatyCertificate", certificate);
+
+  console.log(`PeaceTreatyCertificate of HumansPeaceTreaty at ${treaty.address} deployed at ${certificate.target}`);
+});
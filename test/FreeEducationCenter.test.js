@@ -1,6 +1,10 @@
 // Import the necessary tools from Chai for assertions and from Hardhat/Ethers for contract interaction.
 const { expect } = require("chai");
 const { ethers } = require("hardhat");
+const { shouldBehaveLikeVotable } = require("./shared/votable");
+const { shouldBehaveLikePaginated } = require("./shared/paginated");
+const { shouldRequireEligibleVoters } = require("./shared/eligibleVoters");
+const { deployProxy } = require("../scripts/shared/deployProxy");
 
 // Main `describe` block grouping all tests for the "FreeEducationCenter" contract.
 describe("FreeEducationCenter", function () {
@@ -44,7 +48,7 @@ describe("FreeEducationCenter", function () {
       // Expect the transaction to emit the `ContentPublished` event with the correct arguments.
       await expect(educationCenter.addContent(title, description, url, photo))
         .to.emit(educationCenter, "ContentPublished")
-        .withArgs(expectedId, title, owner.address);
+        .withArgs(expectedId, title, owner.address, description, url, photo);
 
       // Check if the content counter has been updated.
       expect(await educationCenter.contentsCount()).to.equal(expectedId);
@@ -56,6 +60,19 @@ describe("FreeEducationCenter", function () {
       expect(newContent.description).to.equal(description);
       expect(newContent.url).to.equal(url);
       expect(newContent.photo).to.equal(photo);
+      expect(newContent.publisher).to.equal(owner.address);
+      expect(newContent.createdAt).to.equal(await ethers.provider.getBlockNumber());
+      expect(newContent.retracted).to.be.false;
+    });
+
+    it("Should index the content under its publisher", async function () {
+      await educationCenter.addContent("First", "Description", "ipfs://first", "");
+      await educationCenter.connect(addr1).addContent("Second", "Description", "ipfs://second", "");
+      await educationCenter.addContent("Third", "Description", "ipfs://third", "");
+
+      expect(await educationCenter.getContentsByPublisher(owner.address)).to.deep.equal([1, 3]);
+      expect(await educationCenter.getContentsByPublisher(addr1.address)).to.deep.equal([2]);
+      expect(await educationCenter.publisherContents(owner.address, 1)).to.equal(3);
     });
 
     it("Should allow adding content with an empty photo URL", async function () {
@@ -66,7 +83,7 @@ describe("FreeEducationCenter", function () {
 
       await expect(educationCenter.addContent(title, description, url, photo))
         .to.emit(educationCenter, "ContentPublished")
-        .withArgs(1, title, owner.address);
+        .withArgs(1, title, owner.address, description, url, "");
 
       const newContent = await educationCenter.contents(1);
       expect(newContent.photo).to.equal("");
@@ -119,160 +136,166 @@ describe("FreeEducationCenter", function () {
     });
   });
 
-  // Test suite for the Voting functionality
-  describe("Voting", function () {
-    let educationCenter;
-    let owner, addr1, addr2;
-    const contentId = 1; // ID of the content to be used in tests
-
-    // Enum values mimicking the contract's VoteType
-    const VOTE_TYPE = {
-      None: 0,
-      Upvote: 1,
-      Downvote: 2,
-    };
-
-    // Hook to run before each test in this suite
+  // Test group for the `updateContent` functionality.
+  describe("Updating Content", function () {
+    // Before each update test, addr1 publishes one entry.
     beforeEach(async function () {
-      // Get signers to be used as different users
-      [owner, addr1, addr2] = await ethers.getSigners();
+      await educationCenter.connect(addr1).addContent("Tilte", "A test entry.", "ipfs://broken", "");
+    });
 
-      const EducationCenter = await ethers.getContractFactory("FreeEducationCenter");
-      educationCenter = await EducationCenter.deploy();
+    it("Should let the publisher fix the fields of their content", async function () {
+      await expect(
+        educationCenter.connect(addr1).updateContent(1, "Title", "A fixed entry.", "ipfs://fixed", "ipfs://photo")
+      )
+        .to.emit(educationCenter, "ContentUpdated")
+        .withArgs(1, addr1.address, "Title", "A fixed entry.", "ipfs://fixed", "ipfs://photo");
 
-      // Add a sample content so we can vote on it
-      await educationCenter
-        .connect(owner)
-        .addContent(
-          "Test Title",
-          "A description for the voting test.",
-          "https://example.com/content",
-          "https://example.com/photo"
-        );
+      const content = await educationCenter.getContent(1);
+      expect(content.title).to.equal("Title");
+      expect(content.description).to.equal("A fixed entry.");
+      expect(content.url).to.equal("ipfs://fixed");
+      expect(content.photo).to.equal("ipfs://photo");
+      expect(content.publisher).to.equal(addr1.address);
+    });
+
+    it("Should keep the votes of the content", async function () {
+      await educationCenter.vote(1, 1);
+
+      await educationCenter.connect(addr1).updateContent(1, "Title", "A test entry.", "ipfs://fixed", "");
+
+      expect((await educationCenter.getContent(1)).upvotes).to.equal(1);
+    });
+
+    it("Should revert if the caller is not the publisher", async function () {
+      await expect(educationCenter.updateContent(1, "Title", "A test entry.", "ipfs://fixed", "")).to.be.revertedWith(
+        "FEC: Only the publisher can change this content"
+      );
+    });
+
+    it("Should revert for a non-existent ID", async function () {
+      await expect(
+        educationCenter.connect(addr1).updateContent(2, "Title", "A test entry.", "ipfs://fixed", "")
+      ).to.be.revertedWith("FEC: Content ID does not exist");
+    });
+
+    it("Should validate the new fields like addContent", async function () {
+      await expect(
+        educationCenter.connect(addr1).updateContent(1, "", "A test entry.", "ipfs://fixed", "")
+      ).to.be.revertedWith("FEC: Title must be between 1 and 49 characters");
+      await expect(
+        educationCenter.connect(addr1).updateContent(1, "Title", "A test entry.", "", "")
+      ).to.be.revertedWith("FEC: URL must be between 1 and 199 characters");
+    });
+
+    it("Should revert once the content is retracted", async function () {
+      await educationCenter.connect(addr1).retractContent(1);
+
+      await expect(
+        educationCenter.connect(addr1).updateContent(1, "Title", "A test entry.", "ipfs://fixed", "")
+      ).to.be.revertedWith("FEC: Content was retracted");
     });
+  });
 
-    // --- Tests for the vote() function ---
-    describe("vote()", function () {
-      context("When a user casts a new vote", function () {
-        it("✅ Should allow an upvote and increment the upvotes count", async function () {
-          // Action: addr1 casts an upvote on content with ID 1
-          await educationCenter.connect(addr1).vote(contentId, VOTE_TYPE.Upvote);
-
-          const content = await educationCenter.contents(contentId);
-          expect(content.upvotes).to.equal(1);
-          expect(content.downvotes).to.equal(0);
-        });
-
-        it("✅ Should allow a downvote and increment the downvotes count", async function () {
-          // Action: addr1 casts a downvote on content with ID 1
-          await educationCenter.connect(addr1).vote(contentId, VOTE_TYPE.Downvote);
-
-          const content = await educationCenter.contents(contentId);
-          expect(content.downvotes).to.equal(1);
-          expect(content.upvotes).to.equal(0);
-        });
-
-        it("📣 Should emit a 'Voted' event when a new vote is cast", async function () {
-          // Check for the 'Voted' event emission with the correct arguments
-          await expect(educationCenter.connect(addr1).vote(contentId, VOTE_TYPE.Upvote))
-            .to.emit(educationCenter, "Voted")
-            .withArgs(contentId, addr1.address, VOTE_TYPE.Upvote);
-        });
-      });
-
-      context("When a user changes their vote", function () {
-        it("🔄 Should allow changing from an upvote to a downvote, adjusting counts correctly", async function () {
-          // Setup: addr1 first casts an upvote
-          await educationCenter.connect(addr1).vote(contentId, VOTE_TYPE.Upvote);
-
-          // Action: addr1 changes their vote to a downvote
-          await educationCenter.connect(addr1).vote(contentId, VOTE_TYPE.Downvote);
-
-          const content = await educationCenter.contents(contentId);
-          expect(content.upvotes).to.equal(0);
-          expect(content.downvotes).to.equal(1);
-        });
-
-        it("🔄 Should allow changing from a downvote to an upvote, adjusting counts correctly", async function () {
-          // Setup: addr1 first casts a downvote
-          await educationCenter.connect(addr1).vote(contentId, VOTE_TYPE.Downvote);
-
-          // Action: addr1 changes their vote to an upvote
-          await educationCenter.connect(addr1).vote(contentId, VOTE_TYPE.Upvote);
-
-          const content = await educationCenter.contents(contentId);
-          expect(content.upvotes).to.equal(1);
-          expect(content.downvotes).to.equal(0);
-        });
-      });
-
-      context("When a user casts the same vote again", function () {
-        it("⚖️ Should not change state or emit an event", async function () {
-          // Setup: addr1 casts an upvote
-          await educationCenter.connect(addr1).vote(contentId, VOTE_TYPE.Upvote);
-          const contentBefore = await educationCenter.contents(contentId);
-
-          // Action: Attempt to upvote again and expect no event to be emitted
-          await expect(educationCenter.connect(addr1).vote(contentId, VOTE_TYPE.Upvote)).to.not.emit(
-            educationCenter,
-            "Voted"
-          );
-
-          const contentAfter = await educationCenter.contents(contentId);
-          // Verify that vote counts have not changed
-          expect(contentAfter.upvotes).to.equal(contentBefore.upvotes);
-          expect(contentAfter.downvotes).to.equal(contentBefore.downvotes);
-        });
-      });
-
-      context("Failure scenarios (reverts)", function () {
-        it("❌ Should revert when trying to vote on non-existent content", async function () {
-          const nonExistentId = 999;
-          await expect(educationCenter.connect(addr1).vote(nonExistentId, VOTE_TYPE.Upvote)).to.be.revertedWith(
-            "FEC: Content ID does not exist"
-          );
-        });
-
-        it("❌ Should revert if the vote type is invalid (e.g., None)", async function () {
-          await expect(educationCenter.connect(addr1).vote(contentId, VOTE_TYPE.None)).to.be.revertedWith(
-            "FEC: Invalid vote type"
-          );
-        });
-      });
+  // Test group for the `retractContent` functionality.
+  describe("Retracting Content", function () {
+    // Before each retraction test, addr1 publishes one entry.
+    beforeEach(async function () {
+      await educationCenter.connect(addr1).addContent("Test Content", "A test entry.", "ipfs://test", "");
     });
 
-    // --- Tests for the hasMoreUpvotes() function ---
-    describe("hasMoreUpvotes()", function () {
-      // This function's tests do not need changes as its external behavior is the same.
-      it("👍 Should return 'true' when upvotes are greater than downvotes", async function () {
-        // Setup: Two upvotes
-        await educationCenter.connect(addr1).vote(contentId, VOTE_TYPE.Upvote);
-        await educationCenter.connect(addr2).vote(contentId, VOTE_TYPE.Upvote);
+    it("Should let the publisher retract their content", async function () {
+      await expect(educationCenter.connect(addr1).retractContent(1))
+        .to.emit(educationCenter, "ContentRetracted")
+        .withArgs(1, addr1.address);
 
-        expect(await educationCenter.hasMoreUpvotes(contentId)).to.be.true;
-      });
+      const content = await educationCenter.getContent(1);
+      expect(content.retracted).to.be.true;
+      expect(content.title).to.equal("Test Content");
+      expect(await educationCenter.getContentsByPublisher(addr1.address)).to.deep.equal([1]);
+    });
 
-      it("👎 Should return 'false' when downvotes are greater than upvotes", async function () {
-        // Setup: one downvote
-        await educationCenter.connect(addr1).vote(contentId, VOTE_TYPE.Downvote);
+    it("Should revert if the caller is not the publisher", async function () {
+      await expect(educationCenter.retractContent(1)).to.be.revertedWith(
+        "FEC: Only the publisher can change this content"
+      );
+    });
 
-        expect(await educationCenter.hasMoreUpvotes(contentId)).to.be.false;
-      });
+    it("Should revert if the content is already retracted", async function () {
+      await educationCenter.connect(addr1).retractContent(1);
 
-      it("🤝 Should return 'false' when upvotes and downvotes are equal", async function () {
-        // Setup: one upvote and one downvote
-        await educationCenter.connect(addr1).vote(contentId, VOTE_TYPE.Upvote);
-        await educationCenter.connect(addr2).vote(contentId, VOTE_TYPE.Downvote);
+      await expect(educationCenter.connect(addr1).retractContent(1)).to.be.revertedWith("FEC: Content was retracted");
+    });
 
-        expect(await educationCenter.hasMoreUpvotes(contentId)).to.be.false;
-      });
+    it("Should not accept votes on retracted content", async function () {
+      await educationCenter.connect(addr1).retractContent(1);
+
+      await expect(educationCenter.vote(1, 1)).to.be.revertedWith("FEC: Content was retracted");
+    });
+  });
+
+  // Voting behaviour shared with the other votable apps, see `test/shared/votable.js`.
+  describe("Voting", function () {
+    // Deploys the contract with one content to vote on.
+    async function deployWithContentFixture() {
+      const educationCenter = await (await ethers.getContractFactory("FreeEducationCenter")).deploy();
+      await educationCenter.addContent(
+        "Test Title",
+        "A description for the voting test.",
+        "https://example.com/content",
+        "https://example.com/photo"
+      );
 
-      it("❌ Should revert when checking non-existent content", async function () {
-        const nonExistentId = 999;
-        await expect(educationCenter.hasMoreUpvotes(nonExistentId)).to.be.revertedWith(
-          "FEC: Content ID does not exist"
+      // Content IDs start at 1, so both 0 and the next ID do not exist.
+      return { contract: educationCenter, entryId: 1, missingIds: [0, 2, 999] };
+    }
+
+    shouldBehaveLikeVotable({
+      fixture: deployWithContentFixture,
+      vote: "vote",
+      userVote: "userVotes",
+      counts: async (contract, id) => {
+        const content = await contract.contents(id);
+        return [content.upvotes, content.downvotes];
+      },
+      isPositive: "hasMoreUpvotes",
+      votedEvent: "Voted",
+      errors: { invalidId: "FEC: Content ID does not exist", invalidVoteType: "FEC: Invalid vote type" },
+    });
+  });
+
+  // Votes restricted to the accounts of a voter registry, see `test/shared/eligibleVoters.js`.
+  describe("Eligible voters", function () {
+    shouldRequireEligibleVoters({
+      deploy: async (voterEligibility) => {
+        const educationCenter = await deployProxy("FreeEducationCenter", [voterEligibility]);
+        await educationCenter.addContent(
+          "Test Title",
+          "A description for the voting test.",
+          "https://example.com/content",
+          "https://example.com/photo"
         );
-      });
+
+        return { contract: educationCenter, entryId: 1 };
+      },
+      vote: "vote",
+      userVote: "userVotes",
+      votedEvent: "Voted",
+      error: "FEC: Voter is not eligible",
     });
   });
+
+  // Paginated listing shared with the other catalogs, see `test/shared/paginated.js`.
+  describe("Listing", function () {
+    // Deploys the contract with three contents.
+    async function deployWithContentsFixture() {
+      const educationCenter = await (await ethers.getContractFactory("FreeEducationCenter")).deploy();
+      for (const title of ["First", "Second", "Third"]) {
+        await educationCenter.addContent(title, "A description for the listing test.", "ipfs://content", "");
+      }
+
+      return { contract: educationCenter };
+    }
+
+    shouldBehaveLikePaginated({ fixture: deployWithContentsFixture, list: "getContents", firstId: 1 });
+  });
 });
@@ -1,6 +1,11 @@
 // Import the tools we need from Chai (for assertions) and Hardhat/Ethers.
 const { expect } = require("chai");
 const { ethers } = require("hardhat");
+const { shouldBehaveLikeVotable } = require("./shared/votable");
+const { shouldBehaveLikePaginated } = require("./shared/paginated");
+const { shouldRequireEligibleVoters } = require("./shared/eligibleVoters");
+const { deployProxy } = require("../scripts/shared/deployProxy");
+const { deployPlantCatalog, PLANT_CATALOG_REGISTRIES } = require("../scripts/shared/deployPlantCatalog");
 
 // The main `describe` block groups all tests for the "GlobalPlantCatalog" contract.
 describe("GlobalPlantCatalog", function () {
@@ -29,6 +34,40 @@ describe("GlobalPlantCatalog", function () {
       expect(await plantCatalog.getTotalPlantsCount()).to.equal(0);
       expect(await plantCatalog.nextPlantId()).to.equal(0);
     });
+
+    it("Should bind the registries it is deployed with", async function () {
+      const contracts = await deployPlantCatalog(ethers.ZeroAddress);
+
+      for (const key of Object.keys(PLANT_CATALOG_REGISTRIES)) {
+        expect(await contracts.globalPlantCatalog[key]()).to.equal(contracts[key].target);
+        expect(await contracts[key].globalPlantCatalog()).to.equal(contracts.globalPlantCatalog.target);
+      }
+    });
+
+    it("Should let only the deployer bind each registry, to a catalog that lists it", async function () {
+      const registries = [];
+      for (const contractName of Object.values(PLANT_CATALOG_REGISTRIES)) {
+        registries.push(await deployProxy(contractName));
+      }
+      const targets = registries.map((registry) => registry.target);
+      const { globalPlantCatalog: otherCatalog } = await deployPlantCatalog(ethers.ZeroAddress);
+
+      await expect(
+        deployProxy("GlobalPlantCatalog", [ethers.ZeroAddress, ...targets.slice(0, 3), ethers.ZeroAddress])
+      ).to.be.revertedWith("GPC: Invalid registry address");
+      const globalPlantCatalog = await deployProxy("GlobalPlantCatalog", [ethers.ZeroAddress, ...targets]);
+
+      for (const registry of registries) {
+        await expect(registry.connect(addr1).bindCatalog(globalPlantCatalog.target)).to.be.revertedWith(
+          /: Only the deployer can bind the registry$/
+        );
+        await expect(registry.bindCatalog(otherCatalog.target)).to.be.revertedWith(
+          /: Registry is not listed by the catalog$/
+        );
+        await registry.bindCatalog(globalPlantCatalog.target);
+        expect(await registry.globalPlantCatalog()).to.equal(globalPlantCatalog.target);
+      }
+    });
   });
 
   // A group of tests focused on the `addPlant` functionality.
@@ -42,14 +81,23 @@ describe("GlobalPlantCatalog", function () {
       const photoHash = "ipfs://hash1";
 
       // We expect the transaction to EMIT the `PlantAdded` event with correct arguments.
-      // The `anyValue` from Chai is useful for checking `block.timestamp` without knowing the exact value.
+      // A predicate checks the block number of the creation without knowing the exact value.
       await expect(plantCatalog.addPlant(popularName, scientificName, taxonomy, description, photoHash))
         .to.emit(plantCatalog, "PlantAdded")
-        .withArgs(0, owner.address, popularName, scientificName, (value) => {
-          // We can add a custom check for the timestamp if needed
-          expect(value).to.be.above(0);
-          return true;
-        });
+        .withArgs(
+          0,
+          owner.address,
+          popularName,
+          scientificName,
+          (value) => {
+            // We can add a custom check for the block number if needed
+            expect(value).to.be.above(0);
+            return true;
+          },
+          taxonomy,
+          description,
+          photoHash
+        );
 
       // Check if the total plant count has been updated.
       expect(await plantCatalog.getTotalPlantsCount()).to.equal(1);
@@ -120,143 +168,372 @@ describe("GlobalPlantCatalog", function () {
     });
   });
 
-  // Test suite for the Voting functionality
-  describe("Voting", function () {
-    let globalPlantCatalog;
-    let owner, addr1, addr2;
-    const plantId = 0; // ID of the first plant, since IDs start at 0
-
-    // Enum values mimicking the contract's VoteType
-    const VOTE_TYPE = {
-      None: 0,
-      Upvote: 1,
-      Downvote: 2,
-    };
-
-    // Hook to run before each test in this suite
+  // A group of tests for the normalised scientific names.
+  describe("Scientific Names", function () {
     beforeEach(async function () {
-      const GlobalPlantCatalog = await ethers.getContractFactory("GlobalPlantCatalog");
-      [owner, addr1, addr2] = await ethers.getSigners();
-      globalPlantCatalog = await GlobalPlantCatalog.deploy();
-
-      // Add a sample plant so we can vote on it
-      await globalPlantCatalog
-        .connect(owner)
-        .addPlant(
-          "Rosewood",
-          "Cariniana legalis",
-          "Family: Lecythidaceae",
-          "A large tree native to Brazil.",
-          "ipfs://somehash"
+      await plantCatalog.connect(addr1).addPlant("Jatobá", "Hymenaea courbaril", "Fabaceae", "...", "...");
+    });
+
+    it("normalizeScientificName() should lowercase and collapse spaces", async function () {
+      expect(await plantCatalog.normalizeScientificName("  Hymenaea \t COURBARIL\n")).to.equal("hymenaea courbaril");
+      expect(await plantCatalog.normalizeScientificName("Inga edulis")).to.equal("inga edulis");
+    });
+
+    it("Should reject scientific names that are equal once normalised", async function () {
+      for (const scientificName of ["Hymenaea courbaril", "hymenaea  Courbaril", " HYMENAEA COURBARIL "]) {
+        await expect(plantCatalog.addPlant("Jatobá", scientificName, "Fabaceae", "...", "...")).to.be.revertedWith(
+          "GPC: Scientific name already registered"
         );
+      }
+
+      await expect(plantCatalog.addPlant("Jatobá-do-cerrado", "Hymenaea stigonocarpa", "Fabaceae", "...", "...")).to.not
+        .be.reverted;
     });
 
-    // --- Tests for the vote() function ---
-    describe("vote()", function () {
-      context("When a user casts a new vote", function () {
-        it("✅ Should allow an upvote and increment the upvotes count", async function () {
-          await globalPlantCatalog.connect(addr1).vote(plantId, VOTE_TYPE.Upvote);
+    it("getPlantByScientificName() should find the plant with any spelling of its name", async function () {
+      const plant = await plantCatalog.getPlantByScientificName("HYMENAEA   courbaril");
 
-          const plant = await globalPlantCatalog.plants(plantId);
-          expect(plant.upvotes).to.equal(1);
-          expect(plant.downvotes).to.equal(0);
-        });
+      expect(plant.id).to.equal(0);
+      expect(plant.creator).to.equal(addr1.address);
+      expect(
+        await plantCatalog.plantIdByScientificNameKey(await plantCatalog.scientificNameKey("hymenaea courbaril"))
+      ).to.equal(0);
+    });
 
-        it("✅ Should allow a downvote and increment the downvotes count", async function () {
-          await globalPlantCatalog.connect(addr1).vote(plantId, VOTE_TYPE.Downvote);
+    it("getPlantByScientificName() should revert for unknown names", async function () {
+      await expect(plantCatalog.getPlantByScientificName("Inga edulis")).to.be.revertedWith(
+        "GPC: Scientific name not found"
+      );
+    });
+  });
 
-          const plant = await globalPlantCatalog.plants(plantId);
-          expect(plant.downvotes).to.equal(1);
-          expect(plant.upvotes).to.equal(0);
-        });
+  // A group of tests for the community process that marks duplicate plants.
+  describe("Duplicate Proposals", function () {
+    let signers;
+    let quorum;
+
+    // Casts the votes still needed to reach the quorum, `support` of them supporting the proposal.
+    async function completeVotes(proposalId, support) {
+      const { supportVotes, opposeVotes } = await plantCatalog.getDuplicateProposal(proposalId);
+      const missing = quorum - Number(supportVotes + opposeVotes);
+      const voters = signers.slice(10, 10 + missing);
+      for (const [index, voter] of voters.entries()) {
+        await plantCatalog.connect(voter).voteOnDuplicate(proposalId, index < support);
+      }
+    }
 
-        it("📣 Should emit a 'Voted' event when a new vote is cast", async function () {
-          await expect(globalPlantCatalog.connect(addr1).vote(plantId, VOTE_TYPE.Upvote))
-            .to.emit(globalPlantCatalog, "Voted")
-            .withArgs(plantId, addr1.address, VOTE_TYPE.Upvote);
-        });
-      });
+    beforeEach(async function () {
+      signers = await ethers.getSigners();
+      quorum = Number(await plantCatalog.quorum());
 
-      context("When a user changes their vote", function () {
-        it("🔄 Should allow changing from an upvote to a downvote, adjusting counts", async function () {
-          await globalPlantCatalog.connect(addr1).vote(plantId, VOTE_TYPE.Upvote);
-          await globalPlantCatalog.connect(addr1).vote(plantId, VOTE_TYPE.Downvote);
+      // Plant 0 is the canonical entry, plant 1 the same species under an author citation.
+      await plantCatalog.addPlant("Jatobá", "Hymenaea courbaril", "Fabaceae", "...", "...");
+      await plantCatalog.connect(addr1).addPlant("Jatoba", "Hymenaea courbaril L.", "Fabaceae", "...", "...");
+      await plantCatalog.connect(addr2).addPlant("Ipê", "Handroanthus albus", "Bignoniaceae", "...", "...");
+    });
 
-          const plant = await globalPlantCatalog.plants(plantId);
-          expect(plant.upvotes).to.equal(0);
-          expect(plant.downvotes).to.equal(1);
-        });
+    it("Should open a proposal counting the proposer's support", async function () {
+      await expect(plantCatalog.connect(addr1).proposeDuplicate(1, 0))
+        .to.emit(plantCatalog, "DuplicateProposed")
+        .withArgs(0, 1, 0, addr1.address)
+        .and.to.emit(plantCatalog, "DuplicateVoted")
+        .withArgs(0, addr1.address, true);
+
+      const proposal = await plantCatalog.getDuplicateProposal(0);
+      expect(proposal.duplicateId).to.equal(1);
+      expect(proposal.canonicalId).to.equal(0);
+      expect(proposal.supportVotes).to.equal(1);
+      expect(proposal.quorum).to.equal(quorum);
+      expect(proposal.status).to.equal(0); // Open
+      expect(proposal.contest).to.be.false;
+      expect(await plantCatalog.hasOpenDuplicateProposal(1)).to.be.true;
+    });
 
-        it("🔄 Should allow changing from a downvote to an upvote, adjusting counts", async function () {
-          await globalPlantCatalog.connect(addr1).vote(plantId, VOTE_TYPE.Downvote);
-          await globalPlantCatalog.connect(addr1).vote(plantId, VOTE_TYPE.Upvote);
+    it("Should mark the plant as a duplicate when the majority of the quorum supports it", async function () {
+      await plantCatalog.proposeDuplicate(1, 0);
+      await completeVotes(0, quorum - 2);
 
-          const plant = await globalPlantCatalog.plants(plantId);
-          expect(plant.upvotes).to.equal(1);
-          expect(plant.downvotes).to.equal(0);
-        });
-      });
+      const proposal = await plantCatalog.getDuplicateProposal(0);
+      expect(proposal.status).to.equal(1); // Accepted
+      expect(await plantCatalog.isDuplicate(1)).to.be.true;
+      expect(await plantCatalog.getCanonicalPlantId(1)).to.equal(0);
+      expect(await plantCatalog.getCanonicalPlantId(0)).to.equal(0);
+      expect(await plantCatalog.hasOpenDuplicateProposal(1)).to.be.false;
+    });
 
-      context("When a user casts the same vote again", function () {
-        it("⚖️ Should not change state or emit an event", async function () {
-          await globalPlantCatalog.connect(addr1).vote(plantId, VOTE_TYPE.Upvote);
-          const plantBefore = await globalPlantCatalog.plants(plantId);
+    it("Should emit 'DuplicateResolved' with the vote that reaches the quorum", async function () {
+      await plantCatalog.proposeDuplicate(1, 0);
+      for (const voter of signers.slice(10, 10 + quorum - 2)) {
+        await plantCatalog.connect(voter).voteOnDuplicate(0, true);
+      }
 
-          await expect(globalPlantCatalog.connect(addr1).vote(plantId, VOTE_TYPE.Upvote)).to.not.emit(
-            globalPlantCatalog,
-            "Voted"
-          );
+      await expect(plantCatalog.connect(signers[19]).voteOnDuplicate(0, false))
+        .to.emit(plantCatalog, "DuplicateResolved")
+        .withArgs(0, 1, 0, true);
+    });
 
-          const plantAfter = await globalPlantCatalog.plants(plantId);
-          expect(plantAfter.upvotes).to.equal(plantBefore.upvotes);
-          expect(plantAfter.downvotes).to.equal(plantBefore.downvotes);
-        });
-      });
+    it("Should reject the proposal when the majority opposes it", async function () {
+      await plantCatalog.proposeDuplicate(1, 0);
+      await completeVotes(0, 0);
 
-      context("Failure scenarios (reverts)", function () {
-        it("❌ Should revert when trying to vote on a non-existent plant", async function () {
-          const nonExistentId = 999;
-          await expect(globalPlantCatalog.connect(addr1).vote(nonExistentId, VOTE_TYPE.Upvote)).to.be.revertedWith(
-            "GPC: Plant ID does not exist"
-          );
-        });
-
-        it("❌ Should revert if the vote type is invalid (e.g., None)", async function () {
-          await expect(globalPlantCatalog.connect(addr1).vote(plantId, VOTE_TYPE.None)).to.be.revertedWith(
-            "GPC: Invalid vote type"
-          );
-        });
-      });
+      expect((await plantCatalog.getDuplicateProposal(0)).status).to.equal(2); // Rejected
+      expect(await plantCatalog.isDuplicate(1)).to.be.false;
+      expect(await plantCatalog.getCanonicalPlantId(1)).to.equal(1);
+
+      // A rejected proposal can be opened again.
+      await expect(plantCatalog.proposeDuplicate(1, 0)).to.not.be.reverted;
+    });
+
+    it("Should not accept votes on duplicate plants", async function () {
+      await plantCatalog.proposeDuplicate(1, 0);
+      await completeVotes(0, quorum);
+
+      await expect(plantCatalog.vote(1, 1)).to.be.revertedWith(
+        "GPC: Plant is a duplicate, vote on its canonical plant"
+      );
+      await expect(plantCatalog.vote(0, 1)).to.not.be.reverted;
+    });
+
+    it("Should follow canonical plants that were later marked as duplicates", async function () {
+      // Plant 1 duplicates plant 0, then plant 0 is found to duplicate plant 2.
+      await plantCatalog.proposeDuplicate(1, 0);
+      await completeVotes(0, quorum);
+      await plantCatalog.proposeDuplicate(0, 2);
+      await completeVotes(1, quorum);
+
+      expect(await plantCatalog.getCanonicalPlantId(1)).to.equal(2);
     });
 
-    // --- Tests for the hasMoreUpvotes() function ---
-    describe("hasMoreUpvotes()", function () {
-      it("👍 Should return 'true' when upvotes are greater than downvotes", async function () {
-        await globalPlantCatalog.connect(addr1).vote(plantId, VOTE_TYPE.Upvote);
-        await globalPlantCatalog.connect(addr2).vote(plantId, VOTE_TYPE.Upvote);
+    it("Should reject a proposal that would make redirects loop", async function () {
+      // Both proposals are open at the same time, the second one to resolve would point back at its own plant.
+      await plantCatalog.proposeDuplicate(1, 0);
+      await plantCatalog.proposeDuplicate(0, 1);
+      await completeVotes(0, quorum);
+      await completeVotes(1, quorum);
+
+      expect((await plantCatalog.getDuplicateProposal(1)).status).to.equal(2); // Rejected
+      expect(await plantCatalog.isDuplicate(0)).to.be.false;
+      expect(await plantCatalog.getCanonicalPlantId(1)).to.equal(0);
+    });
+
+    it("Should revert on invalid proposals", async function () {
+      await expect(plantCatalog.proposeDuplicate(1, 99)).to.be.revertedWith("GPC: Plant ID does not exist");
+      await expect(plantCatalog.proposeDuplicate(1, 1)).to.be.revertedWith("GPC: A plant cannot duplicate itself");
+
+      await plantCatalog.proposeDuplicate(1, 0);
+      await expect(plantCatalog.proposeDuplicate(1, 2)).to.be.revertedWith(
+        "GPC: Plant already has an open duplicate proposal"
+      );
+
+      await completeVotes(0, quorum);
+      await expect(plantCatalog.proposeDuplicate(1, 2)).to.be.revertedWith("GPC: Plant is already a duplicate");
+      await expect(plantCatalog.proposeDuplicate(2, 1)).to.be.revertedWith("GPC: Canonical plant is a duplicate");
+    });
 
-        expect(await globalPlantCatalog.hasMoreUpvotes(plantId)).to.be.true;
+    it("Should revert on repeated votes and votes on resolved proposals", async function () {
+      await plantCatalog.connect(addr1).proposeDuplicate(1, 0);
+      await expect(plantCatalog.connect(addr1).voteOnDuplicate(0, false)).to.be.revertedWith(
+        "GPC: Already voted on this proposal"
+      );
+      await expect(plantCatalog.voteOnDuplicate(1, true)).to.be.revertedWith("GPC: Proposal ID does not exist");
+
+      await completeVotes(0, quorum);
+      await expect(plantCatalog.voteOnDuplicate(0, true)).to.be.revertedWith("GPC: Proposal is already resolved");
+    });
+
+    it("Should unmark a duplicate when the majority of the quorum supports a contest", async function () {
+      await plantCatalog.proposeDuplicate(1, 0);
+      await completeVotes(0, quorum);
+
+      await expect(plantCatalog.connect(addr1).contestDuplicate(1))
+        .to.emit(plantCatalog, "DuplicateContested")
+        .withArgs(1, 1, 0, addr1.address)
+        .and.to.emit(plantCatalog, "DuplicateVoted")
+        .withArgs(1, addr1.address, true);
+      const contest = await plantCatalog.getDuplicateProposal(1);
+      expect(contest.contest).to.be.true;
+      expect(contest.canonicalId).to.equal(0);
+      expect(await plantCatalog.isDuplicate(1)).to.be.true;
+
+      for (const voter of signers.slice(10, 10 + quorum - 2)) {
+        await plantCatalog.connect(voter).voteOnDuplicate(1, true);
+      }
+      await expect(plantCatalog.connect(signers[19]).voteOnDuplicate(1, false))
+        .to.emit(plantCatalog, "DuplicateContestResolved")
+        .withArgs(1, 1, 0, true);
+
+      expect((await plantCatalog.getDuplicateProposal(1)).status).to.equal(1); // Accepted
+      expect(await plantCatalog.isDuplicate(1)).to.be.false;
+      expect(await plantCatalog.getCanonicalPlantId(1)).to.equal(1);
+      await expect(plantCatalog.vote(1, 1)).to.not.be.reverted;
+    });
+
+    it("Should keep the duplicate when the majority opposes the contest", async function () {
+      await plantCatalog.proposeDuplicate(1, 0);
+      await completeVotes(0, quorum);
+      await plantCatalog.contestDuplicate(1);
+      await completeVotes(1, 0);
+
+      expect((await plantCatalog.getDuplicateProposal(1)).status).to.equal(2); // Rejected
+      expect(await plantCatalog.isDuplicate(1)).to.be.true;
+      expect(await plantCatalog.getCanonicalPlantId(1)).to.equal(0);
+    });
+
+    it("Should revert on invalid contests", async function () {
+      await expect(plantCatalog.contestDuplicate(99)).to.be.revertedWith("GPC: Plant ID does not exist");
+      await expect(plantCatalog.contestDuplicate(1)).to.be.revertedWith("GPC: Plant is not a duplicate");
+
+      await plantCatalog.proposeDuplicate(1, 0);
+      await completeVotes(0, quorum);
+      await plantCatalog.contestDuplicate(1);
+      await expect(plantCatalog.contestDuplicate(1)).to.be.revertedWith(
+        "GPC: Plant already has an open duplicate proposal"
+      );
+    });
+
+    describe("With a voter registry", function () {
+      let registry;
+
+      beforeEach(async function () {
+        registry = await (await ethers.getContractFactory("VoterEligibilityMock")).deploy();
+        ({ globalPlantCatalog: plantCatalog } = await deployPlantCatalog(registry.target));
+        await plantCatalog.addPlant("Jatobá", "Hymenaea courbaril", "Fabaceae", "...", "...");
+        await plantCatalog.addPlant("Jatoba", "Hymenaea courbaril L.", "Fabaceae", "...", "...");
+        await registry.setEligible(owner.address, true);
+        await registry.setEligible(addr1.address, true);
       });
 
-      it("👎 Should return 'false' when downvotes are greater than upvotes", async function () {
-        await globalPlantCatalog.connect(addr1).vote(plantId, VOTE_TYPE.Downvote);
+      it("Should only take the proposals, contests and votes of eligible voters", async function () {
+        await expect(plantCatalog.connect(addr2).proposeDuplicate(1, 0)).to.be.revertedWith(
+          "GPC: Voter is not eligible"
+        );
+
+        await plantCatalog.proposeDuplicate(1, 0);
+        await expect(plantCatalog.connect(addr2).voteOnDuplicate(0, true)).to.be.revertedWith(
+          "GPC: Voter is not eligible"
+        );
+        await plantCatalog.connect(addr1).voteOnDuplicate(0, true);
+        expect(await plantCatalog.isDuplicate(1)).to.be.true;
 
-        expect(await globalPlantCatalog.hasMoreUpvotes(plantId)).to.be.false;
+        await expect(plantCatalog.connect(addr2).contestDuplicate(1)).to.be.revertedWith("GPC: Voter is not eligible");
       });
 
-      it("🤝 Should return 'false' when upvotes and downvotes are equal", async function () {
-        await globalPlantCatalog.connect(addr1).vote(plantId, VOTE_TYPE.Upvote);
-        await globalPlantCatalog.connect(addr2).vote(plantId, VOTE_TYPE.Downvote);
+      it("Should resolve proposals with the quorum of the eligible voters when they were opened", async function () {
+        // Two eligible voters are fewer than MIN_QUORUM, so both of them resolve the proposal.
+        await plantCatalog.proposeDuplicate(1, 0);
+        await registry.setEligible(addr2.address, true);
+        expect((await plantCatalog.getDuplicateProposal(0)).quorum).to.equal(2);
+
+        await expect(plantCatalog.connect(addr1).voteOnDuplicate(0, true))
+          .to.emit(plantCatalog, "DuplicateResolved")
+          .withArgs(0, 1, 0, true);
 
-        expect(await globalPlantCatalog.hasMoreUpvotes(plantId)).to.be.false;
+        await plantCatalog.contestDuplicate(1);
+        expect((await plantCatalog.getDuplicateProposal(1)).quorum).to.equal(3);
       });
+    });
+  });
+
+  // The number of votes resolving the duplicate proposals and revisions, sized with the voter registry.
+  describe("Quorum", function () {
+    it("Should be MIN_QUORUM without a voter registry", async function () {
+      expect(await plantCatalog.quorum()).to.equal(await plantCatalog.MIN_QUORUM());
+    });
+
+    it("Should be a share of the eligible voters, from MIN_QUORUM up to all of them", async function () {
+      const registry = await (await ethers.getContractFactory("VoterEligibilityMock")).deploy();
+      const { globalPlantCatalog } = await deployPlantCatalog(registry.target);
+      expect(await globalPlantCatalog.quorum()).to.equal(1);
+
+      await registry.setEligible(addr1.address, true);
+      await registry.setEligible(addr2.address, true);
+      expect(await globalPlantCatalog.quorum()).to.equal(2);
 
-      it("❌ Should revert when checking a non-existent plant", async function () {
-        const nonExistentId = 999;
-        await expect(globalPlantCatalog.hasMoreUpvotes(nonExistentId)).to.be.revertedWith(
-          "GPC: Plant ID does not exist"
+      // 10% of 43 eligible voters, rounded up.
+      for (let i = 0; i < 41; i++) {
+        await registry.setEligible(ethers.Wallet.createRandom().address, true);
+      }
+      expect(await globalPlantCatalog.quorum()).to.equal(5);
+    });
+  });
+
+  // Voting behaviour shared with the other votable apps, see `test/shared/votable.js`.
+  describe("Voting", function () {
+    // Deploys the contract with one plant to vote on.
+    async function deployWithPlantFixture() {
+      const globalPlantCatalog = await (await ethers.getContractFactory("GlobalPlantCatalog")).deploy();
+      await globalPlantCatalog.addPlant(
+        "Rosewood",
+        "Cariniana legalis",
+        "Family: Lecythidaceae",
+        "A large tree native to Brazil.",
+        "ipfs://somehash"
+      );
+
+      // Plant IDs start at 0, so the first missing ID is 1.
+      return { contract: globalPlantCatalog, entryId: 0, missingIds: [1, 999] };
+    }
+
+    shouldBehaveLikeVotable({
+      fixture: deployWithPlantFixture,
+      vote: "vote",
+      userVote: "userVotes",
+      counts: async (contract, id) => {
+        const plant = await contract.plants(id);
+        return [plant.upvotes, plant.downvotes];
+      },
+      isPositive: "hasMoreUpvotes",
+      votedEvent: "Voted",
+      errors: { invalidId: "GPC: Plant ID does not exist", invalidVoteType: "GPC: Invalid vote type" },
+    });
+  });
+
+  // Votes restricted to the accounts of a voter registry, see `test/shared/eligibleVoters.js`.
+  describe("Eligible voters", function () {
+    shouldRequireEligibleVoters({
+      deploy: async (voterEligibility) => {
+        const { globalPlantCatalog } = await deployPlantCatalog(voterEligibility);
+        await globalPlantCatalog.addPlant(
+          "Rosewood",
+          "Cariniana legalis",
+          "Family: Lecythidaceae",
+          "A large tree native to Brazil.",
+          "ipfs://somehash"
         );
-      });
+
+        return { contract: globalPlantCatalog, entryId: 0 };
+      },
+      vote: "vote",
+      userVote: "userVotes",
+      votedEvent: "Voted",
+      error: "GPC: Voter is not eligible",
+    });
+  });
+
+  // Paginated listing shared with the other catalogs, see `test/shared/paginated.js`.
+  describe("Listing", function () {
+    // Deploys the contract with three plants.
+    async function deployWithPlantsFixture() {
+      const globalPlantCatalog = await (await ethers.getContractFactory("GlobalPlantCatalog")).deploy();
+      for (const popularName of ["Ipê", "Jatobá", "Cedro"]) {
+        await globalPlantCatalog.addPlant(popularName, `${popularName} sp.`, "Plantae", "A tree", "ipfs://photo");
+      }
+
+      return { contract: globalPlantCatalog };
+    }
+
+    shouldBehaveLikePaginated({ fixture: deployWithPlantsFixture, list: "getPlants", firstId: 0 });
+
+    it("📏 Should cap the page at MAX_PAGE_SIZE entries", async function () {
+      const maxPageSize = Number(await plantCatalog.MAX_PAGE_SIZE());
+      for (let i = 0; i <= maxPageSize; i++) {
+        await plantCatalog.addPlant(`Plant ${i}`, `Plantae ${i}`, "Plantae", "A plant", "ipfs://photo");
+      }
+
+      const page = await plantCatalog.getPlants(0, maxPageSize + 1);
+
+      expect(page).to.have.lengthOf(maxPageSize);
+      expect(page[maxPageSize - 1].id).to.equal(maxPageSize - 1);
     });
   });
 });
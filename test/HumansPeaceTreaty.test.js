@@ -2,11 +2,27 @@
 const { expect } = require("chai");
 const { ethers } = require("hardhat");
 const { mine } = require("@nomicfoundation/hardhat-network-helpers");
+const { deployProxy } = require("../scripts/shared/deployProxy");
+const { deployHumansPeaceTreaty } = require("../scripts/shared/deployHumansPeaceTreaty");
+const { shouldBehaveLikePaginated } = require("./shared/paginated");
+
+// Blocks a signer stays active after each proof in these tests.
+const PROOF_WINDOW = 10;
+
+// First version of the text of the treaty in these tests.
+const TEXT_HASH = ethers.id("I hereby commit myself to the principles of peace and non-violence.");
+const TEXT_URI = "ipfs://treaty-v0";
+
+// Values of the AmendmentStatus enum.
+const OPEN = 0;
+const ADOPTED = 1;
+const REJECTED = 2;
+const OUTDATED = 3;
 
 // Top-level test suite for the HumansPeaceTreaty contract
 describe("HumansPeaceTreaty", function () {
   // Declare variables to be used across multiple test cases
-  let humansPeaceTreaty;
+  let humansPeaceTreaty, peaceTreatyCertificate;
   let owner, signer1, signer2;
 
   // This hook runs before each test, deploying a fresh contract instance
@@ -14,12 +30,8 @@ describe("HumansPeaceTreaty", function () {
     // Get test accounts (signers) from the Hardhat environment
     [owner, signer1, signer2] = await ethers.getSigners();
 
-    // Get the ContractFactory for the HumansPeaceTreaty contract
-    const HumansPeaceTreaty = await ethers.getContractFactory("HumansPeaceTreaty");
-    
-    // Deploy a new instance of the contract
-    humansPeaceTreaty = await HumansPeaceTreaty.deploy();
-    await humansPeaceTreaty.waitForDeployment();
+    // Deploy a new instance of the contract and its certificate behind their proxies, with a short proof window
+    ({ humansPeaceTreaty, peaceTreatyCertificate } = await deployHumansPeaceTreaty(PROOF_WINDOW, TEXT_HASH, TEXT_URI));
   });
 
   // Test suite for contract deployment and initial state
@@ -28,6 +40,36 @@ describe("HumansPeaceTreaty", function () {
       // This test verifies that the counter starts at 0 upon deployment.
       expect(await humansPeaceTreaty.totalSignatures()).to.equal(0);
     });
+
+    it("should set the proof window and reject an empty one", async function () {
+      expect(await humansPeaceTreaty.proofWindow()).to.equal(PROOF_WINDOW);
+      expect(await humansPeaceTreaty.activeSignersCount()).to.equal(0);
+
+      await expect(deployProxy("HumansPeaceTreaty", [0, TEXT_HASH, TEXT_URI, peaceTreatyCertificate.target])).to.be.revertedWith(
+        "HumansPeaceTreaty: The proof window must be greater than zero."
+      );
+    });
+
+    it("should adopt the first version of the text and reject an empty one", async function () {
+      expect(await humansPeaceTreaty.currentVersion()).to.equal(0);
+      expect(await humansPeaceTreaty.getVersion(0)).to.deep.include.members([0n, TEXT_HASH, TEXT_URI]);
+      await expect(humansPeaceTreaty.getVersion(1)).to.be.revertedWith("HumansPeaceTreaty: Version ID does not exist.");
+
+      await expect(deployProxy("HumansPeaceTreaty", [PROOF_WINDOW, ethers.ZeroHash, TEXT_URI, peaceTreatyCertificate.target])).to.be.revertedWith(
+        "HumansPeaceTreaty: The text hash must not be empty."
+      );
+      await expect(deployProxy("HumansPeaceTreaty", [PROOF_WINDOW, TEXT_HASH, "", peaceTreatyCertificate.target])).to.be.revertedWith(
+        "HumansPeaceTreaty: The text URI must not be empty."
+      );
+    });
+
+    it("should be deployed with its certificate", async function () {
+      expect(await humansPeaceTreaty.certificate()).to.equal(peaceTreatyCertificate.target);
+
+      await expect(deployProxy("HumansPeaceTreaty", [PROOF_WINDOW, TEXT_HASH, TEXT_URI, ethers.ZeroAddress])).to.be.revertedWith(
+        "HumansPeaceTreaty: Invalid certificate address."
+      );
+    });
   });
 
   // Test suite for the `signPeacePledge` function
@@ -37,18 +79,18 @@ describe("HumansPeaceTreaty", function () {
       expect(await humansPeaceTreaty.totalSignatures()).to.equal(0);
 
       // User `signer1` signs the pledge.
-      await humansPeaceTreaty.connect(signer1).signPeacePledge();
+      await humansPeaceTreaty.connect(signer1).signPeacePledge(0);
       // The counter should now be 1.
       expect(await humansPeaceTreaty.totalSignatures()).to.equal(1);
 
       // A different user, `signer2`, signs the pledge.
-      await humansPeaceTreaty.connect(signer2).signPeacePledge();
+      await humansPeaceTreaty.connect(signer2).signPeacePledge(0);
       // The counter should now be 2.
       expect(await humansPeaceTreaty.totalSignatures()).to.equal(2);
     });
     
     it("should allow a user to sign the pledge, updating their status and lastProofBlock", async function () {
-      const tx = await humansPeaceTreaty.connect(signer1).signPeacePledge();
+      const tx = await humansPeaceTreaty.connect(signer1).signPeacePledge(0);
       const receipt = await tx.wait();
       const txBlockNumber = receipt.blockNumber;
 
@@ -58,19 +100,19 @@ describe("HumansPeaceTreaty", function () {
     });
 
     it("should emit a PledgeSigned event upon a successful signature", async function () {
-      await expect(humansPeaceTreaty.connect(signer1).signPeacePledge())
+      await expect(humansPeaceTreaty.connect(signer1).signPeacePledge(0))
         .to.emit(humansPeaceTreaty, "PledgeSigned")
-        .withArgs(signer1.address, (block) => block > 0);
+        .withArgs(signer1.address, (block) => block > 0, 0);
     });
 
     it("should NOT increment the counter if a user tries to sign more than once", async function () {
       // The user signs successfully, incrementing the counter to 1.
-      await humansPeaceTreaty.connect(signer1).signPeacePledge();
+      await humansPeaceTreaty.connect(signer1).signPeacePledge(0);
       expect(await humansPeaceTreaty.totalSignatures()).to.equal(1);
 
       // The second attempt from the same user is reverted.
       await expect(
-        humansPeaceTreaty.connect(signer1).signPeacePledge()
+        humansPeaceTreaty.connect(signer1).signPeacePledge(0)
       ).to.be.revertedWith("HumansPeaceTreaty: You have already signed this pledge.");
 
       // This test verifies that the counter remains unchanged after the failed transaction.
@@ -82,7 +124,7 @@ describe("HumansPeaceTreaty", function () {
   describe("Proving Commitment (proveCommitment)", function () {
     beforeEach(async function() {
       // A user must have already signed, setting the initial counter to 1.
-      await humansPeaceTreaty.connect(signer1).signPeacePledge();
+      await humansPeaceTreaty.connect(signer1).signPeacePledge(0);
     });
 
     it("should NOT increment the counter when a user proves commitment", async function () {
@@ -111,4 +153,382 @@ describe("HumansPeaceTreaty", function () {
         expect(updatedPledge.lastProofBlock).to.be.greaterThan(initialProofBlock);
       });
   });
-});
\ No newline at end of file
+
+  // Test suite for the active signers, their lapses and their statistics
+  describe("Proof Windows", function () {
+    // Mines blocks until the first block past the window of `signer`.
+    async function lapse(signer) {
+      const { lastProofBlock } = await humansPeaceTreaty.pledges(signer.address);
+      await mine(Number(lastProofBlock) + PROOF_WINDOW + 1 - (await ethers.provider.getBlockNumber()));
+    }
+
+    beforeEach(async function () {
+      await humansPeaceTreaty.connect(signer1).signPeacePledge(0);
+    });
+
+    it("should keep a signer active for the whole window after each proof", async function () {
+      expect(await humansPeaceTreaty.isActive(signer1.address)).to.be.true;
+      expect(await humansPeaceTreaty.isActive(signer2.address)).to.be.false;
+
+      // The last block of the window still counts.
+      await mine(PROOF_WINDOW);
+      expect(await humansPeaceTreaty.isActive(signer1.address)).to.be.true;
+
+      await mine(1);
+      expect(await humansPeaceTreaty.isActive(signer1.address)).to.be.false;
+    });
+
+    it("should only make active signers eligible voters of the apps gated by the treaty", async function () {
+      expect(await humansPeaceTreaty.isEligibleVoter(signer1.address)).to.be.true;
+      expect(await humansPeaceTreaty.isEligibleVoter(signer2.address)).to.be.false;
+      expect(await humansPeaceTreaty.eligibleVotersCount()).to.equal(1);
+
+      await lapse(signer1);
+      expect(await humansPeaceTreaty.isEligibleVoter(signer1.address)).to.be.false;
+      expect(await humansPeaceTreaty.eligibleVotersCount()).to.equal(0);
+    });
+
+    it("should count the signers that are active in the current block", async function () {
+      await mine(4);
+      await humansPeaceTreaty.connect(signer2).signPeacePledge(0);
+      expect(await humansPeaceTreaty.activeSignersCount()).to.equal(2);
+
+      // signer1 lapses first, signer2 a few blocks later.
+      await mine(PROOF_WINDOW - 4);
+      expect(await humansPeaceTreaty.activeSignersCount()).to.equal(1);
+      await mine(5);
+      expect(await humansPeaceTreaty.activeSignersCount()).to.equal(0);
+
+      // Proving again only counts the latest proof of each signer.
+      await humansPeaceTreaty.connect(signer1).proveCommitment();
+      await humansPeaceTreaty.connect(signer1).proveCommitment();
+      expect(await humansPeaceTreaty.activeSignersCount()).to.equal(1);
+      expect(await humansPeaceTreaty.totalSignatures()).to.equal(2);
+    });
+
+    it("should keep the count right over many signers and proofs", async function () {
+      const signers = (await ethers.getSigners()).slice(2, 12);
+      for (const signer of signers) await humansPeaceTreaty.connect(signer).signPeacePledge(0);
+      for (const signer of signers.slice(0, 5)) await humansPeaceTreaty.connect(signer).proveCommitment();
+
+      // Compared with the activity of each signer, block after block until all of them lapse.
+      const everyone = [signer1, ...signers];
+      const counts = [];
+      for (let block = 0; block <= PROOF_WINDOW + everyone.length; block++) {
+        const active = await Promise.all(everyone.map((signer) => humansPeaceTreaty.isActive(signer.address)));
+        counts.push(Number(await humansPeaceTreaty.activeSignersCount()));
+        expect(counts.at(-1)).to.equal(active.filter(Boolean).length);
+        await mine(1);
+      }
+      // signer1 lapsed while the others signed.
+      expect(counts[0]).to.equal(10);
+      expect(counts.at(-1)).to.equal(0);
+      expect(new Set(counts).size).to.be.above(5);
+    });
+
+    it("should track the proof count and the streaks of a signer", async function () {
+      await humansPeaceTreaty.connect(signer1).proveCommitment();
+      await humansPeaceTreaty.connect(signer1).proveCommitment();
+      expect(await humansPeaceTreaty.getCommitmentStats(signer1.address)).to.deep.equal([2n, 2n, 2n, 0n]);
+
+      await lapse(signer1);
+      expect(await humansPeaceTreaty.getCommitmentStats(signer1.address)).to.deep.equal([2n, 0n, 2n, 1n]);
+
+      await humansPeaceTreaty.connect(signer1).proveCommitment();
+      expect(await humansPeaceTreaty.getCommitmentStats(signer1.address)).to.deep.equal([3n, 1n, 2n, 1n]);
+      expect(await humansPeaceTreaty.getCommitmentStats(signer2.address)).to.deep.equal([0n, 0n, 0n, 0n]);
+    });
+
+    it("should emit SignerLapsed and SignerReactivated when a lapsed signer proves again", async function () {
+      const { lastProofBlock } = await humansPeaceTreaty.pledges(signer1.address);
+      await lapse(signer1);
+
+      await expect(humansPeaceTreaty.connect(signer1).proveCommitment())
+        .to.emit(humansPeaceTreaty, "SignerLapsed")
+        .withArgs(signer1.address, lastProofBlock + BigInt(PROOF_WINDOW) + 1n)
+        .and.to.emit(humansPeaceTreaty, "SignerReactivated")
+        .and.to.emit(humansPeaceTreaty, "CommitmentProven");
+      expect(await humansPeaceTreaty.isActive(signer1.address)).to.be.true;
+
+      // Proofs within the window are not reactivations.
+      await expect(humansPeaceTreaty.connect(signer1).proveCommitment()).to.not.emit(
+        humansPeaceTreaty,
+        "SignerReactivated"
+      );
+    });
+
+    it("should let anyone record a lapse, once", async function () {
+      await expect(humansPeaceTreaty.recordLapse(signer1.address)).to.be.revertedWith(
+        "HumansPeaceTreaty: The signer is still active."
+      );
+      await expect(humansPeaceTreaty.recordLapse(signer2.address)).to.be.revertedWith(
+        "HumansPeaceTreaty: The account has not signed the pledge."
+      );
+
+      await lapse(signer1);
+      await expect(humansPeaceTreaty.connect(signer2).recordLapse(signer1.address)).to.emit(
+        humansPeaceTreaty,
+        "SignerLapsed"
+      );
+      await expect(humansPeaceTreaty.recordLapse(signer1.address)).to.be.revertedWith(
+        "HumansPeaceTreaty: The lapse was already recorded."
+      );
+      expect((await humansPeaceTreaty.getCommitmentStats(signer1.address)).lapseCount).to.equal(1);
+
+      // The lapse is not recorded a second time when the signer comes back.
+      await expect(humansPeaceTreaty.connect(signer1).proveCommitment())
+        .to.emit(humansPeaceTreaty, "SignerReactivated")
+        .and.not.to.emit(humansPeaceTreaty, "SignerLapsed");
+      expect((await humansPeaceTreaty.getCommitmentStats(signer1.address)).lapseCount).to.equal(1);
+    });
+  });
+
+  // Test suite for the `withdrawPledge` function
+  describe("Withdrawing the Pledge (withdrawPledge)", function () {
+    beforeEach(async function () {
+      await humansPeaceTreaty.connect(signer1).signPeacePledge(0);
+      await humansPeaceTreaty.connect(signer2).signPeacePledge(0);
+    });
+
+    it("should remove the signer from the signature and active counts", async function () {
+      await expect(humansPeaceTreaty.connect(signer1).withdrawPledge())
+        .to.emit(humansPeaceTreaty, "PledgeWithdrawn")
+        .withArgs(signer1.address, (block) => block > 0);
+
+      expect(await humansPeaceTreaty.hasSigned(signer1.address)).to.be.false;
+      expect(await humansPeaceTreaty.isActive(signer1.address)).to.be.false;
+      expect(await humansPeaceTreaty.totalSignatures()).to.equal(1);
+      expect(await humansPeaceTreaty.activeSignersCount()).to.equal(1);
+    });
+
+    it("should not let a withdrawn signer prove, record a lapse or withdraw again", async function () {
+      await humansPeaceTreaty.connect(signer1).withdrawPledge();
+      await mine(PROOF_WINDOW + 1);
+
+      await expect(humansPeaceTreaty.connect(signer1).proveCommitment()).to.be.revertedWith(
+        "HumansPeaceTreaty: You must sign the pledge first before proving commitment."
+      );
+      await expect(humansPeaceTreaty.recordLapse(signer1.address)).to.be.revertedWith(
+        "HumansPeaceTreaty: The account has not signed the pledge."
+      );
+      await expect(humansPeaceTreaty.connect(signer1).withdrawPledge()).to.be.revertedWith(
+        "HumansPeaceTreaty: You must sign the pledge first before withdrawing it."
+      );
+      await expect(humansPeaceTreaty.connect(owner).withdrawPledge()).to.be.revertedWith(
+        "HumansPeaceTreaty: You must sign the pledge first before withdrawing it."
+      );
+    });
+
+    it("should allow signing again, keeping the statistics but not the streak", async function () {
+      await humansPeaceTreaty.connect(signer1).proveCommitment();
+      await humansPeaceTreaty.connect(signer1).proveCommitment();
+      await humansPeaceTreaty.connect(signer1).withdrawPledge();
+      expect(await humansPeaceTreaty.getCommitmentStats(signer1.address)).to.deep.equal([2n, 0n, 2n, 0n]);
+
+      await humansPeaceTreaty.connect(signer1).signPeacePledge(0);
+      expect(await humansPeaceTreaty.totalSignatures()).to.equal(2);
+      expect(await humansPeaceTreaty.activeSignersCount()).to.equal(2);
+
+      await humansPeaceTreaty.connect(signer1).proveCommitment();
+      expect(await humansPeaceTreaty.getCommitmentStats(signer1.address)).to.deep.equal([3n, 1n, 2n, 0n]);
+    });
+  });
+
+  // Test suite for the proof history of the signers
+  describe("Proof History", function () {
+    const blocks = (page) => page.map(Number);
+
+    it("should keep the block of every signature and proof, oldest first", async function () {
+      const signed = (await (await humansPeaceTreaty.connect(signer1).signPeacePledge(0)).wait()).blockNumber;
+      await mine(2);
+      const proven = (await (await humansPeaceTreaty.connect(signer1).proveCommitment()).wait()).blockNumber;
+      await humansPeaceTreaty.connect(signer1).withdrawPledge();
+      const signedAgain = (await (await humansPeaceTreaty.connect(signer1).signPeacePledge(0)).wait()).blockNumber;
+
+      expect(await humansPeaceTreaty.getProofHistoryCount(signer1.address)).to.equal(3);
+      expect(blocks(await humansPeaceTreaty.getProofHistory(signer1.address, 0, 10))).to.deep.equal([
+        signed,
+        proven,
+        signedAgain,
+      ]);
+      expect(await humansPeaceTreaty.getProofHistoryCount(signer2.address)).to.equal(0);
+    });
+
+    it("should return the history in pages of at most MAX_PAGE_SIZE proofs", async function () {
+      await humansPeaceTreaty.connect(signer1).signPeacePledge(0);
+      for (let i = 0; i < 4; i++) await humansPeaceTreaty.connect(signer1).proveCommitment();
+      const history = blocks(await humansPeaceTreaty.getProofHistory(signer1.address, 0, 10));
+
+      expect(blocks(await humansPeaceTreaty.getProofHistory(signer1.address, 1, 2))).to.deep.equal(history.slice(1, 3));
+      expect(blocks(await humansPeaceTreaty.getProofHistory(signer1.address, 3, 10))).to.deep.equal(history.slice(3));
+      expect(await humansPeaceTreaty.getProofHistory(signer1.address, 5, 10)).to.deep.equal([]);
+      expect(await humansPeaceTreaty.getProofHistory(signer1.address, 0, 0)).to.deep.equal([]);
+      expect(await humansPeaceTreaty.MAX_PAGE_SIZE()).to.equal(100);
+    });
+  });
+
+  // Test suite for the versions of the text and their amendments
+  describe("Versions and Amendments", function () {
+    const AMENDED_HASH = ethers.id("I hereby commit myself to peace, non-violence and the care of the land.");
+    const AMENDED_URI = "ipfs://treaty-v1";
+
+    // The three signers are active, so an amendment needs two votes either way.
+    beforeEach(async function () {
+      for (const signer of [owner, signer1, signer2]) await humansPeaceTreaty.connect(signer).signPeacePledge(0);
+    });
+
+    it("should bind each signature to the version it signed", async function () {
+      expect(await humansPeaceTreaty.signedVersion(signer1.address)).to.equal(0);
+      expect(await humansPeaceTreaty["hasSigned(address,uint256)"](signer1.address, 0)).to.be.true;
+      expect(await humansPeaceTreaty["hasSigned(address,uint256)"](signer1.address, 1)).to.be.false;
+      expect(await humansPeaceTreaty.hasSignedLatestVersion(signer1.address)).to.be.true;
+      expect(await humansPeaceTreaty.latestVersionSignersCount()).to.equal(3);
+
+      await expect(humansPeaceTreaty.connect(signer1).signPeacePledge(1)).to.be.revertedWith(
+        "HumansPeaceTreaty: Only the latest version of the treaty can be signed."
+      );
+    });
+
+    it("should adopt an amendment supported by a majority of the active signers", async function () {
+      await expect(humansPeaceTreaty.connect(signer1).proposeAmendment(AMENDED_HASH, AMENDED_URI))
+        .to.emit(humansPeaceTreaty, "AmendmentProposed")
+        .withArgs(0, 0, signer1.address)
+        .and.to.emit(humansPeaceTreaty, "AmendmentVoted")
+        .withArgs(0, signer1.address, true);
+      expect((await humansPeaceTreaty.getAmendment(0)).status).to.equal(OPEN);
+
+      await expect(humansPeaceTreaty.connect(signer2).voteOnAmendment(0, true))
+        .to.emit(humansPeaceTreaty, "AmendmentResolved")
+        .withArgs(0, true)
+        .and.to.emit(humansPeaceTreaty, "VersionAdopted")
+        .withArgs(1, AMENDED_HASH, AMENDED_URI);
+
+      const amendment = await humansPeaceTreaty.getAmendment(0);
+      expect(amendment.status).to.equal(ADOPTED);
+      expect(amendment.supportVotes).to.equal(2);
+      expect(await humansPeaceTreaty.currentVersion()).to.equal(1);
+      expect((await humansPeaceTreaty.getVersion(1)).textHash).to.equal(AMENDED_HASH);
+      // Signers of the previous version still count, but did not accept the new one yet.
+      expect(await humansPeaceTreaty.totalSignatures()).to.equal(3);
+      expect(await humansPeaceTreaty.hasSignedLatestVersion(signer1.address)).to.be.false;
+      expect(await humansPeaceTreaty.latestVersionSignersCount()).to.equal(0);
+    });
+
+    it("should let signers re-sign the latest version, which proves their commitment", async function () {
+      await humansPeaceTreaty.connect(signer1).proposeAmendment(AMENDED_HASH, AMENDED_URI);
+      await humansPeaceTreaty.connect(signer2).voteOnAmendment(0, true);
+
+      await expect(humansPeaceTreaty.connect(signer1).signPeacePledge(0)).to.be.revertedWith(
+        "HumansPeaceTreaty: Only the latest version of the treaty can be signed."
+      );
+      await expect(humansPeaceTreaty.connect(signer1).signPeacePledge(1))
+        .to.emit(humansPeaceTreaty, "PledgeSigned")
+        .withArgs(signer1.address, (block) => block > 0, 1)
+        .and.to.emit(humansPeaceTreaty, "CommitmentProven");
+
+      expect(await humansPeaceTreaty["hasSigned(address,uint256)"](signer1.address, 0)).to.be.false;
+      expect(await humansPeaceTreaty["hasSigned(address,uint256)"](signer1.address, 1)).to.be.true;
+      expect(await humansPeaceTreaty.versionSignersCount(0)).to.equal(2);
+      expect(await humansPeaceTreaty.latestVersionSignersCount()).to.equal(1);
+      expect(await humansPeaceTreaty.totalSignatures()).to.equal(3);
+      expect((await humansPeaceTreaty.getCommitmentStats(signer1.address)).proofCount).to.equal(1);
+      await expect(humansPeaceTreaty.connect(signer1).signPeacePledge(1)).to.be.revertedWith(
+        "HumansPeaceTreaty: You have already signed this pledge."
+      );
+
+      await humansPeaceTreaty.connect(signer1).withdrawPledge();
+      expect(await humansPeaceTreaty.latestVersionSignersCount()).to.equal(0);
+      expect(await humansPeaceTreaty["hasSigned(address,uint256)"](signer1.address, 1)).to.be.false;
+    });
+
+    it("should reject an amendment opposed by a majority of the active signers", async function () {
+      await humansPeaceTreaty.connect(signer1).proposeAmendment(AMENDED_HASH, AMENDED_URI);
+      await expect(humansPeaceTreaty.connect(signer1).voteOnAmendment(0, true)).to.be.revertedWith(
+        "HumansPeaceTreaty: You have already voted on this amendment."
+      );
+      await humansPeaceTreaty.connect(owner).voteOnAmendment(0, false);
+
+      await expect(humansPeaceTreaty.connect(signer2).voteOnAmendment(0, false))
+        .to.emit(humansPeaceTreaty, "AmendmentResolved")
+        .withArgs(0, false);
+
+      expect((await humansPeaceTreaty.getAmendment(0)).status).to.equal(REJECTED);
+      expect(await humansPeaceTreaty.currentVersion()).to.equal(0);
+      await expect(humansPeaceTreaty.connect(signer2).voteOnAmendment(0, true)).to.be.revertedWith(
+        "HumansPeaceTreaty: The amendment is already resolved."
+      );
+    });
+
+    it("should count the majority among the signers active when the amendment was proposed", async function () {
+      const [, , , signer3, signer4] = await ethers.getSigners();
+      for (const signer of [signer3, signer4]) await humansPeaceTreaty.connect(signer).signPeacePledge(0);
+      await humansPeaceTreaty.connect(signer1).proposeAmendment(AMENDED_HASH, AMENDED_URI);
+      await humansPeaceTreaty.connect(signer2).voteOnAmendment(0, true);
+      expect((await humansPeaceTreaty.getAmendment(0)).electorate).to.equal(5);
+
+      // The supporters lapse, while signer3 and signer4 prove their commitment again.
+      await mine(PROOF_WINDOW);
+      for (const signer of [signer3, signer4]) await humansPeaceTreaty.connect(signer).proveCommitment();
+      expect(await humansPeaceTreaty.activeSignersCount()).to.equal(2);
+
+      await expect(humansPeaceTreaty.connect(signer3).voteOnAmendment(0, false)).not.to.emit(
+        humansPeaceTreaty,
+        "AmendmentResolved"
+      );
+      expect((await humansPeaceTreaty.getAmendment(0)).status).to.equal(OPEN);
+      expect(await humansPeaceTreaty.currentVersion()).to.equal(0);
+    });
+
+    it("should outdate the open amendments of a replaced version", async function () {
+      await humansPeaceTreaty.connect(signer1).proposeAmendment(AMENDED_HASH, AMENDED_URI);
+      await humansPeaceTreaty.connect(signer2).proposeAmendment(ethers.id("Another text"), "ipfs://another");
+      await humansPeaceTreaty.connect(owner).voteOnAmendment(0, true);
+
+      expect((await humansPeaceTreaty.getAmendment(1)).status).to.equal(OUTDATED);
+      await expect(humansPeaceTreaty.connect(owner).voteOnAmendment(1, true)).to.be.revertedWith(
+        "HumansPeaceTreaty: The amendment amends an outdated version."
+      );
+      await expect(humansPeaceTreaty.voteOnAmendment(2, true)).to.be.revertedWith(
+        "HumansPeaceTreaty: Amendment ID does not exist."
+      );
+    });
+
+    it("should only let active signers propose and vote on amendments", async function () {
+      await expect(humansPeaceTreaty.connect(signer1).proposeAmendment(TEXT_HASH, AMENDED_URI)).to.be.revertedWith(
+        "HumansPeaceTreaty: The text is already the latest version."
+      );
+      await expect(humansPeaceTreaty.connect(signer1).proposeAmendment(ethers.ZeroHash, AMENDED_URI)).to.be.revertedWith(
+        "HumansPeaceTreaty: The text hash must not be empty."
+      );
+      await expect(humansPeaceTreaty.connect(signer1).proposeAmendment(AMENDED_HASH, "")).to.be.revertedWith(
+        "HumansPeaceTreaty: The text URI must not be empty."
+      );
+
+      await humansPeaceTreaty.connect(signer1).proposeAmendment(AMENDED_HASH, AMENDED_URI);
+      await mine(PROOF_WINDOW + 1);
+      await expect(humansPeaceTreaty.connect(signer2).voteOnAmendment(0, true)).to.be.revertedWith(
+        "HumansPeaceTreaty: Only active signers can vote on amendments."
+      );
+      await expect(humansPeaceTreaty.connect(signer2).proposeAmendment(AMENDED_HASH, AMENDED_URI)).to.be.revertedWith(
+        "HumansPeaceTreaty: Only active signers can propose amendments."
+      );
+    });
+
+    // Paginated listing shared with the catalogs, see `test/shared/paginated.js`.
+    describe("Listing", function () {
+      // Deploys the treaty with three signers and three open amendments.
+      async function deployWithAmendmentsFixture() {
+        const { humansPeaceTreaty: contract } = await deployHumansPeaceTreaty(PROOF_WINDOW, TEXT_HASH, TEXT_URI);
+        const signers = (await ethers.getSigners()).slice(0, 3);
+        for (const signer of signers) await contract.connect(signer).signPeacePledge(0);
+        for (const [index, signer] of signers.entries()) {
+          await contract.connect(signer).proposeAmendment(ethers.id(`Amendment ${index}`), `ipfs://amendment-${index}`);
+        }
+
+        return { contract };
+      }
+
+      shouldBehaveLikePaginated({ fixture: deployWithAmendmentsFixture, list: "getAmendments", firstId: 0 });
+    });
+  });
+});
@@ -0,0 +1,172 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { mine } = require("@nomicfoundation/hardhat-network-helpers");
+const { deployProxy } = require("../scripts/shared/deployProxy");
+const { deployHumansPeaceTreaty } = require("../scripts/shared/deployHumansPeaceTreaty");
+
+// Blocks a signer stays active after each proof in these tests.
+const PROOF_WINDOW = 10;
+
+// The soulbound certificates of the signers of the HumansPeaceTreaty.
+describe("PeaceTreatyCertificate", function () {
+  let humansPeaceTreaty, peaceTreatyCertificate;
+  let owner, signer1, signer2;
+
+  // Deploys the treaty with its certificate.
+  beforeEach(async function () {
+    [owner, signer1, signer2] = await ethers.getSigners();
+    ({ humansPeaceTreaty, peaceTreatyCertificate } = await deployHumansPeaceTreaty(
+      PROOF_WINDOW,
+      ethers.id("Pledge"),
+      "ipfs://treaty-v0"
+    ));
+  });
+
+  describe("Deployment", function () {
+    it("Should be bound to the treaty that deployed it, once", async function () {
+      expect(await peaceTreatyCertificate.humansPeaceTreaty()).to.equal(humansPeaceTreaty.target);
+      await expect(peaceTreatyCertificate.bindTreaty(humansPeaceTreaty.target)).to.be.revertedWith(
+        "PeaceTreatyCertificate: The treaty is already bound."
+      );
+    });
+
+    it("Should let only the deployer bind it, to a treaty that lists it", async function () {
+      const certificate = await deployProxy("PeaceTreatyCertificate", [ethers.ZeroAddress]);
+
+      await expect(certificate.connect(signer1).bindTreaty(humansPeaceTreaty.target)).to.be.revertedWith(
+        "PeaceTreatyCertificate: Only the deployer can bind the treaty."
+      );
+      await expect(certificate.bindTreaty(humansPeaceTreaty.target)).to.be.revertedWith(
+        "PeaceTreatyCertificate: The treaty does not list this certificate."
+      );
+    });
+
+    it("Should be bound to the treaty it is initialized with", async function () {
+      const certificate = await deployProxy("PeaceTreatyCertificate", [humansPeaceTreaty.target]);
+
+      expect(await certificate.humansPeaceTreaty()).to.equal(humansPeaceTreaty.target);
+      await expect(certificate.bindTreaty(humansPeaceTreaty.target)).to.be.revertedWith(
+        "PeaceTreatyCertificate: The treaty is already bound."
+      );
+    });
+
+    it("Should let only the treaty issue and burn certificates", async function () {
+      await expect(peaceTreatyCertificate.issue(owner.address)).to.be.revertedWith(
+        "PeaceTreatyCertificate: Only the treaty can issue certificates."
+      );
+      await expect(peaceTreatyCertificate.burn(owner.address)).to.be.revertedWith(
+        "PeaceTreatyCertificate: Only the treaty can burn certificates."
+      );
+    });
+  });
+
+  describe("Certificates", function () {
+    // Decodes the base64 JSON data URI returned by `tokenURI`.
+    async function metadata(tokenId) {
+      const uri = await peaceTreatyCertificate.tokenURI(tokenId);
+      expect(uri.startsWith("data:application/json;base64,")).to.be.true;
+
+      return JSON.parse(Buffer.from(uri.split(",")[1], "base64").toString("utf8"));
+    }
+
+    const attribute = (data, trait) => data.attributes.find((item) => item.trait_type === trait).value;
+
+    it("should issue a locked certificate to new signers", async function () {
+      await expect(humansPeaceTreaty.connect(signer1).signPeacePledge(0))
+        .to.emit(peaceTreatyCertificate, "Transfer")
+        .withArgs(ethers.ZeroAddress, signer1.address, 1)
+        .and.to.emit(peaceTreatyCertificate, "Locked")
+        .withArgs(1);
+      await humansPeaceTreaty.connect(signer2).signPeacePledge(0);
+
+      expect(await peaceTreatyCertificate.certificateOf(signer1.address)).to.equal(1);
+      expect(await peaceTreatyCertificate.ownerOf(2)).to.equal(signer2.address);
+      expect(await peaceTreatyCertificate.balanceOf(signer1.address)).to.equal(1);
+      expect(await peaceTreatyCertificate.balanceOf(owner.address)).to.equal(0);
+      expect(await peaceTreatyCertificate.locked(1)).to.be.true;
+      expect(await peaceTreatyCertificate.certificatesCount()).to.equal(2);
+      expect(await peaceTreatyCertificate.name()).to.equal("Humans Peace Treaty Certificate");
+      expect(await peaceTreatyCertificate.symbol()).to.equal("PEACE");
+      await expect(peaceTreatyCertificate.ownerOf(3)).to.be.revertedWith(
+        "PeaceTreatyCertificate: Certificate ID does not exist."
+      );
+      await expect(peaceTreatyCertificate.locked(3)).to.be.revertedWith(
+        "PeaceTreatyCertificate: Certificate ID does not exist."
+      );
+      await expect(peaceTreatyCertificate.balanceOf(ethers.ZeroAddress)).to.be.revertedWith(
+        "PeaceTreatyCertificate: The zero address cannot own certificates."
+      );
+    });
+
+    it("should support the ERC-165, ERC-721, ERC-721 metadata and ERC-5192 interfaces", async function () {
+      for (const interfaceId of ["0x01ffc9a7", "0x80ac58cd", "0x5b5e139f", "0xb45a3c0e"]) {
+        expect(await peaceTreatyCertificate.supportsInterface(interfaceId)).to.be.true;
+      }
+      expect(await peaceTreatyCertificate.supportsInterface("0xffffffff")).to.be.false;
+    });
+
+    it("should not let certificates be transferred or approved", async function () {
+      await humansPeaceTreaty.connect(signer1).signPeacePledge(0);
+      const error = "PeaceTreatyCertificate: Certificates are soulbound and cannot be transferred.";
+      const certificate = peaceTreatyCertificate.connect(signer1);
+
+      await expect(certificate.transferFrom(signer1.address, signer2.address, 1)).to.be.revertedWith(error);
+      await expect(
+        certificate["safeTransferFrom(address,address,uint256)"](signer1.address, signer2.address, 1)
+      ).to.be.revertedWith(error);
+      await expect(
+        certificate["safeTransferFrom(address,address,uint256,bytes)"](signer1.address, signer2.address, 1, "0x")
+      ).to.be.revertedWith(error);
+      await expect(certificate.approve(signer2.address, 1)).to.be.revertedWith(error);
+      await expect(certificate.setApprovalForAll(signer2.address, true)).to.be.revertedWith(error);
+      expect(await peaceTreatyCertificate.getApproved(1)).to.equal(ethers.ZeroAddress);
+      expect(await peaceTreatyCertificate.isApprovedForAll(signer1.address, signer2.address)).to.be.false;
+    });
+
+    it("should burn the certificate of a withdrawn pledge and issue a new one on signing again", async function () {
+      await humansPeaceTreaty.connect(signer1).signPeacePledge(0);
+
+      await expect(humansPeaceTreaty.connect(signer1).withdrawPledge())
+        .to.emit(peaceTreatyCertificate, "Transfer")
+        .withArgs(signer1.address, ethers.ZeroAddress, 1);
+      expect(await peaceTreatyCertificate.balanceOf(signer1.address)).to.equal(0);
+      expect(await peaceTreatyCertificate.certificateOf(signer1.address)).to.equal(0);
+      await expect(peaceTreatyCertificate.tokenURI(1)).to.be.revertedWith(
+        "PeaceTreatyCertificate: Certificate ID does not exist."
+      );
+
+      await humansPeaceTreaty.connect(signer1).signPeacePledge(0);
+      expect(await peaceTreatyCertificate.certificateOf(signer1.address)).to.equal(2);
+    });
+
+    it("should keep the certificate when a signer accepts an amendment", async function () {
+      await humansPeaceTreaty.connect(signer1).signPeacePledge(0);
+      await humansPeaceTreaty.connect(signer1).proposeAmendment(ethers.id("Amended"), "ipfs://treaty-v1");
+
+      await expect(humansPeaceTreaty.connect(signer1).signPeacePledge(1)).to.not.emit(
+        peaceTreatyCertificate,
+        "Transfer"
+      );
+      expect(await peaceTreatyCertificate.certificateOf(signer1.address)).to.equal(1);
+      expect(attribute(await metadata(1), "Treaty version")).to.equal(1);
+    });
+
+    it("should generate the metadata on chain with the signature block, proof count and status", async function () {
+      const signed = (await (await humansPeaceTreaty.connect(signer1).signPeacePledge(0)).wait()).blockNumber;
+      await humansPeaceTreaty.connect(signer1).proveCommitment();
+      await humansPeaceTreaty.connect(signer1).proveCommitment();
+
+      const data = await metadata(1);
+      expect(data.name).to.equal("Humans Peace Treaty Signer #1");
+      expect(data.image.startsWith("data:image/svg+xml;base64,")).to.be.true;
+      expect(Buffer.from(data.image.split(",")[1], "base64").toString("utf8")).to.include("Signed in block " + signed);
+      expect(attribute(data, "Signature block")).to.equal(signed);
+      expect(attribute(data, "Proof count")).to.equal(2);
+      expect(attribute(data, "Treaty version")).to.equal(0);
+      expect(attribute(data, "Status")).to.equal("Active");
+
+      await mine(PROOF_WINDOW + 1);
+      expect(attribute(await metadata(1), "Status")).to.equal("Lapsed");
+    });
+  });
+});
@@ -0,0 +1,205 @@
+// Import the tools we need from Chai (for assertions) and Hardhat/Ethers.
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { deployPlantCatalog } = require("../scripts/shared/deployPlantCatalog");
+
+// The agroforestry attributes of the GlobalPlantCatalog plants and the relationships between them.
+describe("PlantAgroforestryRegistry", function () {
+  let plantCatalog;
+  let plantAgroforestryRegistry, plantRevisionRegistry, plantTaxonomyRegistry;
+  let owner, addr1, addr2;
+
+  // Deploys the catalog with its registries, letting anyone vote. Revisions change the attributes too.
+  beforeEach(async function () {
+    [owner, addr1, addr2] = await ethers.getSigners();
+    ({
+      globalPlantCatalog: plantCatalog,
+      plantAgroforestryRegistry,
+      plantRevisionRegistry,
+      plantTaxonomyRegistry,
+    } = await deployPlantCatalog(ethers.ZeroAddress));
+  });
+
+  describe("Deployment", function () {
+    it("Should be bound to the catalog that deployed it, once", async function () {
+      expect(await plantAgroforestryRegistry.globalPlantCatalog()).to.equal(plantCatalog.target);
+      await expect(plantAgroforestryRegistry.bindCatalog(plantCatalog.target)).to.be.revertedWith(
+        "PAR: Catalog already bound"
+      );
+    });
+  });
+
+  // A group of tests for the stratum, successional stage and relationships used to design consortia.
+  describe("Agroforestry", function () {
+    const UPVOTE = 1;
+    const DOWNVOTE = 2;
+    const HIGH = 2;
+    const SECONDARY = 2;
+    const COMPANION = 1;
+    const NURSE = 2;
+    const ANTAGONIST = 3;
+
+    beforeEach(async function () {
+      await plantCatalog.addPlant("Banana", "Musa paradisiaca", "Musaceae", "A herb", "ipfs://banana");
+      await plantCatalog.addPlant("Ingá", "Inga edulis", "Fabaceae", "A tree", "ipfs://inga");
+      await plantCatalog.connect(addr1).addPlant("Cacau", "Theobroma cacao", "Malvaceae", "A tree", "ipfs://cacau");
+    });
+
+    it("Should let the creator set the stratum and successional stage of a plant", async function () {
+      expect(await plantAgroforestryRegistry.getAgroforestryAttributes(1)).to.deep.equal([0, 0]);
+
+      await expect(
+        plantAgroforestryRegistry.setAgroforestryAttributes(1, { stratum: HIGH, successionalStage: SECONDARY })
+      )
+        .to.emit(plantAgroforestryRegistry, "AgroforestryAttributesSet")
+        .withArgs(1, owner.address, [HIGH, SECONDARY]);
+      expect(await plantAgroforestryRegistry.getAgroforestryAttributes(1)).to.deep.equal([HIGH, SECONDARY]);
+
+      await expect(
+        plantAgroforestryRegistry.setAgroforestryAttributes(2, { stratum: HIGH, successionalStage: SECONDARY })
+      ).to.be.revertedWith("PAR: Only the creator can set the agroforestry attributes");
+      await expect(
+        plantAgroforestryRegistry.setAgroforestryAttributes(3, { stratum: HIGH, successionalStage: SECONDARY })
+      ).to.be.revertedWith("PAR: Plant ID does not exist");
+    });
+
+    it("Should open a relationship counting the proposer's positive vote", async function () {
+      await expect(plantAgroforestryRegistry.connect(addr1).proposeRelationship(0, 2, NURSE))
+        .to.emit(plantAgroforestryRegistry, "RelationshipProposed")
+        .withArgs(0, 0, 2, NURSE, addr1.address)
+        .and.to.emit(plantAgroforestryRegistry, "RelationshipVoted")
+        .withArgs(0, addr1.address, UPVOTE);
+
+      const relationship = await plantAgroforestryRegistry.getRelationship(0);
+      expect(relationship.relationshipType).to.equal(NURSE);
+      expect(relationship.upvotes).to.equal(1);
+      expect(await plantAgroforestryRegistry.relationshipVotes(0, addr1.address)).to.equal(UPVOTE);
+    });
+
+    it("Should list the relationships of a plant on either side", async function () {
+      await plantAgroforestryRegistry.proposeRelationship(0, 2, NURSE);
+      await plantAgroforestryRegistry.proposeRelationship(1, 2, COMPANION);
+      await plantAgroforestryRegistry.proposeRelationship(0, 1, ANTAGONIST);
+
+      expect(await plantAgroforestryRegistry.getPlantRelationshipsCount(2)).to.equal(2);
+      const related = await plantAgroforestryRegistry.getPlantRelationships(2, 0, 10);
+      expect(related.map((relationship) => relationship.id)).to.deep.equal([0, 1]);
+      expect(
+        (await plantAgroforestryRegistry.getPlantRelationships(0, 1, 10)).map((relationship) => relationship.id)
+      ).to.deep.equal([2]);
+      expect(await plantAgroforestryRegistry.getPlantRelationships(0, 2, 10)).to.deep.equal([]);
+    });
+
+    it("Should accept each relationship once, in both directions unless it is a nurse relationship", async function () {
+      await plantAgroforestryRegistry.proposeRelationship(1, 2, COMPANION);
+      await plantAgroforestryRegistry.proposeRelationship(0, 2, NURSE);
+
+      await expect(plantAgroforestryRegistry.proposeRelationship(2, 1, COMPANION)).to.be.revertedWith(
+        "PAR: Relationship already proposed"
+      );
+      await expect(plantAgroforestryRegistry.proposeRelationship(0, 2, NURSE)).to.be.revertedWith(
+        "PAR: Relationship already proposed"
+      );
+      await expect(plantAgroforestryRegistry.proposeRelationship(2, 0, NURSE)).to.not.be.reverted;
+      await expect(plantAgroforestryRegistry.proposeRelationship(2, 1, ANTAGONIST)).to.not.be.reverted;
+      expect(await plantAgroforestryRegistry.relationshipKey(1, 2, COMPANION)).to.equal(
+        await plantAgroforestryRegistry.relationshipKey(2, 1, COMPANION)
+      );
+    });
+
+    it("Should let voters change their vote on a relationship", async function () {
+      await plantAgroforestryRegistry.proposeRelationship(0, 1, COMPANION);
+      await plantAgroforestryRegistry.connect(addr1).voteOnRelationship(0, DOWNVOTE);
+      await plantAgroforestryRegistry.connect(addr2).voteOnRelationship(0, DOWNVOTE);
+      await plantAgroforestryRegistry.connect(addr2).voteOnRelationship(0, UPVOTE);
+
+      const relationship = await plantAgroforestryRegistry.getRelationship(0);
+      expect(relationship.upvotes).to.equal(2);
+      expect(relationship.downvotes).to.equal(1);
+    });
+
+    it("Should revert on invalid relationships and votes", async function () {
+      await expect(plantAgroforestryRegistry.proposeRelationship(0, 3, COMPANION)).to.be.revertedWith(
+        "PAR: Plant ID does not exist"
+      );
+      await expect(plantAgroforestryRegistry.proposeRelationship(1, 1, COMPANION)).to.be.revertedWith(
+        "PAR: A plant cannot relate to itself"
+      );
+      await expect(plantAgroforestryRegistry.proposeRelationship(0, 1, 0)).to.be.revertedWith(
+        "PAR: Invalid relationship type"
+      );
+      await expect(plantAgroforestryRegistry.voteOnRelationship(0, UPVOTE)).to.be.revertedWith(
+        "PAR: Relationship ID does not exist"
+      );
+
+      await plantAgroforestryRegistry.proposeRelationship(0, 1, COMPANION);
+      await expect(plantAgroforestryRegistry.voteOnRelationship(0, 0)).to.be.revertedWith("PAR: Invalid vote type");
+    });
+
+    it("Should not relate duplicate plants", async function () {
+      const signers = await ethers.getSigners();
+      await plantCatalog.addPlant("Ingá-cipó", "Inga edulis Mart.", "Fabaceae", "A tree", "ipfs://inga");
+      await plantCatalog.proposeDuplicate(3, 1);
+      for (const voter of signers.slice(10, 9 + Number(await plantCatalog.quorum()))) {
+        await plantCatalog.connect(voter).voteOnDuplicate(0, true);
+      }
+
+      await expect(plantAgroforestryRegistry.proposeRelationship(3, 2, COMPANION)).to.be.revertedWith(
+        "PAR: Plant is a duplicate, relate its canonical plant"
+      );
+    });
+
+    it("Should change the attributes of revised plants through revisions", async function () {
+      const signers = await ethers.getSigners();
+      await plantAgroforestryRegistry.setAgroforestryAttributes(1, { stratum: HIGH, successionalStage: SECONDARY });
+      const current = await plantCatalog.getPlant(1);
+
+      await plantRevisionRegistry.connect(addr1).proposeRevision(1, {
+        popularName: current.popularName,
+        scientificName: current.scientificName,
+        taxonomy: current.taxonomy,
+        description: current.description,
+        photoHash: current.photoHash,
+        ranks: await plantTaxonomyRegistry.getTaxonomicRanks(1).then((ranks) => ranks.toObject()),
+        agroforestry: { stratum: 1, successionalStage: SECONDARY },
+      });
+      for (const voter of signers.slice(10, 9 + Number(await plantCatalog.quorum()))) {
+        await plantRevisionRegistry.connect(voter).voteOnRevision(0, UPVOTE);
+      }
+
+      expect(await plantAgroforestryRegistry.getAgroforestryAttributes(1)).to.deep.equal([1, SECONDARY]);
+      expect((await plantRevisionRegistry.getPlantHistory(1))[0].fields.agroforestry).to.deep.equal([HIGH, SECONDARY]);
+      await expect(
+        plantAgroforestryRegistry.setAgroforestryAttributes(1, { stratum: HIGH, successionalStage: SECONDARY })
+      ).to.be.revertedWith("PAR: Plant was revised, propose a revision instead");
+    });
+
+    describe("With a voter registry", function () {
+      let registry;
+
+      beforeEach(async function () {
+        registry = await (await ethers.getContractFactory("VoterEligibilityMock")).deploy();
+        ({ globalPlantCatalog: plantCatalog, plantAgroforestryRegistry } = await deployPlantCatalog(registry.target));
+        await plantCatalog.addPlant("Banana", "Musa paradisiaca", "Musaceae", "A herb", "ipfs://banana");
+        await plantCatalog.addPlant("Ingá", "Inga edulis", "Fabaceae", "A tree", "ipfs://inga");
+        await registry.setEligible(owner.address, true);
+      });
+
+      it("Should only take the relationships and votes of eligible voters", async function () {
+        await expect(plantAgroforestryRegistry.connect(addr1).proposeRelationship(1, 0, NURSE)).to.be.revertedWith(
+          "PAR: Voter is not eligible"
+        );
+
+        await plantAgroforestryRegistry.proposeRelationship(1, 0, NURSE);
+        await expect(plantAgroforestryRegistry.connect(addr1).voteOnRelationship(0, DOWNVOTE)).to.be.revertedWith(
+          "PAR: Voter is not eligible"
+        );
+
+        await registry.setEligible(addr1.address, true);
+        await expect(plantAgroforestryRegistry.connect(addr1).voteOnRelationship(0, DOWNVOTE))
+          .to.emit(plantAgroforestryRegistry, "RelationshipVoted")
+          .withArgs(0, addr1.address, DOWNVOTE);
+      });
+    });
+  });
+});
@@ -0,0 +1,194 @@
+// Import the tools we need from Chai (for assertions) and Hardhat/Ethers.
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const { deployProxy } = require("../scripts/shared/deployProxy");
+const { shouldBehaveLikePaginated } = require("./shared/paginated");
+
+// Coordinates in millionths of a degree, as the contract stores them.
+const fixed = (degrees) => Math.round(degrees * 1e6);
+
+// Places used by the tests with their geohashes of 9 characters, computed with the reference algorithm.
+const SAO_PAULO = { latitude: fixed(-23.55052), longitude: fixed(-46.633308), geohash: "6gyf4bf8m" };
+const BRASILIA = { latitude: fixed(-15.7939), longitude: fixed(-47.8828), geohash: "6vjynkucc" };
+const RIO = { latitude: fixed(-22.9068), longitude: fixed(-43.1729), geohash: "75cm9tfqn" };
+
+const EVIDENCE = "bafybeigdyrzt5sfp7udm7hu76uh7y26nf3efuylqabf3oclgtqy55fbzdi";
+
+// The main `describe` block groups all tests for the "PlantOccurrenceRegistry" contract.
+describe("PlantOccurrenceRegistry", function () {
+  let plantCatalog;
+  let registry;
+  let owner, addr1, addr2;
+  let observedAt;
+
+  // The registry reads the plants of a catalog with an Ipê and a Jatobá.
+  async function deployRegistry() {
+    const plantCatalog = await (await ethers.getContractFactory("GlobalPlantCatalog")).deploy();
+    await plantCatalog.addPlant("Ipê", "Handroanthus albus", "Bignoniaceae", "A tree", "ipfs://ipe");
+    await plantCatalog.addPlant("Jatobá", "Hymenaea courbaril", "Fabaceae", "A tree", "ipfs://jatoba");
+    const registry = await deployProxy("PlantOccurrenceRegistry", [plantCatalog.target]);
+
+    return { plantCatalog, registry };
+  }
+
+  beforeEach(async function () {
+    [owner, addr1, addr2] = await ethers.getSigners();
+    ({ plantCatalog, registry } = await deployRegistry());
+    observedAt = (await time.latest()) - 86400;
+  });
+
+  describe("Deployment", function () {
+    it("Should link the registry to the catalog", async function () {
+      expect(await registry.globalPlantCatalog()).to.equal(plantCatalog.target);
+      expect(await registry.occurrencesCount()).to.equal(0);
+    });
+
+    it("Should reject a missing catalog", async function () {
+      await expect(deployProxy("PlantOccurrenceRegistry", [ethers.ZeroAddress])).to.be.revertedWith(
+        "POR: Invalid catalog address"
+      );
+    });
+  });
+
+  describe("Geohashes", function () {
+    it("Should encode coordinates as the reference geohash", async function () {
+      expect(await registry.encodeGeohash(fixed(57.64911), fixed(10.40744), 11)).to.equal("u4pruydqqvj");
+      for (const place of [SAO_PAULO, BRASILIA, RIO]) {
+        expect(await registry.encodeGeohash(place.latitude, place.longitude, 9)).to.equal(place.geohash);
+      }
+      expect(await registry.encodeGeohash(0, 0, 5)).to.equal("s0000");
+      expect(await registry.encodeGeohash(fixed(-90), fixed(-180), 3)).to.equal("000");
+      expect(await registry.encodeGeohash(fixed(90), fixed(180), 3)).to.equal("zzz");
+    });
+
+    it("Should reject coordinates out of range and invalid precisions", async function () {
+      await expect(registry.encodeGeohash(fixed(90.000001), 0, 9)).to.be.revertedWith(
+        "POR: Latitude must be between -90 and 90"
+      );
+      await expect(registry.encodeGeohash(0, fixed(-180.000001), 9)).to.be.revertedWith(
+        "POR: Longitude must be between -180 and 180"
+      );
+      await expect(registry.encodeGeohash(0, 0, 0)).to.be.revertedWith("POR: Invalid geohash precision");
+      await expect(registry.encodeGeohash(0, 0, 13)).to.be.revertedWith("POR: Invalid geohash precision");
+    });
+  });
+
+  describe("Reporting Occurrences", function () {
+    it("Should report an occurrence with coordinates and compute its geohash", async function () {
+      await expect(
+        registry.connect(addr1).reportOccurrence(0, SAO_PAULO.latitude, SAO_PAULO.longitude, observedAt, EVIDENCE)
+      )
+        .to.emit(registry, "OccurrenceReported")
+        .withArgs(0, 0, addr1.address, SAO_PAULO.geohash);
+
+      const occurrence = await registry.getOccurrence(0);
+      expect(occurrence.plantId).to.equal(0);
+      expect(occurrence.reporter).to.equal(addr1.address);
+      expect(occurrence.geohash).to.equal(SAO_PAULO.geohash);
+      expect(occurrence.hasCoordinates).to.be.true;
+      expect(occurrence.latitude).to.equal(SAO_PAULO.latitude);
+      expect(occurrence.longitude).to.equal(SAO_PAULO.longitude);
+      expect(occurrence.observedAt).to.equal(observedAt);
+      expect(occurrence.evidenceCid).to.equal(EVIDENCE);
+      expect(await registry.occurrencesCount()).to.equal(1);
+    });
+
+    it("Should report an occurrence by geohash without coordinates", async function () {
+      await expect(registry.connect(addr2).reportOccurrenceByGeohash(1, "6gyf", observedAt, EVIDENCE))
+        .to.emit(registry, "OccurrenceReported")
+        .withArgs(0, 1, addr2.address, "6gyf");
+
+      const occurrence = await registry.getOccurrence(0);
+      expect(occurrence.geohash).to.equal("6gyf");
+      expect(occurrence.hasCoordinates).to.be.false;
+      expect(occurrence.latitude).to.equal(0);
+      expect(occurrence.longitude).to.equal(0);
+    });
+
+    it("Should reject plants missing from the catalog or marked as duplicates", async function () {
+      await expect(
+        registry.reportOccurrence(2, SAO_PAULO.latitude, SAO_PAULO.longitude, observedAt, EVIDENCE)
+      ).to.be.revertedWith("POR: Plant ID does not exist");
+
+      // Jatobá is added again and marked as a duplicate of the first entry.
+      await plantCatalog.addPlant("Jatobá", "Hymenaea courbaril L.", "Fabaceae", "A tree", "ipfs://jatoba");
+      await plantCatalog.proposeDuplicate(2, 1);
+      const quorum = Number(await plantCatalog.quorum());
+      for (const voter of (await ethers.getSigners()).slice(1, quorum)) {
+        await plantCatalog.connect(voter).voteOnDuplicate(0, true);
+      }
+      await expect(registry.reportOccurrenceByGeohash(2, "6gyf", observedAt, EVIDENCE)).to.be.revertedWith(
+        "POR: Plant is a duplicate, report its canonical plant"
+      );
+    });
+
+    it("Should reject invalid geohashes, dates and evidence", async function () {
+      for (const geohash of ["", "6GYF", "6gya", "6gyf4bf8m0000"]) {
+        await expect(registry.reportOccurrenceByGeohash(0, geohash, observedAt, EVIDENCE)).to.be.revertedWith(
+          "POR: Invalid geohash"
+        );
+      }
+      await expect(registry.reportOccurrenceByGeohash(0, "6gyf", 0, EVIDENCE)).to.be.revertedWith(
+        "POR: Observation date is required"
+      );
+      await expect(
+        registry.reportOccurrenceByGeohash(0, "6gyf", (await time.latest()) + 3600, EVIDENCE)
+      ).to.be.revertedWith("POR: Observation date cannot be in the future");
+      await expect(registry.reportOccurrenceByGeohash(0, "6gyf", observedAt, "")).to.be.revertedWith(
+        "POR: Evidence CID must be between 1 and 149 characters"
+      );
+      await expect(registry.getOccurrence(0)).to.be.revertedWith("POR: Occurrence ID does not exist");
+    });
+  });
+
+  describe("Views", function () {
+    beforeEach(async function () {
+      await registry.reportOccurrence(0, SAO_PAULO.latitude, SAO_PAULO.longitude, observedAt, EVIDENCE);
+      await registry.connect(addr1).reportOccurrence(1, BRASILIA.latitude, BRASILIA.longitude, observedAt, EVIDENCE);
+      await registry.connect(addr2).reportOccurrence(0, RIO.latitude, RIO.longitude, observedAt, EVIDENCE);
+      await registry.reportOccurrenceByGeohash(1, "6g", observedAt, EVIDENCE);
+    });
+
+    const ids = (occurrences) => occurrences.map((occurrence) => Number(occurrence.id));
+
+    it("Should list the occurrences of a plant", async function () {
+      expect(await registry.getPlantOccurrencesCount(0)).to.equal(2);
+      expect(ids(await registry.getPlantOccurrences(0, 0, 10))).to.deep.equal([0, 2]);
+      expect(ids(await registry.getPlantOccurrences(1, 1, 10))).to.deep.equal([3]);
+      await expect(registry.getPlantOccurrences(2, 0, 10)).to.be.revertedWith("POR: Plant ID does not exist");
+    });
+
+    it("Should list the occurrences inside a geohash prefix", async function () {
+      expect(ids(await registry.getGeohashOccurrences("6", 0, 10))).to.deep.equal([0, 1, 3]);
+      expect(ids(await registry.getGeohashOccurrences("6g", 0, 10))).to.deep.equal([0, 3]);
+      // The occurrence reported by "6g" covers a larger cell than "6gy".
+      expect(ids(await registry.getGeohashOccurrences("6gyf4b", 0, 10))).to.deep.equal([0]);
+      expect(ids(await registry.getGeohashOccurrences("7", 1, 10))).to.deep.equal([]);
+      expect(await registry.getGeohashOccurrencesCount("7")).to.equal(1);
+      expect(await registry.getGeohashOccurrencesCount("u")).to.equal(0);
+    });
+
+    it("Should reject geohash prefixes that are not indexed", async function () {
+      await expect(registry.getGeohashOccurrences("6gyf4bf", 0, 10)).to.be.revertedWith("POR: Invalid geohash prefix");
+      await expect(registry.getGeohashOccurrencesCount("")).to.be.revertedWith("POR: Invalid geohash prefix");
+      await expect(registry.getGeohashOccurrencesCount("6A")).to.be.revertedWith("POR: Invalid geohash prefix");
+    });
+  });
+
+  // Paginated listing shared with the catalogs, see `test/shared/paginated.js`.
+  describe("Listing", function () {
+    // Deploys the registry with three occurrences.
+    async function deployWithOccurrencesFixture() {
+      const { registry } = await deployRegistry();
+      const observedAt = (await time.latest()) - 86400;
+      for (const place of [SAO_PAULO, BRASILIA, RIO]) {
+        await registry.reportOccurrence(0, place.latitude, place.longitude, observedAt, EVIDENCE);
+      }
+
+      return { contract: registry };
+    }
+
+    shouldBehaveLikePaginated({ fixture: deployWithOccurrencesFixture, list: "getOccurrences", firstId: 0 });
+  });
+});
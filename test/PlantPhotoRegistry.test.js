@@ -0,0 +1,128 @@
+// Import the tools we need from Chai (for assertions) and Hardhat/Ethers.
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { deployPlantCatalog } = require("../scripts/shared/deployPlantCatalog");
+
+// The photo galleries of the GlobalPlantCatalog plants.
+describe("PlantPhotoRegistry", function () {
+  let plantCatalog;
+  let plantPhotoRegistry;
+  let owner, addr1, addr2;
+
+  // Deploys the catalog with its registries, letting anyone vote.
+  beforeEach(async function () {
+    [owner, addr1, addr2] = await ethers.getSigners();
+    ({ globalPlantCatalog: plantCatalog, plantPhotoRegistry } = await deployPlantCatalog(ethers.ZeroAddress));
+  });
+
+  describe("Deployment", function () {
+    it("Should be bound to the catalog that deployed it, once", async function () {
+      expect(await plantPhotoRegistry.globalPlantCatalog()).to.equal(plantCatalog.target);
+      await expect(plantPhotoRegistry.bindCatalog(plantCatalog.target)).to.be.revertedWith(
+        "PPR: Catalog already bound"
+      );
+    });
+  });
+
+  // A group of tests for the photo gallery of the plants.
+  describe("Gallery", function () {
+    const UPVOTE = 1;
+    const DOWNVOTE = 2;
+    const LEAF = 1;
+    const FLOWER = 2;
+
+    beforeEach(async function () {
+      await plantCatalog.addPlant("Ipê", "Handroanthus albus", "Bignoniaceae", "A tree", "ipfs://ipe");
+      await plantCatalog.addPlant("Jatobá", "Hymenaea courbaril", "Fabaceae", "A tree", "ipfs://jatoba");
+    });
+
+    it("Should add photos of any contributor to the gallery of a plant", async function () {
+      await expect(plantPhotoRegistry.connect(addr1).addPhoto(0, FLOWER, "ipfs://ipe-flower"))
+        .to.emit(plantPhotoRegistry, "PhotoAdded")
+        .withArgs(0, 0, addr1.address, FLOWER);
+      await plantPhotoRegistry.connect(addr2).addPhoto(1, LEAF, "ipfs://jatoba-leaf");
+      await plantPhotoRegistry.addPhoto(0, LEAF, "ipfs://ipe-leaf");
+
+      expect(await plantPhotoRegistry.getPlantPhotosCount(0)).to.equal(2);
+      const gallery = await plantPhotoRegistry.getPlantPhotos(0, 0, 10);
+      expect(gallery.map((photo) => [photo.id, photo.photoType, photo.photoHash, photo.contributor])).to.deep.equal([
+        [0, FLOWER, "ipfs://ipe-flower", addr1.address],
+        [2, LEAF, "ipfs://ipe-leaf", owner.address],
+      ]);
+      expect((await plantPhotoRegistry.getPlantPhotos(0, 1, 10)).map((photo) => photo.id)).to.deep.equal([2]);
+    });
+
+    it("Should make the best voted photo the primary photo of the plant", async function () {
+      await plantPhotoRegistry.addPhoto(0, FLOWER, "ipfs://ipe-flower");
+      await plantPhotoRegistry.addPhoto(0, LEAF, "ipfs://ipe-leaf");
+      expect(await plantPhotoRegistry.getPrimaryPhoto(0)).to.deep.equal([false, 0, "ipfs://ipe"]);
+
+      await plantPhotoRegistry.connect(addr1).voteOnPhoto(1, UPVOTE);
+      expect(await plantPhotoRegistry.getPrimaryPhoto(0)).to.deep.equal([true, 1, "ipfs://ipe-leaf"]);
+
+      // The flower photo takes the lead, then ties and the oldest photo is kept.
+      await plantPhotoRegistry.connect(addr1).voteOnPhoto(0, UPVOTE);
+      await plantPhotoRegistry.connect(addr2).voteOnPhoto(0, UPVOTE);
+      expect(await plantPhotoRegistry.getPrimaryPhoto(0)).to.deep.equal([true, 0, "ipfs://ipe-flower"]);
+      await plantPhotoRegistry.connect(addr2).voteOnPhoto(1, UPVOTE);
+      expect(await plantPhotoRegistry.getPrimaryPhoto(0)).to.deep.equal([true, 0, "ipfs://ipe-flower"]);
+
+      // Changed votes count once, and photos without a positive score fall back to the photo of the plant.
+      await plantPhotoRegistry.connect(addr1).voteOnPhoto(0, DOWNVOTE);
+      await plantPhotoRegistry.connect(addr2).voteOnPhoto(0, DOWNVOTE);
+      await plantPhotoRegistry.connect(addr1).voteOnPhoto(1, DOWNVOTE);
+      await plantPhotoRegistry.connect(addr2).voteOnPhoto(1, DOWNVOTE);
+      expect((await plantPhotoRegistry.getPhoto(0)).downvotes).to.equal(2);
+      expect(await plantPhotoRegistry.getPrimaryPhoto(0)).to.deep.equal([false, 0, "ipfs://ipe"]);
+    });
+
+    it("Should revert on invalid photos and votes", async function () {
+      await expect(plantPhotoRegistry.addPhoto(2, LEAF, "ipfs://photo")).to.be.revertedWith(
+        "PPR: Plant ID does not exist"
+      );
+      await expect(plantPhotoRegistry.addPhoto(0, LEAF, "")).to.be.revertedWith(
+        "String must be between 1 and 149 characters"
+      );
+      await expect(plantPhotoRegistry.addPhoto(0, 5, "ipfs://photo")).to.be.reverted;
+      await expect(plantPhotoRegistry.voteOnPhoto(0, UPVOTE)).to.be.revertedWith("PPR: Photo ID does not exist");
+      await expect(plantPhotoRegistry.getPlantPhotos(2, 0, 10)).to.be.revertedWith("PPR: Plant ID does not exist");
+
+      await plantPhotoRegistry.addPhoto(0, LEAF, "ipfs://photo");
+      await expect(plantPhotoRegistry.voteOnPhoto(0, 0)).to.be.revertedWith("PPR: Invalid vote type");
+    });
+
+    it("Should not add photos to duplicate plants", async function () {
+      const signers = await ethers.getSigners();
+      await plantCatalog.proposeDuplicate(1, 0);
+      for (const voter of signers.slice(10, 9 + Number(await plantCatalog.quorum()))) {
+        await plantCatalog.connect(voter).voteOnDuplicate(0, true);
+      }
+
+      await expect(plantPhotoRegistry.addPhoto(1, LEAF, "ipfs://photo")).to.be.revertedWith(
+        "PPR: Plant is a duplicate, add photos to its canonical plant"
+      );
+    });
+
+    describe("With a voter registry", function () {
+      let registry;
+
+      beforeEach(async function () {
+        registry = await (await ethers.getContractFactory("VoterEligibilityMock")).deploy();
+        ({ globalPlantCatalog: plantCatalog, plantPhotoRegistry } = await deployPlantCatalog(registry.target));
+        await plantCatalog.addPlant("Ipê", "Handroanthus albus", "Bignoniaceae", "A tree", "ipfs://ipe");
+        await plantPhotoRegistry.addPhoto(0, FLOWER, "ipfs://ipe-flower");
+      });
+
+      it("Should only take the votes of eligible voters", async function () {
+        await expect(plantPhotoRegistry.connect(addr1).voteOnPhoto(0, UPVOTE)).to.be.revertedWith(
+          "PPR: Voter is not eligible"
+        );
+
+        await registry.setEligible(addr1.address, true);
+        await expect(plantPhotoRegistry.connect(addr1).voteOnPhoto(0, UPVOTE))
+          .to.emit(plantPhotoRegistry, "PhotoVoted")
+          .withArgs(0, addr1.address, UPVOTE);
+      });
+    });
+  });
+});
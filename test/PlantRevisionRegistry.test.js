@@ -0,0 +1,273 @@
+// Import the tools we need from Chai (for assertions) and Hardhat/Ethers.
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { deployPlantCatalog } = require("../scripts/shared/deployPlantCatalog");
+
+// The revisions of the GlobalPlantCatalog plants proposed and voted by the community.
+describe("PlantRevisionRegistry", function () {
+  let plantCatalog;
+  let plantRevisionRegistry, plantTaxonomyRegistry;
+  let owner, addr1, addr2;
+
+  // Deploys the catalog with its registries, letting anyone vote. Revisions change the other registries too.
+  beforeEach(async function () {
+    [owner, addr1, addr2] = await ethers.getSigners();
+    ({
+      globalPlantCatalog: plantCatalog,
+      plantRevisionRegistry,
+      plantTaxonomyRegistry,
+    } = await deployPlantCatalog(ethers.ZeroAddress));
+  });
+
+  describe("Deployment", function () {
+    it("Should be bound to the catalog that deployed it, once", async function () {
+      expect(await plantRevisionRegistry.globalPlantCatalog()).to.equal(plantCatalog.target);
+      await expect(plantRevisionRegistry.bindCatalog(plantCatalog.target)).to.be.revertedWith(
+        "PRR: Catalog already bound"
+      );
+    });
+  });
+
+  // A group of tests for the revisions proposed and voted by the community.
+  describe("Revisions", function () {
+    const UPVOTE = 1;
+    const DOWNVOTE = 2;
+    const noRanks = {
+      kingdom: "",
+      phylum: "",
+      class: "",
+      order: "",
+      family: "",
+      genus: "",
+      species: "",
+      infraspecificRank: "",
+      infraspecificEpithet: "",
+    };
+    const ingaRanks = {
+      ...noRanks,
+      kingdom: "Plantae",
+      phylum: "Tracheophyta",
+      class: "Magnoliopsida",
+      order: "Fabales",
+      family: "Fabaceae",
+      genus: "Inga",
+      species: "edulis",
+    };
+    let signers;
+    let quorum;
+
+    // Fields of a revision of plant 0, starting from the fields it was added with.
+    const fields = (changes = {}) => ({
+      popularName: "Ingá",
+      scientificName: "Inga edulis",
+      taxonomy: "Fabaceae",
+      description: "A tree",
+      photoHash: "ipfs://photo",
+      ranks: noRanks,
+      agroforestry: { stratum: 0, successionalStage: 0 },
+      ...changes,
+    });
+
+    // Casts `count` votes of one type from accounts that did not vote yet.
+    async function castVotes(revisionId, voteType, count, first = 10) {
+      for (const voter of signers.slice(first, first + count)) {
+        await plantRevisionRegistry.connect(voter).voteOnRevision(revisionId, voteType);
+      }
+    }
+
+    beforeEach(async function () {
+      signers = await ethers.getSigners();
+      quorum = Number(await plantCatalog.quorum());
+
+      await plantCatalog.connect(addr1).addPlant("Ingá", "Inga edulis", "Fabaceae", "A tree", "ipfs://photo");
+      await plantCatalog.addPlant("Jatobá", "Hymenaea courbaril", "Fabaceae", "A tree", "ipfs://photo");
+    });
+
+    it("Should open a revision counting the proposer's positive vote", async function () {
+      const revision = fields({ description: "A nitrogen fixing tree" });
+
+      await expect(plantRevisionRegistry.connect(addr2).proposeRevision(0, revision))
+        .to.emit(plantRevisionRegistry, "RevisionProposed")
+        .withArgs(0, 0, addr2.address)
+        .and.to.emit(plantRevisionRegistry, "RevisionVoted")
+        .withArgs(0, addr2.address, UPVOTE);
+
+      const stored = await plantRevisionRegistry.getRevision(0);
+      expect(stored.plantId).to.equal(0);
+      expect(stored.baseVersion).to.equal(0);
+      expect(stored.fields.description).to.equal("A nitrogen fixing tree");
+      expect(stored.upvotes).to.equal(1);
+      expect(stored.quorum).to.equal(quorum);
+      expect(stored.status).to.equal(0); // Open
+      expect(await plantRevisionRegistry.revisionVotes(0, addr2.address)).to.equal(UPVOTE);
+      expect(await plantRevisionRegistry.getPlantRevisions(0)).to.deep.equal([0]);
+      expect((await plantCatalog.getPlant(0)).description).to.equal("A tree");
+      expect(await plantRevisionRegistry.getPlantHistory(0)).to.deep.equal([]);
+    });
+
+    it("Should revise the plant once its votes reach the quorum with a majority of positive votes", async function () {
+      await plantRevisionRegistry
+        .connect(addr2)
+        .proposeRevision(0, fields({ popularName: "Ingá-de-metro", ranks: ingaRanks }));
+      await castVotes(0, UPVOTE, quorum - 2);
+
+      await expect(plantRevisionRegistry.connect(signers[20]).voteOnRevision(0, UPVOTE))
+        .to.emit(plantRevisionRegistry, "RevisionResolved")
+        .withArgs(0, 0, 1) // Accepted
+        .and.to.emit(plantTaxonomyRegistry, "TaxonomicRanksSet")
+        .withArgs(0, addr2.address, Object.values(ingaRanks));
+
+      const plant = await plantCatalog.getPlant(0);
+      expect(plant.popularName).to.equal("Ingá-de-metro");
+      expect(plant.creator).to.equal(addr1.address);
+      expect((await plantTaxonomyRegistry.getTaxonomicRanks(0)).genus).to.equal("Inga");
+      expect(await plantTaxonomyRegistry.getPlantsCountByGenus("Inga")).to.equal(1);
+
+      // The history starts with the plant as it was added, by its creator.
+      const history = await plantRevisionRegistry.getPlantHistory(0);
+      expect(history.map((revision) => revision.fields.popularName)).to.deep.equal(["Ingá", "Ingá-de-metro"]);
+      expect(history[0].proposer).to.equal(addr1.address);
+      expect(history[0].status).to.equal(1);
+      expect(history[1].id).to.equal(0);
+    });
+
+    it("Should let voters change their vote", async function () {
+      await plantRevisionRegistry.proposeRevision(0, fields({ description: "Changed" }));
+      await plantRevisionRegistry.connect(addr1).voteOnRevision(0, DOWNVOTE);
+
+      await expect(plantRevisionRegistry.connect(addr1).voteOnRevision(0, UPVOTE))
+        .to.emit(plantRevisionRegistry, "RevisionVoted")
+        .withArgs(0, addr1.address, UPVOTE);
+      await expect(plantRevisionRegistry.connect(addr1).voteOnRevision(0, UPVOTE)).to.not.emit(
+        plantRevisionRegistry,
+        "RevisionVoted"
+      );
+
+      const revision = await plantRevisionRegistry.getRevision(0);
+      expect(revision.upvotes).to.equal(2);
+      expect(revision.downvotes).to.equal(0);
+    });
+
+    it("Should reject the revision once its votes reach the quorum without a majority of positive votes", async function () {
+      await plantRevisionRegistry.proposeRevision(0, fields({ description: "Wrong" }));
+      // The proposer's positive vote is outweighed.
+      await castVotes(0, DOWNVOTE, quorum - 1);
+
+      expect((await plantRevisionRegistry.getRevision(0)).status).to.equal(2); // Rejected
+      expect((await plantCatalog.getPlant(0)).description).to.equal("A tree");
+      await expect(plantRevisionRegistry.voteOnRevision(0, UPVOTE)).to.be.revertedWith(
+        "PRR: Proposal is already resolved"
+      );
+    });
+
+    it("Should outdate revisions proposed before another revision was accepted", async function () {
+      await plantRevisionRegistry.proposeRevision(0, fields({ description: "First" }));
+      await plantRevisionRegistry.connect(addr2).proposeRevision(0, fields({ description: "Second" }));
+      await castVotes(0, UPVOTE, quorum - 1);
+      await castVotes(1, UPVOTE, quorum - 1);
+
+      expect((await plantRevisionRegistry.getRevision(1)).status).to.equal(3); // Outdated
+      expect((await plantCatalog.getPlant(0)).description).to.equal("First");
+      expect(await plantRevisionRegistry.getPlantRevisions(0)).to.deep.equal([0, 1]);
+
+      // A revision of the current version applies. Revision 2 is the plant as it was added.
+      await plantRevisionRegistry.connect(addr2).proposeRevision(0, fields({ description: "Third" }));
+      expect((await plantRevisionRegistry.getRevision(3)).baseVersion).to.equal(2);
+      await castVotes(3, UPVOTE, quorum - 1);
+      expect(
+        (await plantRevisionRegistry.getPlantHistory(0)).map((revision) => revision.fields.description)
+      ).to.deep.equal(["A tree", "First", "Third"]);
+    });
+
+    it("Should move the scientific name of the plant to the revised one", async function () {
+      await expect(
+        plantRevisionRegistry.proposeRevision(0, fields({ scientificName: "hymenaea  courbaril" }))
+      ).to.be.revertedWith("PRR: Scientific name already registered");
+
+      await plantRevisionRegistry.proposeRevision(0, fields({ scientificName: "Inga edulis Mart." }));
+      await castVotes(0, UPVOTE, quorum - 1);
+
+      expect((await plantCatalog.getPlantByScientificName("inga edulis mart.")).id).to.equal(0);
+      await expect(plantCatalog.getPlantByScientificName("Inga edulis")).to.be.revertedWith(
+        "GPC: Scientific name not found"
+      );
+      await expect(plantCatalog.addPlant("Ingá", "Inga edulis", "Fabaceae", "A tree", "ipfs://photo")).to.not.be
+        .reverted;
+    });
+
+    it("Should only change the ranks of revised plants through revisions", async function () {
+      await plantRevisionRegistry.proposeRevision(0, fields({ description: "Changed" }));
+      await castVotes(0, UPVOTE, quorum - 1);
+
+      await expect(plantTaxonomyRegistry.connect(addr1).setTaxonomicRanks(0, ingaRanks)).to.be.revertedWith(
+        "PTR: Plant was revised, propose a revision instead"
+      );
+    });
+
+    it("Should revert on invalid revisions and votes", async function () {
+      await expect(plantRevisionRegistry.proposeRevision(2, fields())).to.be.revertedWith(
+        "PRR: Plant ID does not exist"
+      );
+      await expect(plantRevisionRegistry.proposeRevision(0, fields({ popularName: "" }))).to.be.revertedWith(
+        "String must be between 1 and 49 characters"
+      );
+      await expect(
+        plantRevisionRegistry.proposeRevision(0, fields({ ranks: { ...noRanks, genus: "Inga" } }))
+      ).to.be.revertedWith("PTR: Taxonomic ranks must be between 1 and 49 characters");
+      await expect(plantRevisionRegistry.voteOnRevision(0, UPVOTE)).to.be.revertedWith(
+        "PRR: Revision ID does not exist"
+      );
+
+      await plantRevisionRegistry.proposeRevision(0, fields());
+      await expect(plantRevisionRegistry.voteOnRevision(0, 0)).to.be.revertedWith("PRR: Invalid vote type");
+    });
+
+    it("Should not revise duplicate plants", async function () {
+      await plantCatalog.proposeDuplicate(0, 1);
+      for (const voter of signers.slice(10, 9 + Number(await plantCatalog.quorum()))) {
+        await plantCatalog.connect(voter).voteOnDuplicate(0, true);
+      }
+
+      await expect(plantRevisionRegistry.proposeRevision(0, fields())).to.be.revertedWith(
+        "PRR: Plant is a duplicate, edit its canonical plant"
+      );
+    });
+
+    describe("With a voter registry", function () {
+      let registry;
+
+      beforeEach(async function () {
+        registry = await (await ethers.getContractFactory("VoterEligibilityMock")).deploy();
+        ({ globalPlantCatalog: plantCatalog, plantRevisionRegistry } = await deployPlantCatalog(registry.target));
+        await plantCatalog.addPlant("Ingá", "Inga edulis", "Fabaceae", "A tree", "ipfs://photo");
+        await registry.setEligible(owner.address, true);
+        await registry.setEligible(addr1.address, true);
+      });
+
+      it("Should only take the revisions and votes of eligible voters", async function () {
+        await expect(plantRevisionRegistry.connect(addr2).proposeRevision(0, fields())).to.be.revertedWith(
+          "PRR: Voter is not eligible"
+        );
+
+        await plantRevisionRegistry.proposeRevision(0, fields({ description: "Changed" }));
+        await expect(plantRevisionRegistry.connect(addr2).voteOnRevision(0, UPVOTE)).to.be.revertedWith(
+          "PRR: Voter is not eligible"
+        );
+      });
+
+      it("Should resolve revisions with the quorum of the eligible voters when they were proposed", async function () {
+        // Two eligible voters are fewer than MIN_QUORUM, so both of them resolve the revision.
+        await plantRevisionRegistry.proposeRevision(0, fields({ description: "First" }));
+        await registry.setEligible(addr2.address, true);
+        await plantRevisionRegistry.proposeRevision(0, fields({ description: "Second" }));
+        expect((await plantRevisionRegistry.getRevision(0)).quorum).to.equal(2);
+        expect((await plantRevisionRegistry.getRevision(1)).quorum).to.equal(3);
+
+        await expect(plantRevisionRegistry.connect(addr1).voteOnRevision(0, UPVOTE))
+          .to.emit(plantRevisionRegistry, "RevisionResolved")
+          .withArgs(0, 0, 1); // Accepted
+        expect((await plantCatalog.getPlant(0)).description).to.equal("First");
+      });
+    });
+  });
+});
@@ -0,0 +1,130 @@
+// Import the tools we need from Chai (for assertions) and Hardhat/Ethers.
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { deployPlantCatalog } = require("../scripts/shared/deployPlantCatalog");
+
+// The taxonomic ranks of the GlobalPlantCatalog plants and the family and genus indexes.
+describe("PlantTaxonomyRegistry", function () {
+  let plantCatalog;
+  let plantTaxonomyRegistry;
+  let owner, addr1, addr2;
+
+  // Deploys the catalog with its registries, letting anyone vote.
+  beforeEach(async function () {
+    [owner, addr1, addr2] = await ethers.getSigners();
+    ({ globalPlantCatalog: plantCatalog, plantTaxonomyRegistry } = await deployPlantCatalog(ethers.ZeroAddress));
+  });
+
+  describe("Deployment", function () {
+    it("Should be bound to the catalog that deployed it, once", async function () {
+      expect(await plantTaxonomyRegistry.globalPlantCatalog()).to.equal(plantCatalog.target);
+      await expect(plantTaxonomyRegistry.bindCatalog(plantCatalog.target)).to.be.revertedWith(
+        "PTR: Catalog already bound"
+      );
+    });
+  });
+
+  // A group of tests for the structured taxonomic ranks and the family and genus indexes.
+  describe("Taxonomic Ranks", function () {
+    const ranks = (family, genus, species, infraspecificRank = "", infraspecificEpithet = "") => ({
+      kingdom: "Plantae",
+      phylum: "Tracheophyta",
+      class: "Magnoliopsida",
+      order: "Fabales",
+      family,
+      genus,
+      species,
+      infraspecificRank,
+      infraspecificEpithet,
+    });
+    const ids = (plants) => plants.map((plant) => Number(plant.id)).sort();
+
+    beforeEach(async function () {
+      await plantCatalog.addPlant("Jatobá", "Hymenaea courbaril", "Fabaceae", "...", "...");
+      await plantCatalog.addPlant("Ingá", "Inga edulis", "Fabaceae", "...", "...");
+      await plantCatalog.addPlant("Ingá-cipó", "Inga vera", "Fabaceae", "...", "...");
+      await plantCatalog.connect(addr1).addPlant("Ipê", "Handroanthus albus", "Bignoniaceae", "...", "...");
+    });
+
+    it("Should store the ranks of a plant and emit an event", async function () {
+      const jatoba = ranks("Fabaceae", "Hymenaea", "courbaril", "var.", "stilbocarpa");
+
+      await expect(plantTaxonomyRegistry.setTaxonomicRanks(0, jatoba))
+        .to.emit(plantTaxonomyRegistry, "TaxonomicRanksSet")
+        .withArgs(0, owner.address, Object.values(jatoba));
+
+      const stored = await plantTaxonomyRegistry.getTaxonomicRanks(0);
+      expect(stored.class).to.equal("Magnoliopsida");
+      expect(stored.genus).to.equal("Hymenaea");
+      expect(stored.infraspecificEpithet).to.equal("stilbocarpa");
+      expect((await plantTaxonomyRegistry.getTaxonomicRanks(1)).genus).to.equal("");
+    });
+
+    it("Should list plants by family and genus, in any letter case", async function () {
+      await plantTaxonomyRegistry.setTaxonomicRanks(0, ranks("Fabaceae", "Hymenaea", "courbaril"));
+      await plantTaxonomyRegistry.setTaxonomicRanks(1, ranks("Fabaceae", "Inga", "edulis"));
+      await plantTaxonomyRegistry.setTaxonomicRanks(2, ranks("fabaceae", "inga", "vera"));
+
+      expect(ids(await plantTaxonomyRegistry.getPlantsByFamily("FABACEAE", 0, 10))).to.deep.equal([0, 1, 2]);
+      expect(ids(await plantTaxonomyRegistry.getPlantsByGenus("Inga", 0, 10))).to.deep.equal([1, 2]);
+      expect(await plantTaxonomyRegistry.getPlantsCountByGenus(" inga ")).to.equal(2);
+      expect(await plantTaxonomyRegistry.getPlantsByGenus("Inga", 1, 10)).to.have.lengthOf(1);
+      expect(await plantTaxonomyRegistry.getPlantsByFamily("Bignoniaceae", 0, 10)).to.deep.equal([]);
+    });
+
+    it("Should browse the families and their genera as a tree", async function () {
+      await plantTaxonomyRegistry.setTaxonomicRanks(0, ranks("Fabaceae", "Hymenaea", "courbaril"));
+      await plantTaxonomyRegistry.setTaxonomicRanks(1, ranks("Fabaceae", "Inga", "edulis"));
+      await plantTaxonomyRegistry.setTaxonomicRanks(2, ranks("fabaceae", "inga", "vera"));
+      await plantTaxonomyRegistry.connect(addr1).setTaxonomicRanks(3, {
+        ...ranks("Bignoniaceae", "Handroanthus", "albus"),
+        order: "Lamiales",
+      });
+
+      // Names keep the spelling of the first plant that used them.
+      expect(await plantTaxonomyRegistry.getFamilies()).to.deep.equal(["Fabaceae", "Bignoniaceae"]);
+      expect(await plantTaxonomyRegistry.getGenera("fabaceae")).to.deep.equal(["Hymenaea", "Inga"]);
+      expect(await plantTaxonomyRegistry.getGenera("Bignoniaceae")).to.deep.equal(["Handroanthus"]);
+      expect(await plantTaxonomyRegistry.getGenera("Myrtaceae")).to.deep.equal([]);
+    });
+
+    it("Should move a plant to its new family and genus when its ranks change", async function () {
+      await plantTaxonomyRegistry.setTaxonomicRanks(0, ranks("Fabaceae", "Hymenaea", "courbaril"));
+      await plantTaxonomyRegistry.setTaxonomicRanks(1, ranks("Fabaceae", "Inga", "edulis"));
+      await plantTaxonomyRegistry.setTaxonomicRanks(2, ranks("Fabaceae", "Inga", "vera"));
+
+      await plantTaxonomyRegistry.setTaxonomicRanks(1, ranks("Mimosaceae", "Inga", "edulis"));
+
+      expect(ids(await plantTaxonomyRegistry.getPlantsByFamily("Fabaceae", 0, 10))).to.deep.equal([0, 2]);
+      expect(ids(await plantTaxonomyRegistry.getPlantsByFamily("Mimosaceae", 0, 10))).to.deep.equal([1]);
+      expect(ids(await plantTaxonomyRegistry.getPlantsByGenus("Inga", 0, 10))).to.deep.equal([1, 2]);
+      expect(await plantTaxonomyRegistry.getFamilies()).to.deep.equal(["Fabaceae", "Mimosaceae"]);
+
+      // Moving the plant back keeps the indexes without repeated IDs.
+      await plantTaxonomyRegistry.setTaxonomicRanks(1, ranks("Fabaceae", "Inga", "edulis"));
+      expect(ids(await plantTaxonomyRegistry.getPlantsByFamily("Fabaceae", 0, 10))).to.deep.equal([0, 1, 2]);
+      expect(await plantTaxonomyRegistry.getPlantsCountByFamily("Mimosaceae")).to.equal(0);
+    });
+
+    it("Should only let the creator of the plant set its ranks", async function () {
+      await expect(
+        plantTaxonomyRegistry.connect(addr1).setTaxonomicRanks(0, ranks("Fabaceae", "Hymenaea", "courbaril"))
+      ).to.be.revertedWith("PTR: Only the creator can set the taxonomic ranks");
+      await expect(
+        plantTaxonomyRegistry.setTaxonomicRanks(4, ranks("Fabaceae", "Hymenaea", "courbaril"))
+      ).to.be.revertedWith("PTR: Plant ID does not exist");
+    });
+
+    it("Should revert on missing or too long ranks", async function () {
+      await expect(plantTaxonomyRegistry.setTaxonomicRanks(0, ranks("Fabaceae", "", "courbaril"))).to.be.revertedWith(
+        "PTR: Taxonomic ranks must be between 1 and 49 characters"
+      );
+      await expect(
+        plantTaxonomyRegistry.setTaxonomicRanks(0, ranks("Fabaceae", "Hymenaea", "c".repeat(50)))
+      ).to.be.revertedWith("PTR: Taxonomic ranks must be between 1 and 49 characters");
+      await expect(
+        plantTaxonomyRegistry.setTaxonomicRanks(0, ranks("Fabaceae", "Hymenaea", "courbaril", "var."))
+      ).to.be.revertedWith("PTR: Infraspecific rank and epithet go together");
+    });
+  });
+});
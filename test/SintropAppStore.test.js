@@ -2,27 +2,23 @@
 // `ethers` is the library Hardhat uses to interact with contracts.
 const { expect } = require("chai");
 const { ethers } = require("hardhat");
+const { shouldBehaveLikeVotable } = require("./shared/votable");
+const { shouldBehaveLikePaginated } = require("./shared/paginated");
+const { shouldRequireEligibleVoters } = require("./shared/eligibleVoters");
+const { deployProxy } = require("../scripts/shared/deployProxy");
 
 // The main block that groups all tests for the "SintropAppStore" contract.
 describe("SintropAppStore", function () {
   // Declare variables that we will use across multiple tests.
   let SintropAppStore;
   let sintropAppStore;
-  let owner, addr1, addr2;
-
-  // VoteType enum corresponding to the one in the Solidity contract.
-  // This makes tests more readable.
-  const VoteType = {
-    None: 0,
-    Positive: 1,
-    Negative: 2,
-  };
+  let owner;
 
   // `beforeEach` block runs before EACH `it()` test.
   // It's the perfect place to deploy the contract, ensuring a clean state for each test.
   beforeEach(async function () {
     // Get the test accounts provided by Hardhat.
-    [owner, addr1, addr2] = await ethers.getSigners();
+    [owner] = await ethers.getSigners();
 
     // Get the contract factory (the "blueprint" for our contract).
     SintropAppStore = await ethers.getContractFactory("SintropAppStore");
@@ -140,92 +136,70 @@ describe("SintropAppStore", function () {
     });
   });
 
-  // Second group of tests: focused on the voting functionality.
+  // Voting and sustainability behaviour shared with the other votable apps, see `test/shared/votable.js`.
   describe("Voting", function () {
-    // Before each voting test, we register an app to have something to vote on.
-    beforeEach(async function () {
+    // Deploys the contract with one ImpactApp to vote on.
+    async function deployWithImpactAppFixture() {
+      const [owner] = await ethers.getSigners();
+      const sintropAppStore = await (await ethers.getContractFactory("SintropAppStore")).deploy();
       await sintropAppStore.registerImpactApp("VoteApp", "Desc", "icon", "repo", "link", [owner.address]);
-    });
-
-    it("Should allow a user to cast a positive vote for the first time", async function () {
-      // We use `connect(addr1)` to make the call from the perspective of `addr1`.
-      await expect(sintropAppStore.connect(addr1).voteForImpactApp(1, VoteType.Positive))
-        .to.emit(sintropAppStore, "ImpactAppVoted")
-        .withArgs(1, addr1.address, VoteType.Positive);
-
-      const app = await sintropAppStore.getImpactApp(1);
-      expect(app.positiveVotes).to.equal(1);
-      expect(app.negativeVotes).to.equal(0);
 
-      // We check if the user's vote was recorded correctly.
-      const userVote = await sintropAppStore.impactAppVotes(1, addr1.address);
-      expect(userVote).to.equal(VoteType.Positive);
+      // ImpactApp IDs start at 1, so both 0 and the next ID do not exist.
+      return { contract: sintropAppStore, entryId: 1, missingIds: [0, 2, 999] };
+    }
+
+    shouldBehaveLikeVotable({
+      fixture: deployWithImpactAppFixture,
+      vote: "voteForImpactApp",
+      userVote: "impactAppVotes",
+      counts: async (contract, id) => {
+        const impactApp = await contract.getImpactApp(id);
+        return [impactApp.positiveVotes, impactApp.negativeVotes];
+      },
+      isPositive: "isImpactApp",
+      votedEvent: "ImpactAppVoted",
+      errors: { invalidId: "Invalid ImpactApp ID.", invalidVoteType: "Invalid vote type." },
     });
+  });
 
-    it("Should allow a user to change their vote from positive to negative", async function () {
-      // First, addr1 casts a positive vote.
-      await sintropAppStore.connect(addr1).voteForImpactApp(1, VoteType.Positive);
-      let app = await sintropAppStore.getImpactApp(1);
-      expect(app.positiveVotes).to.equal(1);
-
-      // Now, addr1 changes their vote to negative.
-      await sintropAppStore.connect(addr1).voteForImpactApp(1, VoteType.Negative);
-      app = await sintropAppStore.getImpactApp(1);
-
-      // We check if the counts were adjusted correctly.
-      expect(app.positiveVotes).to.equal(0);
-      expect(app.negativeVotes).to.equal(1);
-
-      const userVote = await sintropAppStore.impactAppVotes(1, addr1.address);
-      expect(userVote).to.equal(VoteType.Negative);
+  // Votes restricted to the accounts of a voter registry, see `test/shared/eligibleVoters.js`.
+  describe("Eligible voters", function () {
+    shouldRequireEligibleVoters({
+      deploy: async (voterEligibility) => {
+        const sintropAppStore = await deployProxy("SintropAppStore", [voterEligibility]);
+        const [owner] = await ethers.getSigners();
+        await sintropAppStore.registerImpactApp("VoteApp", "Desc", "icon", "repo", "link", [owner.address]);
+
+        return { contract: sintropAppStore, entryId: 1 };
+      },
+      vote: "voteForImpactApp",
+      userVote: "impactAppVotes",
+      votedEvent: "ImpactAppVoted",
+      error: "Voter is not eligible.",
     });
+  });
 
-    it("Should not change vote counts if voting with the same type again", async function () {
-      // addr1 casts a positive vote.
-      await sintropAppStore.connect(addr1).voteForImpactApp(1, VoteType.Positive);
-      let app = await sintropAppStore.getImpactApp(1);
-      expect(app.positiveVotes).to.equal(1);
-
-      // Try to vote positive again. The transaction will succeed, but it should not emit an event or change the state.
-      await expect(sintropAppStore.connect(addr1).voteForImpactApp(1, VoteType.Positive)).to.not.emit(
-        sintropAppStore,
-        "ImpactAppVoted"
-      );
-
-      app = await sintropAppStore.getImpactApp(1);
-      // The count should remain the same.
-      expect(app.positiveVotes).to.equal(1);
-    });
+  // Paginated listing shared with the other catalogs, see `test/shared/paginated.js`.
+  describe("Listing", function () {
+    // Deploys the contract with three ImpactApps.
+    async function deployWithImpactAppsFixture() {
+      const [owner] = await ethers.getSigners();
+      const sintropAppStore = await (await ethers.getContractFactory("SintropAppStore")).deploy();
+      for (const name of ["First", "Second", "Third"]) {
+        await sintropAppStore.registerImpactApp(name, "Desc", "icon", "repo", "link", [owner.address]);
+      }
 
-    it("Should revert for an invalid ImpactApp ID", async function () {
-      await expect(sintropAppStore.voteForImpactApp(999, VoteType.Positive)).to.be.revertedWith(
-        "Invalid ImpactApp ID."
-      );
-    });
-  });
+      return { contract: sintropAppStore };
+    }
 
-  // Third group of tests: focused on the sustainability logic.
-  describe("Sustainability Status", function () {
-    beforeEach(async function () {
-      await sintropAppStore.registerImpactApp("StatusApp", "Desc", "icon", "repo", "link", [owner.address]);
-    });
+    shouldBehaveLikePaginated({ fixture: deployWithImpactAppsFixture, list: "getImpactApps", firstId: 1 });
 
-    it("Should not be sustainable initially (0 votes)", async function () {
-      // 0 > 0 is false.
-      expect(await sintropAppStore.isImpactApp(1)).to.be.false;
-    });
+    it("getImpactApps() should return the contract addresses of each ImpactApp", async function () {
+      const { contract } = await deployWithImpactAppsFixture();
 
-    it("Should be sustainable if positive votes are greater than negative votes", async function () {
-      await sintropAppStore.connect(addr1).voteForImpactApp(1, VoteType.Positive);
-      // 1 > 0 is true.
-      expect(await sintropAppStore.isImpactApp(1)).to.be.true;
-    });
+      const [first] = await contract.getImpactApps(0, 1);
 
-    it("Should not be sustainable if votes are equal", async function () {
-      await sintropAppStore.connect(addr1).voteForImpactApp(1, VoteType.Positive);
-      await sintropAppStore.connect(addr2).voteForImpactApp(1, VoteType.Negative);
-      // 1 > 1 is false.
-      expect(await sintropAppStore.isImpactApp(1)).to.be.false;
+      expect(first.contractAddresses).to.deep.equal([owner.address]);
     });
   });
 });
@@ -0,0 +1,261 @@
+// Import the tools we need from Chai (for assertions) and Hardhat/Ethers.
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { deployProxy } = require("../scripts/shared/deployProxy");
+const { deployPlantCatalog } = require("../scripts/shared/deployPlantCatalog");
+const { shouldBehaveLikeVotable } = require("./shared/votable");
+const { shouldBehaveLikePaginated } = require("./shared/paginated");
+
+// Values of the EntryType and VoteType enums.
+const PLANT = 0;
+const CONTENT = 1;
+const UPVOTE = 1;
+const DOWNVOTE = 2;
+
+// The main `describe` block groups all tests for the "TranslationCenter" contract.
+describe("TranslationCenter", function () {
+  let plantCatalog;
+  let educationCenter;
+  let translationCenter;
+  let owner, addr1, addr2, addr3;
+
+  // The center translates a catalog with a Jatobá and an education center with one content, whose ID is 1.
+  async function deployTranslationCenter() {
+    const plantCatalog = await (await ethers.getContractFactory("GlobalPlantCatalog")).deploy();
+    await plantCatalog.addPlant("Jatoba tree", "Hymenaea courbaril", "Fabaceae", "A tall tree", "ipfs://jatoba");
+    const educationCenter = await (await ethers.getContractFactory("FreeEducationCenter")).deploy();
+    await educationCenter.addContent("Syntropic farming", "How to start", "ipfs://course", "");
+    const translationCenter = await deployProxy("TranslationCenter", [plantCatalog.target, educationCenter.target]);
+
+    return { plantCatalog, educationCenter, translationCenter };
+  }
+
+  beforeEach(async function () {
+    [owner, addr1, addr2, addr3] = await ethers.getSigners();
+    ({ plantCatalog, educationCenter, translationCenter } = await deployTranslationCenter());
+  });
+
+  describe("Deployment", function () {
+    it("Should link the center to the catalog and the education center", async function () {
+      expect(await translationCenter.globalPlantCatalog()).to.equal(plantCatalog.target);
+      expect(await translationCenter.freeEducationCenter()).to.equal(educationCenter.target);
+      expect(await translationCenter.translationsCount()).to.equal(0);
+    });
+
+    it("Should reject missing apps", async function () {
+      await expect(deployProxy("TranslationCenter", [ethers.ZeroAddress, educationCenter.target])).to.be.revertedWith(
+        "TC: Invalid catalog address"
+      );
+      await expect(deployProxy("TranslationCenter", [plantCatalog.target, ethers.ZeroAddress])).to.be.revertedWith(
+        "TC: Invalid education center address"
+      );
+    });
+  });
+
+  describe("Adding Translations", function () {
+    it("Should translate a plant and emit an event", async function () {
+      await expect(translationCenter.connect(addr1).addTranslation(PLANT, 0, "pt-BR", "Jatobá", "Uma árvore alta"))
+        .to.emit(translationCenter, "TranslationAdded")
+        .withArgs(0, 0, addr1.address, PLANT, "pt-BR");
+
+      const translation = await translationCenter.getTranslation(0);
+      expect(translation.entryType).to.equal(PLANT);
+      expect(translation.entryId).to.equal(0);
+      expect(translation.language).to.equal("pt-BR");
+      expect(translation.name).to.equal("Jatobá");
+      expect(translation.description).to.equal("Uma árvore alta");
+      expect(translation.translator).to.equal(addr1.address);
+      expect(await translationCenter.translationsCount()).to.equal(1);
+    });
+
+    it("Should translate a content", async function () {
+      await translationCenter.addTranslation(CONTENT, 1, "es", "Agricultura sintrópica", "Cómo empezar");
+
+      const translation = await translationCenter.getTranslation(0);
+      expect(translation.entryType).to.equal(CONTENT);
+      expect(translation.entryId).to.equal(1);
+      expect(await translationCenter.getEntryLanguages(CONTENT, 1)).to.deep.equal(["es"]);
+    });
+
+    it("Should only accept language codes such as pt, es, pt-BR or nhe", async function () {
+      for (const language of ["", "p", "PT", "pt-br", "pt_BR", "pt-BRA", "ptbr", "-BR", "port"]) {
+        await expect(translationCenter.addTranslation(PLANT, 0, language, "Jatobá", "Uma árvore")).to.be.revertedWith(
+          "TC: Invalid language code"
+        );
+      }
+      await translationCenter.addTranslation(PLANT, 0, "nhe", "Jatoba", "Nahuatl");
+      await translationCenter.addTranslation(PLANT, 0, "es-MX", "Jatoba", "Un árbol");
+    });
+
+    it("Should reject entries that do not exist", async function () {
+      await expect(translationCenter.addTranslation(PLANT, 1, "pt", "Jatobá", "Uma árvore")).to.be.revertedWith(
+        "TC: Plant ID does not exist"
+      );
+      for (const contentId of [0, 2]) {
+        await expect(
+          translationCenter.addTranslation(CONTENT, contentId, "pt", "Curso", "Como começar")
+        ).to.be.revertedWith("TC: Content ID does not exist");
+      }
+    });
+
+    it("Should reject duplicate plants and retracted contents", async function () {
+      // Jatobá is added again and marked as a duplicate of the first entry.
+      await plantCatalog.addPlant("Jatoba", "Hymenaea courbaril L.", "Fabaceae", "A tree", "ipfs://jatoba");
+      await plantCatalog.proposeDuplicate(1, 0);
+      const quorum = Number(await plantCatalog.quorum());
+      for (const voter of (await ethers.getSigners()).slice(1, quorum)) {
+        await plantCatalog.connect(voter).voteOnDuplicate(0, true);
+      }
+      await educationCenter.retractContent(1);
+
+      await expect(translationCenter.addTranslation(PLANT, 1, "pt", "Jatobá", "Uma árvore")).to.be.revertedWith(
+        "TC: Plant is a duplicate, translate its canonical plant"
+      );
+      await expect(translationCenter.addTranslation(CONTENT, 1, "pt", "Curso", "Como começar")).to.be.revertedWith(
+        "TC: Content was retracted"
+      );
+    });
+
+    it("Should apply the length limits of the original entries", async function () {
+      await expect(translationCenter.addTranslation(PLANT, 0, "pt", "", "Uma árvore")).to.be.revertedWith(
+        "TC: Name must be between 1 and 49 characters"
+      );
+      await expect(translationCenter.addTranslation(CONTENT, 1, "pt", "a".repeat(50), "Curso")).to.be.revertedWith(
+        "TC: Name must be between 1 and 49 characters"
+      );
+      await expect(translationCenter.addTranslation(PLANT, 0, "pt", "Jatobá", "a".repeat(300))).to.be.revertedWith(
+        "TC: Description must be between 1 and 299 characters"
+      );
+      await expect(translationCenter.addTranslation(CONTENT, 1, "pt", "Curso", "")).to.be.revertedWith(
+        "TC: Description must be between 1 and 499 characters"
+      );
+      await translationCenter.addTranslation(CONTENT, 1, "pt", "Curso", "a".repeat(499));
+    });
+  });
+
+  describe("Localized Views", function () {
+    beforeEach(async function () {
+      await translationCenter.connect(addr1).addTranslation(PLANT, 0, "pt-BR", "Jatobá", "Uma árvore alta");
+      await translationCenter.connect(addr2).addTranslation(PLANT, 0, "pt-BR", "Jataí", "Árvore do cerrado");
+      await translationCenter.connect(addr1).addTranslation(PLANT, 0, "es", "Algarrobo", "Un árbol alto");
+      await translationCenter.addTranslation(CONTENT, 1, "pt", "Agricultura sintrópica", "Como começar");
+    });
+
+    const ids = (translations) => translations.map((translation) => Number(translation.id));
+
+    it("Should list the languages and the translations of an entry", async function () {
+      expect(await translationCenter.getEntryLanguages(PLANT, 0)).to.deep.equal(["pt-BR", "es"]);
+      expect(await translationCenter.getEntryLanguages(CONTENT, 1)).to.deep.equal(["pt"]);
+      expect(await translationCenter.getEntryTranslationsCount(PLANT, 0, "pt-BR")).to.equal(2);
+      expect(ids(await translationCenter.getEntryTranslations(PLANT, 0, "pt-BR", 0, 10))).to.deep.equal([0, 1]);
+      expect(ids(await translationCenter.getEntryTranslations(PLANT, 0, "pt-BR", 1, 10))).to.deep.equal([1]);
+      expect(ids(await translationCenter.getEntryTranslations(PLANT, 0, "en", 0, 10))).to.deep.equal([]);
+      await expect(translationCenter.getEntryLanguages(CONTENT, 2)).to.be.revertedWith("TC: Content ID does not exist");
+    });
+
+    it("Should serve the best voted translation, the earliest on ties", async function () {
+      expect(await translationCenter.getBestTranslation(PLANT, 0, "pt-BR")).to.deep.equal([true, 0n]);
+
+      await translationCenter.connect(addr3).vote(1, UPVOTE);
+      expect(await translationCenter.getBestTranslation(PLANT, 0, "pt-BR")).to.deep.equal([true, 1n]);
+
+      await translationCenter.connect(addr3).vote(1, DOWNVOTE);
+      expect(await translationCenter.getBestTranslation(PLANT, 0, "pt-BR")).to.deep.equal([true, 0n]);
+    });
+
+    it("Should never serve translations with more negative than positive votes", async function () {
+      await translationCenter.connect(addr3).vote(0, DOWNVOTE);
+      await translationCenter.connect(addr3).vote(1, DOWNVOTE);
+
+      expect(await translationCenter.getBestTranslation(PLANT, 0, "pt-BR")).to.deep.equal([false, 0n]);
+      const [plant, translated] = await translationCenter.getLocalizedPlant(0, "pt-BR");
+      expect(translated).to.be.false;
+      expect(plant.popularName).to.equal("Jatoba tree");
+    });
+
+    it("Should return a plant in the requested language, falling back to the original", async function () {
+      const [plant, translated] = await translationCenter.getLocalizedPlant(0, "es");
+      expect(translated).to.be.true;
+      expect(plant.popularName).to.equal("Algarrobo");
+      expect(plant.description).to.equal("Un árbol alto");
+      expect(plant.scientificName).to.equal("Hymenaea courbaril");
+
+      const [original, originalTranslated] = await translationCenter.getLocalizedPlant(0, "en");
+      expect(originalTranslated).to.be.false;
+      expect(original.popularName).to.equal("Jatoba tree");
+      expect(original.description).to.equal("A tall tree");
+      await expect(translationCenter.getLocalizedPlant(1, "es")).to.be.revertedWith("Plant ID does not exist");
+      await expect(translationCenter.getLocalizedPlant(0, "spanish")).to.be.revertedWith("TC: Invalid language code");
+    });
+
+    it("Should return a content in the requested language, falling back to the original", async function () {
+      const [content, translated] = await translationCenter.getLocalizedContent(1, "pt");
+      expect(translated).to.be.true;
+      expect(content.title).to.equal("Agricultura sintrópica");
+      expect(content.description).to.equal("Como começar");
+      expect(content.url).to.equal("ipfs://course");
+
+      // Regional translations are not served for the language alone, nor the other way around.
+      const [original, originalTranslated] = await translationCenter.getLocalizedContent(1, "pt-BR");
+      expect(originalTranslated).to.be.false;
+      expect(original.title).to.equal("Syntropic farming");
+    });
+  });
+
+  describe("Voting", function () {
+    // Deploys the center with one translation to vote on.
+    async function deployWithTranslationFixture() {
+      const { translationCenter } = await deployTranslationCenter();
+      await translationCenter.addTranslation(PLANT, 0, "pt", "Jatobá", "Uma árvore alta");
+
+      return { contract: translationCenter, entryId: 0, missingIds: [1, 999] };
+    }
+
+    shouldBehaveLikeVotable({
+      fixture: deployWithTranslationFixture,
+      vote: "vote",
+      userVote: "userVotes",
+      counts: async (contract, id) => {
+        const translation = await contract.translations(id);
+        return [translation.upvotes, translation.downvotes];
+      },
+      isPositive: "hasMoreUpvotes",
+      votedEvent: "Voted",
+      errors: { invalidId: "TC: Translation ID does not exist", invalidVoteType: "TC: Invalid vote type" },
+    });
+
+    it("Should only take the votes of the eligible voters of the catalog", async function () {
+      const registry = await (await ethers.getContractFactory("VoterEligibilityMock")).deploy();
+      const { globalPlantCatalog } = await deployPlantCatalog(registry.target);
+      await globalPlantCatalog.addPlant(
+        "Jatoba tree",
+        "Hymenaea courbaril",
+        "Fabaceae",
+        "A tall tree",
+        "ipfs://jatoba"
+      );
+      const center = await deployProxy("TranslationCenter", [globalPlantCatalog.target, educationCenter.target]);
+      await center.addTranslation(PLANT, 0, "pt", "Jatobá", "Uma árvore alta");
+
+      await expect(center.connect(addr1).vote(0, UPVOTE)).to.be.revertedWith("TC: Voter is not eligible");
+
+      await registry.setEligible(addr1.address, true);
+      await expect(center.connect(addr1).vote(0, UPVOTE)).to.emit(center, "Voted").withArgs(0, addr1.address, UPVOTE);
+    });
+  });
+
+  // Paginated listing shared with the catalogs, see `test/shared/paginated.js`.
+  describe("Listing", function () {
+    // Deploys the center with three translations.
+    async function deployWithTranslationsFixture() {
+      const { translationCenter } = await deployTranslationCenter();
+      for (const language of ["pt", "es", "en"]) {
+        await translationCenter.addTranslation(PLANT, 0, language, "Jatobá", "Uma árvore alta");
+      }
+
+      return { contract: translationCenter };
+    }
+
+    shouldBehaveLikePaginated({ fixture: deployWithTranslationsFixture, list: "getTranslations", firstId: 0 });
+  });
+});
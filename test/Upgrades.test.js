@@ -0,0 +1,344 @@
+// Import the tools we need from Chai (for assertions) and Hardhat/Ethers.
+const { expect } = require("chai");
+const hre = require("hardhat");
+const { mine } = require("@nomicfoundation/hardhat-network-helpers");
+const fs = require("node:fs");
+const os = require("node:os");
+const path = require("node:path");
+const { deployProxy } = require("../scripts/shared/deployProxy");
+const { deployPlantCatalog, PLANT_CATALOG_REGISTRIES } = require("../scripts/shared/deployPlantCatalog");
+const { deployHumansPeaceTreaty } = require("../scripts/shared/deployHumansPeaceTreaty");
+const saveContractAddress = require("../scripts/shared/saveContractAddress");
+const { readDeployment, DeploymentNotFoundError } = require("../scripts/shared/deployments");
+const { upgradeContract } = require("../scripts/shared/upgradeContract");
+const { checkManifest, STATUS } = require("../scripts/shared/checkManifest");
+const { resolveVoterEligibility } = require("../scripts/shared/voterEligibility");
+
+const { ethers, upgrades } = hre;
+
+// Tests for the proxy deployments of the native apps and the `upgrade` flow.
+describe("Upgrades", function () {
+  const APPS = ["FreeEducationCenter", "SintropAppStore", "WhitepaperCenter"];
+
+  let owner, addr1;
+  let deploymentsDir;
+  let previousDeploymentsDir;
+
+  // Manifests are written to a temporary folder instead of `deployed_contracts/`.
+  beforeEach(async function () {
+    [owner, addr1] = await ethers.getSigners();
+    previousDeploymentsDir = process.env.DEPLOYED_CONTRACTS_DIR;
+    deploymentsDir = fs.mkdtempSync(path.join(os.tmpdir(), "sintrop-deployments-"));
+    process.env.DEPLOYED_CONTRACTS_DIR = deploymentsDir;
+  });
+
+  afterEach(async function () {
+    if (previousDeploymentsDir === undefined) delete process.env.DEPLOYED_CONTRACTS_DIR;
+    else process.env.DEPLOYED_CONTRACTS_DIR = previousDeploymentsDir;
+    fs.rmSync(deploymentsDir, { recursive: true, force: true });
+  });
+
+  describe("Deployment", function () {
+    for (const name of APPS) {
+      it(`Should deploy ${name} behind an initialized transparent proxy`, async function () {
+        const contract = await deployProxy(name, [ethers.ZeroAddress]);
+
+        expect(await contract.voterEligibility()).to.equal(ethers.ZeroAddress);
+        await expect(contract.initialize(addr1.address)).to.be.revertedWith(
+          "Initializable: contract is already initialized"
+        );
+
+        // The implementation is locked, nobody can initialize it and act on its own storage.
+        const implementation = await ethers.getContractAt(
+          name,
+          await upgrades.erc1967.getImplementationAddress(contract.target)
+        );
+        await expect(implementation.initialize(ethers.ZeroAddress)).to.be.revertedWith(
+          "Initializable: contract is already initialized"
+        );
+      });
+    }
+
+    it("Should deploy GlobalPlantCatalog and its registries behind initialized transparent proxies", async function () {
+      const contracts = await deployPlantCatalog(ethers.ZeroAddress);
+      const { globalPlantCatalog } = contracts;
+
+      expect(await globalPlantCatalog.voterEligibility()).to.equal(ethers.ZeroAddress);
+      const registries = Object.keys(PLANT_CATALOG_REGISTRIES).map((key) => contracts[key].target);
+      await expect(globalPlantCatalog.initialize(ethers.ZeroAddress, ...registries)).to.be.revertedWith(
+        "Initializable: contract is already initialized"
+      );
+      for (const key of Object.keys(PLANT_CATALOG_REGISTRIES)) {
+        expect(await upgrades.erc1967.getAdminAddress(contracts[key].target)).to.not.equal(ethers.ZeroAddress);
+        await expect(contracts[key].initialize()).to.be.revertedWith("Initializable: contract is already initialized");
+      }
+    });
+
+    it("Should deploy HumansPeaceTreaty with its proof window, text and certificate behind initialized proxies", async function () {
+      const textHash = ethers.id("Pledge");
+      const { humansPeaceTreaty, peaceTreatyCertificate } = await deployHumansPeaceTreaty(
+        216000,
+        textHash,
+        "ipfs://pledge"
+      );
+
+      expect(await humansPeaceTreaty.proofWindow()).to.equal(216000);
+      expect((await humansPeaceTreaty.getVersion(0)).textHash).to.equal(textHash);
+      expect(await humansPeaceTreaty.certificate()).to.equal(peaceTreatyCertificate.target);
+      expect(await peaceTreatyCertificate.humansPeaceTreaty()).to.equal(humansPeaceTreaty.target);
+      await expect(
+        humansPeaceTreaty.initialize(10, textHash, "ipfs://pledge", peaceTreatyCertificate.target)
+      ).to.be.revertedWith("Initializable: contract is already initialized");
+      await expect(peaceTreatyCertificate.initialize(ethers.ZeroAddress)).to.be.revertedWith(
+        "Initializable: contract is already initialized"
+      );
+
+      const implementation = await ethers.getContractAt(
+        "HumansPeaceTreaty",
+        await upgrades.erc1967.getImplementationAddress(humansPeaceTreaty.target)
+      );
+      await expect(
+        implementation.initialize(10, textHash, "ipfs://pledge", peaceTreatyCertificate.target)
+      ).to.be.revertedWith("Initializable: contract is already initialized");
+    });
+
+    it("Should deploy the votable apps with the voter registry of VOTER_ELIGIBILITY", async function () {
+      const { humansPeaceTreaty } = await deployHumansPeaceTreaty(216000, ethers.id("Pledge"), "ipfs://pledge");
+
+      expect(await resolveVoterEligibility("")).to.equal(ethers.ZeroAddress);
+      await expect(resolveVoterEligibility("HumansPeaceTreaty")).to.be.rejectedWith(DeploymentNotFoundError);
+
+      await saveContractAddress("HumansPeaceTreaty", humansPeaceTreaty);
+      expect(await resolveVoterEligibility("HumansPeaceTreaty")).to.equal(humansPeaceTreaty.target);
+      expect(await resolveVoterEligibility(humansPeaceTreaty.target.toLowerCase())).to.equal(humansPeaceTreaty.target);
+      await expect(resolveVoterEligibility("treaty")).to.be.rejectedWith(/must be empty, HumansPeaceTreaty or/);
+      await expect(resolveVoterEligibility(addr1.address)).to.be.rejectedWith(/has no code/);
+
+      const whitepaperCenter = await deployProxy("WhitepaperCenter", [
+        await resolveVoterEligibility("HumansPeaceTreaty"),
+      ]);
+      expect(await whitepaperCenter.voterEligibility()).to.equal(humansPeaceTreaty.target);
+    });
+
+    it("Should deploy PlantOccurrenceRegistry linked to the catalog behind an initialized proxy", async function () {
+      const { globalPlantCatalog } = await deployPlantCatalog(ethers.ZeroAddress);
+      const registry = await deployProxy("PlantOccurrenceRegistry", [globalPlantCatalog.target]);
+
+      expect(await registry.globalPlantCatalog()).to.equal(globalPlantCatalog.target);
+      await expect(registry.initialize(globalPlantCatalog.target)).to.be.revertedWith(
+        "Initializable: contract is already initialized"
+      );
+    });
+
+    it("Should deploy TranslationCenter linked to the apps it translates behind an initialized proxy", async function () {
+      const { globalPlantCatalog } = await deployPlantCatalog(ethers.ZeroAddress);
+      const educationCenter = await deployProxy("FreeEducationCenter", [ethers.ZeroAddress]);
+      const translationCenter = await deployProxy("TranslationCenter", [
+        globalPlantCatalog.target,
+        educationCenter.target,
+      ]);
+
+      expect(await translationCenter.globalPlantCatalog()).to.equal(globalPlantCatalog.target);
+      expect(await translationCenter.freeEducationCenter()).to.equal(educationCenter.target);
+      await expect(translationCenter.initialize(globalPlantCatalog.target, educationCenter.target)).to.be.revertedWith(
+        "Initializable: contract is already initialized"
+      );
+    });
+
+    it("Should record the proxy, the implementation and the ProxyAdmin in the manifest", async function () {
+      const { globalPlantCatalog } = await deployPlantCatalog(ethers.ZeroAddress);
+
+      await saveContractAddress("GlobalPlantCatalog", globalPlantCatalog);
+      const record = readDeployment("GlobalPlantCatalog");
+
+      expect(record.address).to.equal(globalPlantCatalog.target);
+      expect(record.proxyKind).to.equal("transparent");
+      expect(record.implementation).to.equal(
+        await upgrades.erc1967.getImplementationAddress(globalPlantCatalog.target)
+      );
+      expect(record.proxyAdmin).to.equal(await upgrades.erc1967.getAdminAddress(globalPlantCatalog.target));
+      expect(record.implementationBytecodeHash).to.equal(
+        ethers.keccak256(await ethers.provider.getCode(record.implementation))
+      );
+    });
+  });
+
+  describe("upgradeContract()", function () {
+    let globalPlantCatalog;
+
+    beforeEach(async function () {
+      ({ globalPlantCatalog } = await deployPlantCatalog(ethers.ZeroAddress));
+      await saveContractAddress("GlobalPlantCatalog", globalPlantCatalog);
+
+      await globalPlantCatalog.addPlant("Jatobá", "Hymenaea courbaril", "Fabaceae", "A tree", "ipfs://photo");
+      await globalPlantCatalog.connect(addr1).vote(0, 1);
+    });
+
+    it("Should keep the address and the stored plants and votes", async function () {
+      const result = await upgradeContract("GlobalPlantCatalog", { implementation: "GlobalPlantCatalogV2Mock" });
+      const upgraded = await ethers.getContractAt("GlobalPlantCatalogV2Mock", globalPlantCatalog.target);
+
+      expect(result.implementation).to.not.equal(result.previousImplementation);
+      expect(await upgraded.version()).to.equal("v2");
+      expect((await upgraded.getPlant(0)).scientificName).to.equal("Hymenaea courbaril");
+      expect(await upgraded.userVotes(0, addr1.address)).to.equal(1);
+      expect(await upgraded.getTotalPlantsCount()).to.equal(1);
+    });
+
+    it("Should record the new implementation and the upgrade in the manifest", async function () {
+      const result = await upgradeContract("GlobalPlantCatalog", { implementation: "GlobalPlantCatalogV2Mock" });
+      const record = readDeployment("GlobalPlantCatalog");
+
+      expect(record.implementation).to.equal(result.implementation);
+      expect(record.implementationName).to.equal("GlobalPlantCatalogV2Mock");
+      expect(record.upgrades).to.have.lengthOf(1);
+      expect(record.upgrades[0]).to.include({ from: result.previousImplementation, to: result.implementation });
+      expect((await checkManifest()).map((item) => item.status)).to.deep.equal([STATUS.OK]);
+    });
+
+    it("Should refuse implementations with an incompatible storage layout", async function () {
+      const before = readDeployment("GlobalPlantCatalog");
+
+      await expect(
+        upgradeContract("GlobalPlantCatalog", { implementation: "GlobalPlantCatalogBadLayoutMock" })
+      ).to.be.rejectedWith(/New storage layout is incompatible/);
+
+      expect(await upgrades.erc1967.getImplementationAddress(globalPlantCatalog.target)).to.equal(
+        before.implementation
+      );
+    });
+
+    it("Should only validate when asked to", async function () {
+      const result = await upgradeContract("GlobalPlantCatalog", {
+        implementation: "GlobalPlantCatalogV2Mock",
+        validateOnly: true,
+      });
+
+      expect(result.implementation).to.be.null;
+      expect(await upgrades.erc1967.getImplementationAddress(globalPlantCatalog.target)).to.equal(
+        result.previousImplementation
+      );
+    });
+
+    it("Should flag upgrades made outside of the manifest as changed", async function () {
+      await upgrades.upgradeProxy(
+        globalPlantCatalog.target,
+        await ethers.getContractFactory("GlobalPlantCatalogV2Mock"),
+        { kind: "transparent" }
+      );
+
+      const [result] = await checkManifest();
+
+      expect(result.status).to.equal(STATUS.CHANGED);
+      expect(result.detail).to.match(/proxy points to implementation/);
+    });
+
+    it("Should refuse contracts that are not behind a proxy", async function () {
+      const plain = await (await ethers.getContractFactory("WhitepaperCenter")).deploy();
+      await saveContractAddress("WhitepaperCenter", plain);
+
+      await expect(upgradeContract("WhitepaperCenter")).to.be.rejectedWith(/not deployed behind a proxy/);
+    });
+  });
+
+  describe("HumansPeaceTreaty", function () {
+    const PROOF_WINDOW = 10;
+    const TEXT_HASH = ethers.id("Pledge");
+    const TEXT_URI = "ipfs://pledge";
+
+    let signers, previous, certificate;
+
+    // Upgrades the treaty with the `upgrade` task, listing the signers in the given order.
+    const upgrade = (accounts) =>
+      hre.run("upgrade", {
+        contract: "HumansPeaceTreaty",
+        call: "initializeV2",
+        args: [PROOF_WINDOW, accounts.map((account) => account.address), TEXT_HASH, TEXT_URI, certificate],
+      });
+
+    // Three signers of the first version, of which the first one proves its commitment after the window of the
+    // others passed.
+    beforeEach(async function () {
+      signers = await ethers.getSigners();
+      previous = await deployProxy("HumansPeaceTreatyV1Mock");
+      await saveContractAddress("HumansPeaceTreaty", previous);
+      for (const signer of signers.slice(1, 4)) await previous.connect(signer).signPeacePledge();
+      await mine(PROOF_WINDOW);
+      await previous.connect(signers[1]).proveCommitment();
+
+      await hre.run("upgrade:certificate");
+      certificate = readDeployment("PeaceTreatyCertificate").address;
+    });
+
+    it("Should set the proof window, count the signers as active from their last proof and version the text", async function () {
+      await upgrade([signers[2], signers[3], signers[1]]);
+      const treaty = await ethers.getContractAt("HumansPeaceTreaty", previous.target);
+
+      expect(await treaty.proofWindow()).to.equal(PROOF_WINDOW);
+      expect(await treaty.activeSignersCount()).to.equal(1);
+      expect(await treaty.isActive(signers[1].address)).to.be.true;
+      expect(await treaty.isActive(signers[2].address)).to.be.false;
+      const { lastProofBlock } = await treaty.pledges(signers[1].address);
+      expect(await treaty.getProofHistory(signers[1].address, 0, 10)).to.deep.equal([lastProofBlock]);
+      expect(await treaty.currentVersion()).to.equal(0);
+      expect((await treaty.getVersion(0)).textHash).to.equal(TEXT_HASH);
+      expect(await treaty.latestVersionSignersCount()).to.equal(3);
+      expect(await treaty.hasSignedLatestVersion(signers[2].address)).to.be.true;
+      expect(await treaty.certificate()).to.equal(certificate);
+      expect(readDeployment("HumansPeaceTreaty").upgrades).to.have.lengthOf(1);
+
+      await expect(treaty.initializeV2(PROOF_WINDOW, [], TEXT_HASH, TEXT_URI, certificate)).to.be.revertedWith(
+        "Initializable: contract is already initialized"
+      );
+    });
+
+    it("Should let signers prove, amend, sign and withdraw, and the previous signers claim their certificates", async function () {
+      await upgrade([signers[2], signers[3], signers[1]]);
+      const treaty = await ethers.getContractAt("HumansPeaceTreaty", previous.target);
+      const peaceTreatyCertificate = await ethers.getContractAt("PeaceTreatyCertificate", certificate);
+
+      await expect(treaty.connect(signers[2]).proveCommitment()).to.emit(treaty, "SignerReactivated");
+      await treaty.connect(signers[1]).proposeAmendment(ethers.id("Amended"), "ipfs://amended");
+      await treaty.connect(signers[2]).voteOnAmendment(0, true);
+      expect(await treaty.currentVersion()).to.equal(1);
+
+      await expect(treaty.connect(signers[4]).signPeacePledge(1))
+        .to.emit(peaceTreatyCertificate, "Transfer")
+        .withArgs(ethers.ZeroAddress, signers[4].address, 1);
+      expect(await treaty.activeSignersCount()).to.equal(3);
+
+      await expect(treaty.connect(signers[1]).claimCertificate())
+        .to.emit(peaceTreatyCertificate, "Transfer")
+        .withArgs(ethers.ZeroAddress, signers[1].address, 2);
+      await expect(treaty.connect(signers[1]).claimCertificate()).to.be.revertedWith(
+        "HumansPeaceTreaty: You already have a certificate."
+      );
+      await expect(treaty.connect(signers[5]).claimCertificate()).to.be.revertedWith(
+        "HumansPeaceTreaty: You must sign the pledge first before claiming a certificate."
+      );
+
+      // A signer who never claimed a certificate withdraws without one.
+      await expect(treaty.connect(signers[3]).withdrawPledge()).to.not.emit(peaceTreatyCertificate, "Transfer");
+      expect(await treaty.totalSignatures()).to.equal(3);
+    });
+
+    it("Should refuse signer lists that are incomplete, repeated or out of order", async function () {
+      const before = await upgrades.erc1967.getImplementationAddress(previous.target);
+
+      await expect(upgrade([signers[2], signers[3]])).to.be.rejectedWith(/Every signer must be listed/);
+      await expect(upgrade([signers[2], signers[2], signers[1]])).to.be.rejectedWith(/be listed once/);
+      await expect(upgrade([signers[2], signers[3], signers[4]])).to.be.rejectedWith(/be listed once/);
+      await expect(upgrade([signers[1], signers[2], signers[3]])).to.be.rejectedWith(/ordered by their last proof/);
+
+      expect(await upgrades.erc1967.getImplementationAddress(previous.target)).to.equal(before);
+    });
+
+    it("Should not upgrade treaties deployed with a versioned text", async function () {
+      const { humansPeaceTreaty, peaceTreatyCertificate } = await deployHumansPeaceTreaty(100, TEXT_HASH, TEXT_URI);
+
+      await expect(
+        humansPeaceTreaty.initializeV2(100, [], TEXT_HASH, TEXT_URI, peaceTreatyCertificate.target)
+      ).to.be.revertedWith("HumansPeaceTreaty: Only proxies of the first version can be upgraded.");
+    });
+  });
+});
@@ -1,6 +1,10 @@
 // Import the necessary tools from Chai for assertions and from Hardhat/Ethers for contract interaction.
 const { expect } = require("chai");
 const { ethers } = require("hardhat");
+const { shouldBehaveLikeVotable } = require("./shared/votable");
+const { shouldBehaveLikePaginated } = require("./shared/paginated");
+const { shouldRequireEligibleVoters } = require("./shared/eligibleVoters");
+const { deployProxy } = require("../scripts/shared/deployProxy");
 
 // Main `describe` block grouping all tests for the "WhitepaperCenter" contract.
 describe("WhitepaperCenter", function () {
@@ -79,133 +83,52 @@ describe("WhitepaperCenter", function () {
     });    
   });
 
-  // Test suite for the Voting functionality
+  // Voting behaviour shared with the other votable apps, see `test/shared/votable.js`.
   describe("Voting", function () {
-    let whitepaperCenter;
-    let owner, addr1, addr2;
-    const whitepaperId = 1; // ID of the whitepaper to be used in tests
-
-    // Enum values mimicking the contract's VoteType
-    const VOTE_TYPE = {
-      None: 0,
-      Upvote: 1,
-      Downvote: 2,
-    };
-
-    // Hook to run before each test in this suite
-    beforeEach(async function () {
-      // Get signers to be used as different users
-      [owner, addr1, addr2] = await ethers.getSigners();
+    // Deploys the contract with one whitepaper to vote on.
+    async function deployWithWhitepaperFixture() {
+      const whitepaperCenter = await (await ethers.getContractFactory("WhitepaperCenter")).deploy();
+      await whitepaperCenter.addWhitepaper(
+        "Test Title",
+        "A description for the voting test.",
+        "https://example.com/whitepaper"
+      );
 
-      const WhitepaperCenter = await ethers.getContractFactory("WhitepaperCenter");
-      whitepaperCenter = await WhitepaperCenter.deploy();
+      // Whitepaper IDs start at 1, so both 0 and the next ID do not exist.
+      return { contract: whitepaperCenter, entryId: 1, missingIds: [0, 2, 999] };
+    }
+
+    shouldBehaveLikeVotable({
+      fixture: deployWithWhitepaperFixture,
+      vote: "vote",
+      userVote: "userVotes",
+      counts: async (contract, id) => {
+        const whitepaper = await contract.whitepapers(id);
+        return [whitepaper.upvotes, whitepaper.downvotes];
+      },
+      isPositive: "hasMoreUpvotes",
+      votedEvent: "Voted",
+      errors: { invalidId: "Whitepaper ID does not exist", invalidVoteType: "Invalid vote type" },
+    });
+  });
 
-      // Add a sample whitepaper so we can vote on it
-      await whitepaperCenter
-        .connect(owner)
-        .addWhitepaper(
+  // Votes restricted to the accounts of a voter registry, see `test/shared/eligibleVoters.js`.
+  describe("Eligible voters", function () {
+    shouldRequireEligibleVoters({
+      deploy: async (voterEligibility) => {
+        const whitepaperCenter = await deployProxy("WhitepaperCenter", [voterEligibility]);
+        await whitepaperCenter.addWhitepaper(
           "Test Title",
           "A description for the voting test.",
           "https://example.com/whitepaper"
         );
-    });
-
-    // --- Tests for the vote() function ---
-    describe("vote()", function () {
-      context("When a user casts a new vote", function () {
-        it("✅ Should allow an upvote and increment the upvotes count", async function () {
-          // Action: addr1 casts an upvote on whitepaper with ID 1
-          await whitepaperCenter.connect(addr1).vote(whitepaperId, VOTE_TYPE.Upvote);
-
-          const whitepaper = await whitepaperCenter.whitepapers(whitepaperId);
-          expect(whitepaper.upvotes).to.equal(1);
-          expect(whitepaper.downvotes).to.equal(0);
-        });
-
-        it("✅ Should allow a downvote and increment the downvotes count", async function () {
-          // Action: addr1 casts a downvote on whitepaper with ID 1
-          await whitepaperCenter.connect(addr1).vote(whitepaperId, VOTE_TYPE.Downvote);
-
-          const whitepaper = await whitepaperCenter.whitepapers(whitepaperId);
-          expect(whitepaper.downvotes).to.equal(1);
-          expect(whitepaper.upvotes).to.equal(0);
-        });
-      });
-
-      context("When a user changes their vote", function () {
-        it("🔄 Should allow changing from an upvote to a downvote, adjusting counts correctly", async function () {
-          // Setup: addr1 first casts an upvote
-          await whitepaperCenter.connect(addr1).vote(whitepaperId, VOTE_TYPE.Upvote);
-
-          // Action: addr1 changes their vote to a downvote
-          await whitepaperCenter.connect(addr1).vote(whitepaperId, VOTE_TYPE.Downvote);
-
-          const whitepaper = await whitepaperCenter.whitepapers(whitepaperId);
-          expect(whitepaper.upvotes).to.equal(0);
-          expect(whitepaper.downvotes).to.equal(1);
-        });
-
-        it("🔄 Should allow changing from a downvote to an upvote, adjusting counts correctly", async function () {
-          // Setup: addr1 first casts a downvote
-          await whitepaperCenter.connect(addr1).vote(whitepaperId, VOTE_TYPE.Downvote);
-
-          // Action: addr1 changes their vote to an upvote
-          await whitepaperCenter.connect(addr1).vote(whitepaperId, VOTE_TYPE.Upvote);
-
-          const whitepaper = await whitepaperCenter.whitepapers(whitepaperId);
-          expect(whitepaper.upvotes).to.equal(1);
-          expect(whitepaper.downvotes).to.equal(0);
-        });
-      });
-
-      context("Failure scenarios (reverts)", function () {
-        it("❌ Should revert when trying to vote on non-existent whitepaper", async function () {
-          const nonExistentId = 999;
-          await expect(whitepaperCenter.connect(addr1).vote(nonExistentId, VOTE_TYPE.Upvote)).to.be.revertedWith(
-            "Whitepaper ID does not exist"
-          );
-        });
-
-        it("❌ Should revert if the vote type is invalid (e.g., None)", async function () {
-          await expect(whitepaperCenter.connect(addr1).vote(whitepaperId, VOTE_TYPE.None)).to.be.revertedWith(
-            "Invalid vote type"
-          );
-        });
-      });
-    });
-
-    // --- Tests for the hasMoreUpvotes() function ---
-    describe("hasMoreUpvotes()", function () {
-      // This function's tests do not need changes as its external behavior is the same.
-      it("👍 Should return 'true' when upvotes are greater than downvotes", async function () {
-        // Setup: Two upvotes
-        await whitepaperCenter.connect(addr1).vote(whitepaperId, VOTE_TYPE.Upvote);
-        await whitepaperCenter.connect(addr2).vote(whitepaperId, VOTE_TYPE.Upvote);
-
-        expect(await whitepaperCenter.hasMoreUpvotes(whitepaperId)).to.be.true;
-      });
 
-      it("👎 Should return 'false' when downvotes are greater than upvotes", async function () {
-        // Setup: one downvote
-        await whitepaperCenter.connect(addr1).vote(whitepaperId, VOTE_TYPE.Downvote);
-
-        expect(await whitepaperCenter.hasMoreUpvotes(whitepaperId)).to.be.false;
-      });
-
-      it("🤝 Should return 'false' when upvotes and downvotes are equal", async function () {
-        // Setup: one upvote and one downvote
-        await whitepaperCenter.connect(addr1).vote(whitepaperId, VOTE_TYPE.Upvote);
-        await whitepaperCenter.connect(addr2).vote(whitepaperId, VOTE_TYPE.Downvote);
-
-        expect(await whitepaperCenter.hasMoreUpvotes(whitepaperId)).to.be.false;
-      });
-
-      it("❌ Should revert when checking non-existent whitepaper", async function () {
-        const nonExistentId = 999;
-        await expect(whitepaperCenter.hasMoreUpvotes(nonExistentId)).to.be.revertedWith(
-          "Whitepaper ID does not exist"
-        );
-      });
+        return { contract: whitepaperCenter, entryId: 1 };
+      },
+      vote: "vote",
+      userVote: "userVotes",
+      votedEvent: "Voted",
+      error: "Voter is not eligible",
     });
   });
 
@@ -239,4 +162,20 @@ describe("WhitepaperCenter", function () {
       await expect(whitepaperCenter.getWhitepaper(99)).to.be.revertedWith("Whitepaper ID does not exist");
     });
   });
+
+  // Paginated listing shared with the other catalogs, see `test/shared/paginated.js`.
+  describe("Listing", function () {
+    // Deploys the contract with three whitepapers, each published by another account.
+    async function deployWithWhitepapersFixture() {
+      const signers = await ethers.getSigners();
+      const whitepaperCenter = await (await ethers.getContractFactory("WhitepaperCenter")).deploy();
+      for (const [index, title] of ["First", "Second", "Third"].entries()) {
+        await whitepaperCenter.connect(signers[index]).addWhitepaper(title, "Desc", "ipfs://whitepaper");
+      }
+
+      return { contract: whitepaperCenter };
+    }
+
+    shouldBehaveLikePaginated({ fixture: deployWithWhitepapersFixture, list: "getWhitepapers", firstId: 1 });
+  });
 });
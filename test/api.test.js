@@ -0,0 +1,494 @@
+// Import the tools we need from Chai (for assertions) and Hardhat/Ethers.
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { mine } = require("@nomicfoundation/hardhat-network-helpers");
+const { createSintropOS } = require("../sdk");
+const { deployProxy } = require("../scripts/shared/deployProxy");
+const { deployPlantCatalog } = require("../scripts/shared/deployPlantCatalog");
+const { deployHumansPeaceTreaty } = require("../scripts/shared/deployHumansPeaceTreaty");
+const { openDatabase, SintropIndexer } = require("../indexer");
+const { createApiServer } = require("../api");
+
+// Tests for the read API, served from an index of actions made on the in-process Hardhat network.
+describe("Sintrop OS API", function () {
+  let owner, addr1, addr2;
+  let db;
+  let server;
+  let baseUrl;
+
+  const get = async (path) => {
+    const response = await fetch(`${baseUrl}${path}`);
+    return { status: response.status, body: await response.json() };
+  };
+
+  beforeEach(async function () {
+    [owner, addr1, addr2] = await ethers.getSigners();
+
+    const deploy = async (name) => {
+      const contract = await (await ethers.getContractFactory(name)).deploy();
+      return contract.getAddress();
+    };
+
+    const addresses = {
+      educationCenter: await deploy("FreeEducationCenter"),
+      sintropAppStore: await deploy("SintropAppStore"),
+      whitepaperCenter: await deploy("WhitepaperCenter"),
+    };
+    // The catalog is deployed with its registries.
+    for (const [key, contract] of Object.entries(await deployPlantCatalog(ethers.ZeroAddress))) {
+      addresses[key] = contract.target;
+    }
+    // The treaty is initialized with a proof window of 10 blocks, and deployed with its certificate.
+    const treaty = await deployHumansPeaceTreaty(10, ethers.id("Pledge"), "ipfs://pledge");
+    for (const [key, contract] of Object.entries(treaty)) {
+      addresses[key] = contract.target;
+    }
+    // The occurrence registry is initialized with the catalog it refers to.
+    addresses.plantOccurrenceRegistry = await (
+      await deployProxy("PlantOccurrenceRegistry", [addresses.globalPlantCatalog])
+    ).getAddress();
+    // The translation center too, with the catalog and the education center it translates.
+    addresses.translationCenter = await (
+      await deployProxy("TranslationCenter", [addresses.globalPlantCatalog, addresses.educationCenter])
+    ).getAddress();
+    const connect = (signer) => createSintropOS({ runner: signer, addresses });
+    const startBlock = await ethers.provider.getBlockNumber();
+
+    // Three plants, two of them by addr1, with different scores.
+    for (const [signer, popularName, scientificName] of [
+      [owner, "Ipê", "Handroanthus albus"],
+      [addr1, "Jatobá", "Hymenaea courbaril"],
+      [addr1, "Cedro", "Cedrela fissilis"],
+    ]) {
+      await connect(signer).plants.add({
+        popularName,
+        scientificName,
+        taxonomy: "Plantae",
+        description: "A tree",
+        photoHash: "ipfs://photo",
+      });
+    }
+    await connect(owner).plants.vote(2, "positive");
+    await connect(addr2).plants.vote(2, "positive");
+    await connect(owner).plants.vote(1, "negative");
+
+    // Cedro is added again under another spelling and marked as a duplicate of the first entry.
+    await connect(addr2).plants.add({
+      popularName: "Cedro-rosa",
+      scientificName: "Cedrela fissilis Vell.",
+      taxonomy: "Plantae",
+      description: "A tree",
+      photoHash: "ipfs://photo",
+    });
+    const { proposalId } = await connect(owner).plants.proposeDuplicate(3, 2);
+    const quorum = Number(await connect(owner).plants.contract.quorum());
+    for (const voter of (await ethers.getSigners()).slice(1, quorum)) {
+      await connect(voter).plants.voteOnDuplicate(proposalId, true);
+    }
+
+    // Every plant but the first has its taxonomic ranks.
+    const ranks = (order, family, genus, species) => ({
+      kingdom: "Plantae",
+      phylum: "Tracheophyta",
+      class: "Magnoliopsida",
+      order,
+      family,
+      genus,
+      species,
+    });
+    await connect(addr1).plants.setRanks(1, ranks("Fabales", "Fabaceae", "Hymenaea", "courbaril"));
+    await connect(addr1).plants.setRanks(2, ranks("Sapindales", "Meliaceae", "Cedrela", "fissilis"));
+    await connect(addr2).plants.setRanks(3, ranks("Sapindales", "meliaceae", "Cedrela", "fissilis"));
+
+    // Jatobá gets a better description through a revision accepted by the community.
+    const { revisionId } = await connect(addr2).plants.proposeRevision(1, { description: "A tall tree" });
+    for (const voter of (await ethers.getSigners()).slice(5, 7)) {
+      await connect(voter).plants.voteOnRevision(revisionId, "positive");
+    }
+
+    // Ipê nurses Cedro, and a companion relationship of Ipê and Jatobá has as many negative as positive votes.
+    await connect(owner).plants.setAgroforestry(0, { stratum: "emergent", successionalStage: "secondary" });
+    await connect(addr1).plants.setAgroforestry(2, { stratum: "high", successionalStage: "climax" });
+    await connect(owner).plants.proposeRelationship(0, 2, "nurse");
+    const { relationshipId } = await connect(addr1).plants.proposeRelationship(0, 1, "companion");
+    await connect(addr2).plants.voteOnRelationship(relationshipId, "negative");
+
+    // Ipê gets a leaf photo and a flower photo, which the community prefers.
+    await connect(addr1).plants.addPhoto(0, { type: "leaf", photoHash: "ipfs://ipe-leaf" });
+    const { photoId } = await connect(addr2).plants.addPhoto(0, { type: "flower", photoHash: "ipfs://ipe-flower" });
+    await connect(owner).plants.voteOnPhoto(photoId, "positive");
+    await connect(addr1).plants.voteOnPhoto(photoId, "positive");
+
+    // Ipê was observed in São Paulo and Rio de Janeiro, Jatobá in Brasília and Cedro somewhere in São Paulo.
+    const observedAt = Math.floor(Date.now() / 1000) - 86400;
+    const evidenceCid = "ipfs://evidence";
+    await connect(owner).occurrences.report({
+      plantId: 0,
+      latitude: -23.55052,
+      longitude: -46.633308,
+      observedAt,
+      evidenceCid,
+    });
+    await connect(addr1).occurrences.report({
+      plantId: 1,
+      latitude: -15.7939,
+      longitude: -47.8828,
+      observedAt,
+      evidenceCid,
+    });
+    await connect(addr2).occurrences.report({ plantId: 2, geohash: "6gyf", observedAt, evidenceCid });
+    await connect(addr2).occurrences.report({ plantId: 0, geohash: "75cm9", observedAt, evidenceCid });
+
+    await connect(owner).education.publish({ title: "Syntropic agriculture", description: "Intro", url: "url" });
+    await connect(owner).education.publish({ title: "Composting 100%", description: "Guide", url: "url" });
+    await connect(addr1).education.publish({ title: "Draft", description: "Notes", url: "url" });
+    await connect(addr1).education.update(3, { url: "ipfs://draft" });
+    await connect(addr1).education.retract(3);
+
+    // Jatobá has two Brazilian Portuguese names, the second one preferred, and Ipê one the community rejects.
+    await connect(addr1).translations.add({
+      entryType: "plant",
+      entryId: 1,
+      language: "pt-BR",
+      name: "Jatobá-do-mato",
+      description: "Uma árvore",
+    });
+    const { id: translationId } = await connect(addr2).translations.add({
+      entryType: "plant",
+      entryId: 1,
+      language: "pt_br",
+      name: "Jataí",
+      description: "Uma árvore alta",
+    });
+    await connect(owner).translations.vote(translationId, "positive");
+    const { id: rejectedId } = await connect(addr2).translations.add({
+      entryType: "plant",
+      entryId: 0,
+      language: "pt-BR",
+      name: "Ipê-branco",
+      description: "Uma árvore",
+    });
+    await connect(owner).translations.vote(rejectedId, "negative");
+    await connect(addr1).translations.add({
+      entryType: "content",
+      entryId: 1,
+      language: "es",
+      name: "Agricultura sintrópica",
+      description: "Introducción",
+    });
+
+    await connect(owner).appStore.register({
+      name: "EcoApp",
+      description: "Desc",
+      icon: "icon",
+      repositoryUrl: "repo",
+      externalLink: "link",
+      contractAddresses: [addr1.address],
+    });
+    await connect(addr1).appStore.vote(1, "positive");
+    await connect(addr2).appStore.vote(1, "negative");
+
+    // owner signs and never proves again, addr1 signs and proves after the active window, addr2 withdraws.
+    await connect(owner).treaty.sign();
+    await connect(addr1).treaty.sign();
+    await connect(addr2).treaty.sign();
+    await connect(addr2).treaty.withdraw();
+    await mine(20);
+    await connect(addr1).treaty.prove();
+    // addr1 is the only active signer, so its amendment is adopted right away.
+    await connect(addr1).treaty.proposeAmendment({ text: "Amended", textUri: "ipfs://treaty-v1" });
+
+    db = openDatabase(":memory:");
+    await new SintropIndexer({ db, provider: ethers.provider, addresses, startBlock }).sync();
+
+    server = createApiServer({ db });
+    await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  afterEach(async function () {
+    await new Promise((resolve) => server.close(resolve));
+    db.close();
+  });
+
+  describe("Entries", function () {
+    it("Should list the entries with their votes and pages", async function () {
+      const { status, body } = await get("/plants?limit=2");
+
+      expect(status).to.equal(200);
+      expect(body.total).to.equal(4);
+      expect(body.items.map((plant) => plant.popularName)).to.deep.equal(["Ipê", "Jatobá"]);
+      expect(body.items[1].votes).to.deep.equal({ positive: 0, negative: 1, score: -1 });
+    });
+
+    it("Should filter by creator and sort by score", async function () {
+      const { body } = await get(`/plants?creator=${addr1.address.toLowerCase()}&sort=score`);
+
+      expect(body.total).to.equal(2);
+      expect(body.items.map((plant) => plant.popularName)).to.deep.equal(["Cedro", "Jatobá"]);
+    });
+
+    it("Should point duplicate plants to their canonical plant", async function () {
+      const { body } = await get("/plants/3");
+      const canonical = await get("/plants?duplicate=false");
+
+      expect(body).to.include({ scientificName: "Cedrela fissilis Vell.", canonicalId: 2 });
+      expect(canonical.body.items.map((plant) => plant.canonicalId)).to.deep.equal([null, null, null]);
+    });
+
+    it("Should filter plants by family and genus and show their ranks", async function () {
+      const { body } = await get("/plants?family=Meliaceae");
+      const { body: genus } = await get("/plants?genus=%20hymenaea");
+      const { body: first } = await get("/plants/0");
+
+      expect(body.items.map((plant) => plant.id)).to.deep.equal([2, 3]);
+      expect(body.items[0].ranks).to.include({ order: "Sapindales", genus: "Cedrela", species: "fissilis" });
+      expect(genus.items.map((plant) => plant.popularName)).to.deep.equal(["Jatobá"]);
+      expect(first.ranks).to.equal(null);
+    });
+
+    it("Should show the current revision of revised plants", async function () {
+      const { body } = await get("/plants/1");
+
+      expect(body).to.include({ description: "A tall tree", revisionId: 0 });
+      expect(body.revisedBlock).to.be.above(body.blockNumber);
+    });
+
+    it("Should filter plants by stratum and show their agroforestry attributes", async function () {
+      const { body } = await get("/plants?stratum=High");
+
+      expect(body.items.map((plant) => [plant.id, plant.stratum, plant.successionalStage])).to.deep.equal([
+        [2, "high", "climax"],
+      ]);
+      expect((await get("/plants/1")).body).to.include({ stratum: "unknown", successionalStage: "unknown" });
+    });
+
+    it("Should list the relationships of a plant with the highest score first", async function () {
+      const { body } = await get("/plants/0/relationships");
+
+      expect(body.total).to.equal(2);
+      expect(body.items.map((relationship) => [relationship.relationshipType, relationship.votes.score])).to.deep.equal(
+        [
+          ["nurse", 1],
+          ["companion", 0],
+        ]
+      );
+      expect((await get("/plants/2/relationships?type=nurse")).body.items).to.have.lengthOf(1);
+      expect((await get("/plants/2/relationships?type=companion")).body.total).to.equal(0);
+      expect((await get("/plants/9/relationships")).status).to.equal(404);
+      expect((await get("/plants/0/relationships?type=friend")).status).to.equal(400);
+    });
+
+    it("Should list the photos of a plant and show its primary photo", async function () {
+      const { body } = await get("/plants/0/photos");
+
+      expect(body.items.map((photo) => [photo.photoType, photo.contributor, photo.votes.score])).to.deep.equal([
+        ["flower", addr2.address, 2],
+        ["leaf", addr1.address, 0],
+      ]);
+      expect((await get("/plants/0/photos?type=leaf")).body.total).to.equal(1);
+      expect((await get("/plants/0")).body).to.include({ primaryPhotoId: 1, primaryPhoto: "ipfs://ipe-flower" });
+      expect((await get("/plants/2")).body).to.include({ primaryPhotoId: null, primaryPhoto: "ipfs://photo" });
+      expect((await get("/plants/0/photos?type=root")).status).to.equal(400);
+    });
+
+    it("Should list the occurrences inside a region and the plants observed in it", async function () {
+      const { body } = await get("/occurrences?geohash=6G");
+      expect(body.total).to.equal(2);
+      expect(body.items.map((occurrence) => [occurrence.id, occurrence.plantId, occurrence.geohash])).to.deep.equal([
+        [0, 0, "6gyf4bf8m"],
+        [2, 2, "6gyf"],
+      ]);
+      expect(body.items[0]).to.include({ latitude: -23.55052, longitude: -46.633308, evidenceCid: "ipfs://evidence" });
+      expect((await get("/occurrences?plant=0")).body.items.map((occurrence) => occurrence.id)).to.deep.equal([0, 3]);
+      expect((await get(`/occurrences?reporter=${addr1.address}`)).body.items).to.have.lengthOf(1);
+      expect((await get("/occurrences/3")).body).to.include({
+        geohash: "75cm9",
+        latitude: null,
+        reporter: addr2.address,
+      });
+      expect((await get("/occurrences/9")).status).to.equal(404);
+
+      const plants = await get("/plants?observedIn=6&sort=score");
+      expect(plants.body.items.map((plant) => plant.popularName)).to.deep.equal(["Cedro", "Ipê", "Jatobá"]);
+      expect((await get("/plants?observedIn=75cm")).body.items.map((plant) => plant.id)).to.deep.equal([0]);
+      expect((await get("/plants?observedIn=6gyf4")).body.items.map((plant) => plant.id)).to.deep.equal([0]);
+      expect((await get("/plants?observedIn=u")).body.total).to.equal(0);
+    });
+
+    it("Should answer the families and genera of the plants as a tree", async function () {
+      const { status, body } = await get("/taxonomy");
+
+      expect(status).to.equal(200);
+      expect(body.items).to.deep.equal([
+        { family: "Fabaceae", plants: 1, genera: [{ genus: "Hymenaea", plants: 1 }] },
+        { family: "Meliaceae", plants: 2, genera: [{ genus: "Cedrela", plants: 2 }] },
+      ]);
+    });
+
+    it("Should search the text of the entries", async function () {
+      const { body } = await get(`/contents?q=${encodeURIComponent("100%")}`);
+
+      expect(body.items.map((content) => content.title)).to.deep.equal(["Composting 100%"]);
+    });
+
+    it("Should show updated content and filter out retracted content", async function () {
+      const { body } = await get("/contents/3");
+      const kept = await get("/contents?retracted=false");
+
+      expect(body).to.include({ title: "Draft", url: "ipfs://draft", publisher: addr1.address, retracted: true });
+      expect(body.updatedBlock).to.be.above(body.blockNumber);
+      expect(kept.body.items.map((content) => content.id)).to.deep.equal([1, 2]);
+      expect((await get("/contents?retracted=maybe")).status).to.equal(400);
+    });
+
+    it("Should serve plants and contents in the language of the locale", async function () {
+      const { body } = await get("/plants?locale=pt-br&limit=2");
+
+      expect(body.items.map((plant) => [plant.popularName, plant.description, plant.locale])).to.deep.equal([
+        ["Ipê", "A tree", null],
+        ["Jataí", "Uma árvore alta", "pt-BR"],
+      ]);
+      expect(body.items[1]).to.include({ translationId: 1, scientificName: "Hymenaea courbaril" });
+      expect((await get("/plants/1?locale=es")).body).to.include({ popularName: "Jatobá", locale: null });
+      expect((await get("/plants/1")).body).to.not.have.property("locale");
+      expect((await get("/contents/1?locale=es")).body).to.include({
+        title: "Agricultura sintrópica",
+        description: "Introducción",
+        url: "url",
+        locale: "es",
+      });
+      expect((await get("/contents?locale=es")).body.items.map((content) => content.locale)).to.deep.equal([
+        "es",
+        null,
+        null,
+      ]);
+    });
+
+    it("Should list the translations of an entry", async function () {
+      const { body } = await get("/translations?entryType=plant&entry=1&language=pt-BR&sort=score");
+
+      expect(
+        body.items.map((translation) => [translation.id, translation.name, translation.votes.score])
+      ).to.deep.equal([
+        [1, "Jataí", 1],
+        [0, "Jatobá-do-mato", 0],
+      ]);
+      expect((await get("/translations?entryType=content")).body.items[0]).to.include({
+        entryId: 1,
+        language: "es",
+        translator: addr1.address,
+      });
+      expect((await get(`/translations?translator=${addr2.address}`)).body.total).to.equal(2);
+    });
+
+    it("Should return a single entry and 404 for missing IDs", async function () {
+      const { body } = await get("/apps/1");
+      const missing = await get("/whitepapers/1");
+
+      expect(body).to.include({ name: "EcoApp", publisher: owner.address });
+      expect(body.contractAddresses).to.deep.equal([addr1.address]);
+      expect(missing.status).to.equal(404);
+    });
+  });
+
+  describe("Votes", function () {
+    it("Should list the current votes of an entry", async function () {
+      const { body } = await get("/apps/1/votes");
+      const negative = await get("/apps/1/votes?vote=negative");
+
+      expect(body.total).to.equal(2);
+      expect(negative.body.items).to.deep.equal([
+        { voter: addr2.address, vote: "negative", blockNumber: negative.body.items[0].blockNumber },
+      ]);
+    });
+  });
+
+  describe("Treaty", function () {
+    it("Should list the signers that proved their commitment within the active window", async function () {
+      const { body } = await get("/treaty/signers?active=true");
+      const all = await get("/treaty/signers");
+
+      expect(body.items.map((signer) => signer.signer)).to.deep.equal([addr1.address]);
+      expect(body.items[0].proofs).to.equal(1);
+      // addr1 proved after its proof window passed, which recorded its lapse.
+      expect(body.items[0].lapses).to.equal(1);
+      expect(all.body.total).to.equal(2);
+    });
+
+    it("Should return the pledge of a signer", async function () {
+      const { body } = await get(`/treaty/signers/${owner.address}`);
+
+      expect(body).to.include({ signer: owner.address, proofs: 0, lapses: 0, withdrawals: 0, active: false });
+    });
+
+    it("Should list the versions of the text and the signers of each", async function () {
+      const { body } = await get("/treaty/versions");
+      const signers = await get("/treaty/signers?version=0");
+
+      expect(body.items).to.deep.equal([
+        {
+          version: 1,
+          textHash: ethers.id("Amended"),
+          textUri: "ipfs://treaty-v1",
+          blockNumber: body.items[0].blockNumber,
+          signers: 0,
+        },
+      ]);
+      expect(signers.body.items.map((signer) => signer.version)).to.deep.equal([0, 0]);
+      expect((await get("/treaty/signers?version=1")).body.total).to.equal(0);
+    });
+
+    it("Should leave out the signers who withdrew their pledge", async function () {
+      const { body } = await get("/treaty/signers");
+
+      expect(body.items.map((signer) => signer.signer)).to.not.include(addr2.address);
+      expect((await get(`/treaty/signers/${addr2.address}`)).status).to.equal(404);
+    });
+
+    it("Should list the signatures and proofs of a signer, oldest first", async function () {
+      const { body } = await get(`/treaty/signers/${addr1.address}/proofs`);
+      const page = await get(`/treaty/signers/${addr1.address}/proofs?offset=1&limit=1`);
+
+      expect(body.items.map((proof) => proof.kind)).to.deep.equal(["signature", "proof"]);
+      expect(body.items[0].blockNumber).to.be.below(body.items[1].blockNumber);
+      expect(page.body).to.deep.include({ items: [body.items[1]], total: 2, offset: 1, limit: 1 });
+      // Withdrawn pledges stay in the history.
+      expect((await get(`/treaty/signers/${addr2.address}/proofs`)).body.total).to.equal(1);
+      expect((await get(`/treaty/signers/${ethers.Wallet.createRandom().address}/proofs`)).status).to.equal(404);
+    });
+  });
+
+  describe("Errors", function () {
+    it("Should reject invalid query parameters", async function () {
+      for (const path of [
+        "/plants?limit=1000",
+        "/plants?sort=name",
+        "/plants?creator=0x12",
+        "/treaty/signers?active=1",
+        "/treaty/signers?version=latest",
+        "/occurrences?geohash=6ga",
+        "/plants?observedIn=6gyf4bf8m00000",
+        "/plants?locale=portuguese",
+        "/apps?locale=pt",
+        "/translations?entry=first",
+      ]) {
+        const { status, body } = await get(path);
+        expect(status).to.equal(400);
+        expect(body.error).to.be.a("string");
+      }
+    });
+
+    it("Should answer malformed escapes in the path with 400", async function () {
+      for (const path of ["/plants/%E0", "/treaty/signers/%ZZ/proofs", "/contents/%E0/votes"]) {
+        const { status, body } = await get(path);
+        expect(status).to.equal(400);
+        expect(body.error).to.match(/^Malformed path segment/);
+      }
+    });
+
+    it("Should answer unknown routes with 404", async function () {
+      expect((await get("/unknown")).status).to.equal(404);
+    });
+  });
+});
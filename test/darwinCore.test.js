@@ -0,0 +1,168 @@
+// Import the tools we need from Chai (for assertions) and Hardhat/Ethers.
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const fs = require("node:fs");
+const os = require("node:os");
+const path = require("node:path");
+const { createSintropOS } = require("../sdk");
+const { deployPlantCatalog } = require("../scripts/shared/deployPlantCatalog");
+const { exportDarwinCoreArchive } = require("../scripts/shared/darwinCore");
+const { validateDarwinCoreArchive, parseCsv, readZip } = require("./shared/darwinCoreSchema");
+
+// Tests for the Darwin Core Archive export of the plant catalog, validated against the local schema.
+describe("Darwin Core export", function () {
+  let plantCatalog, plantTaxonomyRegistry;
+  let plants;
+  let owner, addr1;
+  let outDir;
+
+  const ranks = (order, family, genus, species, infraspecificRank = "", infraspecificEpithet = "") => ({
+    kingdom: "Plantae",
+    phylum: "Tracheophyta",
+    class: "Magnoliopsida",
+    order,
+    family,
+    genus,
+    species,
+    infraspecificRank,
+    infraspecificEpithet,
+  });
+
+  // Rows of a data file as objects keyed by the header names.
+  const records = (csv) => {
+    const [header, ...rows] = parseCsv(csv);
+    return rows.map((row) => Object.fromEntries(header.map((name, index) => [name, row[index]])));
+  };
+
+  beforeEach(async function () {
+    const signers = await ethers.getSigners();
+    [owner, addr1] = signers;
+    ({ globalPlantCatalog: plantCatalog, plantTaxonomyRegistry } = await deployPlantCatalog(ethers.ZeroAddress));
+    plants = createSintropOS({
+      runner: ethers.provider,
+      addresses: { globalPlantCatalog: plantCatalog.target, plantTaxonomyRegistry: plantTaxonomyRegistry.target },
+    }).plants;
+    outDir = fs.mkdtempSync(path.join(os.tmpdir(), "sintrop-dwca-"));
+
+    await plantCatalog.addPlant(
+      "Jatobá",
+      "Hymenaea courbaril",
+      "Plantae > Fabales > Fabaceae",
+      'A "courbaril" tree\nof the Cerrado',
+      "ipfs://jatoba"
+    );
+    await plantCatalog.connect(addr1).addPlant("Ipê", "Handroanthus albus", "Bignoniaceae", "A tree", "ipfs://ipe");
+    await plantTaxonomyRegistry.setTaxonomicRanks(
+      0,
+      ranks("Fabales", "Fabaceae", "Hymenaea", "courbaril", "var.", "stilbocarpa")
+    );
+    await plantTaxonomyRegistry
+      .connect(addr1)
+      .setTaxonomicRanks(1, ranks("Lamiales", "Bignoniaceae", "Handroanthus", "albus"));
+
+    // Jatobá is added again and marked as a duplicate of the first entry.
+    await plantCatalog.addPlant("Jatobá", "Hymenaea courbaril L.", "Fabaceae", "A tree", "ipfs://jatoba");
+    await plantCatalog.proposeDuplicate(2, 0);
+    const quorum = Number(await plantCatalog.quorum());
+    for (const voter of signers.slice(1, quorum)) await plantCatalog.connect(voter).voteOnDuplicate(0, true);
+
+    for (const voter of signers.slice(1, 4)) await plantCatalog.connect(voter).vote(0, 1);
+    await plantCatalog.connect(signers[4]).vote(0, 2);
+    await plantCatalog.connect(signers[4]).vote(1, 2);
+  });
+
+  afterEach(function () {
+    fs.rmSync(outDir, { recursive: true, force: true });
+  });
+
+  it("Should write a folder with a valid archive", async function () {
+    const result = await exportDarwinCoreArchive({ plants, out: outDir });
+
+    const files = Object.fromEntries(
+      fs.readdirSync(outDir).map((name) => [name, fs.readFileSync(path.join(outDir, name), "utf8")])
+    );
+    expect(result).to.deep.equal({ path: outDir, plants: 3 });
+    expect(Object.keys(files).sort()).to.deep.equal(["meta.xml", "taxon.txt", "votes.txt"]);
+    expect(validateDarwinCoreArchive(files)).to.deep.equal([]);
+  });
+
+  it("Should map every plant to a taxon with its names, ranks, creator and block", async function () {
+    await exportDarwinCoreArchive({ plants, out: outDir });
+    const [jatoba, ipe] = records(fs.readFileSync(path.join(outDir, "taxon.txt"), "utf8"));
+    const added = await plantCatalog.getPlant(1);
+
+    expect(jatoba).to.include({
+      id: "0",
+      taxonID: "0",
+      scientificName: "Hymenaea courbaril",
+      vernacularName: "Jatobá",
+      higherClassification: "Plantae > Fabales > Fabaceae",
+      family: "Fabaceae",
+      specificEpithet: "courbaril",
+      infraspecificEpithet: "stilbocarpa",
+      taxonRank: "variety",
+      taxonRemarks: 'A "courbaril" tree of the Cerrado',
+      creator: owner.address,
+    });
+    expect(ipe).to.include({ vernacularName: "Ipê", order: "Lamiales", taxonRank: "species", creator: addr1.address });
+    expect(ipe.createdAtBlock).to.equal(added.createdAt.toString());
+  });
+
+  it("Should export duplicates as synonyms of their canonical plant", async function () {
+    await exportDarwinCoreArchive({ plants, out: outDir });
+    const taxa = records(fs.readFileSync(path.join(outDir, "taxon.txt"), "utf8"));
+
+    expect(taxa.map((taxon) => [taxon.taxonomicStatus, taxon.acceptedNameUsageID])).to.deep.equal([
+      ["accepted", "0"],
+      ["accepted", "1"],
+      ["synonym", "0"],
+    ]);
+    // A plant without ranks has no taxon rank.
+    expect(taxa[2]).to.include({ kingdom: "", taxonRank: "" });
+  });
+
+  it("Should export the votes as a MeasurementOrFact extension", async function () {
+    await exportDarwinCoreArchive({ plants, out: outDir });
+    const facts = records(fs.readFileSync(path.join(outDir, "votes.txt"), "utf8"));
+
+    expect(
+      facts.filter((fact) => fact.coreid === "0").map((fact) => [fact.measurementType, fact.measurementValue])
+    ).to.deep.equal([
+      ["positive votes", "3"],
+      ["negative votes", "1"],
+      ["vote score", "2"],
+    ]);
+    expect(
+      facts.find((fact) => fact.coreid === "1" && fact.measurementType === "vote score").measurementValue
+    ).to.equal("-1");
+    expect(facts).to.have.lengthOf(9);
+  });
+
+  it("Should write the same files into a zip archive", async function () {
+    await exportDarwinCoreArchive({ plants, out: path.join(outDir, "folder") });
+    const result = await exportDarwinCoreArchive({ plants, out: path.join(outDir, "plants.zip") });
+
+    const files = readZip(fs.readFileSync(result.path));
+    for (const name of ["meta.xml", "taxon.txt", "votes.txt"]) {
+      expect(files[name]).to.equal(fs.readFileSync(path.join(outDir, "folder", name), "utf8"));
+    }
+    expect(validateDarwinCoreArchive(files)).to.deep.equal([]);
+  });
+
+  it("Should report archives that do not follow the schema", async function () {
+    await exportDarwinCoreArchive({ plants, out: outDir });
+    const read = (name) => fs.readFileSync(path.join(outDir, name), "utf8");
+
+    const errors = validateDarwinCoreArchive({
+      "meta.xml": read("meta.xml").replace("taxonRemarks", "remarks"),
+      "taxon.txt": read("taxon.txt").replace('"accepted"', '"approved"'),
+      "votes.txt": `${read("votes.txt")}"7","vote score","1","Community votes in the GlobalPlantCatalog"\n`,
+    });
+
+    expect(errors).to.deep.equal([
+      "taxon.txt: term http://rs.tdwg.org/dwc/terms/remarks is not allowed in http://rs.tdwg.org/dwc/terms/Taxon",
+      'taxon.txt:1: invalid taxonomicStatus "approved"',
+      "votes.txt:10: core ID 7 is not in the core",
+    ]);
+  });
+});
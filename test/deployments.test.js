@@ -0,0 +1,109 @@
+const { expect } = require("chai");
+const hre = require("hardhat");
+const fs = require("node:fs");
+const os = require("node:os");
+const path = require("node:path");
+const {
+  SINTROP_OS_CONTRACTS,
+  DeploymentNotFoundError,
+  getDeploymentsDir,
+  loadContract,
+  loadSintropOS,
+} = require("../scripts/shared/deployments");
+
+const { ethers } = hre;
+
+// Tests for the loader of the deployment manifests, on manifests written to a temporary directory.
+describe("Deployments", function () {
+  let dir, previousEnvDir, previousConfigDir;
+
+  // Manifests only need an address for the loader, which attaches the ABI of the artifact to it.
+  const writeManifest = (contractName, address) => {
+    fs.mkdirSync(path.join(dir, hre.network.name), { recursive: true });
+    fs.writeFileSync(
+      path.join(dir, hre.network.name, `${contractName.toLowerCase()}.json`),
+      JSON.stringify({ contractName, address })
+    );
+  };
+
+  beforeEach(function () {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "sintrop-deployments-"));
+    previousEnvDir = process.env.DEPLOYED_CONTRACTS_DIR;
+    previousConfigDir = hre.config.paths.deployments;
+    process.env.DEPLOYED_CONTRACTS_DIR = dir;
+  });
+
+  afterEach(function () {
+    if (previousEnvDir === undefined) delete process.env.DEPLOYED_CONTRACTS_DIR;
+    else process.env.DEPLOYED_CONTRACTS_DIR = previousEnvDir;
+    hre.config.paths.deployments = previousConfigDir;
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  describe("Directory", function () {
+    it("Should prefer DEPLOYED_CONTRACTS_DIR, then paths.deployments, then deployed_contracts", function () {
+      hre.config.paths.deployments = "config_deployments";
+      expect(getDeploymentsDir("sepolia")).to.equal(path.join(dir, "sepolia"));
+
+      delete process.env.DEPLOYED_CONTRACTS_DIR;
+      expect(getDeploymentsDir("sepolia")).to.equal(path.join(hre.config.paths.root, "config_deployments", "sepolia"));
+
+      hre.config.paths.deployments = undefined;
+      expect(getDeploymentsDir("sepolia")).to.equal(path.join(hre.config.paths.root, "deployed_contracts", "sepolia"));
+    });
+
+    it("Should default to the selected network", function () {
+      expect(getDeploymentsDir()).to.equal(path.join(dir, hre.network.name));
+    });
+  });
+
+  describe("Loading", function () {
+    it("Should attach a contract to the address of its manifest", async function () {
+      const educationCenter = await ethers.deployContract("FreeEducationCenter");
+      writeManifest("FreeEducationCenter", await educationCenter.getAddress());
+
+      const loaded = await loadContract("FreeEducationCenter");
+      expect(await loaded.getAddress()).to.equal(await educationCenter.getAddress());
+    });
+
+    it("Should name the contract and the directory when the manifest is missing", async function () {
+      const filepath = path.join(dir, hre.network.name, "freeeducationcenter.json");
+
+      const error = await loadContract("FreeEducationCenter").catch((caught) => caught);
+      expect(error).to.be.instanceOf(DeploymentNotFoundError);
+      expect(error.contractName).to.equal("FreeEducationCenter");
+      expect(error.network).to.equal(hre.network.name);
+      expect(error.message).to.equal(
+        `FreeEducationCenter is not deployed on network "${hre.network.name}": manifest ${filepath} not found. ` +
+          `Run the migrations first (npx hardhat migrate --network ${hre.network.name}).`
+      );
+    });
+
+    it("Should reject a manifest whose address has no code", async function () {
+      const [, addr1] = await ethers.getSigners();
+      writeManifest("FreeEducationCenter", addr1.address);
+
+      await expect(loadContract("FreeEducationCenter")).to.be.rejectedWith(
+        DeploymentNotFoundError,
+        `no code at ${addr1.address}`
+      );
+    });
+
+    it("Should load every native app, and fail naming the one that is missing", async function () {
+      // The loader does not check the ABI, so a single deployment can stand in for every app.
+      const address = await (await ethers.deployContract("FreeEducationCenter")).getAddress();
+      const contractNames = Object.values(SINTROP_OS_CONTRACTS);
+      for (const contractName of contractNames) writeManifest(contractName, address);
+
+      const sintropOS = await loadSintropOS();
+      expect(Object.keys(sintropOS)).to.deep.equal(Object.keys(SINTROP_OS_CONTRACTS));
+      expect(await sintropOS.translationCenter.getAddress()).to.equal(address);
+
+      fs.rmSync(path.join(dir, hre.network.name, "plantphotoregistry.json"));
+      const error = await loadSintropOS().catch((caught) => caught);
+      expect(error).to.be.instanceOf(DeploymentNotFoundError);
+      expect(error.contractName).to.equal("PlantPhotoRegistry");
+      expect(error.message).to.include(path.join(dir, hre.network.name, "plantphotoregistry.json"));
+    });
+  });
+});
@@ -0,0 +1,576 @@
+// Import the tools we need from Chai (for assertions) and Hardhat/Ethers.
+const { expect } = require("chai");
+const { ethers, network } = require("hardhat");
+const { mine } = require("@nomicfoundation/hardhat-network-helpers");
+const { createSintropOS } = require("../sdk");
+const { deployProxy } = require("../scripts/shared/deployProxy");
+const { deployPlantCatalog } = require("../scripts/shared/deployPlantCatalog");
+const { deployHumansPeaceTreaty } = require("../scripts/shared/deployHumansPeaceTreaty");
+const { openDatabase, SintropIndexer } = require("../indexer");
+
+// Tests for the event indexer, run against the in-process Hardhat network with an in-memory database.
+describe("SintropIndexer", function () {
+  let owner, addr1, addr2;
+  let addresses;
+  let os;
+  let db;
+  let indexer;
+
+  const connect = (signer) => createSintropOS({ runner: signer, addresses });
+  const rows = (sql, ...params) => db.prepare(sql).all(...params);
+
+  beforeEach(async function () {
+    [owner, addr1, addr2] = await ethers.getSigners();
+
+    const deploy = async (name) => {
+      const contract = await (await ethers.getContractFactory(name)).deploy();
+      return contract.getAddress();
+    };
+
+    addresses = {
+      educationCenter: await deploy("FreeEducationCenter"),
+      sintropAppStore: await deploy("SintropAppStore"),
+      whitepaperCenter: await deploy("WhitepaperCenter"),
+    };
+    // The catalog is deployed with its registries.
+    for (const [key, contract] of Object.entries(await deployPlantCatalog(ethers.ZeroAddress))) {
+      addresses[key] = contract.target;
+    }
+    // The treaty is initialized with a proof window of 10 blocks, and deployed with its certificate.
+    const treaty = await deployHumansPeaceTreaty(10, ethers.id("Pledge"), "ipfs://pledge");
+    for (const [key, contract] of Object.entries(treaty)) {
+      addresses[key] = contract.target;
+    }
+    // The occurrence registry is initialized with the catalog it refers to.
+    addresses.plantOccurrenceRegistry = await (
+      await deployProxy("PlantOccurrenceRegistry", [addresses.globalPlantCatalog])
+    ).getAddress();
+    // The translation center too, with the catalog and the education center it translates.
+    addresses.translationCenter = await (
+      await deployProxy("TranslationCenter", [addresses.globalPlantCatalog, addresses.educationCenter])
+    ).getAddress();
+    os = connect(owner);
+
+    db = openDatabase(":memory:");
+    indexer = new SintropIndexer({
+      db,
+      provider: ethers.provider,
+      addresses,
+      // Index from the first block after the deployments, so only the actions of each test are indexed.
+      startBlock: (await ethers.provider.getBlockNumber()) + 1,
+      confirmations: 5,
+    });
+  });
+
+  afterEach(function () {
+    db.close();
+  });
+
+  describe("Entries", function () {
+    it("Should index the entries of every app with their details", async function () {
+      await os.education.publish({ title: "Agroforestry", description: "Intro", url: "ipfs://content" });
+      await os.plants.add({
+        popularName: "Jatobá",
+        scientificName: "Hymenaea courbaril",
+        taxonomy: "Fabaceae",
+        description: "A tree",
+        photoHash: "ipfs://photo",
+      });
+      await os.appStore.register({
+        name: "EcoApp",
+        description: "Desc",
+        icon: "icon",
+        repositoryUrl: "repo",
+        externalLink: "link",
+        contractAddresses: [addr1.address, addr2.address],
+      });
+      await os.whitepapers.publish({ title: "Paper", description: "Desc", url: "ipfs://paper" });
+
+      await indexer.sync();
+
+      expect(rows("SELECT id, title, url, publisher FROM contents")).to.deep.equal([
+        { id: 1, title: "Agroforestry", url: "ipfs://content", publisher: owner.address },
+      ]);
+      expect(rows("SELECT id, scientific_name, creator FROM plants")).to.deep.equal([
+        { id: 0, scientific_name: "Hymenaea courbaril", creator: owner.address },
+      ]);
+      expect(JSON.parse(rows("SELECT contract_addresses FROM impact_apps")[0].contract_addresses)).to.deep.equal([
+        addr1.address,
+        addr2.address,
+      ]);
+      expect(rows("SELECT id, title FROM whitepapers")).to.deep.equal([{ id: 1, title: "Paper" }]);
+      expect(rows("SELECT app, event FROM events ORDER BY block_number")).to.have.lengthOf(4);
+    });
+
+    it("Should continue from the last indexed block", async function () {
+      await os.education.publish({ title: "First", description: "Desc", url: "url" });
+      const first = await indexer.sync();
+
+      await os.education.publish({ title: "Second", description: "Desc", url: "url" });
+      const second = await indexer.sync();
+
+      expect(second.fromBlock).to.equal(first.toBlock + 1);
+      expect(second.events).to.equal(1);
+      expect(rows("SELECT title FROM contents ORDER BY id").map((row) => row.title)).to.deep.equal(["First", "Second"]);
+    });
+
+    it("Should index entries as they were at the block of their event", async function () {
+      await os.education.publish({ title: "Tilte", description: "Desc", url: "ipfs://broken" });
+      await os.education.update(1, { title: "Title", url: "ipfs://fixed" });
+      await indexer.sync();
+
+      expect(rows("SELECT title, url FROM contents")).to.deep.equal([{ title: "Tilte", url: "ipfs://broken" }]);
+      expect(rows("SELECT title, url FROM current_contents")).to.deep.equal([{ title: "Title", url: "ipfs://fixed" }]);
+    });
+
+    it("Should show the latest update of content and whether it was retracted", async function () {
+      await os.education.publish({ title: "Tilte", description: "Desc", url: "ipfs://broken" });
+      await os.education.update(1, { title: "Title" });
+      await indexer.sync();
+      await os.education.update(1, { url: "ipfs://fixed" });
+      await os.education.retract(1);
+      await indexer.sync();
+
+      expect(rows("SELECT id, title, url, retracted FROM current_contents")).to.deep.equal([
+        { id: 1, title: "Title", url: "ipfs://fixed", retracted: 1 },
+      ]);
+      expect(rows("SELECT title FROM content_updates ORDER BY block_number")).to.have.lengthOf(2);
+    });
+  });
+
+  describe("Votes", function () {
+    beforeEach(async function () {
+      await os.plants.add({
+        popularName: "Ipê",
+        scientificName: "Handroanthus albus",
+        taxonomy: "Bignoniaceae",
+        description: "A tree",
+        photoHash: "ipfs://photo",
+      });
+      await os.whitepapers.publish({ title: "Paper", description: "Desc", url: "ipfs://paper" });
+    });
+
+    it("Should tally the latest vote of each voter", async function () {
+      await connect(addr1).plants.vote(0, "positive");
+      await connect(addr2).plants.vote(0, "positive");
+      // addr2 changes their mind, only the last vote counts.
+      await connect(addr2).plants.vote(0, "negative");
+      await connect(addr1).whitepapers.vote(1, "negative");
+
+      await indexer.sync();
+
+      expect(rows("SELECT app, entry_id, positive, negative, score FROM vote_tallies ORDER BY app")).to.deep.equal([
+        { app: "plants", entry_id: 0, positive: 1, negative: 1, score: 0 },
+        { app: "whitepapers", entry_id: 1, positive: 0, negative: 1, score: -1 },
+      ]);
+    });
+  });
+
+  describe("Duplicates", function () {
+    it("Should record the canonical plant of accepted duplicate proposals only", async function () {
+      for (const scientificName of ["Hymenaea courbaril", "Hymenaea courbaril L.", "Hymenaea courbaril var."]) {
+        await os.plants.add({
+          popularName: "Jatobá",
+          scientificName,
+          taxonomy: "Fabaceae",
+          description: "A tree",
+          photoHash: "ipfs://photo",
+        });
+      }
+      const voters = (await ethers.getSigners()).slice(1, 3);
+      await os.plants.proposeDuplicate(1, 0);
+      await os.plants.proposeDuplicate(2, 0);
+      for (const voter of voters) {
+        await connect(voter).plants.voteOnDuplicate(0, true);
+        await connect(voter).plants.voteOnDuplicate(1, false);
+      }
+
+      await indexer.sync();
+
+      expect(rows("SELECT id, canonical_id, duplicate FROM current_plants ORDER BY id")).to.deep.equal([
+        { id: 0, canonical_id: null, duplicate: 0 },
+        { id: 1, canonical_id: 0, duplicate: 1 },
+        { id: 2, canonical_id: null, duplicate: 0 },
+      ]);
+    });
+
+    it("Should drop the canonical plant of duplicates whose contest was accepted", async function () {
+      for (const scientificName of ["Hymenaea courbaril", "Hymenaea courbaril L."]) {
+        await os.plants.add({
+          popularName: "Jatobá",
+          scientificName,
+          taxonomy: "Fabaceae",
+          description: "A tree",
+          photoHash: "ipfs://photo",
+        });
+      }
+      const voters = (await ethers.getSigners()).slice(1, 3);
+      await os.plants.proposeDuplicate(1, 0);
+      for (const voter of voters) await connect(voter).plants.voteOnDuplicate(0, true);
+      const { proposalId } = await os.plants.contestDuplicate(1);
+      for (const voter of voters) await connect(voter).plants.voteOnDuplicate(proposalId, true);
+
+      await indexer.sync();
+
+      expect(rows("SELECT id, canonical_id, duplicate FROM current_plants ORDER BY id")).to.deep.equal([
+        { id: 0, canonical_id: null, duplicate: 0 },
+        { id: 1, canonical_id: null, duplicate: 0 },
+      ]);
+    });
+  });
+
+  describe("Taxonomy", function () {
+    it("Should show the latest taxonomic ranks of each plant", async function () {
+      const ranks = (family, genus, species) => ({
+        kingdom: "Plantae",
+        phylum: "Tracheophyta",
+        class: "Magnoliopsida",
+        order: "Fabales",
+        family,
+        genus,
+        species,
+      });
+      for (const scientificName of ["Inga edulis", "Hymenaea courbaril"]) {
+        await os.plants.add({
+          popularName: scientificName,
+          scientificName,
+          taxonomy: "Fabaceae",
+          description: "A tree",
+          photoHash: "ipfs://photo",
+        });
+      }
+      await os.plants.setRanks(0, ranks("Mimosaceae", "Inga", "edulis"));
+      await os.plants.setRanks(0, ranks("Fabaceae", "Inga", "edulis"));
+
+      await indexer.sync();
+
+      const [inga, jatoba] = rows("SELECT family, genus, ranks FROM current_plants ORDER BY id");
+      expect(inga).to.include({ family: "Fabaceae", genus: "Inga" });
+      expect(JSON.parse(inga.ranks)).to.deep.equal({
+        ...ranks("Fabaceae", "Inga", "edulis"),
+        infraspecificRank: "",
+        infraspecificEpithet: "",
+      });
+      expect(jatoba).to.deep.equal({ family: null, genus: null, ranks: null });
+    });
+  });
+
+  describe("Revisions", function () {
+    it("Should show the fields of the latest accepted revision of each plant", async function () {
+      await os.plants.add({
+        popularName: "Ingá",
+        scientificName: "Inga edulis",
+        taxonomy: "Fabaceae",
+        description: "A tree",
+        photoHash: "ipfs://photo",
+      });
+      const voters = (await ethers.getSigners()).slice(1, 3);
+      const accepted = await os.plants.proposeRevision(0, { description: "A nitrogen fixer" });
+      const rejected = await os.plants.proposeRevision(0, { description: "Wrong" });
+      for (const voter of voters) {
+        await connect(voter).plants.voteOnRevision(accepted.revisionId, "positive");
+      }
+      for (const voter of voters) {
+        await connect(voter).plants.voteOnRevision(rejected.revisionId, "negative");
+      }
+
+      await indexer.sync();
+
+      expect(rows("SELECT description, revision_id FROM current_plants")).to.deep.equal([
+        { description: "A nitrogen fixer", revision_id: accepted.revisionId },
+      ]);
+    });
+  });
+
+  describe("Agroforestry", function () {
+    it("Should show the latest attributes of each plant and index relationships with their votes", async function () {
+      for (const [popularName, scientificName] of [
+        ["Ingá", "Inga edulis"],
+        ["Cacau", "Theobroma cacao"],
+      ]) {
+        await os.plants.add({
+          popularName,
+          scientificName,
+          taxonomy: "Plantae",
+          description: "A tree",
+          photoHash: "p",
+        });
+      }
+      await os.plants.setAgroforestry(0, { stratum: "medium", successionalStage: "secondary" });
+      await os.plants.setAgroforestry(0, { stratum: "high", successionalStage: "secondary" });
+      await os.plants.proposeRelationship(0, 1, "nurse");
+      await connect(addr1).plants.voteOnRelationship(0, "positive");
+
+      await indexer.sync();
+
+      expect(rows("SELECT id, stratum, successional_stage FROM current_plants")).to.deep.equal([
+        { id: 0, stratum: "high", successional_stage: "secondary" },
+        { id: 1, stratum: "unknown", successional_stage: "unknown" },
+      ]);
+      expect(rows("SELECT id, plant_id, related_plant_id, relationship_type FROM plant_relationships")).to.deep.equal([
+        { id: 0, plant_id: 0, related_plant_id: 1, relationship_type: "nurse" },
+      ]);
+      expect(rows("SELECT positive, score FROM vote_tallies WHERE app = 'relationships'")).to.deep.equal([
+        { positive: 2, score: 2 },
+      ]);
+    });
+  });
+
+  describe("Gallery", function () {
+    it("Should index photos and show the best voted one as the primary photo", async function () {
+      await os.plants.add({
+        popularName: "Ipê",
+        scientificName: "Handroanthus albus",
+        taxonomy: "T",
+        description: "D",
+        photoHash: "p",
+      });
+      await connect(addr1).plants.addPhoto(0, { type: "fruit", photoHash: "ipfs://fruit" });
+      await connect(addr2).plants.addPhoto(0, { type: "seed", photoHash: "ipfs://seed" });
+
+      await indexer.sync();
+      expect(rows("SELECT primary_photo_id, primary_photo FROM current_plants")).to.deep.equal([
+        { primary_photo_id: null, primary_photo: "p" },
+      ]);
+
+      await os.plants.voteOnPhoto(1, "positive");
+      await indexer.sync();
+
+      expect(rows("SELECT id, photo_type, contributor FROM plant_photos")).to.deep.equal([
+        { id: 0, photo_type: "fruit", contributor: addr1.address },
+        { id: 1, photo_type: "seed", contributor: addr2.address },
+      ]);
+      expect(rows("SELECT primary_photo_id, primary_photo FROM current_plants")).to.deep.equal([
+        { primary_photo_id: 1, primary_photo: "ipfs://seed" },
+      ]);
+    });
+  });
+
+  describe("Occurrences", function () {
+    it("Should index occurrences with their place and observation date", async function () {
+      await os.plants.add({
+        popularName: "Ipê",
+        scientificName: "Handroanthus albus",
+        taxonomy: "T",
+        description: "D",
+        photoHash: "p",
+      });
+      const observedAt = Math.floor(Date.now() / 1000) - 86400;
+      await connect(addr1).occurrences.report({
+        plantId: 0,
+        latitude: -15.7939,
+        longitude: -47.8828,
+        observedAt,
+        evidenceCid: "ipfs://evidence",
+      });
+      await connect(addr2).occurrences.report({ plantId: 0, geohash: "6gy", observedAt, evidenceCid: "ipfs://e" });
+
+      await indexer.sync();
+
+      expect(
+        rows("SELECT id, plant_id, reporter, geohash, latitude, longitude, observed_at FROM occurrences")
+      ).to.deep.equal([
+        {
+          id: 0,
+          plant_id: 0,
+          reporter: addr1.address,
+          geohash: "6vjynkucc",
+          latitude: -15.7939,
+          longitude: -47.8828,
+          observed_at: observedAt,
+        },
+        {
+          id: 1,
+          plant_id: 0,
+          reporter: addr2.address,
+          geohash: "6gy",
+          latitude: null,
+          longitude: null,
+          observed_at: observedAt,
+        },
+      ]);
+    });
+  });
+
+  describe("Translations", function () {
+    it("Should index translations and serve the best voted one of each language", async function () {
+      await os.plants.add({ popularName: "Ipê", scientificName: "S", taxonomy: "T", description: "D", photoHash: "p" });
+      for (const [signer, name] of [
+        [addr1, "Ipê-amarelo"],
+        [addr2, "Ipê-branco"],
+      ]) {
+        await connect(signer).translations.add({
+          entryType: "plant",
+          entryId: 0,
+          language: "pt-BR",
+          name,
+          description: "Uma árvore",
+        });
+      }
+      await os.translations.vote(1, "positive");
+
+      await indexer.sync();
+
+      expect(rows("SELECT id, entry_type, entry_id, language, name, translator FROM translations")).to.deep.equal([
+        { id: 0, entry_type: "plant", entry_id: 0, language: "pt-BR", name: "Ipê-amarelo", translator: addr1.address },
+        { id: 1, entry_type: "plant", entry_id: 0, language: "pt-BR", name: "Ipê-branco", translator: addr2.address },
+      ]);
+      expect(rows("SELECT id, name FROM best_translations")).to.deep.equal([{ id: 1, name: "Ipê-branco" }]);
+    });
+  });
+
+  describe("Treaty", function () {
+    it("Should index pledges and commitment proofs", async function () {
+      await connect(addr1).treaty.sign();
+      await mine(3);
+      await connect(addr1).treaty.prove();
+      await connect(addr2).treaty.sign();
+
+      await indexer.sync();
+
+      expect(rows("SELECT signer FROM pledges ORDER BY block_number").map((row) => row.signer)).to.deep.equal([
+        addr1.address,
+        addr2.address,
+      ]);
+      expect(rows("SELECT signer FROM proofs")).to.deep.equal([{ signer: addr1.address }]);
+    });
+
+    it("Should index the proof window of the treaty once", async function () {
+      await mine(1);
+      await indexer.sync();
+      await connect(addr1).treaty.sign();
+      await indexer.sync();
+
+      expect(rows("SELECT proof_window FROM treaty_settings")).to.deep.equal([{ proof_window: 10 }]);
+    });
+
+    it("Should index the lapses of signers", async function () {
+      const { blockNumber } = await connect(addr1).treaty.sign();
+      await mine(10);
+      await connect(addr2).treaty.recordLapse(addr1.address);
+
+      await indexer.sync();
+
+      expect(rows("SELECT signer, lapsed_block FROM lapses")).to.deep.equal([
+        { signer: addr1.address, lapsed_block: blockNumber + 11 },
+      ]);
+    });
+
+    it("Should index the versions of the text and the version of each pledge", async function () {
+      await connect(addr1).treaty.sign();
+      // addr1 is the only active signer, so its amendment is adopted right away.
+      const { blockNumber } = await connect(addr1).treaty.proposeAmendment({ text: "Amended", textUri: "ipfs://v1" });
+      await connect(addr1).treaty.sign();
+
+      await indexer.sync();
+
+      expect(rows("SELECT * FROM treaty_versions")).to.deep.equal([
+        { version: 1, text_hash: ethers.id("Amended"), text_uri: "ipfs://v1", block_number: blockNumber },
+      ]);
+      expect(rows("SELECT signer, version FROM pledges ORDER BY block_number")).to.deep.equal([
+        { signer: addr1.address, version: 0 },
+        { signer: addr1.address, version: 1 },
+      ]);
+    });
+
+    it("Should index withdrawn pledges", async function () {
+      await connect(addr1).treaty.sign();
+      const { blockNumber } = await connect(addr1).treaty.withdraw();
+
+      await indexer.sync();
+
+      expect(rows("SELECT signer, block_number FROM withdrawals")).to.deep.equal([
+        { signer: addr1.address, block_number: blockNumber },
+      ]);
+    });
+  });
+
+  describe("Reorgs", function () {
+    it("Should rewind the confirmation window and drop events of blocks that left the chain", async function () {
+      await os.education.publish({ title: "Kept", description: "Desc", url: "url" });
+      const snapshot = await network.provider.send("evm_snapshot");
+
+      await os.education.publish({ title: "Orphaned", description: "Desc", url: "url" });
+      await connect(addr1).education.vote(2, "positive");
+      await indexer.sync();
+      expect(rows("SELECT title FROM contents ORDER BY id")).to.have.lengthOf(2);
+
+      // Replace the last blocks with a different history of the same height.
+      await network.provider.send("evm_revert", [snapshot]);
+      await os.education.publish({ title: "Replacement", description: "Desc", url: "url" });
+      await mine(2);
+
+      await indexer.sync();
+
+      expect(rows("SELECT id, title FROM contents ORDER BY id")).to.deep.equal([
+        { id: 1, title: "Kept" },
+        { id: 2, title: "Replacement" },
+      ]);
+      expect(rows("SELECT * FROM votes")).to.deep.equal([]);
+      expect(indexer.head().hash).to.equal((await ethers.provider.getBlock("latest")).hash);
+    });
+
+    it("Should restore content whose update or retraction left the chain", async function () {
+      await os.education.publish({ title: "Original", description: "Desc", url: "url" });
+      const snapshot = await network.provider.send("evm_snapshot");
+
+      await os.education.update(1, { title: "Orphaned" });
+      await os.education.retract(1);
+      await indexer.sync();
+
+      await network.provider.send("evm_revert", [snapshot]);
+      await mine(3);
+
+      await indexer.sync();
+
+      expect(rows("SELECT id, title, retracted FROM current_contents")).to.deep.equal([
+        { id: 1, title: "Original", retracted: 0 },
+      ]);
+    });
+  });
+
+  describe("Following", function () {
+    it("Should index new blocks until stopped", async function () {
+      indexer.pollInterval = 10;
+      const following = indexer.start();
+
+      await os.education.publish({ title: "Live", description: "Desc", url: "url" });
+      while (rows("SELECT id FROM contents").length === 0) {
+        await new Promise((resolve) => setTimeout(resolve, 10));
+      }
+
+      indexer.stop();
+      await following;
+
+      expect(rows("SELECT title FROM contents")).to.deep.equal([{ title: "Live" }]);
+    });
+
+    it("Should log a failed sync and retry it on the next poll", async function () {
+      const messages = [];
+      let failures = 1;
+      // A provider whose first request for the chain head times out.
+      indexer.provider = {
+        getBlock: (block) => ethers.provider.getBlock(block),
+        getLogs: (filter) => ethers.provider.getLogs(filter),
+        getBlockNumber: async () => {
+          if (failures-- > 0) throw new Error("Request timed out");
+          return ethers.provider.getBlockNumber();
+        },
+      };
+      indexer.log = (message) => messages.push(message);
+      indexer.pollInterval = 10;
+
+      await os.education.publish({ title: "Live", description: "Desc", url: "url" });
+      const following = indexer.start();
+      while (rows("SELECT id FROM contents").length === 0) {
+        await new Promise((resolve) => setTimeout(resolve, 10));
+      }
+
+      indexer.stop();
+      await following;
+
+      expect(messages[0]).to.equal("Sync failed, retrying in 10 ms: Request timed out");
+      expect(messages[1]).to.match(/^Indexed blocks \d+ to \d+ \(1 events\)$/);
+    });
+  });
+});
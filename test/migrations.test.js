@@ -0,0 +1,151 @@
+const { expect } = require("chai");
+const fs = require("node:fs");
+const os = require("node:os");
+const path = require("node:path");
+const {
+  runMigrations,
+  listMigrations,
+  selectMigrations,
+  readMigrationState,
+  findPreviousRun,
+} = require("../scripts/shared/runMigrations");
+
+// Tests for the migration runner, on migrations written to a temporary directory for each test.
+describe("Migrations", function () {
+  let dir, statePath, log;
+
+  // Each migration appends its name to `ran.log`, and fails while a `<name>.fail` file exists.
+  const writeMigration = (file) => {
+    const name = file.match(/^\d+_(.+?)\.js$/)[1];
+    fs.writeFileSync(
+      path.join(dir, file),
+      `const fs = require("node:fs");
+module.exports = async () => {
+  if (fs.existsSync(${JSON.stringify(path.join(dir, `${name}.fail`))})) throw new Error("${name} failed");
+  fs.appendFileSync(${JSON.stringify(path.join(dir, "ran.log"))}, "${name}\\n");
+};
+`
+    );
+  };
+  const ranLog = () => fs.readFileSync(path.join(dir, "ran.log"), "utf8").trim().split("\n");
+  const run = (options) => runMigrations({ migrationsDir: dir, statePath, ...options });
+
+  beforeEach(function () {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "sintrop-migrations-"));
+    statePath = path.join(dir, "state", ".migrations.json");
+    for (const file of ["2_plants.js", "0_treaty.js", "10_apps.js", "1_education.js"]) writeMigration(file);
+    fs.writeFileSync(path.join(dir, "README.md"), "Not a migration");
+    // The runner prints each migration it runs or skips.
+    log = console.log;
+    console.log = () => {};
+  });
+
+  afterEach(function () {
+    console.log = log;
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  describe("Listing", function () {
+    it("Should list the migrations ordered by their number", function () {
+      expect(listMigrations(dir).map(({ id, name, file }) => ({ id, name, file }))).to.deep.equal([
+        { id: 0, name: "treaty", file: "0_treaty.js" },
+        { id: 1, name: "education", file: "1_education.js" },
+        { id: 2, name: "plants", file: "2_plants.js" },
+        { id: 10, name: "apps", file: "10_apps.js" },
+      ]);
+    });
+
+    it("Should select migrations by number, name or file name with only and from", function () {
+      const migrations = listMigrations(dir);
+      const files = (options) => selectMigrations(migrations, options).map((migration) => migration.file);
+
+      expect(files({})).to.have.lengthOf(4);
+      expect(files({ only: "2, treaty" })).to.deep.equal(["0_treaty.js", "2_plants.js"]);
+      expect(files({ only: ["10_apps.js"] })).to.deep.equal(["10_apps.js"]);
+      expect(files({ from: "education" })).to.deep.equal(["1_education.js", "2_plants.js", "10_apps.js"]);
+      expect(files({ only: "0,10", from: 1 })).to.deep.equal(["10_apps.js"]);
+      expect(() => files({ only: "missing" })).to.throw(
+        'Unknown migration "missing". Available migrations: 0_treaty.js, 1_education.js, 2_plants.js, 10_apps.js'
+      );
+      expect(() => files({ from: 3 })).to.throw('Unknown migration "3"');
+    });
+  });
+
+  describe("Running", function () {
+    it("Should run the migrations in order and record each one", async function () {
+      expect(await run()).to.deep.equal({
+        ran: ["0_treaty.js", "1_education.js", "2_plants.js", "10_apps.js"],
+        skipped: [],
+      });
+
+      expect(ranLog()).to.deep.equal(["treaty", "education", "plants", "apps"]);
+      const state = readMigrationState(statePath);
+      expect(Object.keys(state)).to.have.lengthOf(4);
+      expect(state["2_plants.js"]).to.include({ id: 2, name: "plants" });
+    });
+
+    it("Should skip the completed migrations unless forced", async function () {
+      await run({ only: "treaty,education" });
+
+      expect(await run()).to.deep.equal({
+        ran: ["2_plants.js", "10_apps.js"],
+        skipped: ["0_treaty.js", "1_education.js"],
+      });
+      expect(await run({ only: "education", force: true })).to.deep.equal({ ran: ["1_education.js"], skipped: [] });
+      expect(ranLog()).to.deep.equal(["treaty", "education", "plants", "apps", "education"]);
+    });
+
+    it("Should resume after the migration that failed", async function () {
+      fs.writeFileSync(path.join(dir, "plants.fail"), "");
+
+      let error;
+      await run().catch((caught) => (error = caught));
+      expect(error.message).to.equal("plants failed");
+      expect(Object.keys(readMigrationState(statePath))).to.deep.equal(["0_treaty.js", "1_education.js"]);
+
+      fs.rmSync(path.join(dir, "plants.fail"));
+      expect(await run()).to.deep.equal({
+        ran: ["2_plants.js", "10_apps.js"],
+        skipped: ["0_treaty.js", "1_education.js"],
+      });
+      expect(ranLog()).to.deep.equal(["treaty", "education", "plants", "apps"]);
+    });
+
+    it("Should record nothing without a state file", async function () {
+      await run({ statePath: null });
+
+      expect(await run({ statePath: null })).to.deep.equal({
+        ran: ["0_treaty.js", "1_education.js", "2_plants.js", "10_apps.js"],
+        skipped: [],
+      });
+      expect(fs.existsSync(statePath)).to.be.false;
+    });
+  });
+
+  describe("Renumbered migrations", function () {
+    it("Should find the previous run of a migration by its file name, then by its name", function () {
+      const [treaty, education] = listMigrations(dir);
+      const state = {
+        "5_treaty.js": { id: 5, name: "treaty", completedAt: "2025-01-01T00:00:00.000Z" },
+        "1_education.js": { id: 1, name: "education", completedAt: "2025-01-02T00:00:00.000Z" },
+      };
+
+      expect(findPreviousRun(state, education)).to.equal(state["1_education.js"]);
+      expect(findPreviousRun(state, treaty)).to.equal(state["5_treaty.js"]);
+      expect(findPreviousRun({}, treaty)).to.be.undefined;
+    });
+
+    it("Should skip a migration that ran under its previous number", async function () {
+      fs.rmSync(path.join(dir, "0_treaty.js"));
+      writeMigration("5_humansPeaceTreaty.js");
+      await run({ only: "humansPeaceTreaty" });
+
+      fs.renameSync(path.join(dir, "5_humansPeaceTreaty.js"), path.join(dir, "0_humansPeaceTreaty.js"));
+      expect(await run()).to.deep.equal({
+        ran: ["1_education.js", "2_plants.js", "10_apps.js"],
+        skipped: ["0_humansPeaceTreaty.js"],
+      });
+      expect(ranLog()).to.deep.equal(["humansPeaceTreaty", "education", "plants", "apps"]);
+    });
+  });
+});
@@ -0,0 +1,788 @@
+// Import the tools we need from Chai (for assertions) and Hardhat/Ethers.
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { mine } = require("@nomicfoundation/hardhat-network-helpers");
+const {
+  createSintropOS,
+  toVoteValue,
+  NotFoundError,
+  InvalidVoteError,
+  ValidationError,
+  AlreadyExistsError,
+  NotAllowedError,
+} = require("../sdk");
+const { DEFAULT_PAGE_SIZE } = require("../sdk/baseApp");
+const { deployProxy } = require("../scripts/shared/deployProxy");
+const { deployPlantCatalog } = require("../scripts/shared/deployPlantCatalog");
+const { deployHumansPeaceTreaty } = require("../scripts/shared/deployHumansPeaceTreaty");
+
+// Tests for the JavaScript SDK, run against the contracts deployed on the in-process Hardhat network.
+describe("Sintrop OS SDK", function () {
+  let owner, addr1, addr2;
+  let addresses;
+  let os;
+
+  // Clients of the same deployment connected to another account.
+  const connect = (signer) => createSintropOS({ runner: signer, addresses });
+
+  beforeEach(async function () {
+    [owner, addr1, addr2] = await ethers.getSigners();
+
+    const deploy = async (name) => {
+      const contract = await (await ethers.getContractFactory(name)).deploy();
+      return contract.getAddress();
+    };
+
+    addresses = {
+      educationCenter: await deploy("FreeEducationCenter"),
+      sintropAppStore: await deploy("SintropAppStore"),
+      whitepaperCenter: await deploy("WhitepaperCenter"),
+    };
+    // The catalog is deployed with its registries.
+    for (const [key, contract] of Object.entries(await deployPlantCatalog(ethers.ZeroAddress))) {
+      addresses[key] = contract.target;
+    }
+    // The treaty is initialized with a proof window of 10 blocks, and deployed with its certificate.
+    const treaty = await deployHumansPeaceTreaty(10, ethers.id("Pledge"), "ipfs://pledge");
+    for (const [key, contract] of Object.entries(treaty)) {
+      addresses[key] = contract.target;
+    }
+    // The occurrence registry is initialized with the catalog it refers to.
+    addresses.plantOccurrenceRegistry = await (
+      await deployProxy("PlantOccurrenceRegistry", [addresses.globalPlantCatalog])
+    ).getAddress();
+    // The translation center too, with the catalog and the education center it translates.
+    addresses.translationCenter = await (
+      await deployProxy("TranslationCenter", [addresses.globalPlantCatalog, addresses.educationCenter])
+    ).getAddress();
+
+    os = connect(owner);
+  });
+
+  describe("createSintropOS()", function () {
+    it("Should only create the clients of the apps with an address", async function () {
+      const partial = createSintropOS({
+        runner: owner,
+        addresses: { globalPlantCatalog: addresses.globalPlantCatalog },
+      });
+
+      expect(partial.plants).to.not.be.undefined;
+      expect(partial.education).to.be.undefined;
+      expect(partial.treaty).to.be.undefined;
+    });
+  });
+
+  describe("Votes", function () {
+    it("Should accept every spelling of the vote enums", async function () {
+      expect(toVoteValue("positive")).to.equal(1);
+      expect(toVoteValue("Upvote")).to.equal(1);
+      expect(toVoteValue("up")).to.equal(1);
+      expect(toVoteValue("negative")).to.equal(2);
+      expect(toVoteValue("Downvote")).to.equal(2);
+      expect(toVoteValue(2)).to.equal(2);
+    });
+
+    it("Should reject unknown votes before sending a transaction", async function () {
+      expect(() => toVoteValue("none")).to.throw(InvalidVoteError);
+      expect(() => toVoteValue(0)).to.throw(InvalidVoteError);
+    });
+
+    it("Should vote with the same names on Upvote/Downvote and Positive/Negative apps", async function () {
+      await os.education.publish({ title: "Agroforestry", description: "Intro", url: "ipfs://content" });
+      await os.appStore.register({
+        name: "EcoApp",
+        description: "Desc",
+        icon: "icon",
+        repositoryUrl: "repo",
+        externalLink: "link",
+        contractAddresses: [owner.address],
+      });
+
+      await connect(addr1).education.vote(1, "positive");
+      await connect(addr1).appStore.vote(1, "positive");
+      await connect(addr2).appStore.vote(1, "negative");
+
+      const content = await os.education.get(1);
+      const impactApp = await os.appStore.get(1);
+
+      expect(content.votes).to.deep.equal({ positive: 1, negative: 0, score: 1 });
+      expect(impactApp.votes).to.deep.equal({ positive: 1, negative: 1, score: 0 });
+      expect(await os.appStore.userVote(1, addr2.address)).to.equal("negative");
+      expect(await os.education.userVote(1, addr2.address)).to.equal("none");
+    });
+
+    it("Should only take the votes of treaty signers in apps gated by the treaty", async function () {
+      const gated = {
+        ...addresses,
+        whitepaperCenter: await (await deployProxy("WhitepaperCenter", [addresses.humansPeaceTreaty])).getAddress(),
+      };
+      const client = createSintropOS({ runner: addr1, addresses: gated });
+      await client.whitepapers.publish({ title: "Syntropy", description: "Abstract", url: "ipfs://paper" });
+
+      expect(await os.education.canVote(addr1.address)).to.be.true;
+      expect(await client.whitepapers.canVote(addr1.address)).to.be.false;
+      expect(await client.whitepapers.vote(1, "positive").catch((error) => error)).to.be.instanceOf(NotAllowedError);
+
+      await client.treaty.sign();
+      expect(await client.whitepapers.canVote(addr1.address)).to.be.true;
+      await client.whitepapers.vote(1, "positive");
+      expect((await client.whitepapers.get(1)).votes.positive).to.equal(1);
+    });
+  });
+
+  describe("Events", function () {
+    it("Should return the new ID and the decoded events of a transaction", async function () {
+      const result = await os.plants.add({
+        popularName: "Jatobá",
+        scientificName: "Hymenaea courbaril",
+        taxonomy: "Fabaceae",
+        description: "A tree",
+        photoHash: "ipfs://photo",
+      });
+
+      expect(result.id).to.equal(0);
+      expect(result.events).to.have.lengthOf(1);
+      expect(result.events[0]).to.include({
+        event: "PlantAdded",
+        plantId: 0,
+        creator: owner.address,
+        popularName: "Jatobá",
+        scientificName: "Hymenaea courbaril",
+        blockNumber: result.blockNumber,
+      });
+    });
+
+    it("Should decode vote types by name", async function () {
+      await os.whitepapers.publish({ title: "Paper", description: "Desc", url: "ipfs://paper" });
+      await os.education.publish({ title: "Title", description: "Desc", url: "ipfs://content" });
+
+      const { events } = await connect(addr1).education.vote(1, "down");
+
+      expect(events[0]).to.include({ event: "Voted", contentId: 1, voter: addr1.address, voteType: "negative" });
+    });
+  });
+
+  describe("Entries", function () {
+    it("Should return lists with a single item as arrays", async function () {
+      await os.appStore.register({
+        name: "EcoApp",
+        description: "Desc",
+        icon: "icon",
+        repositoryUrl: "repo",
+        externalLink: "link",
+        contractAddresses: [addr1.address],
+      });
+
+      expect((await os.appStore.get(1)).contractAddresses).to.deep.equal([addr1.address]);
+    });
+
+    it("Should update only the given fields of content and retract it", async function () {
+      await os.education.publish({ title: "Title", description: "Desc", url: "ipfs://broken", photo: "ipfs://photo" });
+
+      const { events } = await os.education.update(1, { url: "ipfs://fixed" });
+      expect(events[0]).to.include({ event: "ContentUpdated", id: 1, url: "ipfs://fixed", photo: "ipfs://photo" });
+
+      await os.education.retract(1);
+      const content = await os.education.get(1);
+
+      expect(content).to.include({ title: "Title", url: "ipfs://fixed", publisher: owner.address, retracted: true });
+      expect(await os.education.byPublisher(owner.address)).to.deep.equal([1]);
+    });
+  });
+
+  describe("Duplicates", function () {
+    const addPlant = (client, scientificName) =>
+      client.plants.add({
+        popularName: "Jatobá",
+        scientificName,
+        taxonomy: "Fabaceae",
+        description: "A tree",
+        photoHash: "ipfs://photo",
+      });
+
+    it("Should find plants by any spelling of their scientific name", async function () {
+      await addPlant(os, "Hymenaea courbaril");
+
+      expect((await os.plants.getByScientificName(" hymenaea  COURBARIL")).id).to.equal(0);
+      expect(await addPlant(os, "Hymenaea Courbaril").catch((error) => error)).to.be.instanceOf(AlreadyExistsError);
+      expect(await os.plants.getByScientificName("Inga edulis").catch((error) => error)).to.be.instanceOf(
+        NotFoundError
+      );
+    });
+
+    it("Should redirect a plant to its canonical plant once the proposal is accepted", async function () {
+      await addPlant(os, "Hymenaea courbaril");
+      await addPlant(os, "Hymenaea courbaril L.");
+      const signers = await ethers.getSigners();
+
+      const { proposalId } = await os.plants.proposeDuplicate(1, 0);
+      const quorum = Number(await os.plants.contract.quorum());
+      for (const voter of signers.slice(1, quorum)) {
+        await connect(voter).plants.voteOnDuplicate(proposalId, true);
+      }
+
+      expect(await os.plants.getDuplicateProposal(proposalId)).to.include({
+        duplicateId: 1,
+        canonicalId: 0,
+        status: "accepted",
+      });
+      expect(await os.plants.canonicalId(1)).to.equal(0);
+      expect(await os.plants.vote(1, "positive").catch((error) => error)).to.be.instanceOf(NotAllowedError);
+    });
+  });
+
+  describe("Taxonomy", function () {
+    const ranks = (family, genus, species) => ({
+      kingdom: "Plantae",
+      phylum: "Tracheophyta",
+      class: "Magnoliopsida",
+      order: "Fabales",
+      family,
+      genus,
+      species,
+    });
+
+    it("Should browse the plants by family and genus", async function () {
+      for (const scientificName of ["Hymenaea courbaril", "Inga edulis", "Inga vera"]) {
+        await os.plants.add({
+          popularName: scientificName,
+          scientificName,
+          taxonomy: "Fabaceae",
+          description: "A tree",
+          photoHash: "ipfs://photo",
+        });
+      }
+      await os.plants.setRanks(0, ranks("Fabaceae", "Hymenaea", "courbaril"));
+      await os.plants.setRanks(1, ranks("Fabaceae", "Inga", "edulis"));
+      await os.plants.setRanks(2, ranks("Fabaceae", "Inga", "vera"));
+
+      expect(await os.plants.ranks(1)).to.include({ genus: "Inga", species: "edulis", infraspecificRank: "" });
+      expect(await os.plants.tree()).to.deep.equal([
+        {
+          family: "Fabaceae",
+          plants: 3,
+          genera: [
+            { genus: "Hymenaea", plants: 1 },
+            { genus: "Inga", plants: 2 },
+          ],
+        },
+      ]);
+
+      const { items, total } = await os.plants.byGenus("inga", { offset: 1, limit: 5 });
+      expect(total).to.equal(2);
+      expect(items.map((plant) => plant.scientificName)).to.deep.equal(["Inga vera"]);
+      expect(items[0].votes).to.deep.equal({ positive: 0, negative: 0, score: 0 });
+    });
+
+    it("Should reject ranks set by someone else than the creator", async function () {
+      await os.plants.add({
+        popularName: "Jatobá",
+        scientificName: "Hymenaea courbaril",
+        taxonomy: "Fabaceae",
+        description: "A tree",
+        photoHash: "ipfs://photo",
+      });
+      const [, other] = await ethers.getSigners();
+
+      expect(await os.plants.ranks(0)).to.equal(null);
+      expect(
+        await connect(other)
+          .plants.setRanks(0, ranks("Fabaceae", "Hymenaea", "courbaril"))
+          .catch((error) => error)
+      ).to.be.instanceOf(NotAllowedError);
+    });
+  });
+
+  describe("Revisions", function () {
+    it("Should revise the changed fields of a plant once the community accepts it", async function () {
+      await os.plants.add({
+        popularName: "Ingá",
+        scientificName: "Inga edulis",
+        taxonomy: "Fabaceae",
+        description: "A tree",
+        photoHash: "ipfs://photo",
+      });
+      await os.plants.setRanks(0, {
+        kingdom: "Plantae",
+        phylum: "Tracheophyta",
+        class: "Magnoliopsida",
+        order: "Fabales",
+        family: "Fabaceae",
+        genus: "Inga",
+        species: "edulis",
+      });
+      const signers = await ethers.getSigners();
+
+      const { revisionId } = await connect(signers[1]).plants.proposeRevision(0, { description: "A nitrogen fixer" });
+      await connect(signers[2]).plants.voteOnRevision(revisionId, "positive");
+      expect(await os.plants.getRevision(revisionId)).to.deep.include({
+        status: "open",
+        votes: { positive: 2, negative: 0, score: 2 },
+      });
+      await connect(signers[3]).plants.voteOnRevision(revisionId, "up");
+
+      const plant = await os.plants.get(0);
+      expect(plant).to.include({ popularName: "Ingá", description: "A nitrogen fixer" });
+      expect(await os.plants.ranks(0)).to.include({ genus: "Inga" });
+      expect(await os.plants.revisionVote(revisionId, signers[3].address)).to.equal("positive");
+
+      const history = await os.plants.history(0);
+      expect(history.map((revision) => revision.fields.description)).to.deep.equal(["A tree", "A nitrogen fixer"]);
+      expect(history.map((revision) => revision.status)).to.deep.equal(["accepted", "accepted"]);
+      expect(await os.plants.setRanks(0, { genus: "Inga" }).catch((error) => error)).to.be.instanceOf(NotAllowedError);
+    });
+  });
+
+  describe("Agroforestry", function () {
+    const PLANTS = [
+      ["Banana", "Musa paradisiaca", "medium", "placenta"],
+      ["Ingá", "Inga edulis", "high", "secondary"],
+      ["Cacau", "Theobroma cacao", "medium", "climax"],
+      ["Mandioca", "Manihot esculenta", "low", "placenta"],
+      ["Eucalipto", "Eucalyptus grandis", "emergent", "secondary"],
+      ["Jatobá", "Hymenaea courbaril", "emergent", "climax"],
+    ];
+
+    beforeEach(async function () {
+      for (const [popularName, scientificName, stratum, successionalStage] of PLANTS) {
+        const { id } = await os.plants.add({
+          popularName,
+          scientificName,
+          taxonomy: "Plantae",
+          description: "A plant",
+          photoHash: "ipfs://photo",
+        });
+        await os.plants.setAgroforestry(id, { stratum, successionalStage });
+      }
+    });
+
+    it("Should read and write the attributes and relationships by name", async function () {
+      expect(await os.plants.agroforestry(1)).to.deep.equal({ stratum: "high", successionalStage: "secondary" });
+
+      const { relationshipId } = await os.plants.proposeRelationship(2, 3, "same-consortium");
+      await connect(addr1).plants.voteOnRelationship(relationshipId, "negative");
+
+      expect(await os.plants.getRelationship(relationshipId)).to.deep.include({
+        plantId: 2,
+        relatedPlantId: 3,
+        relationshipType: "sameConsortium",
+        votes: { positive: 1, negative: 1, score: 0 },
+      });
+      expect((await os.plants.relationships(3)).items.map((relationship) => relationship.id)).to.deep.equal([0]);
+      expect(await os.plants.relationshipVote(relationshipId, addr1.address)).to.equal("negative");
+      expect(await os.plants.setAgroforestry(0, { stratum: "canopy" }).catch((error) => error)).to.be.instanceOf(
+        ValidationError
+      );
+      expect(await os.plants.proposeRelationship(3, 2, "sameConsortium").catch((error) => error)).to.be.instanceOf(
+        AlreadyExistsError
+      );
+    });
+
+    it("Should suggest a consortium from the agreed relationships, leaving out antagonists", async function () {
+      await os.plants.proposeRelationship(1, 2, "nurse");
+      const { relationshipId: banana } = await os.plants.proposeRelationship(0, 2, "companion");
+      await connect(addr1).plants.voteOnRelationship(banana, "positive");
+      await os.plants.proposeRelationship(2, 3, "sameConsortium");
+      await os.plants.proposeRelationship(4, 2, "antagonist");
+      await os.plants.proposeRelationship(3, 0, "antagonist");
+      const { relationshipId: jatoba } = await os.plants.proposeRelationship(5, 2, "companion");
+      await connect(addr1).plants.voteOnRelationship(jatoba, "negative");
+      await connect(addr2).plants.voteOnRelationship(jatoba, "negative");
+
+      const consortium = await os.plants.suggestConsortium(2);
+
+      expect(consortium).to.deep.include({ plantId: 2, stratum: "medium", antagonists: [4] });
+      // Mandioca is an antagonist of Banana, which joined first with a higher score.
+      expect(consortium.members.map((member) => [member.popularName, member.relationships])).to.deep.equal([
+        ["Banana", ["companion"]],
+        ["Ingá", ["nurse"]],
+      ]);
+      expect(consortium.missingStrata).to.deep.equal(["emergent", "low"]);
+      // With one plant per stratum, Cacau fills the medium stratum and Banana no longer keeps Mandioca out.
+      expect(
+        (await os.plants.suggestConsortium(2, { perStratum: 1 })).members.map((member) => member.id)
+      ).to.deep.equal([1, 3]);
+    });
+
+    it("Should read the relationships a page at a time and each plant once", async function () {
+      // More relationships than fit in a page, with the antagonist last.
+      for (let index = 0; index < DEFAULT_PAGE_SIZE; index++) {
+        const { id } = await os.plants.add({
+          popularName: `Plant ${index}`,
+          scientificName: `Plantae species${index}`,
+          taxonomy: "Plantae",
+          description: "A plant",
+          photoHash: "ipfs://photo",
+        });
+        await os.plants.proposeRelationship(id, 2, "companion");
+      }
+      await os.plants.proposeRelationship(0, 2, "companion");
+      await os.plants.proposeRelationship(3, 0, "antagonist");
+      await os.plants.proposeRelationship(3, 2, "antagonist");
+
+      const reads = [];
+      for (const method of ["canonicalId", "agroforestry"]) {
+        const read = os.plants[method].bind(os.plants);
+        os.plants[method] = (id) => {
+          reads.push(`${method}(${id})`);
+          return read(id);
+        };
+      }
+
+      const consortium = await os.plants.suggestConsortium(2);
+
+      expect(consortium.antagonists).to.deep.equal([3]);
+      // The new plants have no stratum set, and up to three of them join in the unknown stratum.
+      expect(consortium.members.map((member) => member.id)).to.deep.equal([0, 6, 7, 8]);
+      expect(reads).to.have.lengthOf(new Set(reads).size);
+    });
+  });
+
+  describe("Gallery", function () {
+    it("Should list the photos of a plant and show the best voted one first", async function () {
+      await os.plants.add({
+        popularName: "Ipê",
+        scientificName: "Handroanthus albus",
+        taxonomy: "Bignoniaceae",
+        description: "A tree",
+        photoHash: "ipfs://ipe",
+      });
+      await connect(addr1).plants.addPhoto(0, { type: "flower", photoHash: "ipfs://ipe-flower" });
+      const { photoId } = await connect(addr2).plants.addPhoto(0, {
+        type: "whole-plant",
+        photoHash: "ipfs://ipe-tree",
+      });
+      expect(await os.plants.primaryPhoto(0)).to.deep.equal({ photoId: null, photoHash: "ipfs://ipe" });
+
+      await os.plants.voteOnPhoto(photoId, "positive");
+
+      const { items, total } = await os.plants.gallery(0);
+      expect(total).to.equal(2);
+      expect(items.map((photo) => [photo.photoType, photo.contributor, photo.votes.score])).to.deep.equal([
+        ["flower", addr1.address, 0],
+        ["wholePlant", addr2.address, 1],
+      ]);
+      expect(await os.plants.primaryPhoto(0)).to.deep.equal({ photoId, photoHash: "ipfs://ipe-tree" });
+      expect(await os.plants.photoVote(photoId, owner.address)).to.equal("positive");
+      expect(
+        await os.plants.addPhoto(0, { type: "root", photoHash: "ipfs://root" }).catch((error) => error)
+      ).to.be.instanceOf(ValidationError);
+    });
+  });
+
+  describe("Occurrences", function () {
+    it("Should report occurrences by coordinates or geohash and list them by plant and region", async function () {
+      await os.plants.add({
+        popularName: "Ipê",
+        scientificName: "Handroanthus albus",
+        taxonomy: "Bignoniaceae",
+        description: "A tree",
+        photoHash: "ipfs://ipe",
+      });
+      const observedAt = new Date(Date.now() - 86400000);
+
+      const { id, geohash } = await connect(addr1).occurrences.report({
+        plantId: 0,
+        latitude: -23.55052,
+        longitude: -46.633308,
+        observedAt,
+        evidenceCid: "ipfs://evidence",
+      });
+      await connect(addr2).occurrences.report({
+        plantId: 0,
+        geohash: "75cm",
+        observedAt: observedAt.toISOString(),
+        evidenceCid: "ipfs://evidence-2",
+      });
+
+      expect(id).to.equal(0);
+      expect(geohash).to.equal(await os.occurrences.encodeGeohash(-23.55052, -46.633308));
+      expect(await os.occurrences.get(0)).to.include({
+        plantId: 0,
+        reporter: addr1.address,
+        geohash: "6gyf4bf8m",
+        latitude: -23.55052,
+        longitude: -46.633308,
+        observedAt: Math.floor(observedAt.getTime() / 1000),
+      });
+      expect(await os.occurrences.get(1)).to.include({ geohash: "75cm", latitude: null, longitude: null });
+      expect((await os.occurrences.byPlant(0)).items.map((occurrence) => occurrence.id)).to.deep.equal([0, 1]);
+      expect((await os.occurrences.inRegion("6gy")).items.map((occurrence) => occurrence.id)).to.deep.equal([0]);
+      expect((await os.occurrences.list()).total).to.equal(2);
+
+      const error = await os.occurrences
+        .report({ plantId: 0, geohash: "75cm", latitude: -22.9, observedAt, evidenceCid: "ipfs://evidence" })
+        .catch((error) => error);
+      expect(error).to.be.instanceOf(ValidationError);
+      expect(
+        await os.occurrences
+          .report({ plantId: 0, geohash: "75ca", observedAt, evidenceCid: "ipfs://evidence" })
+          .catch((error) => error)
+      ).to.be.instanceOf(ValidationError);
+      expect(
+        await os.occurrences
+          .report({ plantId: 1, geohash: "75cm", observedAt, evidenceCid: "ipfs://evidence" })
+          .catch((error) => error)
+      ).to.be.instanceOf(NotFoundError);
+    });
+  });
+
+  describe("Translations", function () {
+    it("Should serve plants and contents in a locale, falling back to the original", async function () {
+      await os.plants.add({
+        popularName: "Jatobá",
+        scientificName: "Hymenaea courbaril",
+        taxonomy: "Fabaceae",
+        description: "A tall tree",
+        photoHash: "ipfs://jatoba",
+      });
+      await os.education.publish({ title: "Syntropic farming", description: "How to start", url: "ipfs://course" });
+
+      const { id } = await connect(addr1).translations.add({
+        entryType: "plant",
+        entryId: 0,
+        language: "pt_br",
+        name: "Jatobá-do-cerrado",
+        description: "Uma árvore alta",
+      });
+      await connect(addr2).translations.add({
+        entryType: "content",
+        entryId: 1,
+        language: "ES",
+        name: "Agricultura sintrópica",
+        description: "Cómo empezar",
+      });
+
+      expect(id).to.equal(0);
+      expect(await os.translations.get(0)).to.include({
+        entryType: "plant",
+        language: "pt-BR",
+        translator: addr1.address,
+      });
+      expect(await os.translations.languages("plant", 0)).to.deep.equal(["pt-BR"]);
+      expect((await os.translations.best("content", 1, "es")).name).to.equal("Agricultura sintrópica");
+      expect(await os.translations.best("content", 1, "pt")).to.equal(null);
+      expect(await os.translations.plant(0, "pt-BR")).to.include({ popularName: "Jatobá-do-cerrado", locale: "pt-BR" });
+      expect(await os.translations.plant(0, "en")).to.include({ popularName: "Jatobá", locale: null });
+      expect(await os.translations.content(1, "es")).to.include({ title: "Agricultura sintrópica", locale: "es" });
+
+      // A negative vote stops serving the only translation of the plant.
+      await connect(addr2).translations.vote(0, "negative");
+      expect(await os.translations.plant(0, "pt-BR")).to.include({ popularName: "Jatobá", locale: null });
+      expect((await os.translations.forEntry("plant", 0, "pt-BR")).items[0].votes.score).to.equal(-1);
+
+      for (const [translation, ErrorClass] of [
+        [{ entryType: "app", entryId: 0, language: "pt", name: "Jatobá", description: "Uma árvore" }, ValidationError],
+        [
+          { entryType: "plant", entryId: 0, language: "portuguese", name: "Jatobá", description: "Uma" },
+          ValidationError,
+        ],
+        [{ entryType: "plant", entryId: 1, language: "pt", name: "Jatobá", description: "Uma árvore" }, NotFoundError],
+      ]) {
+        expect(await os.translations.add(translation).catch((error) => error)).to.be.instanceOf(ErrorClass);
+      }
+    });
+  });
+
+  describe("Listing", function () {
+    it("Should page through 0-based and 1-based apps with the same offsets", async function () {
+      for (const name of ["Ipê", "Jatobá", "Cedro"]) {
+        await os.plants.add({
+          popularName: name,
+          scientificName: `${name} sp.`,
+          taxonomy: "Plantae",
+          description: "A tree",
+          photoHash: "ipfs://photo",
+        });
+        await os.education.publish({ title: name, description: "Desc", url: "ipfs://content" });
+      }
+
+      const plants = await os.plants.list({ offset: 1, limit: 5 });
+      const contents = await os.education.list({ offset: 1, limit: 5 });
+
+      expect(plants.total).to.equal(3);
+      expect(plants.items.map((plant) => plant.popularName)).to.deep.equal(["Jatobá", "Cedro"]);
+      expect(contents.items.map((content) => content.title)).to.deep.equal(["Jatobá", "Cedro"]);
+    });
+
+    it("Should list the entries with the highest net score first", async function () {
+      for (const title of ["Low", "High", "Tied", "Retracted"]) {
+        await os.education.publish({ title, description: "Desc", url: "ipfs://content" });
+      }
+      await connect(addr1).education.vote(1, "negative");
+      await connect(addr1).education.vote(2, "positive");
+      await connect(addr2).education.vote(2, "positive");
+      await connect(addr1).education.vote(4, "positive");
+      await os.education.retract(4);
+
+      const top = await os.education.top({ limit: 2 });
+
+      expect(top.total).to.equal(3);
+      expect(top.items.map((content) => content.title)).to.deep.equal(["High", "Tied"]);
+      expect((await os.education.top({ offset: 2 })).items.map((content) => content.title)).to.deep.equal(["Low"]);
+    });
+
+    it("Should return an empty page past the last entry", async function () {
+      const { items, total } = await os.appStore.list({ offset: 10 });
+
+      expect(total).to.equal(0);
+      expect(items).to.deep.equal([]);
+    });
+  });
+
+  describe("Errors", function () {
+    it("Should map missing IDs of every app to NotFoundError", async function () {
+      for (const request of [os.education.get(1), os.plants.get(0), os.appStore.get(1), os.whitepapers.get(1)]) {
+        const error = await request.catch((error) => error);
+        expect(error).to.be.instanceOf(NotFoundError);
+      }
+
+      const error = await os.appStore.vote(99, "positive").catch((error) => error);
+      expect(error).to.be.instanceOf(NotFoundError);
+      expect(error.reason).to.equal("Invalid ImpactApp ID.");
+    });
+
+    it("Should map invalid inputs to ValidationError", async function () {
+      const error = await os.education.publish({ title: "", description: "Desc", url: "url" }).catch((error) => error);
+
+      expect(error).to.be.instanceOf(ValidationError);
+      expect(error.reason).to.equal("FEC: Title must be between 1 and 49 characters");
+    });
+
+    it("Should map actions that can only be done once to AlreadyExistsError", async function () {
+      await os.treaty.sign();
+      await os.whitepapers.publish({ title: "Paper", description: "Desc", url: "ipfs://paper" });
+
+      expect(await os.treaty.sign().catch((error) => error)).to.be.instanceOf(AlreadyExistsError);
+      expect(
+        await os.whitepapers.publish({ title: "Other", description: "Desc", url: "url" }).catch((error) => error)
+      ).to.be.instanceOf(AlreadyExistsError);
+    });
+
+    it("Should map proving an unsigned pledge to NotAllowedError", async function () {
+      expect(
+        await connect(addr1)
+          .treaty.prove()
+          .catch((error) => error)
+      ).to.be.instanceOf(NotAllowedError);
+    });
+
+    it("Should map changing the content of another publisher to NotAllowedError", async function () {
+      await os.education.publish({ title: "Title", description: "Desc", url: "ipfs://content" });
+
+      expect(
+        await connect(addr1)
+          .education.retract(1)
+          .catch((error) => error)
+      ).to.be.instanceOf(NotAllowedError);
+    });
+  });
+
+  describe("Treaty", function () {
+    it("Should return the pledge status of an address", async function () {
+      const { blockNumber } = await connect(addr1).treaty.sign();
+
+      expect(await os.treaty.status(addr1.address)).to.deep.equal({
+        account: addr1.address,
+        hasSigned: true,
+        lastProofBlock: blockNumber,
+        version: 0,
+      });
+      expect(await os.treaty.totalSignatures()).to.equal(1);
+      expect((await os.treaty.status(addr2.address)).hasSigned).to.be.false;
+    });
+
+    it("Should tell active signers apart from the ones that lapsed", async function () {
+      await connect(addr1).treaty.sign();
+      await connect(addr2).treaty.sign();
+      const { blockNumber } = await connect(addr1).treaty.prove();
+
+      expect(await os.treaty.proofWindow()).to.equal(10);
+      expect(await os.treaty.activeSigners()).to.equal(2);
+      expect(await os.treaty.stats(addr1.address)).to.deep.equal({
+        account: addr1.address,
+        active: true,
+        proofCount: 1,
+        currentStreak: 1,
+        longestStreak: 1,
+        lapseCount: 0,
+      });
+      expect(await os.treaty.recordLapse(addr2.address).catch((error) => error)).to.be.instanceOf(NotAllowedError);
+
+      // The last block of the window of addr1.
+      await mine(blockNumber + 10 - (await ethers.provider.getBlockNumber()));
+      expect(await os.treaty.isActive(addr2.address)).to.be.false;
+      expect(await os.treaty.activeSigners()).to.equal(1);
+
+      const { events } = await os.treaty.recordLapse(addr2.address);
+      expect(events.map((event) => event.event)).to.deep.equal(["SignerLapsed"]);
+      expect(await os.treaty.recordLapse(addr2.address).catch((error) => error)).to.be.instanceOf(AlreadyExistsError);
+      expect(await os.treaty.stats(addr2.address)).to.include({ active: false, currentStreak: 0, lapseCount: 1 });
+    });
+
+    it("Should amend the text and sign its latest version", async function () {
+      const text = "I hereby commit myself to peace and to the care of the land.";
+      await connect(addr1).treaty.sign();
+      await connect(addr2).treaty.sign();
+
+      const { amendmentId } = await connect(addr1).treaty.proposeAmendment({ text, textUri: "ipfs://treaty-v1" });
+      expect((await os.treaty.amendment(amendmentId)).status).to.equal("open");
+      await connect(addr2).treaty.voteOnAmendment(amendmentId, true);
+
+      expect(await os.treaty.currentVersion()).to.equal(1);
+      expect(await os.treaty.version(1)).to.include({ id: 1, textHash: ethers.id(text), textUri: "ipfs://treaty-v1" });
+      expect((await os.treaty.amendments()).items.map((amendment) => amendment.status)).to.deep.equal(["adopted"]);
+      expect(await os.treaty.hasSigned(addr1.address)).to.be.false;
+      expect(await os.treaty.hasSigned(addr1.address, 0)).to.be.true;
+      expect(
+        await connect(addr1)
+          .treaty.sign(0)
+          .catch((error) => error)
+      ).to.be.instanceOf(NotAllowedError);
+
+      await connect(addr1).treaty.sign();
+      expect((await os.treaty.status(addr1.address)).version).to.equal(1);
+      expect(await os.treaty.hasSigned(addr1.address)).to.be.true;
+      expect(await os.treaty.versionSigners()).to.equal(1);
+      expect(await os.treaty.versionSigners(0)).to.equal(1);
+    });
+
+    it("Should withdraw a pledge and keep the history of its proofs", async function () {
+      const signed = await connect(addr1).treaty.sign();
+      const proven = await connect(addr1).treaty.prove();
+      const { events } = await connect(addr1).treaty.withdraw();
+
+      expect(events.map((event) => event.event)).to.deep.equal(["Transfer", "PledgeWithdrawn"]);
+      expect(await os.treaty.totalSignatures()).to.equal(0);
+      expect(
+        await connect(addr1)
+          .treaty.withdraw()
+          .catch((error) => error)
+      ).to.be.instanceOf(NotAllowedError);
+
+      const signedAgain = await connect(addr1).treaty.sign();
+      expect(await os.treaty.history(addr1.address)).to.deep.equal({
+        items: [signed.blockNumber, proven.blockNumber, signedAgain.blockNumber],
+        total: 3,
+        offset: 0,
+        limit: 20,
+      });
+      expect((await os.treaty.history(addr1.address, { offset: 2 })).items).to.deep.equal([signedAgain.blockNumber]);
+    });
+
+    it("Should read the certificate of a signer", async function () {
+      expect(await os.treaty.certificate(addr1.address)).to.be.null;
+
+      const { blockNumber } = await connect(addr1).treaty.sign();
+      const certificate = await os.treaty.certificate(addr1.address);
+
+      expect(certificate).to.include({ tokenId: 1, name: "Humans Peace Treaty Signer #1" });
+      expect(certificate.image).to.match(/^data:image\/svg\+xml;base64,/);
+      expect(certificate.attributes.find((attribute) => attribute.trait_type === "Signature block").value).to.equal(
+        blockNumber
+      );
+      const signer = connect(addr1);
+      expect(await signer.treaty.claimCertificate().catch((error) => error)).to.be.instanceOf(AlreadyExistsError);
+    });
+  });
+});
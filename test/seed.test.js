@@ -0,0 +1,86 @@
+// Import the tools we need from Chai (for assertions) and Hardhat/Ethers.
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { createSintropOS } = require("../sdk");
+const { deployPlantCatalog } = require("../scripts/shared/deployPlantCatalog");
+const { deployHumansPeaceTreaty } = require("../scripts/shared/deployHumansPeaceTreaty");
+const { seedSintropOS, createRandom } = require("../scripts/shared/seed");
+
+// Tests for the seed data generator, run on fresh deployments of the in-process Hardhat network.
+describe("Seed data", function () {
+  const counts = { contents: 3, plants: 4, apps: 2, whitepapers: 2, votes: 4, signers: 3 };
+
+  async function deploySintropOS() {
+    const deploy = async (name) => {
+      const contract = await (await ethers.getContractFactory(name)).deploy();
+      return contract.getAddress();
+    };
+
+    const addresses = {
+      educationCenter: await deploy("FreeEducationCenter"),
+      sintropAppStore: await deploy("SintropAppStore"),
+      whitepaperCenter: await deploy("WhitepaperCenter"),
+    };
+    // The catalog is deployed with its registries, and the treaty, with its proof window and the first version of
+    // its text, with its certificate.
+    const contracts = {
+      ...(await deployPlantCatalog(ethers.ZeroAddress)),
+      ...(await deployHumansPeaceTreaty(10, ethers.id("Pledge"), "ipfs://pledge")),
+    };
+    for (const [key, contract] of Object.entries(contracts)) {
+      addresses[key] = contract.target;
+    }
+
+    return addresses;
+  }
+
+  // Everything the seed wrote, read back through the SDK.
+  async function readAll(addresses) {
+    const os = createSintropOS({ runner: ethers.provider, addresses });
+
+    return {
+      // Entries record the block or the time they were added in, which differs between deployments.
+      contents: (await os.education.list()).items.map(({ createdAt, ...content }) => content),
+      plants: (await os.plants.list()).items.map(({ createdAt, ...plant }) => plant),
+      apps: (await os.appStore.list()).items,
+      whitepapers: (await os.whitepapers.list()).items,
+      signatures: await os.treaty.totalSignatures(),
+    };
+  }
+
+  it("Should create the requested number of entries, votes and pledges", async function () {
+    const addresses = await deploySintropOS();
+
+    const summary = await seedSintropOS({ seed: "demo", counts, addresses });
+    const data = await readAll(addresses);
+
+    expect(data.contents).to.have.lengthOf(3);
+    expect(data.plants).to.have.lengthOf(4);
+    expect(data.apps).to.have.lengthOf(2);
+    expect(data.whitepapers).to.have.lengthOf(2);
+    expect(data.signatures).to.equal(3);
+    expect(summary).to.include({ contents: 3, plants: 4, apps: 2, whitepapers: 2, pledges: 3 });
+
+    const votes = [...data.contents, ...data.plants, ...data.apps, ...data.whitepapers].reduce(
+      (total, entry) => total + entry.votes.positive + entry.votes.negative,
+      0
+    );
+    expect(votes).to.equal(summary.votes);
+  });
+
+  it("Should create the same data from the same seed", async function () {
+    const first = await deploySintropOS();
+    await seedSintropOS({ seed: "demo", counts, addresses: first });
+    const second = await deploySintropOS();
+    await seedSintropOS({ seed: "demo", counts, addresses: second });
+
+    expect(await readAll(second)).to.deep.equal(await readAll(first));
+  });
+
+  it("Should draw different numbers from different seeds", async function () {
+    const draw = (seed) => Array.from({ length: 5 }, createRandom(seed).next);
+
+    expect(draw("a")).to.deep.equal(draw("a"));
+    expect(draw("a")).to.not.deep.equal(draw("b"));
+  });
+});
@@ -0,0 +1,182 @@
+const zlib = require("node:zlib");
+
+const DWC = "http://rs.tdwg.org/dwc/terms/";
+
+/**
+ * Local schema of the Darwin Core Archives exported by `dwca:export`, after the Darwin Core text guide
+ * (https://dwc.tdwg.org/text/). It lists the attributes every file descriptor of meta.xml needs, the terms
+ * allowed in each row type with the ones that are required, and the controlled vocabularies.
+ */
+const DWCA_SCHEMA = {
+  namespace: "http://rs.tdwg.org/dwc/text/",
+  fileAttributes: ["rowType", "encoding", "fieldsTerminatedBy", "linesTerminatedBy", "fieldsEnclosedBy"],
+  // Terms outside of Darwin Core are allowed from these namespaces only.
+  extraNamespaces: ["https://sintrop.com/terms/"],
+  rowTypes: {
+    [`${DWC}Taxon`]: {
+      required: ["taxonID", "scientificName"],
+      terms: [
+        "taxonID",
+        "scientificNameID",
+        "acceptedNameUsageID",
+        "parentNameUsageID",
+        "scientificName",
+        "acceptedNameUsage",
+        "higherClassification",
+        "kingdom",
+        "phylum",
+        "class",
+        "order",
+        "family",
+        "genus",
+        "subgenus",
+        "specificEpithet",
+        "infraspecificEpithet",
+        "taxonRank",
+        "verbatimTaxonRank",
+        "scientificNameAuthorship",
+        "vernacularName",
+        "nomenclaturalCode",
+        "taxonomicStatus",
+        "nomenclaturalStatus",
+        "taxonRemarks",
+      ],
+    },
+    [`${DWC}MeasurementOrFact`]: {
+      required: ["measurementType", "measurementValue"],
+      terms: [
+        "measurementID",
+        "measurementType",
+        "measurementValue",
+        "measurementAccuracy",
+        "measurementUnit",
+        "measurementDeterminedBy",
+        "measurementDeterminedDate",
+        "measurementMethod",
+        "measurementRemarks",
+      ],
+    },
+  },
+  vocabularies: {
+    taxonomicStatus: ["accepted", "synonym", "doubtful"],
+    taxonRank: ["kingdom", "phylum", "class", "order", "family", "genus", "species", "subspecies", "variety", "form"],
+  },
+};
+
+const attributes = (tag) =>
+  Object.fromEntries([...tag.matchAll(/(\w+)="([^"]*)"/g)].map(([, name, value]) => [name, value]));
+
+/** Parses the file descriptors of meta.xml, enough of it for the archives of `dwca:export`. */
+function parseMeta(xml) {
+  const archive = xml.match(/<archive\s([^>]*)>/);
+  const descriptors = [...xml.matchAll(/<(core|extension)\s([^>]*)>([\s\S]*?)<\/\1>/g)].map(([, kind, tag, body]) => {
+    const id = body.match(/<(?:id|coreid) index="(\d+)"\/>/);
+    return {
+      kind,
+      attributes: attributes(tag),
+      location: body.match(/<location>([^<]*)<\/location>/)?.[1],
+      idIndex: id ? Number(id[1]) : undefined,
+      fields: [...body.matchAll(/<field\s([^>]*)\/>/g)].map(([, field]) => attributes(field)),
+    };
+  });
+
+  return { namespace: archive && attributes(archive[1]).xmlns, descriptors };
+}
+
+/** Parses CSV with every value enclosed in quotes and one row per line, as `dwca:export` writes it. */
+function parseCsv(text) {
+  const rows = [];
+  for (const line of text.split("\n").filter(Boolean)) {
+    rows.push([...line.matchAll(/"((?:[^"]|"")*)"(?:,|$)/g)].map(([, value]) => value.replace(/""/g, '"')));
+  }
+
+  return rows;
+}
+
+/**
+ * Checks the files of an archive against `DWCA_SCHEMA`.
+ * @param {Record<string, string>} files Content of each file, by file name.
+ * @returns {string[]} The problems found, empty when the archive is valid.
+ */
+function validateDarwinCoreArchive(files) {
+  const errors = [];
+  if (!files["meta.xml"]) return ["meta.xml is missing"];
+
+  const meta = parseMeta(files["meta.xml"]);
+  if (meta.namespace !== DWCA_SCHEMA.namespace) errors.push(`meta.xml must use the ${DWCA_SCHEMA.namespace} namespace`);
+  if (meta.descriptors.filter(({ kind }) => kind === "core").length !== 1) errors.push("meta.xml must have one core");
+
+  let coreIds = new Set();
+  // The core comes first, so the core IDs of the extensions can be checked against it.
+  const descriptors = [...meta.descriptors].sort((a, b) => (a.kind === "core" ? -1 : b.kind === "core" ? 1 : 0));
+  for (const { kind, attributes, location, idIndex, fields } of descriptors) {
+    const missing = DWCA_SCHEMA.fileAttributes.filter((name) => attributes[name] === undefined);
+    if (missing.length > 0) errors.push(`${location}: missing attributes ${missing.join(", ")}`);
+    const rowType = DWCA_SCHEMA.rowTypes[attributes.rowType];
+    if (!rowType) {
+      errors.push(`${location}: unknown row type ${attributes.rowType}`);
+      continue;
+    }
+    if (files[location] === undefined) {
+      errors.push(`${location} is missing`);
+      continue;
+    }
+    if (idIndex === undefined) errors.push(`${location}: missing the ${kind === "core" ? "id" : "coreid"} column`);
+
+    const names = [];
+    for (const { index, term } of fields) {
+      const name = term.split("/").pop();
+      const known = term.startsWith(DWC) && rowType.terms.includes(name);
+      if (!known && !DWCA_SCHEMA.extraNamespaces.some((namespace) => term.startsWith(namespace))) {
+        errors.push(`${location}: term ${term} is not allowed in ${attributes.rowType}`);
+      }
+      names[Number(index)] = name;
+    }
+    const absent = rowType.required.filter((name) => !names.includes(name));
+    if (absent.length > 0) errors.push(`${location}: missing required terms ${absent.join(", ")}`);
+
+    const rows = parseCsv(files[location]).slice(Number(attributes.ignoreHeaderLines ?? 0));
+    const columns = Math.max(idIndex ?? 0, names.length - 1) + 1;
+    rows.forEach((row, line) => {
+      if (row.length !== columns)
+        errors.push(`${location}:${line + 1}: expected ${columns} columns, got ${row.length}`);
+      for (const name of rowType.required) {
+        if (!row[names.indexOf(name)]) errors.push(`${location}:${line + 1}: ${name} is empty`);
+      }
+      for (const [name, values] of Object.entries(DWCA_SCHEMA.vocabularies)) {
+        const value = names.includes(name) ? row[names.indexOf(name)] : "";
+        if (value && !values.includes(value)) errors.push(`${location}:${line + 1}: invalid ${name} "${value}"`);
+      }
+      if (kind === "extension" && !coreIds.has(row[idIndex])) {
+        errors.push(`${location}:${line + 1}: core ID ${row[idIndex]} is not in the core`);
+      }
+    });
+    if (kind === "core") {
+      coreIds = new Set(rows.map((row) => row[idIndex]));
+      if (coreIds.size !== rows.length) errors.push(`${location}: IDs must be unique`);
+    }
+  }
+
+  return errors;
+}
+
+/** Reads the files of a zip archive written by `dwca:export`, by file name. */
+function readZip(buffer) {
+  const files = {};
+  const end = buffer.lastIndexOf(Buffer.from([0x50, 0x4b, 0x05, 0x06]));
+  let position = buffer.readUInt32LE(end + 16);
+
+  for (let entry = 0; entry < buffer.readUInt16LE(end + 10); entry++) {
+    const nameLength = buffer.readUInt16LE(position + 28);
+    const offset = buffer.readUInt32LE(position + 42);
+    const name = buffer.toString("utf8", position + 46, position + 46 + nameLength);
+    const dataStart = offset + 30 + buffer.readUInt16LE(offset + 26) + buffer.readUInt16LE(offset + 28);
+    const compressed = buffer.subarray(dataStart, dataStart + buffer.readUInt32LE(position + 20));
+    files[name] = zlib.inflateRawSync(compressed).toString("utf8");
+    position += 46 + nameLength + buffer.readUInt16LE(position + 30) + buffer.readUInt16LE(position + 32);
+  }
+
+  return files;
+}
+
+module.exports = { DWCA_SCHEMA, validateDarwinCoreArchive, parseCsv, readZip };
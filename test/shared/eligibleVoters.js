@@ -0,0 +1,110 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { loadFixture, mine } = require("@nomicfoundation/hardhat-network-helpers");
+const { deployHumansPeaceTreaty } = require("../../scripts/shared/deployHumansPeaceTreaty");
+const { VOTE_TYPE } = require("./votable");
+
+// Proof window of the treaty used as voter registry, short enough to let signers lapse in a test.
+const PROOF_WINDOW = 10;
+
+/**
+ * Shared behaviour of the votable apps deployed with a voter registry (`IVoterEligibility`): FreeEducationCenter,
+ * GlobalPlantCatalog, SintropAppStore and WhitepaperCenter. Call it inside the `describe` block of the app.
+ *
+ * @param {object} adapter How the suite talks to the app.
+ * @param {(voterEligibility: string) => Promise<{ contract: object, entryId: number }>} adapter.deploy Deploys the
+ * app behind a proxy initialized with the registry and creates one entry to vote on.
+ * @param {string} adapter.vote Name of the vote function.
+ * @param {string} adapter.userVote Name of the getter of the vote of an account on an entry.
+ * @param {string} adapter.votedEvent Name of the event emitted when a vote is cast or changed.
+ * @param {string} adapter.error Revert message of votes from accounts the registry refuses.
+ */
+function shouldRequireEligibleVoters({ deploy, vote, userVote, votedEvent, error }) {
+  let addr1, addr2;
+
+  beforeEach(async function () {
+    [, addr1, addr2] = await ethers.getSigners();
+  });
+
+  const castVote = (contract, entryId, signer, voteType = VOTE_TYPE.Positive) =>
+    contract.connect(signer)[vote](entryId, voteType);
+
+  async function deployOpenFixture() {
+    return deploy(ethers.ZeroAddress);
+  }
+
+  async function deployWithTreatyFixture() {
+    const { humansPeaceTreaty: treaty } = await deployHumansPeaceTreaty(
+      PROOF_WINDOW,
+      ethers.id("Pledge"),
+      "ipfs://pledge"
+    );
+    return { treaty, ...(await deploy(treaty.target)) };
+  }
+
+  async function deployWithRegistryFixture() {
+    const registry = await (await ethers.getContractFactory("VoterEligibilityMock")).deploy();
+    return { registry, ...(await deploy(registry.target)) };
+  }
+
+  describe(`${vote}() with a voter registry`, function () {
+    it("🌍 Should let anyone vote when deployed without a registry", async function () {
+      const { contract, entryId } = await loadFixture(deployOpenFixture);
+
+      expect(await contract.voterEligibility()).to.equal(ethers.ZeroAddress);
+      expect(await contract.isEligibleVoter(addr1.address)).to.be.true;
+      await expect(castVote(contract, entryId, addr1)).to.emit(contract, votedEvent);
+    });
+
+    it("🕊️ Should only take the votes of active HumansPeaceTreaty signers", async function () {
+      const { treaty, contract, entryId } = await loadFixture(deployWithTreatyFixture);
+
+      expect(await contract.voterEligibility()).to.equal(treaty.target);
+      expect(await contract.isEligibleVoter(addr1.address)).to.be.false;
+      await expect(castVote(contract, entryId, addr1)).to.be.revertedWith(error);
+
+      await treaty.connect(addr1).signPeacePledge(0);
+      expect(await contract.isEligibleVoter(addr1.address)).to.be.true;
+      await expect(castVote(contract, entryId, addr1))
+        .to.emit(contract, votedEvent)
+        .withArgs(entryId, addr1.address, VOTE_TYPE.Positive);
+    });
+
+    it("⏳ Should refuse signers who lapsed, keeping the votes they cast while active", async function () {
+      const { treaty, contract, entryId } = await loadFixture(deployWithTreatyFixture);
+      await treaty.connect(addr1).signPeacePledge(0);
+      await castVote(contract, entryId, addr1);
+
+      await mine(PROOF_WINDOW);
+      expect(await contract.isEligibleVoter(addr1.address)).to.be.false;
+      await expect(castVote(contract, entryId, addr1, VOTE_TYPE.Negative)).to.be.revertedWith(error);
+      expect(await contract[userVote](entryId, addr1.address)).to.equal(VOTE_TYPE.Positive);
+
+      // Proving the commitment again makes the signer active, and eligible, again.
+      await treaty.connect(addr1).proveCommitment();
+      await expect(castVote(contract, entryId, addr1, VOTE_TYPE.Negative)).to.emit(contract, votedEvent);
+    });
+
+    it("🚪 Should refuse signers who withdrew their pledge", async function () {
+      const { treaty, contract, entryId } = await loadFixture(deployWithTreatyFixture);
+      await treaty.connect(addr1).signPeacePledge(0);
+      await treaty.connect(addr1).withdrawPledge();
+
+      await expect(castVote(contract, entryId, addr1)).to.be.revertedWith(error);
+    });
+
+    it("🪪 Should follow another identity registry", async function () {
+      const { registry, contract, entryId } = await loadFixture(deployWithRegistryFixture);
+      await registry.setEligible(addr1.address, true);
+
+      expect(await contract.voterEligibility()).to.equal(registry.target);
+      await expect(castVote(contract, entryId, addr1)).to.emit(contract, votedEvent);
+      await expect(castVote(contract, entryId, addr2)).to.be.revertedWith(error);
+
+      await registry.setEligible(addr1.address, false);
+      await expect(castVote(contract, entryId, addr1, VOTE_TYPE.Negative)).to.be.revertedWith(error);
+    });
+  });
+}
+
+module.exports = { shouldRequireEligibleVoters };
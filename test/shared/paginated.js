@@ -0,0 +1,54 @@
+const { expect } = require("chai");
+const { loadFixture } = require("@nomicfoundation/hardhat-network-helpers");
+
+// Entries created by the fixture of every app.
+const ENTRIES = 3;
+
+/**
+ * Shared behaviour of the paginated views of FreeEducationCenter, GlobalPlantCatalog, SintropAppStore,
+ * WhitepaperCenter, PlantOccurrenceRegistry, TranslationCenter and the amendments of HumansPeaceTreaty. Call it
+ * inside the `describe` block of the app.
+ *
+ * @param {object} adapter How the suite talks to the app.
+ * @param {() => Promise<{ contract: object }>} adapter.fixture Deploys the app and creates three entries. It
+ * must be the same function on every call, for `loadFixture`.
+ * @param {string} adapter.list Name of the paginated view.
+ * @param {number} adapter.firstId ID of the first entry of the app.
+ */
+function shouldBehaveLikePaginated({ fixture, list, firstId }) {
+  let contract;
+
+  beforeEach(async function () {
+    ({ contract } = await loadFixture(fixture));
+  });
+
+  const ids = async (offset, limit) => (await contract[list](offset, limit)).map((entry) => Number(entry.id));
+
+  describe(`${list}()`, function () {
+    it("📄 Should return the entries of the page in ID order", async function () {
+      expect(await ids(0, 2)).to.deep.equal([firstId, firstId + 1]);
+      expect(await ids(1, 2)).to.deep.equal([firstId + 1, firstId + 2]);
+    });
+
+    it("📄 Should count the offset from the first entry, whatever its ID", async function () {
+      expect(await ids(0, 1)).to.deep.equal([firstId]);
+    });
+
+    it("✂️ Should stop at the last entry", async function () {
+      expect(await ids(2, 10)).to.deep.equal([firstId + 2]);
+      expect(await ids(0, 100)).to.have.lengthOf(ENTRIES);
+    });
+
+    it("🈳 Should return an empty page past the last entry or for a limit of 0", async function () {
+      expect(await ids(ENTRIES, 10)).to.deep.equal([]);
+      expect(await ids(1000, 10)).to.deep.equal([]);
+      expect(await ids(0, 0)).to.deep.equal([]);
+    });
+
+    it("📏 Should expose the maximum page size", async function () {
+      expect(await contract.MAX_PAGE_SIZE()).to.equal(100);
+    });
+  });
+}
+
+module.exports = { shouldBehaveLikePaginated };
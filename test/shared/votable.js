@@ -0,0 +1,190 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { loadFixture } = require("@nomicfoundation/hardhat-network-helpers");
+
+// Values of the VoteType enums. Upvote/Downvote and Positive/Negative share the same values in every app.
+const VOTE_TYPE = {
+  None: 0,
+  Positive: 1,
+  Negative: 2,
+};
+
+// First value past the end of the VoteType enums.
+const OUT_OF_RANGE_VOTE_TYPE = 3;
+
+/**
+ * Shared behaviour of the apps whose entries receive positive and negative votes: FreeEducationCenter,
+ * GlobalPlantCatalog, SintropAppStore, WhitepaperCenter and TranslationCenter. Call it inside the `describe` block
+ * of the app.
+ *
+ * @param {object} adapter How the suite talks to the app.
+ * @param {() => Promise<{ contract: object, entryId: number, missingIds: number[] }>} adapter.fixture Deploys
+ * the app and creates one entry to vote on. It must be the same function on every call, for `loadFixture`.
+ * @param {string} adapter.vote Name of the vote function.
+ * @param {string} adapter.userVote Name of the getter of the vote of an account on an entry.
+ * @param {(contract: object, id: number) => Promise<[bigint, bigint]>} adapter.counts Positive and negative
+ * votes of an entry.
+ * @param {string} adapter.isPositive Name of the function telling if an entry has more positive votes.
+ * @param {string} adapter.votedEvent Name of the event emitted when a vote is cast or changed.
+ * @param {{ invalidId: string, invalidVoteType: string }} adapter.errors Revert messages of the app.
+ */
+function shouldBehaveLikeVotable({ fixture, vote, userVote, counts, isPositive, votedEvent, errors }) {
+  let contract;
+  let entryId;
+  let missingIds;
+  let addr1, addr2, addr3;
+
+  beforeEach(async function () {
+    ({ contract, entryId, missingIds } = await loadFixture(fixture));
+    [, addr1, addr2, addr3] = await ethers.getSigners();
+  });
+
+  const castVote = (signer, voteType, id = entryId) => contract.connect(signer)[vote](id, voteType);
+
+  const expectCounts = async (positive, negative) => {
+    const [positiveVotes, negativeVotes] = await counts(contract, entryId);
+    expect(positiveVotes).to.equal(positive);
+    expect(negativeVotes).to.equal(negative);
+  };
+
+  describe(`${vote}()`, function () {
+    context("When a user casts a new vote", function () {
+      it("✅ Should allow a positive vote and increment the positive count", async function () {
+        await castVote(addr1, VOTE_TYPE.Positive);
+
+        await expectCounts(1, 0);
+      });
+
+      it("✅ Should allow a negative vote and increment the negative count", async function () {
+        await castVote(addr1, VOTE_TYPE.Negative);
+
+        await expectCounts(0, 1);
+      });
+
+      it(`📣 Should emit a '${votedEvent}' event when a new vote is cast`, async function () {
+        await expect(castVote(addr1, VOTE_TYPE.Positive))
+          .to.emit(contract, votedEvent)
+          .withArgs(entryId, addr1.address, VOTE_TYPE.Positive);
+      });
+
+      it("🗳️ Should record the vote of the user", async function () {
+        await castVote(addr1, VOTE_TYPE.Negative);
+
+        expect(await contract[userVote](entryId, addr1.address)).to.equal(VOTE_TYPE.Negative);
+        expect(await contract[userVote](entryId, addr2.address)).to.equal(VOTE_TYPE.None);
+      });
+
+      it("👥 Should add up the votes of different users", async function () {
+        await castVote(addr1, VOTE_TYPE.Positive);
+        await castVote(addr2, VOTE_TYPE.Positive);
+        await castVote(addr3, VOTE_TYPE.Negative);
+
+        await expectCounts(2, 1);
+      });
+    });
+
+    context("When a user changes their vote", function () {
+      it("🔄 Should allow changing from a positive to a negative vote, adjusting counts", async function () {
+        await castVote(addr1, VOTE_TYPE.Positive);
+
+        await expect(castVote(addr1, VOTE_TYPE.Negative))
+          .to.emit(contract, votedEvent)
+          .withArgs(entryId, addr1.address, VOTE_TYPE.Negative);
+
+        await expectCounts(0, 1);
+        expect(await contract[userVote](entryId, addr1.address)).to.equal(VOTE_TYPE.Negative);
+      });
+
+      it("🔄 Should allow changing from a negative to a positive vote, adjusting counts", async function () {
+        await castVote(addr1, VOTE_TYPE.Negative);
+        await castVote(addr1, VOTE_TYPE.Positive);
+
+        await expectCounts(1, 0);
+        expect(await contract[userVote](entryId, addr1.address)).to.equal(VOTE_TYPE.Positive);
+      });
+
+      it("🔄 Should only move the vote of the user who changed it", async function () {
+        await castVote(addr1, VOTE_TYPE.Positive);
+        await castVote(addr2, VOTE_TYPE.Positive);
+        await castVote(addr2, VOTE_TYPE.Negative);
+
+        await expectCounts(1, 1);
+      });
+    });
+
+    context("When a user casts the same vote again", function () {
+      for (const [name, voteType] of [
+        ["positive", VOTE_TYPE.Positive],
+        ["negative", VOTE_TYPE.Negative],
+      ]) {
+        it(`⚖️ Should not change state or emit an event on a repeated ${name} vote`, async function () {
+          await castVote(addr1, voteType);
+          const before = await counts(contract, entryId);
+
+          await expect(castVote(addr1, voteType)).to.not.emit(contract, votedEvent);
+
+          expect(await counts(contract, entryId)).to.deep.equal(before);
+          expect(await contract[userVote](entryId, addr1.address)).to.equal(voteType);
+        });
+      }
+    });
+
+    context("Failure scenarios (reverts)", function () {
+      it("❌ Should revert when voting on entries that do not exist", async function () {
+        for (const id of missingIds) {
+          await expect(castVote(addr1, VOTE_TYPE.Positive, id)).to.be.revertedWith(errors.invalidId);
+        }
+      });
+
+      it("❌ Should revert if the vote type is None", async function () {
+        await expect(castVote(addr1, VOTE_TYPE.None)).to.be.revertedWith(errors.invalidVoteType);
+      });
+
+      it("❌ Should revert if the vote type is out of the enum range", async function () {
+        await expect(castVote(addr1, OUT_OF_RANGE_VOTE_TYPE)).to.be.reverted;
+      });
+    });
+  });
+
+  describe(`${isPositive}()`, function () {
+    it("🆕 Should return 'false' before any vote", async function () {
+      expect(await contract[isPositive](entryId)).to.be.false;
+    });
+
+    it("👍 Should return 'true' when positive votes are greater than negative votes", async function () {
+      await castVote(addr1, VOTE_TYPE.Positive);
+      await castVote(addr2, VOTE_TYPE.Positive);
+
+      expect(await contract[isPositive](entryId)).to.be.true;
+    });
+
+    it("👎 Should return 'false' when negative votes are greater than positive votes", async function () {
+      await castVote(addr1, VOTE_TYPE.Negative);
+
+      expect(await contract[isPositive](entryId)).to.be.false;
+    });
+
+    it("🤝 Should return 'false' when positive and negative votes are equal", async function () {
+      await castVote(addr1, VOTE_TYPE.Positive);
+      await castVote(addr2, VOTE_TYPE.Negative);
+
+      expect(await contract[isPositive](entryId)).to.be.false;
+    });
+
+    it("🔄 Should follow changed votes", async function () {
+      await castVote(addr1, VOTE_TYPE.Positive);
+      expect(await contract[isPositive](entryId)).to.be.true;
+
+      await castVote(addr1, VOTE_TYPE.Negative);
+      expect(await contract[isPositive](entryId)).to.be.false;
+    });
+
+    it("❌ Should revert when checking entries that do not exist", async function () {
+      for (const id of missingIds) {
+        await expect(contract[isPositive](id)).to.be.revertedWith(errors.invalidId);
+      }
+    });
+  });
+}
+
+module.exports = { shouldBehaveLikeVotable, VOTE_TYPE };